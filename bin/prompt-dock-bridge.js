@@ -4,9 +4,13 @@ import { program } from 'commander';
 import chalk from 'chalk';
 import { startBridge, stopBridge, getStatus } from '../src/index.js';
 import { showLogs } from '../src/utils/logger.js';
-import { configWizard } from '../src/utils/config.js';
+import { configWizard, loadConfig } from '../src/utils/config.js';
 import { testAgent } from '../src/agents/detector.js';
+import { loadAgentPlugins } from '../src/agents/registry.js';
 import { checkForUpdates, getVersionInfo } from '../src/utils/updater.js';
+import { runCommand } from '../src/cli/run.js';
+import { batchCommand } from '../src/cli/batch.js';
+import { templatesCommand } from '../src/cli/templates.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -24,6 +28,7 @@ program
   .description('Start the bridge server')
   .option('-p, --port <number>', 'Port to run on', '51720')
   .option('-v, --verbose', 'Verbose logging')
+  .option('--debug', 'Check outgoing protocol messages against their schemas')
   .option('-a, --agent <type>', 'Preferred agent (claude-code|cursor|codex)')
   .option('--hub <url>', 'Override Prompt Dock hub URL')
   .option('--no-open', 'Don\'t open browser on start')
@@ -131,7 +136,9 @@ program
   .action(async (agent) => {
     try {
       console.log(chalk.cyan(`Testing ${agent}...`));
-      const result = await testAgent(agent);
+      const config = await loadConfig();
+      await loadAgentPlugins(config);
+      const result = await testAgent(agent, config);
 
       if (result.installed) {
         console.log(chalk.green(`✅ ${agent} is installed`));
@@ -153,6 +160,46 @@ program
     }
   });
 
+program
+  .command('run <prompt>')
+  .description('Run a prompt without a web app, e.g. from scripts or CI')
+  .option('-a, --agent <type>', 'Agent to use (default: project or global setting)')
+  .option('-w, --workdir <path>', 'Repository to work in', process.cwd())
+  .option('-m, --mode <mode>', 'plan: show a plan and ask before executing; execute: execute right away', 'plan')
+  .option('-y, --yes', 'Execute the plan without asking')
+  .option('--pr', 'Open a pull request when the execution succeeds')
+  .option('--base <branch>', 'Base branch for the worktree and pull request')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-v, --verbose', 'Verbose logging')
+  .action(async (prompt, options) => {
+    const exitCode = await runCommand(prompt, options);
+    // Agent processes and file watchers may still hold the event loop
+    process.exit(exitCode);
+  });
+
+program
+  .command('batch <manifest>')
+  .description('Run the prompts of a JSON or YAML manifest across several repositories')
+  .option('-n, --concurrency <number>', 'Entries to run at the same time (default: manifest or 2)')
+  .option('-y, --yes', 'Execute every plan without review')
+  .option('--pr', 'Open a pull request for every successful entry')
+  .option('-r, --report <path>', 'Where to write the JSON report (default: ./<batch id>.json)')
+  .option('-c, --config <path>', 'Path to config file')
+  .option('-v, --verbose', 'Verbose logging')
+  .action(async (manifest, options) => {
+    const exitCode = await batchCommand(manifest, options);
+    process.exit(exitCode);
+  });
+
+program
+  .command('templates [action] [argument]')
+  .description('Manage prompt templates: list, show <id>, add <file>, remove <id>, render <id>')
+  .option('--var <name=value>', 'Variable for render (repeatable)', (value, previous) => [...previous, value], [])
+  .action(async (action, argument, options) => {
+    const exitCode = await templatesCommand(action, argument, options);
+    process.exit(exitCode);
+  });
+
 program
   .command('version')
   .description('Show bridge version details and update status')
@@ -1,7 +1,14 @@
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
 import { logger } from '../utils/logger.js';
+import { AgentError, StateError } from '../utils/errors.js';
+import { normalizeUsage } from '../execution/usage.js';
+import { AgentEventParser, parseTextLine } from './events.js';
 import { v4 as uuidv4 } from 'uuid';
+import path from 'path';
+
+// Earlier replies are summaries of work that is already on disk
+const MAX_REPLAYED_REPLY = 4000;
 
 export class BaseAgent extends EventEmitter {
   constructor(name, config = {}) {
@@ -20,6 +27,8 @@ export class BaseAgent extends EventEmitter {
     this.maxRetries = config.retryAttempts || 3;
     this.maxBufferSize = config.maxBufferBytes || 4 * 1024 * 1024;
     this.streamingState = 'idle';  // Track if agent is actively streaming output
+    this.permissionHandler = null;  // Set by the executor when tool calls need approval
+    this.conversationId = null;  // Session of the last run, for agents that can resume one
   }
 
   async detectInstallation() {
@@ -38,9 +47,62 @@ export class BaseAgent extends EventEmitter {
     throw new Error('executePrompt must be implemented by subclass');
   }
 
+  /**
+   * Send a follow-up prompt into the conversation of an earlier run in the
+   * same working directory. Agents that can resume a session from
+   * conversationId (capabilities.resumeConversation) override this; others
+   * get the earlier turns replayed ahead of the prompt.
+   * @param {string} prompt - Follow-up prompt
+   * @param {string} workdir - Working directory of the earlier run
+   * @param {Object} options - executePrompt options, plus history: [{ prompt, text }]
+   * @returns {Promise<Object>} Same shape as executePrompt
+   */
+  async continueConversation(prompt, workdir, options = {}) {
+    const { history = [], ...executeOptions } = options;
+    return this.executePrompt(formatConversation(history, prompt), workdir, executeOptions);
+  }
+
+  /**
+   * Format attached context files for this agent's prompt. Markdown code
+   * blocks by default; agents that prefer another layout override this.
+   * @param {Array<Object>} files - { path, startLine, endLine, content, truncated }
+   * @returns {string}
+   */
+  formatContext(files) {
+    const sections = files.map(file => {
+      // A fence longer than any backtick run in the file
+      const longestRun = Math.max(2, ...(file.content.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+
+      return `### ${describeContextFile(file)}\n${fence}${path.extname(file.path).slice(1)}\n${file.content}\n${fence}`;
+    });
+
+    return `The user attached these files as context:\n\n${sections.join('\n\n')}`;
+  }
+
+  /**
+   * Ask whether a tool call may run. Agents that can pause before a tool
+   * call (capabilities.toolApproval) call this and wait for the answer.
+   * Without a handler, e.g. while planning, such calls are denied.
+   * @param {Object} call - { id, tool, input }
+   * @returns {Promise<{behavior: 'allow'|'deny', message?: string}>}
+   */
+  async requestPermission(call) {
+    if (!this.permissionHandler) {
+      return { behavior: 'deny', message: 'Tool calls wait until the user has approved the plan' };
+    }
+
+    try {
+      return await this.permissionHandler(call);
+    } catch (error) {
+      logger.error(`Permission check for ${call.tool} failed:`, error);
+      return { behavior: 'deny', message: error.message };
+    }
+  }
+
   async sendInteraction(message) {
     if (!this.process || this.status !== 'executing') {
-      throw new Error('No active agent process');
+      throw new StateError('NO_ACTIVE_AGENT', 'No active agent process');
     }
 
     try {
@@ -52,8 +114,29 @@ export class BaseAgent extends EventEmitter {
     }
   }
 
+  /**
+   * Parser that turns this agent's stdout into agent events (see events.js).
+   * Plain text lines by default; agents with structured output override this.
+   * @returns {AgentEventParser}
+   */
+  createEventParser() {
+    return new AgentEventParser(parseTextLine);
+  }
+
+  /**
+   * Emit normalized agent events
+   * @param {Array<Object>} events - Events from an event parser
+   */
+  emitEvents(events) {
+    const timestamp = new Date().toISOString();
+    for (const event of events) {
+      this.emit('event', { ...event, timestamp });
+    }
+  }
+
   spawnProcess(command, args, options = {}) {
     return new Promise((resolve, reject) => {
+      const eventParser = this.createEventParser();
       const spawnOptions = {
         cwd: options.workdir || process.cwd(),
         env: { ...process.env, ...options.env },
@@ -69,7 +152,7 @@ export class BaseAgent extends EventEmitter {
       const timeoutHandle = setTimeout(() => {
         if (this.process) {
           this.process.kill('SIGTERM');
-          reject(new Error(`${this.name} execution timed out after ${this.timeout}ms`));
+          reject(new AgentError('AGENT_TIMEOUT', `${this.name} execution timed out after ${this.timeout}ms`));
         }
       }, this.timeout);
 
@@ -100,6 +183,8 @@ export class BaseAgent extends EventEmitter {
           options.onOutput(output);
         }
 
+        this.emitEvents(eventParser.push(output));
+
         // Detect if agent is waiting for input (common patterns)
         if (this.isWaitingForInput(output)) {
           this.streamingState = 'waiting-input';
@@ -133,6 +218,11 @@ export class BaseAgent extends EventEmitter {
         this.status = 'idle';
         this.streamingState = 'complete';
 
+        this.emitEvents(eventParser.flush());
+        if (code !== 0 && !options.allowNonZeroExit) {
+          this.emitEvents([{ type: 'error', message: `${this.name} exited with code ${code}` }]);
+        }
+
         // Emit completion state
         this.emit('state-change', {
           executionId: this.executionId,
@@ -156,7 +246,9 @@ export class BaseAgent extends EventEmitter {
         if (code === 0 || options.allowNonZeroExit) {
           resolve(result);
         } else {
-          reject(new Error(`${this.name} exited with code ${code}\n${this.errorBuffer}`));
+          reject(new AgentError('AGENT_FAILED', `${this.name} exited with code ${code}\n${this.errorBuffer}`, {
+            details: { exitCode: code }
+          }));
         }
       });
 
@@ -164,7 +256,9 @@ export class BaseAgent extends EventEmitter {
         clearTimeout(timeoutHandle);
         this.status = 'idle';
         this.process = null;
-        reject(error);
+        reject(error.code === 'ENOENT'
+          ? new AgentError('AGENT_NOT_INSTALLED', `${this.name} is not installed (${command} not found)`, { cause: error })
+          : error);
       });
 
       if (options.input) {
@@ -241,10 +335,34 @@ export class BaseAgent extends EventEmitter {
       raw: output,
       text: this.parseOutput(output),
       modifiedFiles: this.extractModifiedFiles(output),
+      usage: this.parseUsage(output),
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Token and cost usage from the agent's output. Agents that print JSON
+   * report it on their last message with usage fields; plain text has none.
+   * @param {string} output - Raw stdout
+   * @returns {Object|null} { inputTokens, outputTokens, costUsd, durationMs }
+   */
+  parseUsage(output) {
+    const lines = output.split('\n').filter(line => line.trim().startsWith('{'));
+
+    for (const line of lines.reverse()) {
+      try {
+        const usage = normalizeUsage(JSON.parse(line));
+        if (usage) {
+          return usage;
+        }
+      } catch {
+        // Not a JSON line
+      }
+    }
+
+    return null;
+  }
+
   trimBuffer(bufferName) {
     // Don't trim buffers - we need the full output for plans and execution
     return;
@@ -271,3 +389,41 @@ export class BaseAgent extends EventEmitter {
     return this.streamingState;
   }
 }
+
+/**
+ * A follow-up prompt with the earlier turns of the conversation, for agents
+ * that start fresh on every run
+ * @param {Array<Object>} history - Earlier turns: { prompt, text }
+ * @param {string} prompt - Follow-up prompt
+ * @returns {string}
+ */
+export function formatConversation(history, prompt) {
+  if (history.length === 0) {
+    return prompt;
+  }
+
+  const turns = history.map(({ prompt: request, text }) => {
+    const reply = text && text.length > MAX_REPLAYED_REPLY
+      ? `${text.slice(0, MAX_REPLAYED_REPLY)}\n... (truncated)`
+      : text || '(no reply)';
+    return `User:\n${request}\n\nYou:\n${reply}`;
+  });
+
+  return `You already worked on this repository in this conversation:\n\n${turns.join('\n\n')}\n\nYour changes are in the working directory. Now continue with:\n\n${prompt}`;
+}
+
+/**
+ * "src/auth.js (lines 10-40, truncated)"
+ * @param {Object} file - Resolved context file
+ * @returns {string}
+ */
+export function describeContextFile(file) {
+  const notes = [];
+  if (file.startLine) {
+    notes.push(`lines ${file.startLine}-${file.endLine}`);
+  }
+  if (file.truncated) {
+    notes.push('truncated');
+  }
+  return notes.length > 0 ? `${file.path} (${notes.join(', ')})` : file.path;
+}
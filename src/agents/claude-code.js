@@ -2,6 +2,9 @@ import { BaseAgent } from './base.js';
 import { exec, spawn } from 'child_process';
 import { promisify } from 'util';
 import { logger } from '../utils/logger.js';
+import { AgentError, StateError } from '../utils/errors.js';
+import { normalizeUsage } from '../execution/usage.js';
+import { AgentEventParser, parseClaudeMessage, parseJsonLine } from './events.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const execAsync = promisify(exec);
@@ -12,6 +15,8 @@ export class ClaudeCodeAgent extends BaseAgent {
     this.planOutput = '';
     this.isInPlanMode = false;
     this.claudePath = config.claudePath || null;
+    // Tool calls are sent to requestPermission() instead of running freely
+    this.toolApproval = config.toolApproval || false;
   }
 
   async detectInstallation() {
@@ -73,6 +78,26 @@ export class ClaudeCodeAgent extends BaseAgent {
     return result.installed ? result.version : null;
   }
 
+  // Every run prints stream-json; plain text lines still parse as text
+  createEventParser() {
+    return new AgentEventParser(parseJsonLine);
+  }
+
+  /**
+   * Claude reads tagged documents best, so each file gets its own element
+   * @param {Array<Object>} files - Resolved context files
+   * @returns {string}
+   */
+  formatContext(files) {
+    const documents = files.map(file => {
+      const lines = file.startLine ? ` lines="${file.startLine}-${file.endLine}"` : '';
+      const truncated = file.truncated ? ' truncated="true"' : '';
+      return `<file path="${escapeAttribute(file.path)}"${lines}${truncated}>\n${file.content}\n</file>`;
+    });
+
+    return `The user attached these files as context:\n<context>\n${documents.join('\n')}\n</context>`;
+  }
+
   async executeInPlanMode(prompt, workdir) {
     this.isInPlanMode = true;
     this.planOutput = '';
@@ -90,7 +115,7 @@ export class ClaudeCodeAgent extends BaseAgent {
       logger.info(`Working directory: ${workdir}`);
 
       // Start streaming JSON session
-      const args = ['-p', '--verbose', '--input-format', 'stream-json', '--output-format', 'stream-json', '--permission-mode', 'plan'];
+      const args = ['-p', '--verbose', '--input-format', 'stream-json', '--output-format', 'stream-json', '--permission-mode', 'plan', ...this.permissionArgs()];
       const spawnOptions = {
         cwd: workdir || process.cwd(),
         env: { ...process.env }
@@ -119,6 +144,12 @@ export class ClaudeCodeAgent extends BaseAgent {
             try {
               const message = JSON.parse(line);
               logger.info(`[Claude JSON]: ${JSON.stringify(message).substring(0, 200)}...`);
+              this.conversationId = message.session_id || this.conversationId;
+
+              if (message.type === 'control_request') {
+                this.answerControlRequest(message);
+                continue;
+              }
 
               // Emit the JSON message
               this.emit('output', {
@@ -127,6 +158,7 @@ export class ClaudeCodeAgent extends BaseAgent {
                 executionId: this.executionId,
                 timestamp: new Date().toISOString()
               });
+              this.emitEvents(parseClaudeMessage(message));
 
               // Extract plan text from assistant messages
               if (message.type === 'assistant' && message.message && message.message.content) {
@@ -146,6 +178,7 @@ export class ClaudeCodeAgent extends BaseAgent {
                   plan: this.planOutput,
                   raw: this.planOutput,
                   modifiedFiles: this.extractModifiedFiles(this.planOutput),
+                  usage: normalizeUsage(message),
                   processKept: true
                 });
               }
@@ -170,7 +203,15 @@ export class ClaudeCodeAgent extends BaseAgent {
         this.process.on('close', (code) => {
           if (!planResolved) {
             logger.error(`Process closed with code ${code}`);
-            reject(new Error(`claude-code exited with code ${code}`));
+            reject(new AgentError('AGENT_FAILED', `claude-code exited with code ${code}`, { details: { exitCode: code } }));
+          }
+        });
+
+        this.process.on('error', (error) => {
+          if (!planResolved) {
+            reject(error.code === 'ENOENT'
+              ? new AgentError('AGENT_NOT_INSTALLED', `claude-code is not installed (${claudeCmd} not found)`, { cause: error })
+              : error);
           }
         });
 
@@ -200,7 +241,7 @@ export class ClaudeCodeAgent extends BaseAgent {
 
   async approvePlan() {
     if (!this.process || this.status !== 'planning') {
-      throw new Error('No active planning session to approve');
+      throw new StateError('NO_ACTIVE_AGENT', 'No active planning session to approve');
     }
 
     logger.info('Sending approval message to claude-code');
@@ -236,6 +277,12 @@ export class ClaudeCodeAgent extends BaseAgent {
           try {
             const message = JSON.parse(line);
             logger.info(`[Execution]: ${JSON.stringify(message).substring(0, 200)}...`);
+            this.conversationId = message.session_id || this.conversationId;
+
+            if (message.type === 'control_request') {
+              this.answerControlRequest(message);
+              continue;
+            }
 
             // Emit JSON messages
             this.emit('output', {
@@ -244,6 +291,7 @@ export class ClaudeCodeAgent extends BaseAgent {
               executionId: this.executionId,
               timestamp: new Date().toISOString()
             });
+            this.emitEvents(parseClaudeMessage(message));
 
             // Accumulate text output
             if (message.type === 'assistant' && message.message && message.message.content) {
@@ -263,7 +311,8 @@ export class ClaudeCodeAgent extends BaseAgent {
 
               resolve({
                 success: !message.is_error,
-                output: executionOutput
+                output: executionOutput,
+                usage: normalizeUsage(message)
               });
             }
           } catch (err) {
@@ -293,7 +342,7 @@ export class ClaudeCodeAgent extends BaseAgent {
 
   async rejectPlan(feedback) {
     if (!this.process || this.status !== 'planning') {
-      throw new Error('No active planning session to reject');
+      throw new StateError('NO_ACTIVE_AGENT', 'No active planning session to reject');
     }
 
     logger.info('Sending rejection with feedback to claude-code');
@@ -326,6 +375,11 @@ export class ClaudeCodeAgent extends BaseAgent {
           try {
             const message = JSON.parse(line);
 
+            if (message.type === 'control_request') {
+              this.answerControlRequest(message);
+              continue;
+            }
+
             // Emit JSON messages
             this.emit('output', {
               type: 'stdout',
@@ -333,6 +387,7 @@ export class ClaudeCodeAgent extends BaseAgent {
               executionId: this.executionId,
               timestamp: new Date().toISOString()
             });
+            this.emitEvents(parseClaudeMessage(message));
 
             // Accumulate new plan text
             if (message.type === 'assistant' && message.message && message.message.content) {
@@ -351,7 +406,8 @@ export class ClaudeCodeAgent extends BaseAgent {
                 success: true,
                 plan: this.planOutput,
                 raw: this.planOutput,
-                modifiedFiles: this.extractModifiedFiles(this.planOutput)
+                modifiedFiles: this.extractModifiedFiles(this.planOutput),
+                usage: normalizeUsage(message)
               });
             }
           } catch (err) {
@@ -387,15 +443,12 @@ export class ClaudeCodeAgent extends BaseAgent {
 
       logger.info('Executing Claude Code prompt');
 
-      const args = [];
-
-      if (options.apply) {
-        args.push('--apply');
+      if (this.toolApproval) {
+        return await this.executeWithApproval(prompt, workdir, options);
       }
 
-      if (options.model) {
-        args.push('--model', options.model);
-      }
+      // stream-json too, so the run reports its usage and leaves a session to --resume
+      const args = options.apply ? ['--permission-mode', 'acceptEdits'] : [];
 
       if (options.webSearch) {
         args.push('--web-search');
@@ -405,21 +458,139 @@ export class ClaudeCodeAgent extends BaseAgent {
         args.push('--web-fetch', options.webFetch.join(','));
       }
 
-      const result = await this.spawnProcess(this.claudePath || 'claude', args, {
-        workdir,
-        input: prompt,
-        closeStdin: !options.interactive,
-        onOutput: options.onOutput,
-        onError: options.onError
-      });
-
-      return this.normalizeOutput(result.stdout);
+      return await this.runStreamJson(prompt, workdir, options, args);
     } catch (error) {
       logger.error('Claude Code execution failed:', error);
       throw error;
     }
   }
 
+  /**
+   * Run a prompt over stream-json, so every tool call can wait for approval
+   */
+  async executeWithApproval(prompt, workdir, options = {}) {
+    return this.runStreamJson(prompt, workdir, options, this.permissionArgs());
+  }
+
+  /**
+   * Resume the Claude Code session of the earlier run with --resume. Runs
+   * that left no session ID (plain text output) replay the history instead.
+   */
+  async continueConversation(prompt, workdir, options = {}) {
+    if (!this.conversationId) {
+      return super.continueConversation(prompt, workdir, options);
+    }
+
+    if (!this.claudePath) {
+      await this.detectInstallation();
+    }
+
+    logger.info(`Resuming Claude Code session ${this.conversationId}`);
+
+    // Without tool approval a follow-up may edit files, like an execute run
+    const permissions = this.toolApproval ? this.permissionArgs() : ['--permission-mode', 'acceptEdits'];
+    return this.runStreamJson(prompt, workdir, options, ['--resume', this.conversationId, ...permissions]);
+  }
+
+  /**
+   * Run one prompt in print mode over stream-json
+   * @param {string} prompt - Prompt
+   * @param {string} workdir - Working directory
+   * @param {Object} options - { model, onOutput, onError }
+   * @param {Array<string>} extraArgs - Session and permission arguments
+   */
+  async runStreamJson(prompt, workdir, options = {}, extraArgs = []) {
+    const args = ['-p', '--verbose', '--input-format', 'stream-json', '--output-format', 'stream-json', ...extraArgs];
+
+    if (options.model) {
+      args.push('--model', options.model);
+    }
+
+    let messageBuffer = '';
+    let executionOutput = '';
+    let resultMessage = null;
+
+    const result = await this.spawnProcess(this.claudePath || 'claude', args, {
+      workdir,
+      input: JSON.stringify({ type: 'user', message: { role: 'user', content: prompt } }) + '\n',
+      closeStdin: false,
+      onOutput: (output) => {
+        options.onOutput?.(output);
+
+        messageBuffer += output;
+        const lines = messageBuffer.split('\n');
+        messageBuffer = lines.pop() || '';
+
+        for (const line of lines) {
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch {
+            continue;
+          }
+
+          this.conversationId = message.session_id || this.conversationId;
+
+          if (message.type === 'control_request') {
+            this.answerControlRequest(message);
+          } else if (message.type === 'assistant' && Array.isArray(message.message?.content)) {
+            for (const block of message.message.content) {
+              if (block.type === 'text') {
+                executionOutput += block.text;
+              }
+            }
+          } else if (message.type === 'result') {
+            // Nothing more to say; closing stdin lets claude exit
+            resultMessage = message;
+            this.process?.stdin?.end();
+          }
+        }
+      },
+      onError: options.onError
+    });
+
+    return {
+      ...this.normalizeOutput(result.stdout),
+      text: resultMessage?.result ?? executionOutput,
+      success: !resultMessage?.is_error,
+      usage: normalizeUsage(resultMessage)
+    };
+  }
+
+  permissionArgs() {
+    return this.toolApproval ? ['--permission-prompt-tool', 'stdio'] : [];
+  }
+
+  /**
+   * Answer a control request of `--permission-prompt-tool stdio`. Tool
+   * permission prompts go through requestPermission(); others are refused.
+   * @param {Object} message - control_request message
+   */
+  async answerControlRequest(message) {
+    const { request_id: requestId, request = {} } = message;
+    let response;
+
+    if (request.subtype === 'can_use_tool') {
+      const input = request.input || {};
+      const decision = await this.requestPermission({ id: request.tool_use_id || null, tool: request.tool_name, input });
+
+      response = {
+        subtype: 'success',
+        request_id: requestId,
+        response: decision.behavior === 'allow'
+          ? { behavior: 'allow', updatedInput: input }
+          : { behavior: 'deny', message: decision.message || 'The user denied this tool call' }
+      };
+    } else {
+      response = { subtype: 'error', request_id: requestId, error: `Unsupported control request: ${request.subtype}` };
+    }
+
+    // The process may have ended while the user decided
+    if (this.process?.stdin?.writable) {
+      this.process.stdin.write(JSON.stringify({ type: 'control_response', response }) + '\n');
+    }
+  }
+
   extractPlan(output) {
     const planMarkers = [
       { start: 'PLAN:', end: 'END PLAN' },
@@ -490,4 +661,8 @@ export class ClaudeCodeAgent extends BaseAgent {
       closeStdin: false
     });
   }
-}
\ No newline at end of file
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
@@ -2,6 +2,7 @@ import { BaseAgent } from './base.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
 import fs from 'fs/promises';
 
 const execAsync = promisify(exec);
@@ -186,7 +187,7 @@ export class CodexAgent extends BaseAgent {
   async setApprovalMode(mode) {
     const validModes = ['read-only', 'auto', 'full'];
     if (!validModes.includes(mode)) {
-      throw new Error(`Invalid approval mode: ${mode}`);
+      throw new ValidationError('INVALID_DATA', `Invalid approval mode: ${mode}`);
     }
 
     this.config.approvalMode = mode;
@@ -0,0 +1,148 @@
+import { BaseAgent } from './base.js';
+import { spawnPromise } from '../utils/exec.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Base for agents that are a single CLI run per prompt. Subclasses declare
+ * how to find the CLI and build its arguments; spawning, timeouts, output
+ * streaming and result parsing come from BaseAgent.
+ *
+ *   class AiderAgent extends CommandAgent {
+ *     static agentName = 'aider';
+ *     static detection = { command: 'aider', args: ['--version'] };
+ *     static capabilities = { plan: true };
+ *     buildPlanArgs(prompt) { return ['--message', prompt, '--dry-run']; }
+ *     buildExecuteArgs(prompt) { return ['--message', prompt, '--yes']; }
+ *   }
+ *
+ * The prompt goes to stdin unless `static promptVia = 'arg'`, in which case
+ * the argument builders put it in the arguments themselves.
+ */
+export class CommandAgent extends BaseAgent {
+  static agentName = null;
+  static detection = { command: null, args: ['--version'] };
+  static capabilities = {};
+  static promptVia = 'stdin';
+
+  constructor(config = {}, name = new.target.agentName) {
+    super(name, config);
+  }
+
+  get capabilities() {
+    return { ...DEFAULT_CAPABILITIES, ...this.constructor.capabilities };
+  }
+
+  /**
+   * The CLI to run: agents.paths[name] from the config, or the declared command
+   */
+  get command() {
+    const configured = this.config.paths?.[this.name];
+    return configured && configured !== 'auto-detect' ? configured : this.constructor.detection.command;
+  }
+
+  async detectInstallation() {
+    const { args = ['--version'] } = this.constructor.detection;
+
+    if (!this.command) {
+      return { installed: false, error: `${this.name} declares no command` };
+    }
+
+    try {
+      const { stdout, stderr } = await spawnPromise(this.command, args, { timeout: 10000 });
+      return {
+        installed: true,
+        version: (stdout.trim() || stderr.trim()).split('\n')[0] || 'unknown',
+        path: this.command
+      };
+    } catch (error) {
+      logger.verbose(`${this.name} not detected:`, error.message);
+      return { installed: false, error: error.message };
+    }
+  }
+
+  async getVersion() {
+    const result = await this.detectInstallation();
+    return result.installed ? result.version : null;
+  }
+
+  buildPlanArgs(prompt, options = {}) {
+    return this.buildExecuteArgs(prompt, options);
+  }
+
+  buildExecuteArgs(prompt, options = {}) {
+    throw new Error('buildExecuteArgs must be implemented by subclass');
+  }
+
+  /**
+   * Ask for a plan without changes. Agents that cannot plan read-only
+   * (capabilities.plan false) are not run; the prompt is the plan.
+   */
+  async executeInPlanMode(prompt, workdir) {
+    if (!this.capabilities.plan) {
+      return {
+        success: true,
+        plan: `${this.name} does not plan ahead; approving runs this prompt as is:\n\n${prompt}`,
+        raw: '',
+        modifiedFiles: [],
+        usage: null
+      };
+    }
+
+    try {
+      const planPrompt = `Please provide a detailed plan for the following task. List the specific files you will modify and the changes you will make. Do not execute anything yet:\n\n${prompt}`;
+      const result = await this.run(planPrompt, workdir, this.buildPlanArgs(planPrompt, {}));
+      const plan = this.extractPlan(this.parseOutput(result.stdout));
+
+      return {
+        success: true,
+        plan,
+        raw: result.stdout,
+        modifiedFiles: this.extractModifiedFiles(plan),
+        usage: this.parseUsage(result.stdout)
+      };
+    } catch (error) {
+      logger.error(`${this.name} plan mode failed:`, error);
+      return {
+        success: false,
+        error: error.message,
+        raw: error.message
+      };
+    }
+  }
+
+  async executePrompt(prompt, workdir, options = {}) {
+    logger.info(`Executing ${this.name} prompt`);
+
+    const result = await this.run(prompt, workdir, this.buildExecuteArgs(prompt, options), options);
+    return this.normalizeOutput(result.stdout);
+  }
+
+  run(prompt, workdir, args, options = {}) {
+    const viaStdin = this.constructor.promptVia === 'stdin';
+    const running = this.spawnProcess(this.command, args, {
+      workdir,
+      input: viaStdin ? prompt : undefined,
+      env: options.env,
+      onOutput: options.onOutput,
+      onError: options.onError
+    });
+
+    // Nothing to read: a CLI waiting for stdin would never finish
+    if (!viaStdin) {
+      this.process?.stdin?.end();
+    }
+
+    return running;
+  }
+}
+
+export const DEFAULT_CAPABILITIES = {
+  plan: true,
+  execute: true,
+  // Plans come from a process that stays alive and executes after approval
+  resumePlan: false,
+  // Tool calls can wait for approval through requestPermission()
+  toolApproval: false,
+  // Follow-ups resume the agent's own session instead of replaying the history
+  resumeConversation: false
+};
@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CommandAgent } from './command.js';
+import { AgentEventParser, parseJsonLine, parseTextLine } from './events.js';
+import { ValidationError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+export const PROMPT_VIA = ['stdin', 'arg', 'file'];
+export const OUTPUT_FORMATS = ['text', 'jsonl'];
+
+// Placeholder each promptVia needs in the arguments
+const PROMPT_PLACEHOLDERS = {
+  arg: '{{prompt}}',
+  file: '{{promptFile}}'
+};
+
+/**
+ * Build an agent class from a definition in agents.custom:
+ *
+ *   {
+ *     "name": "local-llm",
+ *     "command": "/opt/llm/run.sh",
+ *     "args": ["--prompt", "{{prompt}}"],
+ *     "planArgs": ["--prompt", "{{prompt}}", "--dry-run"],
+ *     "promptVia": "arg",
+ *     "outputFormat": "text"
+ *   }
+ *
+ * Arguments may use {{prompt}}, {{promptFile}} and {{workdir}}. Without
+ * planArgs the agent cannot plan read-only and approving runs the prompt.
+ * @param {Object} definition - Custom agent definition
+ * @returns {Function} Class extending CommandAgent
+ */
+export function createCustomAgent(definition) {
+  const errors = validateCustomAgent(definition);
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_CUSTOM_AGENT', `Invalid custom agent ${definition?.name || '(unnamed)'}: ${errors.join(', ')}`, {
+      details: { errors }
+    });
+  }
+
+  const {
+    name,
+    command,
+    args = [],
+    planArgs = null,
+    promptVia = 'stdin',
+    outputFormat = 'text',
+    env = {},
+    versionArgs = null
+  } = definition;
+
+  return class CustomCommandAgent extends CommandAgent {
+    static agentName = name;
+    static detection = { command, args: versionArgs };
+    static capabilities = { plan: Array.isArray(planArgs) };
+    static promptVia = promptVia;
+
+    async detectInstallation() {
+      // Scripts rarely answer --version; finding the command is enough
+      if (!versionArgs) {
+        const found = await findExecutable(this.command);
+        return found
+          ? { installed: true, version: 'custom', path: found }
+          : { installed: false, error: `${this.command} not found` };
+      }
+
+      return super.detectInstallation();
+    }
+
+    // Placeholders are filled in run(), once the prompt file exists
+    buildPlanArgs() {
+      return planArgs;
+    }
+
+    buildExecuteArgs() {
+      return args;
+    }
+
+    parseOutput(output) {
+      return outputFormat === 'jsonl' ? textFromJsonLines(output) : output.trim();
+    }
+
+    createEventParser() {
+      return new AgentEventParser(outputFormat === 'jsonl' ? parseJsonLine : parseTextLine);
+    }
+
+    async run(prompt, workdir, runArgs, options = {}) {
+      if (promptVia !== 'file') {
+        return super.run(prompt, workdir, fillArgs(runArgs, { prompt, workdir }), { ...options, env });
+      }
+
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-prompt-'));
+      const promptFile = path.join(directory, 'prompt.md');
+
+      try {
+        await fs.writeFile(promptFile, prompt, { mode: 0o600 });
+        return await super.run(prompt, workdir, fillArgs(runArgs, { prompt, workdir, promptFile }), { ...options, env });
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Problems with a custom agent definition
+ * @param {Object} definition - Custom agent definition
+ * @returns {Array<string>} Empty when the definition is valid
+ */
+export function validateCustomAgent(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['definition must be an object'];
+  }
+
+  const errors = [];
+  const { name, command, args = [], planArgs = null, promptVia = 'stdin', outputFormat = 'text', env = {}, versionArgs = null } = definition;
+
+  // The registry checks the name's format
+  if (typeof name !== 'string' || name === '') {
+    errors.push('name is required');
+  }
+
+  if (typeof command !== 'string' || command.trim() === '') {
+    errors.push('command is required');
+  }
+
+  for (const [field, value] of [['args', args], ['planArgs', planArgs], ['versionArgs', versionArgs]]) {
+    if (value !== null && (!Array.isArray(value) || value.some(arg => typeof arg !== 'string'))) {
+      errors.push(`${field} must be a list of strings`);
+    }
+  }
+
+  if (!PROMPT_VIA.includes(promptVia)) {
+    errors.push(`promptVia must be one of ${PROMPT_VIA.join(', ')}`);
+  } else if (PROMPT_PLACEHOLDERS[promptVia]) {
+    const placeholder = PROMPT_PLACEHOLDERS[promptVia];
+    for (const [field, value] of [['args', args], ['planArgs', planArgs]]) {
+      if (Array.isArray(value) && !value.some(arg => typeof arg === 'string' && arg.includes(placeholder))) {
+        errors.push(`${field} must contain ${placeholder} when promptVia is ${promptVia}`);
+      }
+    }
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    errors.push(`outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (!env || typeof env !== 'object' || Array.isArray(env) || Object.values(env).some(value => typeof value !== 'string')) {
+    errors.push('env must map variable names to strings');
+  }
+
+  return errors;
+}
+
+/**
+ * Register the agents defined in agents.custom. Invalid definitions are
+ * logged and skipped, like plugins that fail to load.
+ * @param {AgentRegistry} registry - Registry to add them to
+ * @param {Array<Object>} definitions - agents.custom
+ * @returns {{loaded: Array<string>, failed: Array<{agent: string, error: string}>}}
+ */
+export function registerCustomAgents(registry, definitions = []) {
+  const loaded = [];
+  const failed = [];
+
+  for (const definition of definitions) {
+    try {
+      const entry = registry.register(createCustomAgent(definition), { source: 'custom' });
+      loaded.push(entry.name);
+    } catch (error) {
+      const agent = definition?.name || '(unnamed)';
+      logger.warn(`Skipping custom agent ${agent}: ${error.message}`);
+      failed.push({ agent, error: error.message });
+    }
+  }
+
+  return { loaded, failed };
+}
+
+function fillArgs(template, values) {
+  return template.map(arg => arg.replace(/\{\{(prompt|promptFile|workdir)\}\}/g, (match, key) => values[key] ?? match));
+}
+
+/**
+ * The text of a JSON lines stream: `result` of result messages, otherwise
+ * `text`, `content` or `message` strings. Lines that are not JSON are kept.
+ */
+function textFromJsonLines(output) {
+  const parts = [];
+
+  for (const line of output.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      const message = JSON.parse(line);
+      const text = [message.result, message.text, message.content, message.message]
+        .find(value => typeof value === 'string');
+      if (text) {
+        parts.push(text);
+      }
+    } catch {
+      parts.push(line);
+    }
+  }
+
+  return parts.join('\n').trim();
+}
+
+async function findExecutable(command) {
+  const candidates = command.includes(path.sep) || path.isAbsolute(command)
+    ? [command]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {
+      // Not here
+    }
+  }
+
+  return null;
+}
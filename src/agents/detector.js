@@ -1,61 +1,41 @@
-import { ClaudeCodeAgent } from './claude-code.js';
-import { CursorAgent } from './cursor.js';
-import { CodexAgent } from './codex.js';
+import { agentRegistry } from './registry.js';
 import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
 
-const agents = [
-  { name: 'claude-code', class: ClaudeCodeAgent },
-  // Temporarily disabled - focusing on Claude Code first
-  // { name: 'cursor-agent', class: CursorAgent },
-  // { name: 'codex', class: CodexAgent }
-];
+export function listAgents() {
+  return agentRegistry.list();
+}
 
 export async function detectAgents(config = {}) {
   const detectedAgents = [];
-  const agentPaths = config?.agents?.paths || {};
 
-  for (const agentConfig of agents) {
+  for (const entry of agentRegistry.all()) {
     try {
-      const agentOptions = {};
-
-      // Pass configured path if available
-      if (agentConfig.name === 'claude-code' && agentPaths['claude-code']) {
-        agentOptions.claudePath = agentPaths['claude-code'];
-      } else if (agentConfig.name === 'cursor-agent' && agentPaths['cursor-agent']) {
-        agentOptions.cursorPath = agentPaths['cursor-agent'];
-      } else if (agentConfig.name === 'codex' && agentPaths['codex']) {
-        agentOptions.codexPath = agentPaths['codex'];
-      }
-
-      const agent = new agentConfig.class(agentOptions);
+      const agent = new entry.class(agentOptions(entry, config?.agents));
       const result = await agent.detectInstallation();
 
       if (result.installed) {
         detectedAgents.push({
-          name: agentConfig.name,
+          name: entry.name,
           version: result.version,
           path: result.path,
-          beta: result.beta || false
+          beta: result.beta || false,
+          source: entry.source,
+          capabilities: entry.capabilities
         });
 
-        logger.info(`Detected ${agentConfig.name}: ${result.version}`);
+        logger.info(`Detected ${entry.name}: ${result.version}`);
       }
     } catch (error) {
-      logger.verbose(`Failed to detect ${agentConfig.name}:`, error.message);
+      logger.verbose(`Failed to detect ${entry.name}:`, error.message);
     }
   }
 
   return detectedAgents;
 }
 
-export async function testAgent(agentName) {
-  const agentConfig = agents.find(a => a.name === agentName);
-
-  if (!agentConfig) {
-    throw new Error(`Unknown agent: ${agentName}`);
-  }
-
-  const agent = new agentConfig.class();
+export async function testAgent(agentName, config = {}) {
+  const agent = createAgent(agentName, config?.agents);
   const result = await agent.detectInstallation();
 
   if (result.installed) {
@@ -81,14 +61,27 @@ export async function testAgent(agentName) {
   return result;
 }
 
+export function hasAgent(agentName) {
+  return agentRegistry.has(agentName);
+}
+
+/**
+ * What an agent can do, e.g. { plan, execute, resumePlan, toolApproval, resumeConversation }
+ * @param {string} agentName - Registered agent name
+ * @returns {Object|null} null for unknown agents
+ */
+export function getAgentCapabilities(agentName) {
+  return agentRegistry.get(agentName)?.capabilities || null;
+}
+
 export function createAgent(agentName, config = {}) {
-  const agentConfig = agents.find(a => a.name === agentName);
+  const entry = agentRegistry.get(agentName);
 
-  if (!agentConfig) {
-    throw new Error(`Unknown agent: ${agentName}`);
+  if (!entry) {
+    throw new ValidationError('UNKNOWN_AGENT', `Unknown agent: ${agentName}`);
   }
 
-  return new agentConfig.class(config);
+  return new entry.class(agentOptions(entry, config));
 }
 
 export function getPreferredAgent(preferredName, detectedAgents) {
@@ -109,4 +102,19 @@ export function getPreferredAgent(preferredName, detectedAgents) {
   }
 
   return detectedAgents.length > 0 ? detectedAgents[0].name : null;
-}
\ No newline at end of file
+}
+
+/**
+ * Constructor options for an agent: the agents config, plus a configured
+ * binary path under the option name a built-in agent expects
+ */
+function agentOptions(entry, agentsConfig = {}) {
+  const configuredPath = agentsConfig?.paths?.[entry.name];
+  const options = { ...agentsConfig };
+
+  if (entry.pathOption && configuredPath && configuredPath !== 'auto-detect') {
+    options[entry.pathOption] = configuredPath;
+  }
+
+  return options;
+}
@@ -0,0 +1,232 @@
+import { normalizeUsage } from '../execution/usage.js';
+
+/**
+ * What an agent is doing, in one shape for every agent:
+ *
+ *   assistant-text  { text }
+ *   thinking        { text }
+ *   tool-call       { id, name, args }
+ *   tool-result     { id, output, isError, truncated }
+ *   file-edit       { id, path, operation, tool }
+ *   shell-command   { id, command, tool }
+ *   error           { message }
+ *   usage           { usage }
+ *
+ * Tool calls that edit files or run commands are reported as file-edit and
+ * shell-command instead of tool-call; their tool-result carries the same id.
+ */
+export { AGENT_EVENT_TYPES } from '../protocols/schemas.js';
+
+// Tool results can be whole files; the timeline only needs the start
+const MAX_TOOL_OUTPUT = 4000;
+
+// Claude Code tools that edit files, and the input naming the file
+const FILE_EDIT_TOOLS = {
+  Edit: { field: 'file_path', operation: 'edit' },
+  MultiEdit: { field: 'file_path', operation: 'edit' },
+  Write: { field: 'file_path', operation: 'write' },
+  NotebookEdit: { field: 'notebook_path', operation: 'edit' }
+};
+
+const SHELL_TOOLS = ['Bash'];
+
+const TEXT_FILE_EDIT = /^(modified|changed|updated|created|deleted):\s+(.+)$/i;
+const TEXT_SHELL_COMMAND = /^\$\s+(.+)$/;
+const TEXT_ERROR = /^(?:error|fatal)\b:?\s*/i;
+
+/**
+ * Splits a stdout stream into lines and turns each into agent events.
+ * Adjacent text lines of one chunk become one assistant-text event.
+ */
+export class AgentEventParser {
+  /**
+   * @param {Function} parseLine - (line) => Array<Object> events
+   */
+  constructor(parseLine = parseTextLine) {
+    this.parseLine = parseLine;
+    this.buffer = '';
+  }
+
+  /**
+   * @param {string} chunk - Output as it arrives
+   * @returns {Array<Object>} Events of the lines the chunk completed
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    return this.parseLines(lines);
+  }
+
+  /**
+   * @returns {Array<Object>} Events of a last line without a newline
+   */
+  flush() {
+    const rest = this.buffer;
+    this.buffer = '';
+    return this.parseLines([rest]);
+  }
+
+  parseLines(lines) {
+    const events = [];
+
+    for (const line of lines) {
+      for (const event of line.trim() ? this.parseLine(line) : []) {
+        const previous = events[events.length - 1];
+        if (event.type === 'assistant-text' && previous?.type === 'assistant-text') {
+          previous.text += `\n${event.text}`;
+        } else {
+          events.push(event);
+        }
+      }
+    }
+
+    return events;
+  }
+}
+
+/**
+ * Events of a Claude Code stream-json message
+ * @param {Object} message - Parsed stream-json line
+ * @returns {Array<Object>}
+ */
+export function parseClaudeMessage(message) {
+  if (!message || typeof message !== 'object') {
+    return [];
+  }
+
+  if (message.type === 'result') {
+    const events = [];
+    const usage = normalizeUsage(message);
+    if (usage) {
+      events.push({ type: 'usage', usage });
+    }
+    if (message.is_error) {
+      events.push({ type: 'error', message: stringify(message.result) || `Agent run ended with ${message.subtype || 'an error'}` });
+    }
+    return events;
+  }
+
+  const content = message.message?.content;
+  if (!['assistant', 'user'].includes(message.type) || !Array.isArray(content)) {
+    return [];
+  }
+
+  return content.flatMap(block => {
+    switch (block.type) {
+      case 'text':
+        // The user's own messages come back as text blocks too
+        return message.type === 'assistant' && block.text ? [{ type: 'assistant-text', text: block.text }] : [];
+      case 'thinking':
+        return block.thinking ? [{ type: 'thinking', text: block.thinking }] : [];
+      case 'tool_use':
+        return [toolCallEvent(block.id, block.name, block.input || {})];
+      case 'tool_result':
+        return [toolResultEvent(block.tool_use_id, block.content, block.is_error)];
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Events of one line of plain text output
+ * @param {string} line - Output line
+ * @returns {Array<Object>}
+ */
+export function parseTextLine(line) {
+  const text = line.replace(/\x1b\[[0-9;]*m/g, '').trimEnd();
+
+  const edit = text.match(TEXT_FILE_EDIT);
+  if (edit) {
+    return [{ type: 'file-edit', id: null, path: edit[2].trim(), operation: edit[1].toLowerCase(), tool: null }];
+  }
+
+  const command = text.match(TEXT_SHELL_COMMAND);
+  if (command) {
+    return [{ type: 'shell-command', id: null, command: command[1], tool: null }];
+  }
+
+  if (TEXT_ERROR.test(text)) {
+    return [{ type: 'error', message: text.replace(TEXT_ERROR, '') || text }];
+  }
+
+  return [{ type: 'assistant-text', text }];
+}
+
+/**
+ * Events of one line of JSON lines output: Claude-style messages are
+ * understood fully, other objects give their text, usage and error
+ * @param {string} line - Output line
+ * @returns {Array<Object>}
+ */
+export function parseJsonLine(line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return parseTextLine(line);
+  }
+
+  if (!message || typeof message !== 'object') {
+    return parseTextLine(line);
+  }
+
+  if (message.type === 'result' || Array.isArray(message.message?.content)) {
+    return parseClaudeMessage(message);
+  }
+
+  const events = [];
+  const text = [message.text, message.content, message.message].find(value => typeof value === 'string');
+  if (text) {
+    events.push({ type: 'assistant-text', text });
+  }
+
+  if (typeof message.error === 'string' || typeof message.error?.message === 'string') {
+    events.push({ type: 'error', message: message.error.message || message.error });
+  }
+
+  const usage = message.usage ? normalizeUsage(message) : null;
+  if (usage) {
+    events.push({ type: 'usage', usage });
+  }
+
+  return events;
+}
+
+function toolCallEvent(id, name, args) {
+  const fileEdit = FILE_EDIT_TOOLS[name];
+  if (fileEdit && typeof args[fileEdit.field] === 'string') {
+    return { type: 'file-edit', id, path: args[fileEdit.field], operation: fileEdit.operation, tool: name };
+  }
+
+  if (SHELL_TOOLS.includes(name) && typeof args.command === 'string') {
+    return { type: 'shell-command', id, command: args.command, tool: name };
+  }
+
+  return { type: 'tool-call', id, name, args };
+}
+
+function toolResultEvent(id, content, isError) {
+  const output = stringify(content);
+  return {
+    type: 'tool-result',
+    id,
+    output: output.slice(0, MAX_TOOL_OUTPUT),
+    isError: Boolean(isError),
+    truncated: output.length > MAX_TOOL_OUTPUT
+  };
+}
+
+// Tool results are a string or a list of content blocks
+function stringify(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content.map(block => (typeof block === 'string' ? block : block?.text || '')).filter(Boolean).join('\n');
+  }
+
+  return '';
+}
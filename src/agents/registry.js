@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BaseAgent } from './base.js';
+import { CommandAgent, DEFAULT_CAPABILITIES } from './command.js';
+import { ClaudeCodeAgent } from './claude-code.js';
+import { registerCustomAgents } from './custom.js';
+import { getConfigDir } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+
+export const AGENT_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Agents the bridge can run, by name: the built-in ones, adapter plugins
+ * and the command agents defined in agents.custom. A plugin module's default export is either a class extending
+ * BaseAgent, or a function that receives { BaseAgent, CommandAgent } and
+ * returns one, for modules that cannot import the bridge themselves:
+ *
+ *   export default ({ CommandAgent }) => class extends CommandAgent {
+ *     static agentName = 'aider';
+ *     ...
+ *   };
+ */
+export class AgentRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Add an agent class
+   * @param {Function} AgentClass - Class extending BaseAgent
+   * @param {Object} options - { source: builtin, plugin or custom, file, capabilities, pathOption:
+   *   constructor option that takes agents.paths[name] }
+   * @returns {Object} The registry entry
+   */
+  register(AgentClass, options = {}) {
+    if (typeof AgentClass !== 'function' || !(AgentClass.prototype instanceof BaseAgent)) {
+      throw new ValidationError('INVALID_AGENT_PLUGIN', 'An agent adapter must be a class extending BaseAgent');
+    }
+
+    const name = AgentClass.agentName || new AgentClass().name;
+    if (typeof name !== 'string' || !AGENT_NAME_PATTERN.test(name)) {
+      throw new ValidationError('INVALID_AGENT_PLUGIN', `Invalid agent name: ${name} (use lowercase letters, digits, ., - and _)`);
+    }
+
+    const existing = this.entries.get(name);
+    if (existing && (existing.source === 'builtin' || existing.file !== (options.file || null))) {
+      throw new ValidationError('INVALID_AGENT_PLUGIN', `Agent ${name} is already registered${existing.file ? ` by ${existing.file}` : ''}`);
+    }
+
+    const entry = {
+      name,
+      class: AgentClass,
+      source: options.source || 'plugin',
+      file: options.file || null,
+      pathOption: options.pathOption || null,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...AgentClass.capabilities, ...options.capabilities }
+    };
+
+    this.entries.set(name, entry);
+    return entry;
+  }
+
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  get(name) {
+    return this.entries.get(name) || null;
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  list() {
+    return [...this.entries.keys()];
+  }
+
+  all() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Load the plugins listed in agents.plugins, every module in the plugin
+   * directory and the agents defined in agents.custom. A plugin that fails
+   * to load is logged and skipped.
+   * @param {Object} config - Bridge configuration
+   * @param {string} directory - Plugin directory
+   * @returns {Promise<{loaded: Array<string>, failed: Array<{file?: string, agent?: string, error: string}>}>}
+   */
+  async loadPlugins(config = {}, directory = path.join(getConfigDir(), 'agents')) {
+    const files = [
+      ...(config.agents?.plugins || []).map(file => path.resolve(getConfigDir(), file)),
+      ...await listPluginFiles(directory)
+    ];
+
+    const loaded = [];
+    const failed = [];
+
+    for (const file of [...new Set(files)]) {
+      try {
+        const entry = await this.loadPlugin(file);
+        loaded.push(entry.name);
+      } catch (error) {
+        logger.warn(`Skipping agent plugin ${file}: ${error.message}`);
+        failed.push({ file, error: error.message });
+      }
+    }
+
+    const custom = registerCustomAgents(this, config.agents?.custom);
+    loaded.push(...custom.loaded);
+    failed.push(...custom.failed);
+
+    if (loaded.length > 0) {
+      logger.info(`Loaded agent plugins: ${loaded.join(', ')}`);
+    }
+
+    return { loaded, failed };
+  }
+
+  async loadPlugin(file) {
+    const module = await import(pathToFileURL(file).href);
+    let AgentClass = module.default;
+
+    if (typeof AgentClass === 'function' && !(AgentClass.prototype instanceof BaseAgent)) {
+      AgentClass = await AgentClass({ BaseAgent, CommandAgent });
+    }
+
+    return this.register(AgentClass, { source: 'plugin', file });
+  }
+}
+
+async function listPluginFiles(directory) {
+  try {
+    const files = await fs.readdir(directory);
+    return files
+      .filter(file => PLUGIN_EXTENSIONS.includes(path.extname(file)))
+      .sort()
+      .map(file => path.join(directory, file));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+export const agentRegistry = new AgentRegistry();
+
+agentRegistry.register(ClaudeCodeAgent, {
+  source: 'builtin',
+  pathOption: 'claudePath',
+  capabilities: { resumePlan: true, toolApproval: true, resumeConversation: true }
+});
+// Temporarily disabled - focusing on Claude Code first
+// agentRegistry.register(CursorAgent, { source: 'builtin', pathOption: 'cursorPath' });
+// agentRegistry.register(CodexAgent, { source: 'builtin', pathOption: 'codexPath' });
+
+/**
+ * Load agent plugins into the shared registry
+ * @param {Object} config - Bridge configuration
+ */
+export function loadAgentPlugins(config) {
+  return agentRegistry.loadPlugins(config);
+}
@@ -0,0 +1,85 @@
+import chalk from 'chalk';
+import path from 'path';
+import { loadConfig, ensureConfigDir } from '../utils/config.js';
+import { setLogLevel } from '../utils/logger.js';
+import { loadAgentPlugins } from '../agents/registry.js';
+import { ExecutionPlanner } from '../execution/planner.js';
+import { ExecutionOrchestrator } from '../execution/executor.js';
+import { BatchRunner, loadManifest, writeBatchReport } from '../execution/batch.js';
+import { describeError } from '../utils/errors.js';
+import { EXIT_CODES } from './run.js';
+
+// Batches started from the terminal are not tied to a paired client
+const CLI_SESSION_ID = 'cli';
+
+const STATUS_COLORS = {
+  completed: chalk.green,
+  planned: chalk.cyan,
+  failed: chalk.red
+};
+
+/**
+ * Entry point of `prompt-dock-bridge batch`
+ * @param {string} manifestFile - JSON or YAML manifest
+ * @param {Object} options - Command-line options
+ * @returns {Promise<number>} Process exit code: non-zero when any entry failed
+ */
+export async function batchCommand(manifestFile, options = {}) {
+  setLogLevel(options.verbose ? 'verbose' : 'warn');
+
+  try {
+    const manifest = await loadManifest(manifestFile);
+
+    await ensureConfigDir();
+    const config = await loadConfig({ path: options.config });
+    await loadAgentPlugins(config);
+
+    // No execution store: the running bridge owns it and would see these runs as interrupted
+    const planner = new ExecutionPlanner(null, config);
+    const orchestrator = new ExecutionOrchestrator(null, config);
+    orchestrator.planner = planner;
+    const runner = new BatchRunner(planner, orchestrator, config);
+
+    const batch = runner.createBatch(manifest.entries, CLI_SESSION_ID, {
+      defaults: manifest.defaults,
+      concurrency: options.concurrency ? parseInt(options.concurrency, 10) : manifest.concurrency,
+      autoApprove: options.yes || manifest.autoApprove,
+      createPR: options.pr || manifest.createPR
+    });
+
+    runner.on('batch-progress', (data) => {
+      const color = STATUS_COLORS[data.status] || chalk.gray;
+      const detail = data.error ? ` [${data.error.code}] ${data.error.message}` : data.prUrl ? ` ${data.prUrl}` : '';
+      process.stderr.write(`${chalk.bold(`[${data.index + 1}/${batch.entries.length}]`)} ${data.name}: ${color(data.status)}${detail}\n`);
+    });
+
+    process.stderr.write(chalk.cyan(`Running ${batch.entries.length} entries, ${batch.concurrency} at a time${batch.autoApprove ? '' : ' (plans only, pass --yes to execute them)'}\n`));
+
+    await runner.runBatch(batch);
+
+    // Plans left for review cannot be approved once this process exits
+    await Promise.all(batch.entries.map(entry => planner.getPlan(entry.planId)?.agent?.cleanup?.()));
+
+    const reportPath = path.resolve(options.report || `${batch.id}.json`);
+    await writeBatchReport(batch.report, reportPath);
+
+    printSummary(batch.report);
+    process.stderr.write(chalk.gray(`Report written to ${reportPath}\n`));
+
+    return batch.report.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.SUCCESS;
+  } catch (error) {
+    const failure = describeError(error);
+    process.stderr.write(chalk.red(`✖ [${failure.code}] ${failure.message}\n`));
+    return EXIT_CODES.FAILED;
+  }
+}
+
+function printSummary(report) {
+  process.stderr.write(`\n${chalk.bold('Summary')}: ${report.completed} completed, ${report.planned} planned, ${report.failed} failed\n`);
+
+  for (const entry of report.entries) {
+    const color = STATUS_COLORS[entry.status] || chalk.gray;
+    const outcome = entry.prUrl || entry.branchName || entry.planId || entry.error?.message || '';
+    process.stderr.write(`  ${color(entry.status.padEnd(9))} ${entry.name}  ${chalk.gray(outcome)}\n`);
+  }
+}
@@ -0,0 +1,296 @@
+import chalk from 'chalk';
+import { loadConfig, ensureConfigDir } from '../utils/config.js';
+import { setLogLevel } from '../utils/logger.js';
+import { hasAgent, listAgents } from '../agents/detector.js';
+import { loadAgentPlugins } from '../agents/registry.js';
+import { ExecutionPlanner } from '../execution/planner.js';
+import { ExecutionOrchestrator } from '../execution/executor.js';
+import { discoverProjectConfig, resolveSessionSettings } from '../utils/project-config.js';
+import { translatePath } from '../utils/wsl.js';
+import { ValidationError, describeError } from '../utils/errors.js';
+
+export const RUN_MODES = ['plan', 'execute'];
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILED: 1,
+  INTERRUPTED: 130
+};
+
+// Executions started from the terminal are not tied to a paired client
+const CLI_SESSION_ID = 'cli';
+
+/**
+ * Runs one prompt from the terminal with the bridge's own planner and
+ * orchestrator, so it gets the same worktree, verification and PR flow
+ * as a paired web app without a running bridge
+ */
+export class PromptRunner {
+  /**
+   * @param {ExecutionPlanner} planner - Planner
+   * @param {ExecutionOrchestrator} orchestrator - Orchestrator
+   * @param {Object} config - Bridge configuration
+   * @param {Object} io - { stdout, stderr, confirm(question): Promise<boolean> }
+   */
+  constructor(planner, orchestrator, config, io = {}) {
+    this.planner = planner;
+    this.orchestrator = orchestrator;
+    this.config = config;
+    this.stdout = io.stdout || process.stdout;
+    this.stderr = io.stderr || process.stderr;
+    this.confirm = io.confirm || null;
+    this.execution = null;
+  }
+
+  /**
+   * Plan and/or execute a prompt, streaming the agent's output
+   * @param {string} prompt - Task for the agent
+   * @param {Object} options - { workdir, agent, mode, yes, pr, base }
+   * @returns {Promise<number>} Process exit code
+   */
+  async run(prompt, options = {}) {
+    const mode = options.mode || 'plan';
+    if (!RUN_MODES.includes(mode)) {
+      throw new ValidationError('INVALID_EXECUTION_MODE', `Invalid execution mode: ${mode} (use ${RUN_MODES.join(' or ')})`);
+    }
+
+    const workdir = translatePath(options.workdir || process.cwd(), 'windows-to-wsl');
+    const project = await discoverProjectConfig(workdir);
+    const { settings } = resolveSessionSettings(this.config, project.config, { agentType: options.agent });
+
+    if (options.base) {
+      settings.baseBranch = options.base;
+    }
+
+    if (!hasAgent(settings.agent)) {
+      throw new ValidationError('UNKNOWN_AGENT', `Unknown agent: ${settings.agent}`, {
+        hint: `Available agents: ${listAgents().join(', ')}`
+      });
+    }
+
+    const plan = mode === 'plan'
+      ? await this.createPlan(prompt, workdir, settings)
+      : createPlanStub(prompt, workdir, settings);
+
+    if (!plan) {
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const execution = await this.execute(plan);
+
+    if (execution.status !== 'completed') {
+      return EXIT_CODES.FAILED;
+    }
+
+    if (execution.verification?.status === 'failed' && execution.verification.onFailure !== 'warn') {
+      this.log(chalk.red(`✖ Verification failed: ${failedSteps(execution.verification)}`));
+      return EXIT_CODES.FAILED;
+    }
+
+    if (options.pr) {
+      const pr = await this.orchestrator.generatePR(execution.id, { baseBranch: options.base });
+      if (!pr.success) {
+        this.log(chalk.red(`✖ Pull request not created: ${pr.message} (branch ${pr.branch})`));
+        return EXIT_CODES.FAILED;
+      }
+      this.log(chalk.green(`✔ Pull request: ${pr.url}`));
+    }
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Generate a plan and ask for approval
+   * @returns {Promise<Object|null>} The approved plan, or null when it was not approved
+   */
+  async createPlan(prompt, workdir, settings) {
+    this.log(chalk.cyan(`Planning with ${settings.agent}...`));
+
+    const plan = await this.planner.createPlan(prompt, workdir, settings.agent, {
+      ...settings.agentOptions,
+      settings,
+      sessionId: CLI_SESSION_ID,
+      // Nobody is there to answer tool approval requests
+      permissions: 'auto',
+      onOutput: (output) => this.writeOutput(output)
+    });
+
+    this.log(`\n${chalk.bold('Plan')}\n${formatPlan(plan.plan)}\n`);
+
+    // Executions get a fresh agent in their own worktree
+    await plan.agent?.cleanup?.();
+
+    const approved = this.confirm ? await this.confirm('Execute this plan? (y/N) ') : false;
+
+    if (!approved) {
+      this.log(chalk.yellow(this.confirm ? 'Plan not approved' : 'Plan only: pass --yes to execute it'));
+      this.planner.rejectPlan(plan.id, 'Not approved from the command line');
+      return null;
+    }
+
+    return this.planner.approvePlan(plan.id);
+  }
+
+  /**
+   * Execute a plan in a new worktree and wait for it to finish
+   * @param {Object} plan - Approved plan or plan stub
+   * @returns {Promise<Object>} The finished execution
+   */
+  async execute(plan) {
+    const execution = this.orchestrator.createExecution(plan, CLI_SESSION_ID, null);
+    this.execution = execution;
+
+    const listeners = {
+      'agent-output': (data) => this.writeOutput(data),
+      'worktree-created': (data) => this.log(chalk.gray(`Worktree ${data.worktreePath} (${data.branchName})`)),
+      'verification-progress': (data) => {
+        if (data.stage === 'output') {
+          this.writeOutput({ type: data.stream, data: data.data });
+        } else if (data.stage === 'step-finished') {
+          this.log(chalk.gray(`Verification step ${data.name}: ${data.status}`));
+        }
+      },
+      'execution-failed': (data) => this.log(chalk.red(`✖ Execution failed [${data.code}]: ${data.error}`)),
+      'execution-aborted': () => this.log(chalk.yellow('Execution aborted')),
+      'execution-completed': (data) => {
+        this.log(chalk.green(`✔ Execution completed, ${data.modifiedFiles.length} file(s) changed`));
+        if (data.worktree) {
+          this.log(chalk.gray(`Changes are on branch ${data.worktree.branchName} in ${data.worktree.worktreePath}`));
+        }
+      }
+    };
+
+    // The orchestrator reports every execution; only follow this one
+    const attached = Object.entries(listeners).map(([event, listener]) => {
+      const filtered = (data) => {
+        if (data.executionId === execution.id) {
+          listener(data);
+        }
+      };
+      this.orchestrator.on(event, filtered);
+      return [event, filtered];
+    });
+
+    this.log(chalk.cyan(`Executing with ${plan.agentName}...`));
+
+    try {
+      await this.orchestrator.startExecution(execution);
+    } catch {
+      // Reported through execution-failed / execution-aborted
+    } finally {
+      attached.forEach(([event, listener]) => this.orchestrator.off(event, listener));
+    }
+
+    return execution;
+  }
+
+  /**
+   * Stop the running execution, e.g. on Ctrl+C
+   */
+  async abort() {
+    if (this.execution && !['completed', 'failed', 'aborted'].includes(this.execution.status)) {
+      await this.orchestrator.abortExecution(this.execution.id);
+    }
+  }
+
+  writeOutput(output) {
+    const text = typeof output.data === 'string' ? output.data : JSON.stringify(output.data);
+    if (!text) {
+      return;
+    }
+
+    const stream = output.type === 'stderr' ? this.stderr : this.stdout;
+    stream.write(text.endsWith('\n') ? text : `${text}\n`);
+  }
+
+  log(message) {
+    this.stderr.write(`${message}\n`);
+  }
+}
+
+/**
+ * Entry point of `prompt-dock-bridge run`
+ * @param {string} prompt - Task for the agent
+ * @param {Object} options - Command-line options
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCommand(prompt, options = {}) {
+  // Agent output goes to stdout; bridge logs only when asked for
+  setLogLevel(options.verbose ? 'verbose' : 'warn');
+
+  await ensureConfigDir();
+  const config = await loadConfig({ path: options.config });
+  await loadAgentPlugins(config);
+
+  // No execution store: the running bridge owns it and would see these runs as interrupted
+  const planner = new ExecutionPlanner(null, config);
+  const orchestrator = new ExecutionOrchestrator(null, config);
+  orchestrator.planner = planner;
+
+  const interactive = process.stdin.isTTY && !options.yes;
+  const runner = new PromptRunner(planner, orchestrator, config, {
+    confirm: options.yes ? async () => true : interactive ? askYesNo : null
+  });
+
+  const onSignal = () => {
+    runner.abort().finally(() => process.exit(EXIT_CODES.INTERRUPTED));
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  try {
+    return await runner.run(prompt, options);
+  } catch (error) {
+    const failure = describeError(error);
+    process.stderr.write(chalk.red(`✖ [${failure.code}] ${failure.message}\n`));
+    if (failure.hint) {
+      process.stderr.write(chalk.gray(`${failure.hint}\n`));
+    }
+    return EXIT_CODES.FAILED;
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  }
+}
+
+/**
+ * Plans are skipped in execute mode, so the execution gets a stub like compare runs
+ */
+function createPlanStub(prompt, workdir, settings) {
+  return {
+    id: null,
+    sessionId: CLI_SESSION_ID,
+    settings,
+    prompt,
+    workdir,
+    agentName: settings.agent,
+    plan: null,
+    createdAt: new Date().toISOString(),
+    approved: true,
+    executed: false,
+    options: { ...settings.agentOptions }
+  };
+}
+
+function formatPlan(plan) {
+  return typeof plan === 'string' ? plan : JSON.stringify(plan, null, 2);
+}
+
+function failedSteps(verification) {
+  return verification.steps.filter(step => step.status === 'failed').map(step => step.name).join(', ') || verification.error;
+}
+
+async function askYesNo(question) {
+  const readline = await import('readline');
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr
+  });
+
+  try {
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    return ['y', 'yes'].includes(answer.trim().toLowerCase());
+  } finally {
+    rl.close();
+  }
+}
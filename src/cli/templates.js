@@ -0,0 +1,112 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { setLogLevel } from '../utils/logger.js';
+import { TemplateLibrary } from '../execution/templates.js';
+import { ValidationError, describeError } from '../utils/errors.js';
+import { EXIT_CODES } from './run.js';
+
+export const TEMPLATE_ACTIONS = ['list', 'show', 'add', 'remove', 'render'];
+
+/**
+ * Entry point of `prompt-dock-bridge templates`
+ * @param {string} action - list, show, add, remove or render
+ * @param {string} argument - Template ID, or the file to add
+ * @param {Object} options - { var: ['name=value', ...] }
+ * @param {TemplateLibrary} library - Library to manage
+ * @returns {Promise<number>} Process exit code
+ */
+export async function templatesCommand(action = 'list', argument, options = {}, library = new TemplateLibrary()) {
+  setLogLevel('warn');
+
+  try {
+    if (!TEMPLATE_ACTIONS.includes(action)) {
+      throw new ValidationError('INVALID_DATA', `Unknown action: ${action} (use ${TEMPLATE_ACTIONS.join(', ')})`);
+    }
+
+    if (action !== 'list' && !argument) {
+      throw new ValidationError('INVALID_DATA', `templates ${action} needs a ${action === 'add' ? 'file' : 'template ID'}`);
+    }
+
+    switch (action) {
+      case 'list':
+        printList(await library.list());
+        break;
+
+      case 'show':
+        process.stdout.write(yaml.dump(await library.get(argument)));
+        break;
+
+      case 'add': {
+        const template = await library.save(await readTemplateFile(argument));
+        process.stderr.write(chalk.green(`✔ Saved template ${template.id}\n`));
+        break;
+      }
+
+      case 'remove':
+        await library.remove(argument);
+        process.stderr.write(chalk.green(`✔ Removed template ${argument}\n`));
+        break;
+
+      case 'render': {
+        // Only the prompt goes to stdout, so it can be passed to `run`
+        const { prompt } = await library.render(argument, parseVariables(options.var));
+        process.stdout.write(`${prompt}\n`);
+        break;
+      }
+    }
+
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    const failure = describeError(error);
+    process.stderr.write(chalk.red(`✖ [${failure.code}] ${failure.message}\n`));
+    return EXIT_CODES.FAILED;
+  }
+}
+
+/**
+ * Parse repeated --var name=value options
+ * @param {Array<string>} pairs - name=value strings
+ * @returns {Object} Values by variable name
+ */
+export function parseVariables(pairs = []) {
+  return Object.fromEntries(pairs.map(pair => {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      throw new ValidationError('INVALID_TEMPLATE_VARIABLES', `Expected name=value, got ${pair}`);
+    }
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  }));
+}
+
+/**
+ * Read a template from a JSON or YAML file. The ID defaults to the file name.
+ */
+async function readTemplateFile(file) {
+  const content = await fs.readFile(file, 'utf-8');
+  const extension = path.extname(file);
+  let definition;
+
+  try {
+    definition = extension === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new ValidationError('INVALID_TEMPLATE', `Could not parse ${path.basename(file)}: ${error.message}`);
+  }
+
+  return { id: path.basename(file, extension), ...definition };
+}
+
+function printList(templates) {
+  if (templates.length === 0) {
+    process.stderr.write(chalk.gray('No templates yet: add one with prompt-dock-bridge templates add <file>\n'));
+    return;
+  }
+
+  for (const template of templates) {
+    const variables = Object.entries(template.variables)
+      .map(([name, variable]) => variable.default === undefined ? name : `${name}=${variable.default}`)
+      .join(' ');
+    process.stdout.write(`${chalk.bold(template.id)}  ${template.description}${variables ? chalk.gray(`  [${variables}]`) : ''}\n`);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * The subset of Node's EventEmitter the SDK needs, so it runs in browsers
+ * without a polyfill.
+ */
+export class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.size === 0) {
+      return false;
+    }
+
+    for (const listener of [...listeners]) {
+      listener(...args);
+    }
+    return true;
+  }
+}
@@ -0,0 +1,108 @@
+import { Emitter } from './emitter.js';
+import { MessageTypes } from '../protocols/types.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'aborted', 'interrupted'];
+
+/**
+ * Events of one execution, in order, as an emitter and an async iterator.
+ *
+ * Emits each event under its message type and as `event` ({type, data}),
+ * then `end` with the last event. Remembers the last sequence number so the
+ * client can resume it after a reconnect without repeating events.
+ */
+export class ExecutionStream extends Emitter {
+  constructor(executionId, onClose = () => {}) {
+    super();
+    this.executionId = executionId;
+    this.lastSeq = 0;
+    this.status = null;
+    this.ended = false;
+    this.result = null;
+    this.queue = [];
+    this.waiting = [];
+    this.onClose = onClose;
+
+    this.done = new Promise(resolve => this.once('end', resolve));
+  }
+
+  /**
+   * Take one message from the bridge
+   * @param {string} type - Message type
+   * @param {Object} data - Message payload
+   */
+  push(type, data) {
+    if (this.ended) {
+      return;
+    }
+
+    // Replayed after a resume, already seen
+    if (Number.isInteger(data.seq)) {
+      if (data.seq <= this.lastSeq) {
+        return;
+      }
+      this.lastSeq = data.seq;
+    }
+
+    if (data.status) {
+      this.status = data.status;
+    }
+
+    const event = { type, data };
+    this.emit(type, data);
+    this.emit('event', event);
+    this.deliver(event);
+
+    if (type === MessageTypes.EXECUTION_COMPLETE || TERMINAL_STATUSES.includes(data.status)) {
+      this.end(event);
+    }
+  }
+
+  end(event = null) {
+    if (this.ended) {
+      return;
+    }
+
+    this.ended = true;
+    this.result = event;
+    this.emit('end', event);
+
+    for (const resolve of this.waiting.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  /**
+   * Stop following the execution. It keeps running on the bridge.
+   */
+  async close() {
+    this.end();
+    await this.onClose(this);
+  }
+
+  deliver(event) {
+    const next = this.waiting.shift();
+    if (next) {
+      next({ value: event, done: false });
+    } else {
+      this.queue.push(event);
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this.queue.length > 0) {
+          return Promise.resolve({ value: this.queue.shift(), done: false });
+        }
+        if (this.ended) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+      },
+      return: async () => {
+        await this.close();
+        return { value: undefined, done: true };
+      }
+    };
+  }
+}
@@ -0,0 +1,706 @@
+import { Emitter } from './emitter.js';
+import { ExecutionStream } from './execution-stream.js';
+import { generateKeyPair, exportKeyPair, importKeyPair, signPayload } from './keys.js';
+import { MessageTypes, PROTOCOL_VERSION } from '../protocols/types.js';
+import { serializeForSignature } from '../security/signing.js';
+import { BridgeError, ERROR_CATALOG } from '../utils/errors.js';
+
+export { ExecutionStream, generateKeyPair, exportKeyPair, importKeyPair, MessageTypes, BridgeError, ERROR_CATALOG };
+
+// Features the SDK understands; acks are what request() is built on
+const CLIENT_FEATURES = ['acks', 'file-diff', 'replay', 'compare', 'batch', 'templates', 'verification', 'fixup', 'project-config', 'usage', 'agent-events', 'tool-approval', 'conversations'];
+
+// The bridge accepts these without a signature
+const UNSIGNED_TYPES = [MessageTypes.HANDSHAKE, MessageTypes.HEALTH_CHECK];
+
+const WS_OPEN = 1;
+
+const DEFAULT_RECONNECT = {
+  minDelay: 500,
+  maxDelay: 30000,
+  maxAttempts: Infinity
+};
+
+/**
+ * Client for the Prompt Dock Bridge, for Node 20+ and browsers.
+ *
+ * Handles pairing, authentication, token refresh, message signing and
+ * reconnection. Every command returns a promise for the bridge's reply;
+ * executions are followed through ExecutionStream.
+ *
+ * Events: `connected`, `disconnected`, `reconnecting`, `reconnected`,
+ * `token` (store it to skip pairing next time), `agents`, `batch-progress`,
+ * `batch-report`, `message`, `error`.
+ */
+export class PromptDockClient extends Emitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.bridgeUrl - HTTP endpoint (default http://localhost:51720)
+   * @param {string} options.wsUrl - WebSocket endpoint (default ws://localhost:51721)
+   * @param {string} options.origin - Origin header to send from Node (default http://localhost:3000); browsers send their own
+   * @param {string} options.appName - Name shown in the bridge when pairing
+   * @param {Object} options.keyPair - Key pair from generateKeyPair or importKeyPair
+   * @param {string} options.token - Session token from an earlier pairing
+   * @param {number} options.requestTimeout - Milliseconds to wait for a reply (default 30000)
+   * @param {number} options.refreshInterval - Milliseconds between token refreshes (default 10 minutes)
+   * @param {Object|boolean} options.reconnect - { minDelay, maxDelay, maxAttempts }, or false
+   * @param {Function} options.WebSocket - WebSocket implementation (default: `ws` in Node, the global one in browsers)
+   */
+  constructor(options = {}) {
+    super();
+    this.bridgeUrl = options.bridgeUrl || 'http://localhost:51720';
+    this.wsUrl = options.wsUrl || 'ws://localhost:51721';
+    // Browsers send their own Origin; Node has to send one the bridge allows
+    this.origin = options.origin || (globalThis.location ? null : 'http://localhost:3000');
+    this.appName = options.appName || 'Prompt Dock Client';
+    this.keyPair = options.keyPair || null;
+    this.token = options.token || null;
+    this.sessionId = null;
+    this.requestTimeout = options.requestTimeout ?? 30000;
+    this.refreshInterval = options.refreshInterval ?? 10 * 60 * 1000;
+    this.reconnect = options.reconnect === false
+      ? null
+      : { ...DEFAULT_RECONNECT, ...(typeof options.reconnect === 'object' ? options.reconnect : {}) };
+    this.WebSocket = options.WebSocket || null;
+
+    this.ws = null;
+    this.protocol = null;
+    this.capabilities = null;
+    this.session = null;
+    this.pending = new Map();
+    this.streams = new Map();
+    this.refreshTimer = null;
+    this.reconnectAttempts = 0;
+    this.closed = false;
+  }
+
+  // --- Pairing and connection ---
+
+  /**
+   * Ask the bridge for a pairing code. The user confirms it in the bridge terminal.
+   * @returns {Promise<{code: string, expiresAt: number}>}
+   */
+  async requestPairingCode() {
+    return this.post('/api/pairing/generate', {
+      appName: this.appName,
+      appUrl: this.origin || globalThis.location.origin
+    });
+  }
+
+  /**
+   * Pair with the bridge using a confirmed pairing code
+   * @param {string} code - Pairing code
+   * @returns {Promise<{sessionId: string, token: string, expiresAt: number}>}
+   */
+  async pair(code) {
+    if (!this.keyPair) {
+      this.keyPair = await generateKeyPair();
+    }
+
+    const result = await this.post('/api/pairing/verify', {
+      code,
+      clientPublicKey: this.keyPair.publicKeyPem
+    });
+
+    this.sessionId = result.sessionId;
+    this.setToken(result.token);
+    return result;
+  }
+
+  /**
+   * Open the WebSocket, negotiate the protocol and authenticate when a token is known
+   * @returns {Promise<Object>} Capabilities of the bridge
+   */
+  async connect() {
+    this.closed = false;
+    await this.openSocket();
+
+    const ack = await this.request(MessageTypes.HANDSHAKE, {
+      protocolVersions: [PROTOCOL_VERSION],
+      features: CLIENT_FEATURES,
+      client: { name: this.appName, version: PROTOCOL_VERSION }
+    });
+
+    if (!ack.data.capabilities.features.includes('acks')) {
+      throw new BridgeError('UNSUPPORTED_PROTOCOL', 'The bridge does not support acknowledgements - update it');
+    }
+
+    this.protocol = ack.data.version;
+    this.capabilities = ack.data.capabilities;
+
+    if (this.token) {
+      await this.authenticate();
+    }
+
+    this.reconnectAttempts = 0;
+    this.emit('connected', this.capabilities);
+    return this.capabilities;
+  }
+
+  /**
+   * Authenticate the connection, which also renews the session and its token
+   * @returns {Promise<{sessionId: string, token: string}>}
+   */
+  async authenticate() {
+    if (!this.token) {
+      throw new BridgeError('NOT_AUTHENTICATED', 'No session token - pair first');
+    }
+
+    const reply = await this.request(MessageTypes.AUTHENTICATE, { token: this.token });
+
+    if (reply.type === MessageTypes.AUTH_FAILED) {
+      throw new BridgeError('SESSION_EXPIRED', reply.data.reason || 'Authentication failed');
+    }
+
+    this.sessionId = reply.data.sessionId;
+    this.setToken(reply.data.token);
+    this.scheduleRefresh();
+    return reply.data;
+  }
+
+  /**
+   * Close the connection for good; no reconnect follows
+   */
+  close() {
+    this.closed = true;
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.ws?.close();
+  }
+
+  // --- Commands ---
+
+  /**
+   * Set the working directory. Remembered and sent again after a reconnect.
+   * @param {string} workdir - Absolute path
+   * @param {Object} options - { agentType, agentConfig }
+   * @returns {Promise<Object>} session-initialized data
+   */
+  async initSession(workdir, options = {}) {
+    const data = { workdir, ...options };
+    const reply = await this.request(MessageTypes.INIT_SESSION, data);
+    this.session = data;
+    return reply.data;
+  }
+
+  async gitStatus(workdir) {
+    return (await this.request(MessageTypes.GIT_STATUS, { workdir })).data;
+  }
+
+  /**
+   * Ask the agent for a plan
+   * @param {string|Object} prompt - Task for the agent, or { prompt | templateId, variables, context }
+   * @param {Object} options - execute-prompt options, plus onProgress(type, data) for agent output
+   * @returns {Promise<Object>} The plan
+   */
+  async plan(prompt, { onProgress, ...options } = {}) {
+    // Planning takes as long as the agent needs; progress shows it is alive
+    const reply = await this.request(MessageTypes.EXECUTE_PROMPT, { ...promptData(prompt), mode: 'plan', options }, {
+      timeout: null,
+      onProgress
+    });
+    return reply.data;
+  }
+
+  /**
+   * Approve a plan and follow the execution it starts
+   * @param {string} planId - Plan to approve
+   * @param {Object} options - { modifications }
+   * @returns {Promise<ExecutionStream>}
+   */
+  async approvePlan(planId, options = {}) {
+    let execution = null;
+
+    await this.request(MessageTypes.APPROVE_PLAN, { planId, ...options }, {
+      onProgress: (type, data, streams) => {
+        if (type === MessageTypes.EXECUTION_STARTED) {
+          [execution] = streams;
+        }
+      },
+      // The execution is started right after the plan is approved
+      settleOn: () => execution !== null
+    });
+
+    return execution;
+  }
+
+  /**
+   * Revise a plan with feedback
+   * @returns {Promise<Object>} The revised plan
+   */
+  async rejectPlan(planId, reason) {
+    return (await this.request(MessageTypes.REJECT_PLAN, { planId, reason }, { timeout: null })).data;
+  }
+
+  /**
+   * Execute an approved plan
+   * @returns {Promise<ExecutionStream>}
+   */
+  async execute(prompt, planId, options = {}) {
+    const reply = await this.request(MessageTypes.EXECUTE_PROMPT, {
+      ...promptData(prompt),
+      mode: 'execute',
+      options: { ...options, planId }
+    });
+    return reply.streams[0];
+  }
+
+  /**
+   * Run the same prompt with several agents
+   * @param {string|Object} prompt - Task for the agents, or { prompt | templateId, variables, context }
+   * @param {Array} agents - Agent names or { agent, label, options }
+   * @returns {Promise<{comparisonId: string, executions: Array<ExecutionStream>}>}
+   */
+  async compare(prompt, agents, options = {}) {
+    const reply = await this.request(MessageTypes.EXECUTE_PROMPT, {
+      ...promptData(prompt),
+      mode: 'compare',
+      options: { ...options, agents }
+    });
+
+    return {
+      comparisonId: reply.data.comparisonId,
+      contestants: reply.data.executions,
+      executions: reply.streams
+    };
+  }
+
+  /**
+   * Run prompts across several working directories. Follow the batch through
+   * the `batch-progress` and `batch-report` events.
+   * @param {Array<Object>} entries - { workdir, prompt, agent, baseBranch, name }
+   * @param {Object} options - { defaults, concurrency, autoApprove, createPR }
+   * @returns {Promise<{batchId: string, entries: Array<Object>}>}
+   */
+  async runBatch(entries, options = {}) {
+    return (await this.request(MessageTypes.RUN_BATCH, { entries, ...options })).data;
+  }
+
+  /**
+   * List the bridge's prompt templates
+   * @returns {Promise<Array<Object>>} { id, description, variables, includes }
+   */
+  async listTemplates() {
+    return (await this.request(MessageTypes.LIST_TEMPLATES)).data.templates;
+  }
+
+  /**
+   * Create or replace a prompt template
+   * @param {Object} template - { id, description, variables, template }
+   * @returns {Promise<Object>} The saved template
+   */
+  async saveTemplate(template) {
+    return (await this.request(MessageTypes.SAVE_TEMPLATE, { template })).data.template;
+  }
+
+  async selectWinner(comparisonId, executionId) {
+    return (await this.request(MessageTypes.SELECT_WINNER, { comparisonId, executionId })).data;
+  }
+
+  /**
+   * Follow an execution started elsewhere, replaying what was missed
+   * @param {string} executionId - Execution to follow
+   * @param {number} lastSeq - Last event already seen
+   * @returns {Promise<ExecutionStream>}
+   */
+  async subscribe(executionId, lastSeq = 0) {
+    const stream = this.follow(executionId);
+    stream.lastSeq = Math.max(stream.lastSeq, lastSeq);
+
+    const reply = await this.request(MessageTypes.RESUME_EXECUTION, { executionId, lastSeq: stream.lastSeq });
+
+    // Finished before we got here and nothing left to replay
+    if (!stream.ended && reply.data.replayed === 0 && ['completed', 'failed', 'aborted', 'interrupted'].includes(reply.data.status)) {
+      stream.end({ type: MessageTypes.EXECUTION_RESUMED, data: reply.data });
+    }
+
+    return stream;
+  }
+
+  /**
+   * Send a follow-up prompt into a completed execution: same worktree, same
+   * agent conversation
+   * @param {string} executionId - Completed execution
+   * @param {string|Object} prompt - Follow-up, or { prompt, context }
+   * @returns {Promise<ExecutionStream>} Ends with the turn's execution-complete
+   */
+  async continueExecution(executionId, prompt) {
+    const { prompt: text, context } = typeof prompt === 'string' ? { prompt } : prompt;
+    const reply = await this.request(MessageTypes.CONTINUE_EXECUTION, { executionId, prompt: text, ...(context ? { context } : {}) });
+    return reply.streams[0];
+  }
+
+  async abort(executionId, reason) {
+    return (await this.request(MessageTypes.ABORT_EXECUTION, { executionId, reason })).data;
+  }
+
+  async sendFeedback(executionId, feedback) {
+    return (await this.request(MessageTypes.AGENT_FEEDBACK, { executionId, feedback })).data;
+  }
+
+  /**
+   * Answer an agent-permission-request
+   * @param {string} requestId - Request ID
+   * @param {string} decision - allow, deny or always-allow (for the rest of the session)
+   * @param {string} reason - Told to the agent when denying
+   * @returns {Promise<Object>} agent-permission-resolved data
+   */
+  async respondToPermission(requestId, decision, reason) {
+    return (await this.request(MessageTypes.AGENT_PERMISSION_RESPONSE, { requestId, decision, ...(reason ? { reason } : {}) })).data;
+  }
+
+  /**
+   * @param {string} executionId - Completed execution
+   * @param {Object} options - { title, description, baseBranch, force }
+   */
+  async generatePR(executionId, options = {}) {
+    return (await this.request(MessageTypes.GENERATE_PR, { executionId, ...options }, { timeout: null })).data;
+  }
+
+  async cleanupWorktree(executionId) {
+    return (await this.request(MessageTypes.CLEANUP_WORKTREE, { executionId })).data;
+  }
+
+  async listExecutions(filters = {}) {
+    return (await this.request(MessageTypes.LIST_EXECUTIONS, filters)).data;
+  }
+
+  async getExecution(executionId, options = {}) {
+    return (await this.request(MessageTypes.GET_EXECUTION, { executionId, ...options })).data;
+  }
+
+  async getLogs(executionId, options = {}) {
+    return (await this.request(MessageTypes.GET_LOGS, { executionId, ...options })).data;
+  }
+
+  async getUsage(filters = {}) {
+    return (await this.request(MessageTypes.GET_USAGE, filters)).data;
+  }
+
+  async healthCheck() {
+    return (await this.request(MessageTypes.HEALTH_CHECK, {})).data;
+  }
+
+  /**
+   * Send any command and wait for its ack
+   * @param {string} type - Message type
+   * @param {Object} data - Message payload
+   * @param {Object} options - { timeout (null waits forever), onProgress(type, data, streams) }
+   * @returns {Promise<{type: string, data: Object, streams: Array<ExecutionStream>}>} The reply the ack carries,
+   *   with the streams of the executions it started
+   * @throws {BridgeError} When the bridge answers with a nack or error
+   */
+  async request(type, data = {}, options = {}) {
+    const message = await this.createMessage(type, data);
+
+    if (this.ws?.readyState !== WS_OPEN) {
+      throw new BridgeError('CONNECTION_LOST', 'Not connected to the bridge');
+    }
+    const timeout = options.timeout === undefined ? this.requestTimeout : options.timeout;
+
+    return new Promise((resolve, reject) => {
+      const request = { type, resolve, reject, options, reply: null, timer: null };
+
+      if (timeout) {
+        request.timer = setTimeout(() => {
+          this.pending.delete(message.id);
+          reject(new BridgeError('REQUEST_TIMEOUT', `No reply to ${type} after ${timeout}ms`));
+        }, timeout);
+      }
+
+      this.pending.set(message.id, request);
+      this.ws.send(JSON.stringify(message));
+    });
+  }
+
+  // --- Internals ---
+
+  async createMessage(type, data) {
+    const message = {
+      id: globalThis.crypto.randomUUID(),
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+      nonce: randomHex(16)
+    };
+
+    if (!UNSIGNED_TYPES.includes(type)) {
+      if (!this.keyPair) {
+        throw new BridgeError('MISSING_SIGNATURE', 'No key pair - pair first or pass keyPair');
+      }
+      message.signature = await signPayload(this.keyPair.privateKey, serializeForSignature(message));
+    }
+
+    return message;
+  }
+
+  follow(executionId) {
+    if (!this.streams.has(executionId)) {
+      const stream = new ExecutionStream(executionId, (closed) => this.unfollow(closed));
+      stream.once('end', () => this.streams.delete(executionId));
+      this.streams.set(executionId, stream);
+    }
+    return this.streams.get(executionId);
+  }
+
+  async unfollow(stream) {
+    this.streams.delete(stream.executionId);
+    if (this.ws?.readyState === WS_OPEN) {
+      await this.request(MessageTypes.UNSUBSCRIBE_EXECUTION, { executionId: stream.executionId }).catch(() => {});
+    }
+  }
+
+  handleMessage(message) {
+    this.emit('message', message);
+    const request = message.id ? this.pending.get(message.id) : null;
+
+    switch (message.type) {
+      case MessageTypes.ACK:
+        if (request) {
+          request.reply = {
+            type: message.data.resultType,
+            data: message.data.result,
+            streams: this.routeReply(message.data.resultType, message.data.result || {})
+          };
+          this.settle(message.id, request);
+        }
+        return;
+
+      case MessageTypes.NACK:
+      case MessageTypes.ERROR:
+        if (request) {
+          this.fail(message.id, request, toBridgeError(message.type === MessageTypes.NACK ? message.data.error : message.data));
+        } else {
+          this.emit('error', toBridgeError(message.type === MessageTypes.NACK ? message.data.error : message.data));
+        }
+        return;
+
+      case MessageTypes.PROGRESS: {
+        const streams = this.routeReply(message.data.progressType, message.data.data || {});
+        if (request) {
+          if (message.data.status === 'failed') {
+            this.fail(message.id, request, toBridgeError(message.data.error));
+            return;
+          }
+          request.options.onProgress?.(message.data.progressType, message.data.data, streams);
+          if (request.reply) {
+            this.settle(message.id, request);
+          }
+        }
+        return;
+      }
+
+      case MessageTypes.AGENTS_AVAILABLE:
+        this.emit('agents', message.data.agents);
+        return;
+
+      case MessageTypes.BATCH_PROGRESS:
+      case MessageTypes.BATCH_REPORT:
+        this.emit(message.type, message.data);
+        return;
+    }
+
+    // Uncorrelated replies (handshake-ack) and published execution events
+    if (request) {
+      request.reply = { type: message.type, data: message.data, streams: [] };
+      this.settle(message.id, request);
+      return;
+    }
+
+    this.routeReply(message.type, message.data || {});
+  }
+
+  // Returns the streams of executions the reply starts. They are followed
+  // right away, so events arriving with the reply are not missed.
+  routeReply(type, data) {
+    if (type === MessageTypes.EXECUTION_STARTED || type === MessageTypes.EXECUTION_CONTINUED) {
+      return [this.follow(data.executionId)];
+    }
+    if (type === MessageTypes.COMPARISON_STARTED) {
+      return data.executions.map(entry => this.follow(entry.executionId));
+    }
+
+    const stream = data?.executionId ? this.streams.get(data.executionId) : null;
+    stream?.push(type, data);
+    return [];
+  }
+
+  settle(id, request) {
+    if (request.options.settleOn && !request.options.settleOn()) {
+      return;
+    }
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+    request.resolve(request.reply);
+  }
+
+  fail(id, request, error) {
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+    request.reject(error);
+  }
+
+  async openSocket() {
+    // Only the `ws` package can send an Origin header, so Node always uses it
+    const WebSocketImpl = this.WebSocket || (this.origin ? await loadNodeWebSocket() : globalThis.WebSocket);
+    const ws = this.origin
+      ? new WebSocketImpl(this.wsUrl, { headers: { origin: this.origin } })
+      : new WebSocketImpl(this.wsUrl);
+
+    await new Promise((resolve, reject) => {
+      const onOpen = () => {
+        ws.removeEventListener('error', onError);
+        resolve();
+      };
+      const onError = (event) => {
+        ws.removeEventListener('open', onOpen);
+        reject(event.error || new Error(`Could not connect to ${this.wsUrl}`));
+      };
+      ws.addEventListener('open', onOpen, { once: true });
+      ws.addEventListener('error', onError, { once: true });
+    });
+
+    ws.addEventListener('message', (event) => {
+      try {
+        this.handleMessage(JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString()));
+      } catch (error) {
+        this.emit('error', error);
+      }
+    });
+    ws.addEventListener('close', () => this.handleClose(ws));
+
+    this.ws = ws;
+  }
+
+  handleClose(ws) {
+    if (ws !== this.ws) {
+      return;
+    }
+
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+
+    for (const [id, request] of this.pending.entries()) {
+      this.fail(id, request, new BridgeError('CONNECTION_LOST', `Connection closed before ${request.type} was answered`));
+    }
+
+    this.emit('disconnected');
+
+    if (!this.closed && this.reconnect) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.reconnect.maxAttempts) {
+      this.emit('error', new BridgeError('CONNECTION_LOST', `Gave up reconnecting after ${this.reconnectAttempts} attempts`));
+      return;
+    }
+
+    const delay = Math.min(this.reconnect.maxDelay, this.reconnect.minDelay * 2 ** this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    setTimeout(async () => {
+      if (this.closed) {
+        return;
+      }
+
+      try {
+        await this.connect();
+        await this.restore();
+        this.emit('reconnected');
+      } catch (error) {
+        this.emit('error', error);
+        if (this.ws?.readyState === WS_OPEN) {
+          // Connected but could not restore: a fresh connection will not help
+          return;
+        }
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  // Bring a new connection back to where the old one was
+  async restore() {
+    if (this.session) {
+      await this.request(MessageTypes.INIT_SESSION, this.session);
+    }
+
+    for (const stream of this.streams.values()) {
+      await this.subscribe(stream.executionId, stream.lastSeq);
+    }
+  }
+
+  scheduleRefresh() {
+    clearInterval(this.refreshTimer);
+    if (!this.refreshInterval) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.authenticate().catch(error => this.emit('error', error));
+    }, this.refreshInterval);
+    this.refreshTimer.unref?.();
+  }
+
+  setToken(token) {
+    if (token && token !== this.token) {
+      this.token = token;
+      this.emit('token', token);
+    }
+  }
+
+  async post(pathname, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.origin) {
+      headers.Origin = this.origin;
+    }
+
+    const response = await fetch(`${this.bridgeUrl}${pathname}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({ error: response.statusText }));
+
+    if (!response.ok) {
+      throw new BridgeError(
+        pathname.endsWith('/verify') ? 'INVALID_PAIRING_CODE' : 'UNKNOWN_ERROR',
+        result.error || response.statusText
+      );
+    }
+
+    return result;
+  }
+}
+
+function toBridgeError(failure = {}) {
+  return new BridgeError(failure.code || 'UNKNOWN_ERROR', failure.message || failure.error || 'Unknown error', {
+    retryable: failure.retryable,
+    hint: failure.hint,
+    details: failure.details
+  });
+}
+
+// A prompt is either the text itself, or { prompt | templateId, variables, context }
+function promptData(prompt) {
+  if (typeof prompt === 'string') {
+    return { prompt };
+  }
+
+  return Object.fromEntries(
+    ['prompt', 'templateId', 'variables', 'context'].filter(key => prompt[key] !== undefined).map(key => [key, prompt[key]])
+  );
+}
+
+function randomHex(bytes) {
+  return Array.from(globalThis.crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function loadNodeWebSocket() {
+  // Kept out of sight of browser bundlers, which would otherwise try to bundle ws
+  const moduleName = 'ws';
+  const { default: WebSocket } = await import(moduleName);
+  return WebSocket;
+}
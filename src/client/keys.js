@@ -0,0 +1,85 @@
+/**
+ * Client key pairs on top of WebCrypto, which Node 20 and every current
+ * browser provide as globalThis.crypto. The bridge verifies RSA-SHA256
+ * (PKCS#1 v1.5) signatures against the SPKI PEM public key sent when pairing.
+ */
+
+const ALGORITHM = {
+  name: 'RSASSA-PKCS1-v1_5',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+};
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto is not available - use Node 20+ or a browser on a secure (https or localhost) origin');
+  }
+  return subtle;
+}
+
+/**
+ * Generate a signing key pair
+ * @param {Object} options - { extractable }: false keeps the private key out of reach of scripts
+ * @returns {Promise<{privateKey: CryptoKey, publicKeyPem: string}>}
+ */
+export async function generateKeyPair({ extractable = true } = {}) {
+  const { privateKey, publicKey } = await getSubtle().generateKey(ALGORITHM, extractable, ['sign', 'verify']);
+
+  return {
+    privateKey,
+    publicKeyPem: toPem(await getSubtle().exportKey('spki', publicKey), 'PUBLIC KEY')
+  };
+}
+
+/**
+ * Export a key pair so it can be stored and passed to importKeyPair later
+ * @param {Object} keyPair - Key pair from generateKeyPair (must be extractable)
+ * @returns {Promise<{privateKeyPem: string, publicKeyPem: string}>}
+ */
+export async function exportKeyPair(keyPair) {
+  return {
+    privateKeyPem: toPem(await getSubtle().exportKey('pkcs8', keyPair.privateKey), 'PRIVATE KEY'),
+    publicKeyPem: keyPair.publicKeyPem
+  };
+}
+
+/**
+ * Load a key pair saved with exportKeyPair
+ * @param {Object} saved - { privateKeyPem, publicKeyPem }
+ * @returns {Promise<{privateKey: CryptoKey, publicKeyPem: string}>}
+ */
+export async function importKeyPair({ privateKeyPem, publicKeyPem }) {
+  const privateKey = await getSubtle().importKey('pkcs8', fromPem(privateKeyPem), ALGORITHM, true, ['sign']);
+  return { privateKey, publicKeyPem };
+}
+
+/**
+ * Sign a payload the way the bridge verifies it
+ * @param {CryptoKey} privateKey - Private key of the pair registered when pairing
+ * @param {string} payload - Output of serializeForSignature
+ * @returns {Promise<string>} Base64 signature
+ */
+export async function signPayload(privateKey, payload) {
+  const signature = await getSubtle().sign(ALGORITHM.name, privateKey, new TextEncoder().encode(payload));
+  return toBase64(signature);
+}
+
+function toPem(buffer, label) {
+  const lines = toBase64(buffer).match(/.{1,64}/g).join('\n');
+  return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
+
+function fromPem(pem) {
+  const base64 = pem.replace(/-----(BEGIN|END) [A-Z ]+-----/g, '').replace(/\s+/g, '');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function toBase64(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,333 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { hasAgent } from '../agents/detector.js';
+import { ExecutionScheduler } from './scheduler.js';
+import { discoverProjectConfig, resolveSessionSettings } from '../utils/project-config.js';
+import { translatePath } from '../utils/wsl.js';
+import { logger } from '../utils/logger.js';
+import { BridgeError, ValidationError, StateError, describeError } from '../utils/errors.js';
+
+export const MAX_BATCH_ENTRIES = 100;
+export const MAX_BATCH_CONCURRENCY = 10;
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+
+const ENTRY_FIELDS = ['name', 'workdir', 'prompt', 'agent', 'baseBranch'];
+
+/**
+ * Runs a list of prompts, one per working directory, through the planner and
+ * orchestrator with bounded concurrency, and reports the result of each.
+ *
+ * Every entry is planned. With autoApprove the plan is executed in a new
+ * worktree right away (and a PR opened with createPR); without it the plans
+ * are left for review and can be approved one by one.
+ */
+export class BatchRunner extends EventEmitter {
+  constructor(planner, orchestrator, config) {
+    super();
+    this.planner = planner;
+    this.orchestrator = orchestrator;
+    this.config = config;
+    this.batches = new Map();
+  }
+
+  /**
+   * Validate a manifest and create the batch without starting it
+   * @param {Array<Object>} entries - { workdir, prompt, agent, baseBranch, name }
+   * @param {string} sessionId - Owning session
+   * @param {Object} options - { defaults, concurrency, autoApprove, createPR }
+   * @returns {Object} Batch record
+   */
+  createBatch(entries, sessionId, options = {}) {
+    const concurrency = options.concurrency ?? DEFAULT_BATCH_CONCURRENCY;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+      throw new ValidationError('INVALID_BATCH', `Batch concurrency must be between 1 and ${MAX_BATCH_CONCURRENCY}`);
+    }
+
+    const batchId = `batch-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    const batch = {
+      id: batchId,
+      sessionId,
+      concurrency,
+      autoApprove: options.autoApprove === true,
+      createPR: options.createPR === true,
+      entries: normalizeEntries(entries, options.defaults),
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      report: null
+    };
+
+    this.batches.set(batchId, batch);
+
+    return batch;
+  }
+
+  /**
+   * Run every entry and build the report. Entries never fail the batch as a
+   * whole; each records its own outcome.
+   * @param {Object} batch - Record from createBatch
+   * @returns {Promise<Object>} The batch with its report
+   */
+  async runBatch(batch) {
+    const scheduler = new ExecutionScheduler({
+      maxConcurrentGlobal: batch.concurrency,
+      maxConcurrentPerSession: batch.concurrency
+    });
+
+    // Entries in the same repository share its git metadata, so they take turns
+    await Promise.all(batch.entries.map(entry => scheduler.schedule({
+      id: `${batch.id}:${entry.index}`,
+      sessionId: batch.id,
+      lockKey: entry.workdir
+    }, () => this.runEntry(batch, entry))));
+
+    batch.status = 'completed';
+    batch.finishedAt = new Date().toISOString();
+    batch.report = buildReport(batch);
+
+    this.emit('batch-completed', {
+      batchId: batch.id,
+      report: batch.report
+    });
+
+    logger.info(`Batch completed: ${batch.id}`);
+
+    return batch;
+  }
+
+  async runEntry(batch, entry) {
+    entry.startedAt = new Date().toISOString();
+
+    try {
+      const project = await discoverProjectConfig(entry.workdir);
+      const { settings } = resolveSessionSettings(this.config, project.config, { agentType: entry.agent });
+      if (entry.baseBranch) {
+        settings.baseBranch = entry.baseBranch;
+      }
+      entry.agent = settings.agent;
+
+      if (!hasAgent(entry.agent)) {
+        throw new ValidationError('UNKNOWN_AGENT', `Unknown agent: ${entry.agent}`);
+      }
+
+      this.updateEntry(batch, entry, { status: 'planning' });
+
+      const plan = await this.planner.createPlan(entry.prompt, entry.workdir, entry.agent, {
+        ...settings.agentOptions,
+        settings,
+        sessionId: batch.sessionId,
+        // Batch entries run unattended, so a config default of ask must not stall them
+        permissions: 'auto'
+      });
+      entry.planId = plan.id;
+
+      if (!batch.autoApprove) {
+        this.updateEntry(batch, entry, { status: 'planned' });
+        return;
+      }
+
+      // The plan is executed by a fresh agent in its own worktree
+      await plan.agent?.cleanup?.();
+      this.planner.approvePlan(plan.id);
+
+      const execution = this.orchestrator.createExecution(plan, batch.sessionId, null);
+      execution.batchId = batch.id;
+      entry.executionId = execution.id;
+      this.updateEntry(batch, entry, { status: 'executing' });
+
+      await this.orchestrator.startExecution(execution);
+
+      entry.branchName = execution.worktree?.branchName || null;
+      entry.worktreePath = execution.worktree?.worktreePath || null;
+      entry.modifiedFiles = execution.modifiedFiles;
+      entry.verification = execution.verification?.status || null;
+
+      if (entry.verification === 'failed' && execution.verification.onFailure !== 'warn') {
+        throw new StateError('VERIFICATION_FAILED', 'Verification failed - the changes are kept in the worktree for review');
+      }
+
+      if (batch.createPR) {
+        this.updateEntry(batch, entry, { status: 'creating-pr' });
+        const pr = await this.orchestrator.generatePR(execution.id, { baseBranch: entry.baseBranch || undefined });
+
+        if (!pr.success) {
+          throw new BridgeError('COMMAND_FAILED', `Pull request not created: ${pr.message}`);
+        }
+        entry.prUrl = pr.url;
+      }
+
+      this.updateEntry(batch, entry, { status: 'completed' });
+    } catch (error) {
+      const failure = describeError(error);
+      logger.error(`Batch ${batch.id} entry ${entry.index} failed: ${failure.message}`);
+      this.updateEntry(batch, entry, {
+        status: 'failed',
+        error: { code: failure.code, message: failure.message }
+      });
+    } finally {
+      entry.finishedAt = new Date().toISOString();
+    }
+  }
+
+  updateEntry(batch, entry, changes) {
+    Object.assign(entry, changes);
+
+    this.emit('batch-progress', {
+      batchId: batch.id,
+      index: entry.index,
+      name: entry.name,
+      status: entry.status,
+      planId: entry.planId,
+      executionId: entry.executionId,
+      prUrl: entry.prUrl,
+      error: entry.error
+    });
+  }
+
+  getBatch(batchId) {
+    return this.batches.get(batchId);
+  }
+}
+
+/**
+ * Parse a JSON or YAML manifest: a list of entries, or
+ * { defaults, concurrency, autoApprove, createPR, entries }
+ * @param {string} text - Manifest contents
+ * @param {string} filename - Used to pick the format and in errors
+ * @returns {Object} { entries, defaults, concurrency, autoApprove, createPR }
+ */
+export function parseManifest(text, filename = 'manifest') {
+  let manifest;
+
+  try {
+    manifest = filename.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new ValidationError('INVALID_BATCH', `Could not parse ${filename}: ${error.message}`);
+  }
+
+  if (Array.isArray(manifest)) {
+    return { entries: manifest };
+  }
+
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.entries)) {
+    throw new ValidationError('INVALID_BATCH', `${filename} must be a list of entries or have an entries list`);
+  }
+
+  return manifest;
+}
+
+/**
+ * Read a manifest file. Relative workdirs are resolved against its directory.
+ * @param {string} file - Path to a .json, .yaml or .yml manifest
+ * @returns {Promise<Object>} Parsed manifest
+ */
+export async function loadManifest(file) {
+  const manifest = parseManifest(await fs.readFile(file, 'utf-8'), path.basename(file));
+  const baseDir = path.dirname(path.resolve(file));
+
+  return {
+    ...manifest,
+    entries: manifest.entries.map(entry => (
+      typeof entry?.workdir === 'string' ? { ...entry, workdir: path.resolve(baseDir, entry.workdir) } : entry
+    ))
+  };
+}
+
+/**
+ * Write a batch report as JSON
+ * @param {Object} report - Report from runBatch
+ * @param {string} file - Destination
+ */
+export async function writeBatchReport(report, file) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(report, null, 2) + '\n');
+}
+
+function normalizeEntries(entries, defaults = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ValidationError('INVALID_BATCH', 'A batch needs at least one entry');
+  }
+
+  if (entries.length > MAX_BATCH_ENTRIES) {
+    throw new ValidationError('INVALID_BATCH', `A batch can have at most ${MAX_BATCH_ENTRIES} entries`);
+  }
+
+  return entries.map((raw, index) => {
+    const entry = { ...pick(defaults || {}), ...pick(raw || {}) };
+
+    if (typeof entry.workdir !== 'string' || !entry.workdir) {
+      throw new ValidationError('INVALID_BATCH', `Entry ${index} has no workdir`);
+    }
+
+    if (typeof entry.prompt !== 'string' || !entry.prompt.trim()) {
+      throw new ValidationError('INVALID_BATCH', `Entry ${index} has no prompt`);
+    }
+
+    if (entry.agent && !hasAgent(entry.agent)) {
+      throw new ValidationError('UNKNOWN_AGENT', `Entry ${index}: unknown agent ${entry.agent}`);
+    }
+
+    const workdir = translatePath(entry.workdir, 'windows-to-wsl');
+
+    return {
+      index,
+      name: entry.name || path.basename(workdir),
+      workdir,
+      prompt: entry.prompt,
+      agent: entry.agent || null,
+      baseBranch: entry.baseBranch || null,
+      status: 'pending',
+      planId: null,
+      executionId: null,
+      branchName: null,
+      worktreePath: null,
+      modifiedFiles: [],
+      verification: null,
+      prUrl: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null
+    };
+  });
+}
+
+function pick(source) {
+  return Object.fromEntries(ENTRY_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+}
+
+function buildReport(batch) {
+  const counts = { completed: 0, planned: 0, failed: 0 };
+  for (const entry of batch.entries) {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  }
+
+  return {
+    batchId: batch.id,
+    autoApprove: batch.autoApprove,
+    createPR: batch.createPR,
+    total: batch.entries.length,
+    ...counts,
+    entries: batch.entries.map(entry => ({
+      index: entry.index,
+      name: entry.name,
+      workdir: entry.workdir,
+      agent: entry.agent,
+      status: entry.status,
+      planId: entry.planId,
+      executionId: entry.executionId,
+      branchName: entry.branchName,
+      worktreePath: entry.worktreePath,
+      modifiedFiles: entry.modifiedFiles,
+      verification: entry.verification,
+      prUrl: entry.prUrl,
+      error: entry.error,
+      durationMs: entry.startedAt ? Date.parse(entry.finishedAt) - Date.parse(entry.startedAt) : null
+    })),
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt
+  };
+}
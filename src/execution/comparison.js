@@ -0,0 +1,291 @@
+import { EventEmitter } from 'events';
+import { hasAgent } from '../agents/detector.js';
+import { getWorktreeDiffStats } from '../git/worktree.js';
+import { spawnPromise, splitCommand } from '../utils/exec.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError, StateError } from '../utils/errors.js';
+import { getDurationMs } from './history.js';
+
+const DEFAULT_TEST_TIMEOUT = 600000; // 10 minutes
+const TEST_OUTPUT_TAIL = 4000;
+
+/**
+ * Runs one prompt against several agents side by side, each in its own
+ * worktree, and reports how the results differ
+ */
+export class ComparisonRunner extends EventEmitter {
+  constructor(orchestrator, config) {
+    super();
+    this.orchestrator = orchestrator;
+    this.config = config;
+    this.comparisons = new Map();
+  }
+
+  /**
+   * Create one execution per contestant without starting them
+   * @param {string} prompt - Prompt given to every agent
+   * @param {string} workdir - Repository the worktrees are created from
+   * @param {Array<string|Object>} contestants - Agent names, or { agent, label, options } to
+   *   compare the same agent with different options
+   * @param {string} sessionId - Owning session
+   * @param {Object} options - Agent options shared by every run, plus the session settings
+   *   and the context attached to every run
+   * @returns {Object} Comparison record
+   */
+  createComparison(prompt, workdir, contestants, sessionId, options = {}) {
+    const { settings = null, context = null, ...sharedOptions } = options;
+    const entries = normalizeContestants(contestants);
+    const comparisonId = `cmp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const createdAt = new Date().toISOString();
+
+    const executions = entries.map(entry => {
+      // Compare runs skip planning, so each execution gets a plan stub
+      const plan = {
+        id: null,
+        comparisonId,
+        sessionId,
+        settings,
+        prompt,
+        workdir,
+        agentName: entry.agent,
+        plan: null,
+        createdAt,
+        approved: true,
+        executed: false,
+        options: { ...sharedOptions, ...entry.options }
+      };
+
+      const execution = this.orchestrator.createExecution(plan, sessionId, null, { context });
+      execution.comparisonId = comparisonId;
+      execution.label = entry.label;
+      return execution;
+    });
+
+    const comparison = {
+      id: comparisonId,
+      sessionId,
+      prompt,
+      workdir,
+      contestants: executions.map(execution => ({
+        executionId: execution.id,
+        agent: execution.plan.agentName,
+        label: execution.label
+      })),
+      executionIds: executions.map(execution => execution.id),
+      status: 'running',
+      createdAt,
+      finishedAt: null,
+      report: null,
+      winner: null
+    };
+
+    this.comparisons.set(comparisonId, comparison);
+
+    return comparison;
+  }
+
+  /**
+   * Start every run, wait for all of them and build the report
+   * @param {Object} comparison - Record from createComparison
+   * @returns {Promise<Object>} The comparison with its report
+   */
+  async runComparison(comparison) {
+    const executions = comparison.executionIds.map(id => this.orchestrator.getExecution(id));
+
+    await Promise.allSettled(executions.map(execution => this.orchestrator.startExecution(execution)));
+
+    comparison.report = await this.buildReport(executions);
+    comparison.status = 'completed';
+    comparison.finishedAt = new Date().toISOString();
+
+    this.emit('comparison-completed', {
+      comparisonId: comparison.id,
+      report: comparison.report
+    });
+
+    logger.info(`Comparison completed: ${comparison.id}`);
+
+    return comparison;
+  }
+
+  async buildReport(executions) {
+    const testCommand = this.config.comparison?.testCommand || null;
+    const entries = [];
+
+    // One at a time so test suites do not compete for the machine
+    for (const execution of executions) {
+      entries.push(await this.buildReportEntry(execution, testCommand));
+    }
+
+    return {
+      prompt: executions[0]?.plan.prompt,
+      testCommand,
+      entries,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  async buildReportEntry(execution, testCommand) {
+    const entry = {
+      executionId: execution.id,
+      agent: execution.plan.agentName,
+      label: execution.label,
+      status: execution.status,
+      error: execution.error || null,
+      exitCode: execution.result?.code ?? (execution.status === 'completed' ? 0 : null),
+      durationMs: getDurationMs(execution),
+      usage: execution.usage || null,
+      worktree: execution.worktree ? {
+        worktreePath: execution.worktree.worktreePath,
+        branchName: execution.worktree.branchName
+      } : null,
+      filesTouched: execution.modifiedFiles || [],
+      diff: null,
+      tests: null
+    };
+
+    // Failed runs have their worktree removed, so there is nothing to inspect
+    if (!execution.worktree) {
+      return entry;
+    }
+
+    try {
+      const stats = await getWorktreeDiffStats(execution.worktree.worktreePath, execution.worktree.baseBranch);
+      entry.diff = {
+        filesChanged: stats.filesChanged,
+        insertions: stats.insertions,
+        deletions: stats.deletions
+      };
+      entry.filesTouched = stats.files.map(file => file.file);
+    } catch (error) {
+      logger.warn(`Could not diff worktree for ${execution.id}: ${error.message}`);
+    }
+
+    if (testCommand) {
+      entry.tests = await this.runTests(execution.worktree.worktreePath, testCommand);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Run the configured test command inside a worktree
+   * @param {string} cwd - Worktree path
+   * @param {string|Array<string>} testCommand - Command line, or command and arguments
+   * @returns {Promise<{passed: boolean, exitCode: number|null, durationMs: number, output: string}>}
+   */
+  async runTests(cwd, testCommand) {
+    const { command, args } = splitCommand(testCommand);
+    const startedAt = Date.now();
+
+    try {
+      const { stdout, stderr } = await spawnPromise(command, args, {
+        cwd,
+        timeout: this.config.comparison?.testTimeout || DEFAULT_TEST_TIMEOUT
+      });
+
+      return {
+        passed: true,
+        exitCode: 0,
+        durationMs: Date.now() - startedAt,
+        output: (stdout + stderr).slice(-TEST_OUTPUT_TAIL)
+      };
+    } catch (error) {
+      return {
+        passed: false,
+        exitCode: typeof error.code === 'number' ? error.code : null,
+        durationMs: Date.now() - startedAt,
+        output: ((error.stdout || '') + (error.stderr || '') || error.message).slice(-TEST_OUTPUT_TAIL)
+      };
+    }
+  }
+
+  /**
+   * Keep one run and delete the other worktrees
+   * @param {string} comparisonId - Comparison ID
+   * @param {string} executionId - Winning execution
+   * @returns {Promise<{comparisonId: string, winner: string, deletedWorktrees: Array<string>}>}
+   */
+  async selectWinner(comparisonId, executionId) {
+    const comparison = this.comparisons.get(comparisonId);
+
+    if (!comparison) {
+      throw new NotFoundError('COMPARISON_NOT_FOUND', 'Comparison not found');
+    }
+
+    if (comparison.status === 'running') {
+      throw new StateError('COMPARISON_RUNNING', 'Comparison is still running');
+    }
+
+    if (comparison.winner) {
+      throw new StateError('WINNER_ALREADY_SELECTED', 'Winner already selected');
+    }
+
+    if (!comparison.executionIds.includes(executionId)) {
+      throw new ValidationError('INVALID_DATA', 'Execution is not part of this comparison');
+    }
+
+    const deletedWorktrees = [];
+
+    for (const id of comparison.executionIds) {
+      if (id === executionId) {
+        continue;
+      }
+
+      const execution = this.orchestrator.getExecution(id);
+      if (!execution?.worktree) {
+        continue;
+      }
+
+      const branchName = execution.worktree.branchName;
+      await this.orchestrator.cleanupWorktree(id);
+      deletedWorktrees.push(branchName);
+    }
+
+    comparison.winner = executionId;
+    comparison.status = 'decided';
+    comparison.decidedAt = new Date().toISOString();
+
+    logger.info(`Comparison ${comparisonId} winner: ${executionId}`);
+
+    return { comparisonId, winner: executionId, deletedWorktrees };
+  }
+
+  getComparison(comparisonId) {
+    return this.comparisons.get(comparisonId);
+  }
+}
+
+function normalizeContestants(contestants) {
+  if (!Array.isArray(contestants) || contestants.length < 2) {
+    throw new ValidationError('INVALID_COMPARISON', 'Compare mode needs at least two agents');
+  }
+
+  const entries = contestants.map(contestant => {
+    const entry = typeof contestant === 'string'
+      ? { agent: contestant, options: {} }
+      : { agent: contestant?.agent, label: contestant?.label, options: contestant?.options || {} };
+
+    if (!entry.agent || !hasAgent(entry.agent)) {
+      throw new ValidationError('UNKNOWN_AGENT', `Unknown agent: ${entry.agent}`);
+    }
+
+    return entry;
+  });
+
+  // Repeated agents are told apart by a numbered label
+  const counts = {};
+  for (const entry of entries) {
+    if (!entry.label) {
+      counts[entry.agent] = (counts[entry.agent] || 0) + 1;
+      entry.label = counts[entry.agent] > 1 ? `${entry.agent}#${counts[entry.agent]}` : entry.agent;
+    }
+  }
+
+  const labels = entries.map(entry => entry.label);
+  if (new Set(labels).size !== labels.length) {
+    throw new ValidationError('INVALID_COMPARISON', 'Compare mode labels must be unique');
+  }
+
+  return entries;
+}
@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { scanDirectory, globToRegExp } from '../utils/file-scanner.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, SecurityError } from '../utils/errors.js';
+
+export const DEFAULT_CONTEXT_LIMITS = {
+  maxFiles: 50,
+  maxFileBytes: 100000,
+  maxTotalBytes: 400000
+};
+
+// Never sent to an agent, even when asked for by name
+const PROTECTED_PATHS = [/(^|\/)\.git(\/|$)/, /(^|\/)\.env(\.[^/]*)?$/];
+
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * Read the files, globs and line ranges a client attached to a prompt.
+ *
+ * Items are { path }, { path, startLine, endLine } (1-based, inclusive) or
+ * { glob }, relative to the root. Named files must exist; globs may match
+ * nothing. Files that do not fit the budgets are truncated or skipped and
+ * listed in `skipped`.
+ * @param {string} root - Worktree or working directory the paths are relative to
+ * @param {Array<Object>} items - Requested context
+ * @param {Object} options - { limits, exclude: project exclude globs }
+ * @returns {Promise<{files: Array<Object>, skipped: Array<Object>, totalBytes: number}>}
+ */
+export async function resolveContext(root, items = [], options = {}) {
+  const limits = { ...DEFAULT_CONTEXT_LIMITS, ...options.limits };
+  const exclude = (options.exclude || []).map(globToRegExp);
+  const realRoot = await fs.realpath(root);
+
+  const files = [];
+  const skipped = [];
+  const seen = new Set();
+  let totalBytes = 0;
+
+  for (const request of await expandItems(root, items, options.exclude)) {
+    const key = `${request.path}:${request.startLine || ''}-${request.endLine || ''}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    if (files.length >= limits.maxFiles) {
+      skipped.push({ path: request.path, reason: 'max-files' });
+      continue;
+    }
+
+    const remaining = limits.maxTotalBytes - totalBytes;
+    if (remaining <= 0) {
+      skipped.push({ path: request.path, reason: 'max-total-bytes' });
+      continue;
+    }
+
+    const file = await readContextFile(realRoot, request, exclude);
+    if (file.binary) {
+      skipped.push({ path: request.path, reason: 'binary' });
+      continue;
+    }
+
+    const budget = Math.min(limits.maxFileBytes, remaining);
+    if (Buffer.byteLength(file.content) > budget) {
+      file.content = truncate(file.content, budget);
+      file.truncated = true;
+
+      if (!file.content) {
+        skipped.push({ path: request.path, reason: budget < limits.maxFileBytes ? 'max-total-bytes' : 'max-file-bytes' });
+        continue;
+      }
+    }
+
+    file.bytes = Buffer.byteLength(file.content);
+    totalBytes += file.bytes;
+    files.push(file);
+  }
+
+  if (skipped.length > 0) {
+    logger.info(`Context: ${skipped.length} file(s) skipped (${[...new Set(skipped.map(entry => entry.reason))].join(', ')})`);
+  }
+
+  return { files, skipped, totalBytes };
+}
+
+/**
+ * What was sent, without file contents, for plan and execution records
+ * @param {Array<Object>} items - Requested context
+ * @param {Object} resolved - Result of resolveContext
+ * @returns {Object} { items, files, skipped, totalBytes }
+ */
+export function summarizeContext(items, resolved) {
+  return {
+    items,
+    files: resolved.files.map(({ content, ...file }) => file),
+    skipped: resolved.skipped,
+    totalBytes: resolved.totalBytes
+  };
+}
+
+/**
+ * Put the agent-formatted context in front of the prompt
+ * @param {string} prompt - Task for the agent
+ * @param {BaseAgent} agent - Agent that formats the files
+ * @param {Object} resolved - Result of resolveContext
+ * @returns {string} The prompt to send
+ */
+export function attachContext(prompt, agent, resolved) {
+  if (!resolved || resolved.files.length === 0) {
+    return prompt;
+  }
+
+  return `${agent.formatContext(resolved.files)}\n\n${prompt}`;
+}
+
+async function expandItems(root, items, exclude) {
+  const requests = [];
+  let scanned = null;
+
+  for (const item of items) {
+    if (item.glob) {
+      // Globs only see what the file list shows, so excluded and hidden files stay out
+      scanned = scanned || await scanDirectory(root, { exclude });
+      const pattern = globToRegExp(item.glob);
+      const matches = scanned.filter(file => pattern.test(file));
+
+      if (matches.length === 0) {
+        logger.verbose(`Context glob ${item.glob} matched no files`);
+      }
+      matches.forEach(file => requests.push({ path: file, startLine: null, endLine: null }));
+    } else {
+      requests.push({
+        path: item.path.replace(/\\/g, '/').replace(/^\.\//, ''),
+        startLine: item.startLine ?? null,
+        endLine: item.endLine ?? null
+      });
+    }
+  }
+
+  return requests;
+}
+
+async function readContextFile(realRoot, request, exclude) {
+  const fullPath = path.resolve(realRoot, request.path);
+  if (!isInside(realRoot, fullPath)) {
+    throw new SecurityError('PATH_NOT_ALLOWED', `Context path is outside the working directory: ${request.path}`);
+  }
+
+  let realPath;
+
+  try {
+    realPath = await fs.realpath(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ValidationError('INVALID_CONTEXT', `Context file not found: ${request.path}`);
+    }
+    throw error;
+  }
+
+  // Symlinks count as where they point
+  if (!isInside(realRoot, realPath)) {
+    throw new SecurityError('PATH_NOT_ALLOWED', `Context path is outside the working directory: ${request.path}`);
+  }
+
+  const relativePath = path.relative(realRoot, realPath).split(path.sep).join('/');
+
+  if ([...PROTECTED_PATHS, ...exclude].some(pattern => pattern.test(relativePath))) {
+    throw new SecurityError('PATH_NOT_ALLOWED', `Context path is excluded: ${request.path}`);
+  }
+
+  const stats = await fs.stat(realPath);
+  if (!stats.isFile()) {
+    throw new ValidationError('INVALID_CONTEXT', `Context path is not a file: ${request.path}`);
+  }
+
+  const buffer = await fs.readFile(realPath);
+  if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    return { path: relativePath, binary: true };
+  }
+
+  let content = buffer.toString('utf-8');
+  let { startLine, endLine } = request;
+
+  if (startLine !== null || endLine !== null) {
+    const lines = content.split('\n');
+    startLine = startLine ?? 1;
+    endLine = Math.min(endLine ?? lines.length, lines.length);
+
+    if (startLine > lines.length || startLine > endLine) {
+      throw new ValidationError('INVALID_CONTEXT', `Invalid line range ${startLine}-${request.endLine ?? ''} for ${request.path} (${lines.length} lines)`);
+    }
+
+    content = lines.slice(startLine - 1, endLine).join('\n');
+  }
+
+  return {
+    path: relativePath,
+    startLine,
+    endLine,
+    content,
+    truncated: false
+  };
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// Keep the full lines that fit, or nothing
+function truncate(content, maxBytes) {
+  const cut = Buffer.from(content).subarray(0, maxBytes).toString('utf-8');
+  return cut.slice(0, cut.lastIndexOf('\n') + 1);
+}
@@ -3,176 +3,536 @@ import { logger } from '../utils/logger.js';
 import { EventEmitter } from 'events';
 import { generatePullRequest } from '../git/pr-generator.js';
 import { commitChanges } from '../git/operations.js';
-import { createWorktree, deleteWorktree, getWorktreeStatus } from '../git/worktree.js';
+import { createWorktree, deleteWorktree, getWorktreeStatus, snapshotWorktree, diffSnapshots } from '../git/worktree.js';
 import { scanDirectory, watchDirectory, getFileDiff } from '../utils/file-scanner.js';
+import { isTerminalStatus } from './store.js';
+import { queryExecutions, summarizeExecution } from './history.js';
+import { addUsage, withDuration, summarizeUsage } from './usage.js';
+import { ExecutionScheduler } from './scheduler.js';
+import { runVerification, buildFixupPrompt } from './verifier.js';
+import { resolveContext, summarizeContext, attachContext } from './context.js';
+import { RepoMapCache, attachRepoMap, writeRepoMapFile } from './repo-map.js';
+import { PermissionGate } from './permissions.js';
+import { NotFoundError, StateError, SecurityError, describeError } from '../utils/errors.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+const MAX_FIXUP_PATCH_CHARS = 200000;
+
 export class ExecutionOrchestrator extends EventEmitter {
-  constructor(sessionManager, config) {
+  constructor(sessionManager, config, store = null) {
     super();
     this.sessionManager = sessionManager;
     this.config = config;
+    this.store = store;
     this.activeExecutions = new Map();
-    this.executionQueues = new Map();
+    this.scheduler = new ExecutionScheduler(config.execution);
+    this.verificationControllers = new Map();
+    this.repoMaps = new RepoMapCache();
+
+    // Tool calls of plans with tool approval wait here for a client
+    this.permissions = new PermissionGate(config.permissions);
+    this.permissions.on('permission-request', request => this.emit('agent-permission-request', request));
+    this.permissions.on('permission-resolved', resolution => this.emit('agent-permission-resolved', resolution));
   }
 
   async executePlan(planId, sessionId, worktree = null) {
+    const plan = this.getExecutablePlan(planId, sessionId);
+    const execution = this.createExecution(plan, sessionId, worktree);
+
+    return this.startExecution(execution);
+  }
+
+  getExecutablePlan(planId, sessionId) {
     const planner = this.planner;
     const plan = planner.getPlan(planId);
 
     if (!plan) {
-      throw new Error('Plan not found');
+      throw new NotFoundError('PLAN_NOT_FOUND', 'Plan not found');
     }
 
     if (!plan.approved) {
-      throw new Error('Plan not approved');
+      throw new StateError('PLAN_NOT_APPROVED', 'Plan not approved');
     }
 
     if (plan.executed) {
-      throw new Error('Plan already executed');
+      throw new StateError('PLAN_ALREADY_EXECUTED', 'Plan already executed');
     }
 
     if (plan.sessionId && plan.sessionId !== sessionId) {
-      throw new Error('Plan does not belong to this session');
+      throw new SecurityError('FORBIDDEN', 'Plan does not belong to this session');
     }
 
-    return this.enqueueExecution(sessionId, async () => {
-      const executionId = `exec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    return plan;
+  }
 
-      const execution = {
-        id: executionId,
-        planId,
-        sessionId,
-        plan,
-        status: 'starting',
-        startedAt: new Date().toISOString(),
-        progress: 0,
-        modifiedFiles: [],
-        output: [],
-        agent: null,
-        worktree  // Pass worktree from session initialization
-      };
+  /**
+   * Create and persist an execution record without starting it
+   * @param {Object} plan - Approved plan
+   * @param {string} sessionId - Owning session
+   * @param {Object} worktree - Worktree from session initialization
+   * @param {Object} options - { reusePlanAgent: continue the planning agent process,
+   *   context: files to attach instead of the plan's }
+   * @returns {Object} Execution record
+   */
+  createExecution(plan, sessionId, worktree = null, options = {}) {
+    const executionId = `exec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    // Each concurrent run needs its own checkout; a busy worktree gets a fresh one
+    if (worktree && this.isWorktreeInUse(worktree.worktreePath)) {
+      logger.info(`Worktree ${worktree.branchName} is busy, ${executionId} will get its own`);
+      worktree = null;
+    }
 
-      this.activeExecutions.set(executionId, execution);
+    const execution = {
+      id: executionId,
+      planId: plan.id,
+      sessionId,
+      plan,
+      status: 'queued',
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      progress: 0,
+      modifiedFiles: [],
+      output: [],
+      agent: null,
+      reusePlanAgent: options.reusePlanAgent || false,
+      // Replaced by what was actually attached once the worktree exists
+      context: contextRequest(options.context || plan.context?.items),
+      worktree  // Pass worktree from session initialization
+    };
+
+    this.activeExecutions.set(executionId, execution);
+    this.persistExecution(execution);
+
+    return execution;
+  }
 
-      try {
-        await this.runExecution(execution);
-        return execution;
-      } catch (error) {
+  /**
+   * Schedule an execution within the concurrency limits and wait for it
+   * @param {Object} execution - Record from createExecution
+   * @returns {Promise<Object>} The finished execution record
+   */
+  startExecution(execution) {
+    // Runs that continue the planning agent write straight into the repo,
+    // so they must not overlap with each other
+    const lockKey = execution.reusePlanAgent
+      ? execution.plan.workdir
+      : execution.worktree?.worktreePath || null;
+
+    const promise = this.schedule(execution, lockKey, () => this.runExecution(execution));
+
+    return promise.catch(error => {
+      if (execution.status !== 'aborted') {
         execution.status = 'failed';
         execution.error = error.message;
-        execution.finishedAt = new Date().toISOString();
-        throw error;
       }
+      execution.finishedAt = execution.finishedAt || new Date().toISOString();
+      this.persistExecution(execution);
+      throw error;
     });
   }
 
-  async runExecution(execution) {
+  /**
+   * Queue a run of an execution within the concurrency limits
+   * @param {Object} execution - Execution record
+   * @param {string|null} lockKey - Directory no other run may use meanwhile
+   * @param {Function} run - Async function doing the work
+   * @returns {Promise<Object>} The execution record, once run has finished
+   */
+  schedule(execution, lockKey, run) {
+    const promise = this.scheduler.schedule({
+      id: execution.id,
+      sessionId: execution.sessionId,
+      lockKey
+    }, async () => {
+      await run();
+      return execution;
+    });
+
+    const position = this.scheduler.getQueuePosition(execution.id);
+    if (position !== -1) {
+      this.emitExecutionEvent('execution-progress', execution, {
+        status: 'queued',
+        progress: 0,
+        queuePosition: position + 1
+      });
+    }
+
+    return promise;
+  }
+
+  /**
+   * Record a follow-up prompt for a completed execution. It runs in the same
+   * worktree and, for agents that can resume one, the same conversation;
+   * other agents get the earlier turns replayed.
+   * @param {string} executionId - Execution ID
+   * @param {string} prompt - Follow-up prompt
+   * @param {Object} options - { context: files to attach }
+   * @returns {{execution: Object, turn: Object}} Run the turn with startTurn()
+   */
+  continueExecution(executionId, prompt, options = {}) {
+    const execution = this.getExecution(executionId);
+
+    if (!execution) {
+      throw new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found');
+    }
+
+    if (!isTerminalStatus(execution.status)) {
+      throw new StateError('EXECUTION_RUNNING', 'Execution is still running - wait for it to finish before continuing');
+    }
+
+    if (execution.status !== 'completed') {
+      throw new StateError('EXECUTION_NOT_CONTINUABLE', `Only completed executions can be continued, this one ${execution.status}`);
+    }
+
+    if (!execution.reusePlanAgent && !execution.worktree) {
+      throw new NotFoundError('WORKTREE_NOT_FOUND', 'The execution\'s worktree was cleaned up');
+    }
+
+    // Records of earlier bridge runs become live again
+    if (!this.activeExecutions.has(execution.id)) {
+      execution.output = [];
+      execution.agent = null;
+      this.activeExecutions.set(execution.id, execution);
+    }
+
+    // Executions from before turns were recorded
+    execution.turns = execution.turns || [firstTurn(execution)];
+
+    const turn = {
+      number: execution.turns.length + 1,
+      prompt,
+      status: 'queued',
+      context: contextRequest(options.context),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      usage: null,
+      modifiedFiles: []
+    };
+
+    execution.turns.push(turn);
+    execution.status = 'queued';
+    this.persistExecution(execution);
+
+    return { execution, turn };
+  }
+
+  /**
+   * Schedule a turn from continueExecution and wait for it. A turn that
+   * fails leaves the execution completed with the earlier turns' work.
+   * @param {Object} execution - Execution record
+   * @param {Object} turn - Turn record
+   * @returns {Promise<Object>} The execution record
+   */
+  startTurn(execution, turn) {
+    return this.schedule(execution, this.getWorkingDirectory(execution), () => this.runTurn(execution, turn))
+      .catch(error => {
+        // Aborted while waiting for a slot
+        if (turn.status === 'queued') {
+          turn.status = 'aborted';
+          turn.finishedAt = new Date().toISOString();
+          this.persistExecution(execution);
+        }
+        throw error;
+      });
+  }
+
+  async runTurn(execution, turn) {
     const { plan } = execution;
+    const workingDirectory = this.getWorkingDirectory(execution);
+    let fileWatcher = null;
+
+    turn.status = 'running';
+    turn.startedAt = new Date().toISOString();
+    execution.status = 'executing';
+    execution.finishedAt = null;
+    this.persistExecution(execution);
+
+    this.emitExecutionEvent('execution-started', execution, { turn: turn.number });
+
+    try {
+      execution.agent = createAgent(plan.agentName, { ...this.config.agents, toolApproval: plan.toolApproval || false });
+      execution.agent.conversationId = execution.conversation?.id || null;
+      this.attachAgent(execution, workingDirectory);
+
+      fileWatcher = await this.watchWorkingDirectory(execution, workingDirectory, (file) => {
+        if (!turn.modifiedFiles.includes(file)) {
+          turn.modifiedFiles.push(file);
+        }
+      });
+      this.updateProgress(execution, 10);
+
+      let prompt = turn.prompt;
+      if (turn.context) {
+        const { items } = turn.context;
+        const context = await resolveContext(workingDirectory, items, {
+          limits: this.config.context,
+          exclude: plan.settings?.exclude
+        });
+
+        turn.context = summarizeContext(items, context);
+        prompt = attachContext(prompt, execution.agent, context);
+      }
+
+      const agentOptions = getAgentOptions(plan);
+      const history = execution.turns
+        .filter(earlier => earlier !== turn && earlier.status === 'completed')
+        .map(earlier => ({ prompt: earlier.prompt, text: earlier.result?.text ?? null }));
+
+      const agentStartedAt = Date.now();
+      const result = await execution.agent.continueConversation(prompt, workingDirectory, {
+        ...agentOptions,
+        apply: true,
+        history
+      });
+
+      this.updateProgress(execution, 80);
+
+      turn.result = { success: result.success !== false, text: result.output ?? result.text ?? null };
+      turn.usage = withDuration(result.usage, Date.now() - agentStartedAt);
+      turn.modifiedFiles = [...new Set([...turn.modifiedFiles, ...(result.modifiedFiles || [])])];
+      execution.usage = addUsage(execution.usage, turn.usage);
+      execution.modifiedFiles = [...new Set([...execution.modifiedFiles, ...turn.modifiedFiles])];
+      // Resumed sessions may continue under a new ID
+      execution.conversation = { id: execution.agent.conversationId || execution.conversation?.id || null };
+
+      if (turn.modifiedFiles.length > 0 && this.shouldAutoCommit(plan)) {
+        const commitResult = await commitChanges(
+          workingDirectory,
+          `AI-generated changes: ${turn.prompt.substring(0, 50)}...`,
+          turn.modifiedFiles
+        );
+
+        execution.commitHash = commitResult.commit.hash;
+      }
+
+      execution.verification = await this.verifyExecution(execution, workingDirectory);
+      await this.runFixupLoop(execution, workingDirectory, agentOptions, {
+        turn,
+        history: [...history, { prompt: turn.prompt, text: turn.result.text }]
+      });
+
+      if (execution.status === 'aborted') {
+        throw new StateError('EXECUTION_ABORTED', 'Execution aborted');
+      }
+
+      turn.status = 'completed';
+
+    } catch (error) {
+      if (execution.status === 'aborted') {
+        turn.status = 'aborted';
+        throw error;
+      }
 
-    this.emit('execution-started', {
+      // The earlier turns' work is still there, so only the turn failed
+      turn.status = 'failed';
+      turn.error = error.message;
+      logger.warn(`Turn ${turn.number} of ${execution.id} failed: ${error.message}`);
+    } finally {
+      this.permissions.cancel(execution.id);
+      turn.finishedAt = new Date().toISOString();
+
+      if (execution.agent) {
+        try {
+          await execution.agent.cleanup();
+        } catch (cleanupError) {
+          logger.error(`Failed to cleanup agent:`, cleanupError);
+        }
+      }
+
+      if (fileWatcher) {
+        try {
+          await fileWatcher.close();
+        } catch (watcherError) {
+          logger.error(`Failed to close file watcher:`, watcherError);
+        }
+      }
+
+      this.persistExecution(execution);
+    }
+
+    // Stays continuable either way; the latest turn's outcome is kept apart
+    execution.status = 'completed';
+    execution.lastTurnStatus = turn.status;
+    execution.finishedAt = new Date().toISOString();
+    this.updateProgress(execution, 100);
+    this.persistExecution(execution);
+
+    this.emitExecutionEvent('execution-completed', execution, {
+      status: execution.status,
+      summary: turn.result?.text ?? null,
+      modifiedFiles: execution.modifiedFiles,
+      verification: execution.verification,
+      result: execution.result,
+      worktree: execution.worktree,
+      turn: { number: turn.number, status: turn.status, error: turn.error || null }
+    });
+
+    logger.info(`Turn ${turn.number} of ${execution.id} finished: ${turn.status}`);
+  }
+
+  /**
+   * Whether a live execution is using a worktree
+   * @param {string} worktreePath - Worktree path
+   * @returns {boolean}
+   */
+  isWorktreeInUse(worktreePath) {
+    for (const execution of this.activeExecutions.values()) {
+      if (!isTerminalStatus(execution.status) && execution.worktree?.worktreePath === worktreePath) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * IDs that let clients tell concurrent executions apart
+   * @param {Object} execution - Execution record
+   * @returns {Object}
+   */
+  getEventContext(execution) {
+    return {
       executionId: execution.id,
-      planId: execution.planId
+      planId: execution.planId,
+      sessionId: execution.sessionId,
+      agent: execution.plan?.agentName || execution.agentName || null,
+      branchName: execution.worktree?.branchName || null
+    };
+  }
+
+  emitExecutionEvent(event, execution, data = {}) {
+    this.emit(event, {
+      ...this.getEventContext(execution),
+      ...data
+    });
+  }
+
+  persistExecution(execution) {
+    if (!this.store) return;
+
+    this.store.saveExecution(execution).catch(error => {
+      logger.error(`Failed to persist execution ${execution.id}:`, error);
     });
+  }
+
+  recordOutput(execution, output) {
+    execution.output.push(output);
+
+    if (this.store) {
+      this.store.appendOutput(execution.id, output).catch(error => {
+        logger.error(`Failed to persist output for ${execution.id}:`, error);
+      });
+    }
+  }
+
+  async runExecution(execution) {
+    const { plan } = execution;
 
     execution.status = 'initializing';
+    execution.startedAt = new Date().toISOString();
+    this.persistExecution(execution);
+
+    this.emitExecutionEvent('execution-started', execution);
 
     // Use existing worktree from session initialization
     let worktree = execution.worktree || null;
     let fileWatcher = null;
 
     try {
-      // Only create new worktree if one doesn't already exist
-      if (!worktree) {
+      // The planning agent keeps working where it planned, so it needs no worktree
+      if (!worktree && !execution.reusePlanAgent) {
         // Pass null to auto-detect default branch
-        worktree = await createWorktree(plan.workdir, null);
+        worktree = await createWorktree(plan.workdir, plan.settings?.baseBranch || null);
         execution.worktree = worktree;
+        this.persistExecution(execution);
 
-        this.emit('worktree-created', {
-          executionId: execution.id,
+        this.emitExecutionEvent('worktree-created', execution, {
           worktreePath: worktree.worktreePath,
           branchName: worktree.branchName
         });
 
         // Scan initial file structure
-        const files = await scanDirectory(worktree.worktreePath);
-        this.emit('file-list', {
-          executionId: execution.id,
-          files
-        });
+        const files = await scanDirectory(worktree.worktreePath, { exclude: plan.settings?.exclude });
+        this.emitExecutionEvent('file-list', execution, { files });
       }
 
-      // Create agent with worktree path
-      execution.agent = createAgent(plan.agentName, this.config.agents);
+      const workingDirectory = this.getWorkingDirectory(execution);
 
-      execution.agent.on('output', (output) => {
-        execution.output.push(output);
-        this.emit('agent-output', {
-          executionId: execution.id,
-          ...output
-        });
-      });
+      if (execution.reusePlanAgent) {
+        if (!plan.agent) {
+          throw new StateError('NO_ACTIVE_AGENT', 'Agent not found - plan may have expired');
+        }
 
-      execution.agent.on('state-change', (stateData) => {
-        this.emit('agent-state-change', {
-          executionId: execution.id,
-          ...stateData
-        });
-      });
+        // The planning agent already read the context with the plan
+        execution.context = plan.context || null;
+
+        // Take over the planning agent; its planner listeners only reach
+        // the client that requested the plan
+        execution.agent = plan.agent;
+        execution.agent.removeAllListeners('output');
+        execution.agent.removeAllListeners('event');
+        execution.agent.removeAllListeners('state-change');
+      } else {
+        // Create agent with worktree path
+        execution.agent = createAgent(plan.agentName, { ...this.config.agents, toolApproval: plan.toolApproval || false });
+      }
 
-      // Watch for file changes in worktree
-      fileWatcher = await watchDirectory(
-        worktree.worktreePath,
-        (changeData) => {
-          if (!execution.modifiedFiles.includes(changeData.file)) {
-            execution.modifiedFiles.push(changeData.file);
-          }
+      this.attachAgent(execution, workingDirectory);
 
-          this.emit('file-diff', {
-            executionId: execution.id,
-            ...changeData
-          });
-        }
-      );
+      // Written before the watcher starts, so the map file is not a change
+      const repoMap = execution.reusePlanAgent ? null : await this.prepareRepoMap(execution, workingDirectory);
+
+      fileWatcher = await this.watchWorkingDirectory(execution, workingDirectory);
 
       execution.status = 'executing';
+      this.persistExecution(execution);
       this.updateProgress(execution, 10);
 
-      const result = await execution.agent.executePrompt(
-        plan.prompt,
-        worktree.worktreePath,  // Execute in worktree
-        {
-          ...plan.options,
-          apply: true,
-          onOutput: (output) => {
-            this.emit('agent-output', {
-              executionId: execution.id,
-              type: 'stdout',
-              data: output
-            });
-          },
-          onError: (error) => {
-            this.emit('agent-output', {
-              executionId: execution.id,
-              type: 'stderr',
-              data: error
-            });
+      const agentOptions = getAgentOptions(plan);
+
+      // Context is read from the worktree, where the agent will see the same files
+      let prompt = plan.prompt;
+      if (execution.context && !execution.reusePlanAgent) {
+        const { items } = execution.context;
+        const context = await resolveContext(workingDirectory, items, {
+          limits: this.config.context,
+          exclude: plan.settings?.exclude
+        });
+
+        execution.context = summarizeContext(items, context);
+        this.persistExecution(execution);
+        prompt = attachContext(prompt, execution.agent, context);
+      }
+
+      prompt = attachRepoMap(prompt, repoMap, execution.repoMap?.mode);
+
+      const agentStartedAt = Date.now();
+      const result = execution.reusePlanAgent
+        ? await execution.agent.approvePlan()
+        : await execution.agent.executePrompt(
+          prompt,
+          worktree.worktreePath,  // Execute in worktree
+          {
+            ...agentOptions,
+            apply: true
           }
-        }
-      );
+        );
 
       this.updateProgress(execution, 80);
 
       execution.result = result;
+      execution.usage = withDuration(result.usage, Date.now() - agentStartedAt);
       execution.modifiedFiles = [...new Set([...execution.modifiedFiles, ...(result.modifiedFiles || [])])];
 
       if (execution.modifiedFiles.length > 0) {
         this.updateProgress(execution, 90);
 
-        if (this.config.git?.autoCommit) {
+        if (this.shouldAutoCommit(plan)) {
           const commitResult = await commitChanges(
-            worktree.worktreePath,
+            workingDirectory,
             `AI-generated changes: ${plan.prompt.substring(0, 50)}...`,
             execution.modifiedFiles
           );
@@ -181,18 +541,34 @@ export class ExecutionOrchestrator extends EventEmitter {
         }
       }
 
+      execution.verification = await this.verifyExecution(execution, workingDirectory);
+      await this.runFixupLoop(execution, workingDirectory, agentOptions);
+
+      if (execution.status === 'aborted') {
+        throw new StateError('EXECUTION_ABORTED', 'Execution aborted');
+      }
+
       execution.status = 'completed';
       execution.finishedAt = new Date().toISOString();
       this.updateProgress(execution, 100);
+      recordFirstTurn(execution);
 
       plan.executed = true;
       plan.executedAt = new Date().toISOString();
-      this.planner?.activePlans?.delete(plan.id);
+      plan.executionId = execution.id;
+
+      // Compare runs have no stored plan of their own
+      if (plan.id) {
+        this.planner?.persistPlan?.(plan);
+        this.planner?.activePlans?.delete(plan.id);
+      }
+      this.persistExecution(execution);
 
-      this.emit('execution-completed', {
-        executionId: execution.id,
-        planId: execution.planId,
+      this.emitExecutionEvent('execution-completed', execution, {
+        status: execution.status,
+        summary: result.output ?? result.text,
         modifiedFiles: execution.modifiedFiles,
+        verification: execution.verification,
         result: execution.result,
         worktree: worktree
       });
@@ -200,19 +576,26 @@ export class ExecutionOrchestrator extends EventEmitter {
       logger.info(`Execution completed: ${execution.id}`);
 
     } catch (error) {
-      execution.status = 'failed';
-      execution.error = error.message;
-      execution.finishedAt = new Date().toISOString();
-
-      this.emit('execution-failed', {
-        executionId: execution.id,
-        planId: execution.planId,
-        error: error.message
+      if (execution.status !== 'aborted') {
+        execution.status = 'failed';
+        execution.error = error.message;
+      }
+      execution.finishedAt = execution.finishedAt || new Date().toISOString();
+      recordFirstTurn(execution);
+      this.persistExecution(execution);
+
+      const failure = describeError(error, { fallbackCode: 'AGENT_FAILED' });
+      this.emitExecutionEvent('execution-failed', execution, {
+        error: failure.message,
+        code: failure.code,
+        retryable: failure.retryable
       });
 
       logger.error(`Execution failed: ${execution.id}`, error);
       throw error;
     } finally {
+      this.permissions.cancel(execution.id);
+
       // Cleanup
       if (execution.agent) {
         try {
@@ -231,7 +614,7 @@ export class ExecutionOrchestrator extends EventEmitter {
       }
 
       // Auto-cleanup worktree only on failure, keep on success for PR creation
-      if (execution.status === 'failed' && worktree) {
+      if (execution.status === 'failed' && worktree && !execution.reusePlanAgent) {
         try {
           await deleteWorktree(
             plan.workdir,
@@ -239,6 +622,12 @@ export class ExecutionOrchestrator extends EventEmitter {
             worktree.branchName,
             true  // force delete
           );
+          this.emitExecutionEvent('worktree-deleted', execution, {
+            worktreePath: worktree.worktreePath,
+            branchName: worktree.branchName
+          });
+          execution.worktree = null;
+          this.persistExecution(execution);
           logger.info(`Auto-cleaned failed execution worktree: ${worktree.branchName}`);
         } catch (worktreeError) {
           logger.error(`Failed to auto-cleanup worktree:`, worktreeError);
@@ -250,6 +639,63 @@ export class ExecutionOrchestrator extends EventEmitter {
     }
   }
 
+  /**
+   * Directory the execution's agent works in: the worktree, or the
+   * repository itself for runs that continued the planning agent
+   * @param {Object} execution - Execution record
+   * @returns {string}
+   */
+  getWorkingDirectory(execution) {
+    return execution.reusePlanAgent ? execution.plan.workdir : execution.worktree.worktreePath;
+  }
+
+  /**
+   * Forward the agent's output and events to the execution's subscribers
+   * and route its tool calls through the permission gate when the plan asks
+   * @param {Object} execution - Execution record with its agent
+   * @param {string} cwd - Working directory
+   */
+  attachAgent(execution, cwd) {
+    if (execution.plan.toolApproval) {
+      execution.agent.permissionHandler = (call) => this.permissions.check(this.getEventContext(execution), call, cwd);
+    }
+
+    execution.agent.on('output', (output) => {
+      this.recordOutput(execution, output);
+      this.emitExecutionEvent('agent-output', execution, output);
+    });
+
+    execution.agent.on('event', (event) => {
+      this.emitExecutionEvent('agent-event', execution, { event });
+    });
+
+    execution.agent.on('state-change', (stateData) => {
+      this.emitExecutionEvent('agent-state-change', execution, stateData);
+    });
+  }
+
+  /**
+   * Watch for file changes where the agent is working
+   * @param {Object} execution - Execution record
+   * @param {string} cwd - Working directory
+   * @param {Function} onFile - Also called with each changed file
+   * @returns {Promise<Object>} The watcher
+   */
+  watchWorkingDirectory(execution, cwd, onFile = null) {
+    return watchDirectory(
+      cwd,
+      (changeData) => {
+        if (!execution.modifiedFiles.includes(changeData.file)) {
+          execution.modifiedFiles.push(changeData.file);
+        }
+        onFile?.(changeData.file);
+
+        this.emitExecutionEvent('file-diff', execution, changeData);
+      },
+      { exclude: execution.plan.settings?.exclude }
+    );
+  }
+
   async startFileWatching(workdir, files, onChange) {
     const { watch } = await import('chokidar');
 
@@ -280,47 +726,338 @@ export class ExecutionOrchestrator extends EventEmitter {
     return watcher;
   }
 
+  /**
+   * Run the repository's verify commands where the agent made its changes
+   * @param {Object} execution - Execution record
+   * @param {string} cwd - Worktree (or workdir) the agent worked in
+   * @returns {Promise<Object|null>} Verification result, or null when nothing is configured
+   */
+  async verifyExecution(execution, cwd) {
+    if (this.config.verification?.enabled === false) {
+      return null;
+    }
+
+    // Only the commands resolved at init-session count: a config in the
+    // worktree is whatever the agent left there
+    const verifyConfig = execution.plan.settings?.verify;
+    if (!verifyConfig || verifyConfig.commands.length === 0) {
+      return null;
+    }
+
+    execution.status = 'verifying';
+    this.persistExecution(execution);
+    this.updateProgress(execution, 95);
+
+    const controller = new AbortController();
+    this.verificationControllers.set(execution.id, controller);
+
+    try {
+      const verification = await runVerification(cwd, verifyConfig.commands, {
+        timeout: this.config.verification?.timeout,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          if (progress.stage === 'output') {
+            this.recordOutput(execution, {
+              type: 'verification',
+              stream: progress.stream,
+              step: progress.name,
+              data: progress.data,
+              timestamp: new Date().toISOString()
+            });
+          }
+
+          this.emitExecutionEvent('verification-progress', execution, progress);
+        }
+      });
+
+      verification.onFailure = verifyConfig.onFailure;
+      return verification;
+    } finally {
+      this.verificationControllers.delete(execution.id);
+    }
+  }
+
+  /**
+   * Resolve whether the agent gets a repository map. Off unless enabled in
+   * the bridge config or requested per execution.
+   * @param {Object} plan - Plan being executed
+   * @returns {{enabled: boolean, mode: string, maxBytes: number, recentCommits: number}}
+   */
+  getRepoMapSettings(plan) {
+    const { enabled, ...defaults } = this.config.repoMap || {};
+    const requested = plan.options?.repoMap;
+
+    return {
+      ...defaults,
+      enabled: typeof requested === 'boolean' ? requested : Boolean(enabled)
+    };
+  }
+
+  /**
+   * Build or reuse the map of the worktree's commit and, in file mode, write
+   * it into the worktree. A map that cannot be built does not stop the
+   * execution.
+   * @param {Object} execution - Execution record
+   * @param {string} cwd - Worktree
+   * @returns {Promise<Object|null>} The map, or null when there is none
+   */
+  async prepareRepoMap(execution, cwd) {
+    const { plan } = execution;
+    const { enabled, mode = 'prompt', ...options } = this.getRepoMapSettings(plan);
+    if (!enabled) {
+      return null;
+    }
+
+    try {
+      const map = await this.repoMaps.get(cwd, { ...options, exclude: plan.settings?.exclude });
+      const file = mode === 'file' ? await writeRepoMapFile(cwd, map) : null;
+
+      execution.repoMap = {
+        mode,
+        commit: map.commit,
+        bytes: map.bytes,
+        truncated: map.truncated,
+        cached: map.cached,
+        file
+      };
+      this.persistExecution(execution);
+
+      return map;
+    } catch (error) {
+      logger.warn(`Repository map skipped for ${execution.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve whether failed verifications are handed back to the agent.
+   * Off unless enabled in the bridge config or requested per execution;
+   * a request can lower the iteration limit but not raise it.
+   * @param {Object} plan - Plan being executed
+   * @returns {{enabled: boolean, maxIterations: number, outputLimit: number}}
+   */
+  getFixupSettings(plan) {
+    const defaults = this.config.verification?.fixup || {};
+    const requested = plan.options?.fixup;
+    // A configured 0 means no fix-ups, not the default
+    const limit = defaults.maxIterations ?? 3;
+
+    const enabled = requested === undefined || requested === null
+      ? Boolean(defaults.enabled)
+      : requested !== false;
+
+    const maxIterations = Number.isInteger(requested?.maxIterations)
+      ? Math.min(Math.max(requested.maxIterations, 0), limit)
+      : limit;
+
+    return { enabled, maxIterations, outputLimit: defaults.outputLimit || 4000 };
+  }
+
+  /**
+   * Feed failing verification output back to the agent until the checks
+   * pass or the iteration limit is reached. Each iteration's diff, agent
+   * result and verification outcome are kept on execution.fixups. Fix-ups
+   * continue the agent's conversation, so they build on what it just did.
+   * @param {Object} execution - Execution record
+   * @param {string} cwd - Worktree (or workdir) the agent works in
+   * @param {Object} agentOptions - Options the agent ran with
+   * @param {Object} conversation - { turn, history } when fixing a follow-up turn
+   */
+  async runFixupLoop(execution, cwd, agentOptions, { turn = null, history = [] } = {}) {
+    const settings = this.getFixupSettings(execution.plan);
+    const task = turn ? turn.prompt : execution.plan.prompt;
+
+    if (!settings.enabled || execution.verification?.status !== 'failed') {
+      return;
+    }
+
+    execution.fixups = execution.fixups || [];
+
+    for (let iteration = 1; iteration <= settings.maxIterations; iteration++) {
+      const prompt = buildFixupPrompt(task, execution.verification, settings.outputLimit);
+
+      // Config errors and aborted steps are not something the agent can fix
+      if (!prompt || execution.status === 'aborted') {
+        return;
+      }
+
+      const fixupRecord = {
+        turn: turn ? turn.number : 1,
+        iteration,
+        prompt,
+        failedStep: execution.verification.steps.find(step => step.status === 'failed').name,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        result: null,
+        diff: null,
+        verification: null
+      };
+      execution.fixups.push(fixupRecord);
+
+      execution.status = 'fixing';
+      this.persistExecution(execution);
+      this.emitExecutionEvent('fixup-progress', execution, {
+        stage: 'started',
+        turn: fixupRecord.turn,
+        iteration,
+        maxIterations: settings.maxIterations,
+        failedStep: fixupRecord.failedStep
+      });
+
+      const before = await snapshotWorktree(cwd).catch(() => null);
+
+      const agentStartedAt = Date.now();
+
+      try {
+        const result = await execution.agent.continueConversation(prompt, cwd, {
+          ...agentOptions,
+          apply: true,
+          history
+        });
+
+        fixupRecord.result = {
+          success: result.success !== false,
+          text: result.output ?? result.text ?? null
+        };
+        fixupRecord.usage = withDuration(result.usage, Date.now() - agentStartedAt);
+        execution.usage = addUsage(execution.usage, fixupRecord.usage);
+        addFixupFiles(execution, turn, result.modifiedFiles);
+        if (turn) {
+          turn.usage = addUsage(turn.usage, fixupRecord.usage);
+        }
+      } catch (error) {
+        if (execution.status === 'aborted') {
+          throw error;
+        }
+
+        // The first run succeeded, so a crashed fix-up only ends the loop
+        fixupRecord.status = 'failed';
+        fixupRecord.error = error.message;
+        fixupRecord.finishedAt = new Date().toISOString();
+        this.persistExecution(execution);
+        this.emitExecutionEvent('fixup-progress', execution, {
+          stage: 'finished',
+          turn: fixupRecord.turn,
+          iteration,
+          status: fixupRecord.status,
+          error: error.message
+        });
+        logger.warn(`Fix-up ${iteration} for ${execution.id} failed: ${error.message}`);
+        return;
+      }
+
+      if (before) {
+        try {
+          const diff = await diffSnapshots(cwd, before, await snapshotWorktree(cwd));
+          if (diff.patch.length > MAX_FIXUP_PATCH_CHARS) {
+            diff.patch = diff.patch.slice(0, MAX_FIXUP_PATCH_CHARS);
+            diff.truncated = true;
+          }
+          fixupRecord.diff = diff;
+          addFixupFiles(execution, turn, diff.files);
+        } catch (error) {
+          logger.warn(`Could not record fix-up diff for ${execution.id}: ${error.message}`);
+        }
+      }
+
+      if (this.shouldAutoCommit(execution.plan) && fixupRecord.diff?.files.length > 0) {
+        const commitResult = await commitChanges(
+          cwd,
+          `Fix ${fixupRecord.failedStep} (attempt ${iteration})`,
+          fixupRecord.diff.files
+        );
+
+        execution.commitHash = commitResult.commit.hash;
+      }
+
+      execution.verification = await this.verifyExecution(execution, cwd);
+      fixupRecord.verification = execution.verification?.status || null;
+      fixupRecord.status = fixupRecord.verification === 'passed' ? 'fixed' : 'unresolved';
+      fixupRecord.finishedAt = new Date().toISOString();
+      this.persistExecution(execution);
+
+      this.emitExecutionEvent('fixup-progress', execution, {
+        stage: 'finished',
+        turn: fixupRecord.turn,
+        iteration,
+        status: fixupRecord.status,
+        verification: fixupRecord.verification,
+        diff: fixupRecord.diff ? {
+          files: fixupRecord.diff.files,
+          insertions: fixupRecord.diff.insertions,
+          deletions: fixupRecord.diff.deletions
+        } : null
+      });
+
+      if (fixupRecord.status === 'fixed') {
+        logger.info(`Verification fixed for ${execution.id} after ${iteration} fix-up(s)`);
+        return;
+      }
+    }
+  }
+
+  shouldAutoCommit(plan) {
+    return plan.settings?.git?.autoCommit ?? this.config.git?.autoCommit;
+  }
+
   updateProgress(execution, progress) {
     execution.progress = progress;
-    this.emit('execution-progress', {
-      executionId: execution.id,
-      progress
-    });
+    this.emitExecutionEvent('execution-progress', execution, { progress });
   }
 
   async generatePR(executionId, options = {}) {
-    const execution = this.activeExecutions.get(executionId);
+    const execution = this.getExecution(executionId);
 
     if (!execution) {
-      throw new Error('Execution not found');
+      throw new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found');
     }
 
     if (execution.status !== 'completed') {
-      throw new Error('Execution not completed');
+      throw new StateError('EXECUTION_NOT_COMPLETED', 'Execution not completed');
     }
 
     if (!execution.worktree) {
-      throw new Error('No worktree associated with execution');
+      throw new NotFoundError('WORKTREE_NOT_FOUND', 'No worktree associated with execution');
+    }
+
+    const { force, ...requestOptions } = options;
+    let verificationWarning = null;
+
+    if (execution.verification?.status === 'failed') {
+      if (execution.verification.onFailure !== 'warn' && !force) {
+        throw new StateError('VERIFICATION_FAILED', 'Verification failed - fix the failing checks or pass force to create the PR anyway', {
+          details: { failedSteps: execution.verification.steps.filter(step => step.status === 'failed').map(step => step.name) }
+        });
+      }
+
+      verificationWarning = `Verification failed: ${getFailedStepNames(execution.verification)}`;
+      logger.warn(`Creating PR for ${executionId} despite failed verification`);
     }
 
     try {
+      const settings = execution.plan.settings;
       const prOptions = {
         prompt: execution.plan.prompt,
         plan: execution.plan.plan,
         modifiedFiles: execution.modifiedFiles,
         executionSummary: this.generateExecutionSummary(execution),
-        ...options
+        template: settings?.pr?.template || null,
+        ...requestOptions,
+        baseBranch: requestOptions.baseBranch || settings?.baseBranch || execution.worktree.baseBranch
       };
 
       // Generate PR from worktree
       const pr = await generatePullRequest(execution.worktree.worktreePath, prOptions);
 
+      if (verificationWarning) {
+        pr.verificationWarning = verificationWarning;
+      }
+
       execution.pullRequest = pr;
+      this.persistExecution(execution);
 
-      this.emit('pr-created', {
-        executionId: execution.id,
-        pr
-      });
+      this.emitExecutionEvent('pr-created', execution, { pr });
 
       return pr;
     } catch (error) {
@@ -330,15 +1067,15 @@ export class ExecutionOrchestrator extends EventEmitter {
   }
 
   async cleanupWorktree(executionId) {
-    const execution = this.activeExecutions.get(executionId);
+    const execution = this.getExecution(executionId);
 
     if (!execution) {
-      throw new Error('Execution not found');
+      throw new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found');
     }
 
     // Prevent cleanup while execution is still running
-    if (execution.status === 'executing' || execution.status === 'initializing') {
-      throw new Error('Cannot cleanup worktree while execution is still running');
+    if (['initializing', 'executing', 'verifying', 'fixing'].includes(execution.status)) {
+      throw new StateError('EXECUTION_RUNNING', 'Cannot cleanup worktree while execution is still running');
     }
 
     if (!execution.worktree) {
@@ -354,13 +1091,14 @@ export class ExecutionOrchestrator extends EventEmitter {
         true  // force delete
       );
 
-      this.emit('worktree-deleted', {
-        executionId: execution.id,
+      this.emitExecutionEvent('worktree-deleted', execution, {
         worktreePath: execution.worktree.worktreePath,
         branchName: execution.worktree.branchName
       });
 
       execution.worktree = null;
+      execution.worktreeDeletedAt = new Date().toISOString();
+      this.persistExecution(execution);
 
       logger.info(`Worktree cleaned up for execution ${executionId}`);
     } catch (error) {
@@ -388,6 +1126,13 @@ export class ExecutionOrchestrator extends EventEmitter {
       summary.push(`**Commit:** ${execution.commitHash}`);
     }
 
+    if (execution.verification) {
+      summary.push(`**Verification:** ${execution.verification.status}`);
+      execution.verification.steps.forEach(step => {
+        summary.push(`- ${step.name}: ${step.status}`);
+      });
+    }
+
     return summary.join('\n');
   }
 
@@ -406,36 +1151,126 @@ export class ExecutionOrchestrator extends EventEmitter {
     return `${minutes}m ${seconds}s`;
   }
 
+  /**
+   * Look up an execution, falling back to persisted records from earlier
+   * bridge runs (these have no live agent attached)
+   */
   getExecution(executionId) {
-    return this.activeExecutions.get(executionId);
+    return this.activeExecutions.get(executionId) || this.store?.getExecution(executionId) || null;
   }
 
   getActiveExecutions() {
     return Array.from(this.activeExecutions.values());
   }
 
-  async abortExecution(executionId) {
+  /**
+   * List every known execution, live records taking precedence over stored ones
+   * @returns {Array<Object>}
+   */
+  listExecutions() {
+    const executions = new Map();
+
+    for (const record of this.store?.listExecutions() || []) {
+      executions.set(record.id, record);
+    }
+
+    for (const execution of this.activeExecutions.values()) {
+      executions.set(execution.id, execution);
+    }
+
+    return Array.from(executions.values());
+  }
+
+  /**
+   * Query execution history
+   * @param {Object} filters - { sessionId, agent, status, workdir, from, to, limit, offset }
+   */
+  queryExecutions(filters = {}) {
+    return queryExecutions(this.listExecutions(), filters);
+  }
+
+  /**
+   * Token, cost and time totals of plans and executions
+   * @param {Object} filters - { sessionId, from, to }
+   */
+  getUsage(filters = {}) {
+    return summarizeUsage(this.planner?.listPlans() || [], this.listExecutions(), filters);
+  }
+
+  /**
+   * Full details for one execution, optionally with its output log
+   * @param {string} executionId - Execution ID
+   * @param {Object} options - { includeOutput }
+   * @returns {Promise<Object|null>}
+   */
+  async getExecutionDetails(executionId, options = {}) {
+    const execution = this.getExecution(executionId);
+
+    if (!execution) {
+      return null;
+    }
+
+    const details = {
+      ...summarizeExecution(execution),
+      progress: execution.progress,
+      result: execution.result ? {
+        text: execution.result.text ?? execution.result.output ?? null,
+        success: execution.result.success
+      } : null,
+      verification: execution.verification || null,
+      fixups: execution.fixups || [],
+      turns: execution.turns || [],
+      lastTurnStatus: execution.lastTurnStatus || null,
+      conversation: execution.conversation || null,
+      planMetadata: execution.plan?.metadata || null,
+      backupBranch: execution.plan?.backupBranch || null
+    };
+
+    if (options.includeOutput) {
+      details.output = await this.getExecutionOutput(executionId);
+    }
+
+    return details;
+  }
+
+  async getExecutionOutput(executionId) {
     const execution = this.activeExecutions.get(executionId);
 
+    if (execution) {
+      return execution.output;
+    }
+
+    return this.store ? this.store.readOutput(executionId) : [];
+  }
+
+  async abortExecution(executionId) {
+    const execution = this.getExecution(executionId);
+
     if (!execution) {
-      throw new Error('Execution not found');
+      throw new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found');
     }
 
-    if (execution.status === 'completed' || execution.status === 'failed') {
-      throw new Error('Execution already finished');
+    if (isTerminalStatus(execution.status)) {
+      throw new StateError('EXECUTION_FINISHED', 'Execution already finished');
     }
 
     try {
+      this.permissions.cancel(execution.id, 'Execution aborted');
+
       if (execution.agent) {
         await execution.agent.kill();
       }
 
       execution.status = 'aborted';
       execution.finishedAt = new Date().toISOString();
+      this.persistExecution(execution);
 
-      this.emit('execution-aborted', {
-        executionId: execution.id
-      });
+      this.verificationControllers.get(execution.id)?.abort();
+
+      // A run still waiting for a slot must never start
+      this.scheduler.cancel(execution.id, 'Execution aborted');
+
+      this.emitExecutionEvent('execution-aborted', execution);
 
       logger.info(`Execution aborted: ${execution.id}`);
 
@@ -446,46 +1281,17 @@ export class ExecutionOrchestrator extends EventEmitter {
     }
   }
 
-  enqueueExecution(sessionId, task) {
-    if (!this.executionQueues.has(sessionId)) {
-      this.executionQueues.set(sessionId, []);
-    }
-
-    const queue = this.executionQueues.get(sessionId);
-
-    return new Promise((resolve, reject) => {
-      const entry = {};
-      entry.run = async () => {
-        try {
-          const result = await task();
-          resolve(result);
-        } catch (error) {
-          reject(error);
-        } finally {
-          queue.shift();
-          if (queue.length > 0) {
-            queue[0].run();
-          } else {
-            this.executionQueues.delete(sessionId);
-          }
-        }
-      };
-
-      entry.reject = reject;
-
-      queue.push(entry);
-
-      if (queue.length === 1) {
-        entry.run();
-      }
-    });
-  }
-
   async emergencyStop(reason = 'Emergency kill switch activated') {
     const abortedExecutions = [];
     const executions = Array.from(this.activeExecutions.values());
 
     for (const execution of executions) {
+      // Finished runs keep their recorded outcome
+      if (isTerminalStatus(execution.status)) {
+        this.activeExecutions.delete(execution.id);
+        continue;
+      }
+
       try {
         if (execution.agent) {
           await execution.agent.kill();
@@ -497,28 +1303,70 @@ export class ExecutionOrchestrator extends EventEmitter {
       execution.status = 'aborted';
       execution.error = reason;
       execution.finishedAt = new Date().toISOString();
+      this.persistExecution(execution);
+      this.verificationControllers.get(execution.id)?.abort();
       abortedExecutions.push(execution.id);
 
-      this.emit('execution-aborted', {
-        executionId: execution.id,
-        reason
-      });
+      this.emitExecutionEvent('execution-aborted', execution, { reason });
 
       this.activeExecutions.delete(execution.id);
     }
 
-    for (const [sessionId, queue] of this.executionQueues.entries()) {
-      queue.forEach((entry, index) => {
-        if (index === 0) {
-          return;
-        }
+    this.scheduler.cancelPending(reason);
 
-        entry.reject(new Error(reason));
-      });
+    return abortedExecutions;
+  }
+}
 
-      this.executionQueues.delete(sessionId);
-    }
+/**
+ * The execution's own run as the first turn of its conversation
+ * @param {Object} execution - Execution record with its final status
+ * @returns {Object} Turn record
+ */
+function firstTurn(execution) {
+  const { result } = execution;
+
+  return {
+    number: 1,
+    prompt: execution.plan.prompt,
+    status: execution.status,
+    startedAt: execution.startedAt,
+    finishedAt: execution.finishedAt || new Date().toISOString(),
+    result: result ? { success: result.success !== false, text: result.output ?? result.text ?? null } : null,
+    usage: execution.usage || null,
+    modifiedFiles: [...execution.modifiedFiles],
+    ...(execution.error ? { error: execution.error } : {})
+  };
+}
 
-    return abortedExecutions;
+// Taken once verification and fix-ups are done, so the turn has the run's outcome
+function recordFirstTurn(execution) {
+  execution.conversation = { id: execution.agent?.conversationId || null };
+  execution.turns = [firstTurn(execution)];
+}
+
+// Fix-up changes belong to the execution and to the turn they fixed
+function addFixupFiles(execution, turn, files = []) {
+  execution.modifiedFiles = [...new Set([...execution.modifiedFiles, ...files])];
+  if (turn) {
+    turn.modifiedFiles = [...new Set([...turn.modifiedFiles, ...files])];
   }
 }
+
+// Planning callbacks and bridge settings are not agent options
+function getAgentOptions(plan) {
+  const { onOutput, onEvent, onStateChange, fixup, repoMap, permissions, ...agentOptions } = plan.options || {};
+  return agentOptions;
+}
+
+function getFailedStepNames(verification) {
+  const failed = verification.steps
+    .filter(step => step.status === 'failed' || step.status === 'aborted')
+    .map(step => step.name);
+
+  return failed.length > 0 ? failed.join(', ') : verification.error || 'unknown error';
+}
+
+function contextRequest(items) {
+  return items?.length > 0 ? { items } : null;
+}
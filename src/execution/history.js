@@ -0,0 +1,161 @@
+import path from 'path';
+import { ValidationError } from '../utils/errors.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Filter, sort and paginate execution records
+ * @param {Array<Object>} executions - Live or persisted execution records
+ * @param {Object} filters - { sessionId, agent, status, workdir, from, to, limit, offset }
+ * @returns {{executions: Array<Object>, total: number, limit: number, offset: number}}
+ */
+export function queryExecutions(executions, filters = {}) {
+  const criteria = normalizeFilters(filters);
+
+  const matching = executions
+    .filter(execution => matchesFilters(execution, criteria))
+    .sort((a, b) => getStartTime(b) - getStartTime(a));
+
+  return {
+    executions: matching
+      .slice(criteria.offset, criteria.offset + criteria.limit)
+      .map(summarizeExecution),
+    total: matching.length,
+    limit: criteria.limit,
+    offset: criteria.offset
+  };
+}
+
+/**
+ * Reduce an execution record to the fields clients need for history views
+ * @param {Object} execution - Live or persisted execution record
+ * @returns {Object}
+ */
+export function summarizeExecution(execution) {
+  const plan = execution.plan || {};
+  const worktree = execution.worktree;
+
+  return {
+    id: execution.id,
+    planId: execution.planId,
+    comparisonId: execution.comparisonId || null,
+    sessionId: execution.sessionId,
+    agent: execution.agentName || plan.agentName || null,
+    status: execution.status,
+    workdir: plan.workdir || null,
+    prompt: plan.prompt || null,
+    plan: plan.plan || null,
+    modifiedFiles: execution.modifiedFiles || [],
+    commitHash: execution.commitHash || null,
+    verification: execution.verification?.status || null,
+    worktree: worktree ? {
+      worktreePath: worktree.worktreePath,
+      branchName: worktree.branchName,
+      baseBranch: worktree.baseBranch
+    } : null,
+    pullRequest: execution.pullRequest?.url || null,
+    error: execution.error || null,
+    queuedAt: execution.queuedAt || null,
+    startedAt: execution.startedAt || null,
+    finishedAt: execution.finishedAt || null,
+    durationMs: getDurationMs(execution),
+    usage: execution.usage || null
+  };
+}
+
+export function getDurationMs(execution) {
+  if (!execution.startedAt) {
+    return null;
+  }
+
+  const start = new Date(execution.startedAt).getTime();
+  const end = execution.finishedAt ? new Date(execution.finishedAt).getTime() : Date.now();
+
+  return Math.max(0, end - start);
+}
+
+export function normalizeFilters(filters = {}) {
+  const limit = parseInteger(filters.limit, DEFAULT_PAGE_SIZE, 'limit');
+  const offset = parseInteger(filters.offset, 0, 'offset');
+
+  return {
+    sessionId: filters.sessionId || null,
+    agent: filters.agent || null,
+    status: toList(filters.status),
+    workdir: filters.workdir ? path.resolve(filters.workdir) : null,
+    from: parseDate(filters.from, 'from'),
+    to: parseDate(filters.to, 'to'),
+    limit: Math.min(Math.max(limit, 1), MAX_PAGE_SIZE),
+    offset: Math.max(offset, 0)
+  };
+}
+
+function matchesFilters(execution, criteria) {
+  const plan = execution.plan || {};
+
+  if (criteria.sessionId && execution.sessionId !== criteria.sessionId) {
+    return false;
+  }
+
+  if (criteria.agent && (execution.agentName || plan.agentName) !== criteria.agent) {
+    return false;
+  }
+
+  if (criteria.status && !criteria.status.includes(execution.status)) {
+    return false;
+  }
+
+  if (criteria.workdir && (!plan.workdir || path.resolve(plan.workdir) !== criteria.workdir)) {
+    return false;
+  }
+
+  const startTime = getStartTime(execution);
+
+  if (criteria.from !== null && startTime < criteria.from) {
+    return false;
+  }
+
+  if (criteria.to !== null && startTime > criteria.to) {
+    return false;
+  }
+
+  return true;
+}
+
+function getStartTime(execution) {
+  const timestamp = execution.startedAt || execution.queuedAt;
+  return timestamp ? new Date(timestamp).getTime() : 0;
+}
+
+function toList(value) {
+  if (!value) return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new ValidationError('INVALID_QUERY', `Invalid ${name} date: ${value}`);
+  }
+
+  return time;
+}
+
+function parseInteger(value, fallback, name) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) {
+    throw new ValidationError('INVALID_QUERY', `Invalid ${name}: ${value}`);
+  }
+
+  return parsed;
+}
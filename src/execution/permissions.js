@@ -0,0 +1,212 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { globToRegExp } from '../utils/file-scanner.js';
+import { NotFoundError } from '../utils/errors.js';
+
+export { PERMISSION_MODES, PERMISSION_DECISIONS } from '../protocols/schemas.js';
+
+export const DEFAULT_PERMISSIONS = {
+  mode: 'auto',
+  // Commands that run without asking: exact, or a prefix ending in "*"
+  allowCommands: [],
+  // Files in the working directory that may be written without asking
+  allowPaths: [],
+  timeout: 300000 // 5 minutes, then the call is denied
+};
+
+// Tools that edit files, and the input naming the file
+const FILE_EDIT_TOOLS = {
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  Write: 'file_path',
+  NotebookEdit: 'notebook_path'
+};
+
+const SHELL_TOOLS = ['Bash'];
+
+// Chaining, pipes, substitutions and redirections: an allow-listed prefix
+// says nothing about what else such a command line runs
+const SHELL_CONTROL = /[;&|`<>\n\r]|\$[({]/;
+
+// Enough of a diff to decide on; the client can open the file for the rest
+const MAX_DIFF_LENGTH = 20000;
+
+/**
+ * What a tool call would do, for the calls that need approval
+ * @param {Object} call - { id, tool, input }
+ * @param {string} workdir - Directory the agent works in
+ * @returns {Object|null} { kind: 'shell-command', command } or
+ *   { kind: 'file-edit', path, outsideWorkdir, diff }; null for other tools
+ */
+export function describeToolCall(call, workdir) {
+  const input = call.input || {};
+
+  if (SHELL_TOOLS.includes(call.tool) && typeof input.command === 'string') {
+    return { kind: 'shell-command', command: input.command };
+  }
+
+  const field = FILE_EDIT_TOOLS[call.tool];
+  if (field && typeof input[field] === 'string') {
+    const relative = path.relative(workdir, path.resolve(workdir, input[field]));
+    const outsideWorkdir = relative.startsWith('..') || path.isAbsolute(relative);
+
+    return {
+      kind: 'file-edit',
+      path: outsideWorkdir ? path.resolve(workdir, input[field]) : relative.split(path.sep).join('/'),
+      outsideWorkdir,
+      diff: describeEdit(call.tool, input, relative)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Decides on agent tool calls when tool approval is on: allow-listed
+ * commands and files pass, everything else waits for a client's answer.
+ * Emits `permission-request` and `permission-resolved`.
+ */
+export class PermissionGate extends EventEmitter {
+  constructor(settings = {}) {
+    super();
+    this.settings = { ...DEFAULT_PERMISSIONS, ...settings };
+    this.pending = new Map();
+    // sessionId -> Set of rules the session always allows
+    this.sessionRules = new Map();
+  }
+
+  /**
+   * @param {Object} context - Event context of the execution (executionId, sessionId, ...)
+   * @param {Object} call - { id, tool, input }
+   * @param {string} workdir - Directory the agent works in
+   * @returns {Promise<{behavior: 'allow'|'deny', message?: string}>}
+   */
+  check(context, call, workdir) {
+    const action = describeToolCall(call, workdir);
+
+    if (!action || this.isAllowListed(action) || this.sessionRules.get(context.sessionId)?.has(ruleFor(call, action))) {
+      return Promise.resolve({ behavior: 'allow' });
+    }
+
+    const request = {
+      ...context,
+      requestId: uuidv4(),
+      tool: call.tool,
+      toolUseId: call.id || null,
+      ...action,
+      expiresAt: new Date(Date.now() + this.settings.timeout).toISOString()
+    };
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.settle(request.requestId, 'deny', { by: 'timeout', reason: 'No answer in time' });
+      }, this.settings.timeout);
+
+      this.pending.set(request.requestId, { request, rule: ruleFor(call, action), resolve, timer });
+      this.emit('permission-request', request);
+    });
+  }
+
+  /**
+   * A waiting request
+   * @param {string} requestId - Request ID
+   * @returns {Object|null}
+   */
+  get(requestId) {
+    return this.pending.get(requestId)?.request || null;
+  }
+
+  /**
+   * Answer a request from a client
+   * @param {string} requestId - Request ID
+   * @param {string} decision - allow, deny or always-allow
+   * @param {string} reason - Passed to the agent when denying
+   * @returns {Object} The resolution
+   */
+  respond(requestId, decision, reason = null) {
+    if (!this.pending.has(requestId)) {
+      throw new NotFoundError('PERMISSION_REQUEST_NOT_FOUND', 'Permission request not found - it may have been answered or timed out');
+    }
+
+    return this.settle(requestId, decision, { by: 'client', reason });
+  }
+
+  /**
+   * Deny everything an execution is still waiting for, e.g. when it is aborted
+   * @param {string} executionId - Execution ID
+   * @param {string} reason - Why
+   */
+  cancel(executionId, reason = 'Execution ended') {
+    for (const [requestId, { request }] of this.pending) {
+      if (request.executionId === executionId) {
+        this.settle(requestId, 'deny', { by: 'bridge', reason });
+      }
+    }
+  }
+
+  settle(requestId, decision, { by, reason = null }) {
+    const { request, rule, resolve, timer } = this.pending.get(requestId);
+    clearTimeout(timer);
+    this.pending.delete(requestId);
+
+    if (decision === 'always-allow') {
+      if (!this.sessionRules.has(request.sessionId)) {
+        this.sessionRules.set(request.sessionId, new Set());
+      }
+      this.sessionRules.get(request.sessionId).add(rule);
+    }
+
+    resolve(decision === 'deny'
+      ? { behavior: 'deny', message: reason || 'The user denied this tool call' }
+      : { behavior: 'allow' });
+
+    const { kind, command, path: file, diff, outsideWorkdir, expiresAt, ...context } = request;
+    const resolution = { ...context, decision, by, reason };
+    this.emit('permission-resolved', resolution);
+    return resolution;
+  }
+
+  isAllowListed(action) {
+    if (action.kind === 'shell-command') {
+      if (SHELL_CONTROL.test(action.command)) {
+        return false;
+      }
+
+      // Whole words, so "git status*" does not cover "git statusx"
+      const words = action.command.trim().split(/\s+/);
+      return this.settings.allowCommands.some(pattern => {
+        const prefix = pattern.endsWith('*');
+        const expected = (prefix ? pattern.slice(0, -1) : pattern).trim().split(/\s+/);
+
+        return (prefix ? words.length >= expected.length : words.length === expected.length)
+          && expected.every((word, index) => words[index] === word);
+      });
+    }
+
+    return !action.outsideWorkdir && this.settings.allowPaths.some(glob => globToRegExp(glob).test(action.path));
+  }
+}
+
+// always-allow covers the same command, or further edits of the same file
+function ruleFor(call, action) {
+  return action.kind === 'shell-command' ? `${call.tool}:${action.command}` : `file:${action.path}`;
+}
+
+function describeEdit(tool, input, file) {
+  const edits = tool === 'MultiEdit' && Array.isArray(input.edits)
+    ? input.edits
+    : [{ old_string: input.old_string, new_string: input.new_string ?? input.content ?? input.new_source }];
+
+  const hunks = edits.map(edit => [
+    ...lines(edit.old_string).map(line => `-${line}`),
+    ...lines(edit.new_string).map(line => `+${line}`)
+  ].join('\n'));
+
+  const diff = [`--- a/${file}`, `+++ b/${file}`, ...hunks.map(hunk => `@@\n${hunk}`)].join('\n');
+  return diff.length > MAX_DIFF_LENGTH ? `${diff.slice(0, MAX_DIFF_LENGTH)}\n... (diff truncated)` : diff;
+}
+
+function lines(text) {
+  return typeof text === 'string' && text !== '' ? text.replace(/\n$/, '').split('\n') : [];
+}
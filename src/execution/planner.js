@@ -1,13 +1,17 @@
-import { createAgent } from '../agents/detector.js';
+import { createAgent, getAgentCapabilities } from '../agents/detector.js';
 import { getGitStatus, hasUncommittedChanges } from '../git/status.js';
 import { createBackupBranch } from '../git/operations.js';
 import { logger } from '../utils/logger.js';
 import { translatePath } from '../utils/wsl.js';
+import { resolveContext, summarizeContext, attachContext } from './context.js';
+import { withDuration } from './usage.js';
+import { AgentError, ValidationError, SecurityError, NotFoundError, StateError } from '../utils/errors.js';
 
 export class ExecutionPlanner {
-  constructor(sessionManager, config) {
+  constructor(sessionManager, config, store = null) {
     this.sessionManager = sessionManager;
     this.config = config;
+    this.store = store;
     this.activePlans = new Map();
   }
 
@@ -26,7 +30,17 @@ export class ExecutionPlanner {
         logger.warn('Working directory is not a git repository');
       }
 
-      const agent = createAgent(agentName, this.config.agents);
+      // Attached files are read before the agent starts, so bad paths fail fast
+      const contextItems = options.context || [];
+      const context = contextItems.length > 0
+        ? await resolveContext(normalizedWorkdir, contextItems, {
+          limits: this.config.context,
+          exclude: options.settings?.exclude
+        })
+        : null;
+
+      const toolApproval = this.usesToolApproval(agentName, options);
+      const agent = createAgent(agentName, { ...this.config.agents, toolApproval });
 
       logger.info(`Creating execution plan with ${agentName}`);
 
@@ -38,6 +52,10 @@ export class ExecutionPlanner {
         });
       }
 
+      if (options.onEvent) {
+        agent.on('event', options.onEvent);
+      }
+
       // Forward state changes
       agent.on('state-change', (stateData) => {
         logger.verbose(`Agent state change: ${stateData.state}`);
@@ -46,15 +64,17 @@ export class ExecutionPlanner {
         }
       });
 
-      const planResult = await agent.executeInPlanMode(prompt, normalizedWorkdir);
+      const startedAt = Date.now();
+      const planResult = await agent.executeInPlanMode(attachContext(prompt, agent, context), normalizedWorkdir);
 
       if (!planResult.success) {
-        throw new Error(`Plan generation failed: ${planResult.error}`);
+        throw new AgentError('PLAN_GENERATION_FAILED', `Plan generation failed: ${planResult.error}`);
       }
 
       const plan = {
         id: planId,
         sessionId: options.sessionId || null,
+        settings: options.settings || null,
         prompt,
         workdir: normalizedWorkdir,
         agentName,
@@ -65,13 +85,18 @@ export class ExecutionPlanner {
         approved: false,
         executed: false,
         backupBranch: null,
-        options,
+        context: context ? summarizeContext(contextItems, context) : null,
+        usage: withDuration(planResult.usage, Date.now() - startedAt),
+        toolApproval,
+        options: withoutSettings(options),
         agent  // Keep agent reference alive
       };
 
       plan.metadata = await this.extractPlanMetadata(plan);
 
-      if (gitStatus.isGitRepo && this.config.git.createBackupBranch) {
+      const createBackup = options.settings?.git?.createBackupBranch ?? this.config.git.createBackupBranch;
+
+      if (gitStatus.isGitRepo && createBackup) {
         try {
           const backup = await createBackupBranch(normalizedWorkdir);
           plan.backupBranch = backup.backupBranch;
@@ -82,6 +107,7 @@ export class ExecutionPlanner {
       }
 
       this.activePlans.set(planId, plan);
+      this.persistPlan(plan);
 
       return plan;
     } catch (error) {
@@ -90,22 +116,43 @@ export class ExecutionPlanner {
     }
   }
 
+  /**
+   * Whether the plan's tool calls wait for a client's approval when it
+   * executes: the permissions execute option, else permissions.mode of the config
+   * @param {string} agentName - Agent that will plan and execute
+   * @param {Object} options - Plan options
+   * @returns {boolean}
+   */
+  usesToolApproval(agentName, options = {}) {
+    const mode = options.permissions || this.config.permissions?.mode || 'auto';
+
+    if (mode !== 'ask') {
+      return false;
+    }
+
+    if (!getAgentCapabilities(agentName)?.toolApproval) {
+      throw new ValidationError('TOOL_APPROVAL_UNSUPPORTED', `${agentName} cannot wait for tool call approval`);
+    }
+
+    return true;
+  }
+
   async validateWorkdir(workdir) {
     const fs = await import('fs/promises');
 
     try {
       const stats = await fs.stat(workdir);
       if (!stats.isDirectory()) {
-        throw new Error('Working directory is not a directory');
+        throw new ValidationError('WORKDIR_NOT_FOUND', 'Working directory is not a directory');
       }
 
       await fs.access(workdir, fs.constants.R_OK | fs.constants.W_OK);
 
     } catch (error) {
       if (error.code === 'ENOENT') {
-        throw new Error('Working directory does not exist');
+        throw new ValidationError('WORKDIR_NOT_FOUND', 'Working directory does not exist');
       } else if (error.code === 'EACCES') {
-        throw new Error('No read/write access to working directory');
+        throw new SecurityError('WORKDIR_ACCESS_DENIED', 'No read/write access to working directory');
       }
       throw error;
     }
@@ -133,18 +180,35 @@ export class ExecutionPlanner {
     return this.activePlans.get(planId);
   }
 
+  /**
+   * Look up a plan, falling back to the persisted store for plans
+   * from earlier bridge runs (these have no live agent attached)
+   */
+  getPlanRecord(planId) {
+    return this.activePlans.get(planId) || this.store?.getPlan(planId) || null;
+  }
+
+  persistPlan(plan) {
+    if (!this.store) return;
+
+    this.store.savePlan(plan).catch(error => {
+      logger.error(`Failed to persist plan ${plan.id}:`, error);
+    });
+  }
+
   approvePlan(planId) {
     const plan = this.activePlans.get(planId);
     if (!plan) {
-      throw new Error('Plan not found');
+      throw new NotFoundError('PLAN_NOT_FOUND', 'Plan not found');
     }
 
     if (plan.executed) {
-      throw new Error('Plan already executed');
+      throw new StateError('PLAN_ALREADY_EXECUTED', 'Plan already executed');
     }
 
     plan.approved = true;
     plan.approvedAt = new Date().toISOString();
+    this.persistPlan(plan);
 
     logger.info(`Plan ${planId} approved for execution`);
 
@@ -154,12 +218,13 @@ export class ExecutionPlanner {
   rejectPlan(planId, reason) {
     const plan = this.activePlans.get(planId);
     if (!plan) {
-      throw new Error('Plan not found');
+      throw new NotFoundError('PLAN_NOT_FOUND', 'Plan not found');
     }
 
     plan.rejected = true;
     plan.rejectedAt = new Date().toISOString();
     plan.rejectionReason = reason;
+    this.persistPlan(plan);
 
     logger.info(`Plan ${planId} rejected: ${reason}`);
 
@@ -172,6 +237,24 @@ export class ExecutionPlanner {
     return Array.from(this.activePlans.values());
   }
 
+  /**
+   * List every known plan, live records taking precedence over stored ones
+   * @returns {Array<Object>}
+   */
+  listPlans() {
+    const plans = new Map();
+
+    for (const record of this.store?.listPlans() || []) {
+      plans.set(record.id, record);
+    }
+
+    for (const plan of this.activePlans.values()) {
+      plans.set(plan.id, plan);
+    }
+
+    return Array.from(plans.values());
+  }
+
   cleanupExpiredPlans() {
     const expiredTime = Date.now() - (30 * 60 * 1000); // 30 minutes
 
@@ -244,3 +327,10 @@ export class ExecutionPlanner {
     return Math.round(baseTime + fileMultiplier * complexityMultiplier[complexity]);
   }
 }
+
+// Session settings and context live on plan.settings and plan.context;
+// plan.options is what the agent sees
+function withoutSettings(options) {
+  const { settings, context, ...rest } = options;
+  return rest;
+}
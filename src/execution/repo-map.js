@@ -0,0 +1,429 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { spawnPromise } from '../utils/exec.js';
+import { getConfigDir } from '../utils/config.js';
+import { scanDirectory } from '../utils/file-scanner.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_REPO_MAP = {
+  enabled: false,
+  mode: 'prompt',
+  maxBytes: 8000,
+  recentCommits: 10
+};
+
+export const REPO_MAP_MODES = ['prompt', 'file'];
+
+// Written into the worktree in file mode and kept out of git through info/exclude
+export const REPO_MAP_FILE = '.prompt-dock/repo-map.md';
+
+const MANIFESTS = [
+  'package.json', 'pyproject.toml', 'setup.py', 'requirements.txt', 'Cargo.toml',
+  'go.mod', 'Gemfile', 'composer.json', 'pom.xml', 'build.gradle', 'Makefile'
+];
+const MAX_MANIFESTS = 10;
+const MAX_MANIFEST_LINES = 25;
+const MAX_FILES_PER_DIRECTORY = 12;
+const MAX_SOURCE_FILES = 200;
+const MAX_SOURCE_BYTES = 200000;
+const MAX_EXPORTS_PER_FILE = 20;
+const MAX_MEMORY_ENTRIES = 50;
+
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py'];
+const TEST_FILE_PATTERN = /(^|\/)(__tests__|tests?)\/|[._](test|spec)\.[a-z]+$/;
+
+// Later sections get what earlier ones leave unused
+const SECTION_SHARES = {
+  files: 0.35,
+  manifests: 0.2,
+  commits: 0.1,
+  exports: 0.35
+};
+
+/**
+ * Compact summary of a repository for agents that start cold in a worktree:
+ * the file tree, key manifests, recent commits and top-level exports,
+ * cut down to a byte budget.
+ * @param {string} root - Repository or worktree to describe
+ * @param {Object} options - { maxBytes, recentCommits, exclude: project exclude globs }
+ * @returns {Promise<{content: string, commit: string|null, bytes: number, truncated: boolean}>}
+ */
+export async function buildRepoMap(root, options = {}) {
+  const settings = { ...DEFAULT_REPO_MAP, ...options };
+  const commit = await getHeadCommit(root);
+  const files = await scanDirectory(root, { exclude: settings.exclude, maxFiles: 5000 });
+  const ordered = [...files].sort(byDepth);
+
+  const sections = [
+    { title: 'Files', share: SECTION_SHARES.files, lines: describeTree(ordered) },
+    { title: 'Manifests', share: SECTION_SHARES.manifests, lines: await describeManifests(root, ordered) },
+    { title: 'Recent commits', share: SECTION_SHARES.commits, lines: await getRecentCommits(root, settings.recentCommits) },
+    { title: 'Exports', share: SECTION_SHARES.exports, lines: await describeExports(root, ordered) }
+  ];
+
+  const header = `# Repository map${commit ? ` (commit ${commit.slice(0, 7)})` : ''}\n` +
+    'A summary of the repository you are working in. Read the files themselves for details.';
+
+  const { content, truncated } = assemble(header, sections, settings.maxBytes);
+
+  return { content, commit, bytes: Buffer.byteLength(content), truncated };
+}
+
+/**
+ * Repository maps cached per commit, in memory and on disk, so executions
+ * on the same commit share one map. Maps of directories that are not git
+ * repositories are built every time.
+ *
+ * Layout under the cache directory:
+ *   <commit>-<settings hash>.json
+ */
+export class RepoMapCache {
+  constructor(directory = path.join(getConfigDir(), 'repo-maps')) {
+    this.directory = directory;
+    this.entries = new Map();
+  }
+
+  /**
+   * Map of a repository at its current commit
+   * @param {string} root - Repository or worktree
+   * @param {Object} options - Options for buildRepoMap
+   * @returns {Promise<Object>} The map, with `cached` set when it was not built for this call
+   */
+  async get(root, options = {}) {
+    const commit = await getHeadCommit(root);
+    if (!commit) {
+      return { ...await buildRepoMap(root, options), cached: false };
+    }
+
+    const key = cacheKey(commit, options);
+
+    if (this.entries.has(key)) {
+      const map = await this.entries.get(key);
+      return { ...map, cached: true };
+    }
+
+    // Concurrent executions on the same commit wait for the same build
+    const pending = this.load(key, root, options);
+    pending.catch(() => this.entries.delete(key));
+    this.remember(key, pending);
+
+    return pending;
+  }
+
+  async load(key, root, options) {
+    const file = path.join(this.directory, `${key}.json`);
+
+    try {
+      const map = JSON.parse(await fs.readFile(file, 'utf-8'));
+      return { ...map, cached: true };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring cached repository map ${path.basename(file)}: ${error.message}`);
+      }
+    }
+
+    const map = await buildRepoMap(root, options);
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+      await fs.writeFile(file, JSON.stringify(map));
+    } catch (error) {
+      logger.warn(`Could not cache repository map: ${error.message}`);
+    }
+
+    logger.verbose(`Repository map built for ${map.commit.slice(0, 7)} (${map.bytes} bytes)`);
+    return { ...map, cached: false };
+  }
+
+  remember(key, pending) {
+    this.entries.set(key, pending);
+
+    if (this.entries.size > MAX_MEMORY_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Give the agent the map: in front of the prompt, or as a file it is told about
+ * @param {string} prompt - Prompt to send
+ * @param {Object} map - Result of buildRepoMap
+ * @param {string} mode - prompt or file
+ * @returns {string} The prompt to send
+ */
+export function attachRepoMap(prompt, map, mode = 'prompt') {
+  if (!map) {
+    return prompt;
+  }
+
+  if (mode === 'file') {
+    return `A map of this repository (files, manifests, recent commits and exports) is in ${REPO_MAP_FILE}.\n\n${prompt}`;
+  }
+
+  return `${map.content}\n${prompt}`;
+}
+
+/**
+ * Write the map into a worktree without it showing up in diffs or commits
+ * @param {string} root - Worktree
+ * @param {Object} map - Result of buildRepoMap
+ * @returns {Promise<string>} Path of the file, relative to the worktree
+ */
+export async function writeRepoMapFile(root, map) {
+  const file = path.join(root, REPO_MAP_FILE);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, map.content);
+
+  const { stdout } = await spawnPromise('git', ['rev-parse', '--git-path', 'info/exclude'], { cwd: root });
+  const excludeFile = path.resolve(root, stdout.trim());
+  const entry = `/${path.posix.dirname(REPO_MAP_FILE)}/`;
+
+  let excluded = '';
+  try {
+    excluded = await fs.readFile(excludeFile, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (!excluded.split('\n').includes(entry)) {
+    await fs.mkdir(path.dirname(excludeFile), { recursive: true });
+    await fs.appendFile(excludeFile, `${excluded && !excluded.endsWith('\n') ? '\n' : ''}${entry}\n`);
+  }
+
+  return REPO_MAP_FILE;
+}
+
+async function getHeadCommit(root) {
+  try {
+    const { stdout } = await spawnPromise('git', ['rev-parse', 'HEAD'], { cwd: root });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+async function getRecentCommits(root, count) {
+  if (!count) {
+    return [];
+  }
+
+  try {
+    const { stdout } = await spawnPromise('git', ['log', '-n', String(count), '--format=%h %s'], { cwd: root });
+    return stdout.split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function cacheKey(commit, options) {
+  const settings = {
+    maxBytes: options.maxBytes ?? DEFAULT_REPO_MAP.maxBytes,
+    recentCommits: options.recentCommits ?? DEFAULT_REPO_MAP.recentCommits,
+    exclude: options.exclude || []
+  };
+  const hash = crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 12);
+  return `${commit}-${hash}`;
+}
+
+function describeTree(files) {
+  const directories = new Map();
+
+  for (const file of files) {
+    const directory = path.posix.dirname(file);
+    if (!directories.has(directory)) {
+      directories.set(directory, []);
+    }
+    directories.get(directory).push(path.posix.basename(file));
+  }
+
+  return [...directories.entries()].map(([directory, names]) => {
+    const shown = names.sort().slice(0, MAX_FILES_PER_DIRECTORY);
+    const more = names.length - shown.length;
+    return `${directory === '.' ? './' : `${directory}/`} ${shown.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`;
+  });
+}
+
+async function describeManifests(root, files) {
+  const manifests = files
+    .filter(file => MANIFESTS.includes(path.posix.basename(file)) && file.split('/').length <= 3)
+    .slice(0, MAX_MANIFESTS);
+
+  const lines = [];
+  for (const file of manifests) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(root, file), 'utf-8');
+    } catch {
+      continue;
+    }
+
+    lines.push(`### ${file}`);
+    lines.push(...(file.endsWith('package.json') ? describePackage(content) : headOf(content)));
+  }
+
+  return lines;
+}
+
+function describePackage(content) {
+  let pkg;
+  try {
+    pkg = JSON.parse(content);
+  } catch {
+    return headOf(content);
+  }
+
+  const lines = [];
+  const name = [pkg.name, pkg.version].filter(Boolean).join('@');
+  if (name || pkg.description) {
+    lines.push([name, pkg.description].filter(Boolean).join(' - '));
+  }
+  if (pkg.type || pkg.main) {
+    lines.push([pkg.type && `type: ${pkg.type}`, pkg.main && `main: ${pkg.main}`].filter(Boolean).join(', '));
+  }
+  for (const [script, command] of Object.entries(pkg.scripts || {})) {
+    lines.push(`script ${script}: ${command}`);
+  }
+  for (const field of ['dependencies', 'devDependencies', 'peerDependencies']) {
+    const names = Object.keys(pkg[field] || {});
+    if (names.length > 0) {
+      lines.push(`${field}: ${names.join(', ')}`);
+    }
+  }
+
+  return lines;
+}
+
+function headOf(content) {
+  return content.split('\n')
+    .filter(line => line.trim())
+    .slice(0, MAX_MANIFEST_LINES)
+    .map(line => `    ${line}`);
+}
+
+async function describeExports(root, files) {
+  const sources = files
+    .filter(file => SOURCE_EXTENSIONS.includes(path.posix.extname(file)) && !TEST_FILE_PATTERN.test(file))
+    .slice(0, MAX_SOURCE_FILES);
+
+  const lines = [];
+  for (const file of sources) {
+    let content;
+    try {
+      const stats = await fs.stat(path.join(root, file));
+      if (stats.size > MAX_SOURCE_BYTES) continue;
+      content = await fs.readFile(path.join(root, file), 'utf-8');
+    } catch {
+      continue;
+    }
+
+    const names = file.endsWith('.py') ? findPythonNames(content) : findJavaScriptExports(content);
+    if (names.length > 0) {
+      const shown = names.slice(0, MAX_EXPORTS_PER_FILE);
+      const more = names.length - shown.length;
+      lines.push(`${file}: ${shown.join(', ')}${more > 0 ? ` (+${more} more)` : ''}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Top-level ES module and CommonJS exports, found by pattern rather than parsed
+ */
+function findJavaScriptExports(content) {
+  const names = [];
+
+  for (const [, name] of content.matchAll(/^export\s+(?:declare\s+)?(?:default\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/gm)) {
+    names.push(name);
+  }
+  if (/^export\s+default\s+(?!(?:async\s+)?(?:function|class)\s+[A-Za-z_$])/m.test(content)) {
+    names.push('default');
+  }
+  for (const [, list] of content.matchAll(/^export\s*(?:type\s*)?\{([^}]*)\}/gm)) {
+    names.push(...splitNames(list));
+  }
+  for (const [, name] of content.matchAll(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/gm)) {
+    names.push(name);
+  }
+  for (const [, list] of content.matchAll(/^module\.exports\s*=\s*\{([^}]*)\}/gm)) {
+    names.push(...splitNames(list));
+  }
+
+  return [...new Set(names)];
+}
+
+function findPythonNames(content) {
+  const names = [];
+
+  for (const [, name] of content.matchAll(/^(?:async\s+def|def|class)\s+([A-Za-z]\w*)/gm)) {
+    names.push(name);
+  }
+
+  return [...new Set(names)];
+}
+
+function splitNames(list) {
+  return list.split(',')
+    .map(entry => entry.trim().split(/\s+as\s+/).pop().split(':')[0].trim())
+    .filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+}
+
+/**
+ * Put the sections together within the budget. Each section gets its share
+ * plus whatever earlier sections left; cut sections say how much is missing.
+ */
+function assemble(header, sections, maxBytes) {
+  const parts = [header];
+  const budget = Math.max(maxBytes - byteLength(header) - 1, 0);
+  let carry = 0;
+  let truncated = false;
+
+  for (const section of sections) {
+    let allowance = Math.floor(budget * section.share) + carry;
+    const heading = `\n## ${section.title}`;
+
+    if (section.lines.length === 0 || allowance < byteLength(heading) + 1) {
+      truncated = truncated || section.lines.length > 0;
+      carry = allowance;
+      continue;
+    }
+
+    allowance -= byteLength(heading) + 1;
+    const kept = [];
+    let used = 0;
+
+    for (const line of section.lines) {
+      const size = byteLength(line) + 1;
+      if (used + size > allowance) break;
+      kept.push(line);
+      used += size;
+    }
+
+    if (kept.length < section.lines.length) {
+      truncated = true;
+      let marker = `(${section.lines.length - kept.length} more lines)`;
+      while (kept.length > 0 && used + byteLength(marker) + 1 > allowance) {
+        used -= byteLength(kept.pop()) + 1;
+        marker = `(${section.lines.length - kept.length} more lines)`;
+      }
+      if (used + byteLength(marker) + 1 <= allowance) {
+        kept.push(marker);
+        used += byteLength(marker) + 1;
+      }
+    }
+
+    parts.push(heading, ...kept);
+    carry = allowance - used;
+  }
+
+  return { content: `${parts.join('\n')}\n`, truncated };
+}
+
+function byDepth(a, b) {
+  return a.split('/').length - b.split('/').length || a.localeCompare(b);
+}
+
+function byteLength(text) {
+  return Buffer.byteLength(text);
+}
@@ -0,0 +1,124 @@
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_MAX_PER_SESSION = 3;
+const DEFAULT_MAX_GLOBAL = 6;
+
+/**
+ * Runs execution tasks concurrently up to a per-session and a global cap.
+ * Tasks sharing a lock key (the directory an agent writes to) never run at
+ * the same time; everything else starts in FIFO order as slots free up.
+ */
+export class ExecutionScheduler {
+  constructor(options = {}) {
+    this.maxPerSession = options.maxConcurrentPerSession || DEFAULT_MAX_PER_SESSION;
+    this.maxGlobal = options.maxConcurrentGlobal || DEFAULT_MAX_GLOBAL;
+    this.pending = [];
+    this.running = new Set();
+  }
+
+  /**
+   * Queue a task and wait for its result
+   * @param {Object} options - { sessionId, lockKey, id }
+   * @param {Function} task - Async function to run once a slot is free
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule({ sessionId, lockKey = null, id = null }, task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ id, sessionId, lockKey, task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  drain() {
+    for (let index = 0; index < this.pending.length && this.running.size < this.maxGlobal;) {
+      const entry = this.pending[index];
+
+      if (!this.canStart(entry)) {
+        index++;
+        continue;
+      }
+
+      this.pending.splice(index, 1);
+      this.run(entry);
+    }
+  }
+
+  canStart(entry) {
+    let sessionCount = 0;
+
+    for (const running of this.running) {
+      if (entry.lockKey && running.lockKey === entry.lockKey) {
+        return false;
+      }
+
+      if (running.sessionId === entry.sessionId) {
+        sessionCount++;
+      }
+    }
+
+    return sessionCount < this.maxPerSession;
+  }
+
+  async run(entry) {
+    this.running.add(entry);
+    logger.verbose(`Starting ${entry.id || 'task'} (${this.running.size}/${this.maxGlobal} running)`);
+
+    try {
+      entry.resolve(await entry.task());
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.running.delete(entry);
+      this.drain();
+    }
+  }
+
+  /**
+   * Position of a queued task, or -1 once it has started
+   * @param {string} id - Task ID
+   * @returns {number}
+   */
+  getQueuePosition(id) {
+    return this.pending.findIndex(entry => entry.id === id);
+  }
+
+  getRunningCount(sessionId = null) {
+    if (!sessionId) {
+      return this.running.size;
+    }
+
+    return Array.from(this.running).filter(entry => entry.sessionId === sessionId).length;
+  }
+
+  /**
+   * Reject every task that has not started yet
+   * @param {string} reason - Error message for the rejected tasks
+   * @returns {Array<string>} IDs of the cancelled tasks
+   */
+  cancelPending(reason) {
+    const cancelled = this.pending.splice(0);
+
+    for (const entry of cancelled) {
+      entry.reject(new Error(reason));
+    }
+
+    return cancelled.map(entry => entry.id).filter(Boolean);
+  }
+
+  /**
+   * Remove one queued task before it starts
+   * @param {string} id - Task ID
+   * @param {string} reason - Error message for the rejected task
+   * @returns {boolean} Whether a queued task was removed
+   */
+  cancel(id, reason) {
+    const index = this.getQueuePosition(id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.pending.splice(index, 1);
+    entry.reject(new Error(reason));
+    return true;
+  }
+}
@@ -0,0 +1,309 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfigDir } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'aborted', 'interrupted'];
+
+// Runtime-only fields that must never be written to disk
+const PLAN_RUNTIME_FIELDS = ['agent'];
+const EXECUTION_RUNTIME_FIELDS = ['agent', 'output', 'plan'];
+
+/**
+ * Durable on-disk store for plans, executions and their output logs.
+ *
+ * Layout under the storage directory:
+ *   plans/<planId>.json
+ *   executions/<executionId>.json
+ *   output/<executionId>.jsonl
+ */
+export class ExecutionStore {
+  constructor(config = {}) {
+    const storage = config.storage || {};
+
+    this.enabled = storage.enabled !== false;
+    this.baseDir = storage.directory || path.join(getConfigDir(), 'store');
+    this.retentionDays = storage.retentionDays || 0;
+    this.plans = new Map();
+    this.executions = new Map();
+    this.writeQueues = new Map();
+    this.initialized = false;
+  }
+
+  get plansDir() {
+    return path.join(this.baseDir, 'plans');
+  }
+
+  get executionsDir() {
+    return path.join(this.baseDir, 'executions');
+  }
+
+  get outputDir() {
+    return path.join(this.baseDir, 'output');
+  }
+
+  /**
+   * Load persisted records and mark runs that did not finish as interrupted
+   * @returns {Promise<{plans: number, executions: number, interrupted: Array<string>}>}
+   */
+  async initialize() {
+    if (this.initialized || !this.enabled) {
+      this.initialized = true;
+      return { plans: this.plans.size, executions: this.executions.size, interrupted: [] };
+    }
+
+    await Promise.all([
+      fs.mkdir(this.plansDir, { recursive: true, mode: 0o700 }),
+      fs.mkdir(this.executionsDir, { recursive: true, mode: 0o700 }),
+      fs.mkdir(this.outputDir, { recursive: true, mode: 0o700 })
+    ]);
+
+    const plans = await this.readRecords(this.plansDir);
+    const executions = await this.readRecords(this.executionsDir);
+    const cutoff = this.retentionDays > 0
+      ? Date.now() - this.retentionDays * 24 * 60 * 60 * 1000
+      : null;
+
+    for (const plan of plans) {
+      if (isExpired(plan.createdAt, cutoff)) {
+        await this.removeFile(path.join(this.plansDir, `${plan.id}.json`));
+        continue;
+      }
+      this.plans.set(plan.id, plan);
+    }
+
+    for (const execution of executions) {
+      // Queued runs never started
+      if (isExpired(execution.startedAt || execution.queuedAt || execution.finishedAt, cutoff)) {
+        await this.removeFile(path.join(this.executionsDir, `${execution.id}.json`));
+        await this.removeFile(path.join(this.outputDir, `${execution.id}.jsonl`));
+        continue;
+      }
+      this.executions.set(execution.id, execution);
+    }
+
+    const interrupted = [];
+    const now = new Date().toISOString();
+
+    for (const execution of this.executions.values()) {
+      if (TERMINAL_STATUSES.includes(execution.status)) {
+        continue;
+      }
+
+      execution.previousStatus = execution.status;
+      execution.status = 'interrupted';
+      execution.error = execution.error || 'Bridge stopped before the execution finished';
+      execution.interruptedAt = now;
+      execution.finishedAt = execution.finishedAt || now;
+      interrupted.push(execution.id);
+
+      await this.writeRecord(this.executionsDir, execution);
+    }
+
+    // Plans awaiting approval lost their agent process with the restart
+    for (const plan of this.plans.values()) {
+      if (plan.executed || plan.rejected || plan.interrupted) {
+        continue;
+      }
+
+      plan.interrupted = true;
+      plan.interruptedAt = now;
+      await this.writeRecord(this.plansDir, plan);
+    }
+
+    this.initialized = true;
+
+    if (interrupted.length > 0) {
+      logger.warn(`Marked ${interrupted.length} execution(s) as interrupted after restart`);
+    }
+
+    logger.info(`Loaded ${this.plans.size} plans and ${this.executions.size} executions from ${this.baseDir}`);
+
+    return {
+      plans: this.plans.size,
+      executions: this.executions.size,
+      interrupted
+    };
+  }
+
+  async savePlan(plan) {
+    const record = serializePlan(plan);
+    this.plans.set(record.id, record);
+
+    if (!this.enabled) return record;
+
+    await this.enqueueWrite(`plan:${record.id}`, () => this.writeRecord(this.plansDir, record));
+    return record;
+  }
+
+  async saveExecution(execution) {
+    const record = serializeExecution(execution);
+    this.executions.set(record.id, record);
+
+    if (!this.enabled) return record;
+
+    await this.enqueueWrite(`execution:${record.id}`, () => this.writeRecord(this.executionsDir, record));
+    return record;
+  }
+
+  async appendOutput(executionId, output) {
+    if (!this.enabled) return;
+
+    const line = JSON.stringify({
+      type: output.type,
+      data: output.data,
+      timestamp: output.timestamp || new Date().toISOString()
+    }) + '\n';
+
+    await this.enqueueWrite(`output:${executionId}`, () =>
+      fs.appendFile(path.join(this.outputDir, `${executionId}.jsonl`), line, { mode: 0o600 })
+    );
+  }
+
+  /**
+   * Read the persisted output log for an execution
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<Array<{type: string, data: string, timestamp: string}>>}
+   */
+  async readOutput(executionId) {
+    try {
+      const content = await fs.readFile(path.join(this.outputDir, `${executionId}.jsonl`), 'utf-8');
+      return content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  getPlan(planId) {
+    return this.plans.get(planId) || null;
+  }
+
+  getExecution(executionId) {
+    return this.executions.get(executionId) || null;
+  }
+
+  listPlans() {
+    return Array.from(this.plans.values());
+  }
+
+  listExecutions() {
+    return Array.from(this.executions.values());
+  }
+
+  /**
+   * Wait for all pending writes to reach disk
+   */
+  async flush() {
+    await Promise.all(Array.from(this.writeQueues.values()));
+  }
+
+  enqueueWrite(key, task) {
+    const previous = this.writeQueues.get(key) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(task)
+      .finally(() => {
+        if (this.writeQueues.get(key) === next) {
+          this.writeQueues.delete(key);
+        }
+      });
+
+    this.writeQueues.set(key, next);
+    return next;
+  }
+
+  async writeRecord(directory, record) {
+    const filePath = path.join(directory, `${record.id}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(record, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+  }
+
+  async readRecords(directory) {
+    const records = [];
+    const entries = await fs.readdir(directory);
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+
+      try {
+        const content = await fs.readFile(path.join(directory, entry), 'utf-8');
+        records.push(JSON.parse(content));
+      } catch (error) {
+        logger.warn(`Skipping unreadable record ${entry}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+
+  async removeFile(filePath) {
+    try {
+      await fs.rm(filePath, { force: true });
+    } catch (error) {
+      logger.warn(`Could not remove ${filePath}:`, error.message);
+    }
+  }
+}
+
+export function serializePlan(plan) {
+  return toRecord(plan, PLAN_RUNTIME_FIELDS);
+}
+
+export function serializeExecution(execution) {
+  const record = toRecord(execution, EXECUTION_RUNTIME_FIELDS);
+
+  if (execution.plan) {
+    record.plan = serializePlan(execution.plan);
+    record.agentName = execution.plan.agentName;
+  }
+
+  if (record.result) {
+    // The raw agent output is already kept in the output log
+    delete record.result.raw;
+  }
+
+  return record;
+}
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+function toRecord(source, omit) {
+  const copy = {};
+
+  for (const [key, value] of Object.entries(source)) {
+    if (omit.includes(key) || typeof value === 'function') continue;
+    copy[key] = value;
+  }
+
+  // Round-trip through JSON to drop callbacks and detach from live objects
+  return JSON.parse(JSON.stringify(copy, (key, value) =>
+    typeof value === 'function' ? undefined : value
+  ));
+}
+
+// Records without a timestamp are kept rather than treated as 1970
+function isExpired(timestamp, cutoff) {
+  if (!cutoff || !timestamp) {
+    return false;
+  }
+
+  const time = new Date(timestamp).getTime();
+  return !Number.isNaN(time) && time < cutoff;
+}
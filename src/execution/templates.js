@@ -0,0 +1,375 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { getConfigDir } from '../utils/config.js';
+import { logger } from '../utils/logger.js';
+import { MAX_PROMPT_LENGTH } from '../protocols/schemas.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+export const VARIABLE_TYPES = ['string', 'number', 'boolean', 'enum'];
+export const MAX_INCLUDE_DEPTH = 5;
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// {{ name }} inserts a variable, {{> id }} another template
+const PLACEHOLDER_PATTERN = /\{\{\s*(>?)\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Named prompt templates with typed variables, stored one file per template.
+ *
+ * Layout under the library directory (JSON or YAML):
+ *   <templateId>.json
+ *
+ * A template declares the variables it uses and may include other templates
+ * for shared instructions; included templates see the same variables.
+ */
+export class TemplateLibrary {
+  constructor(directory = path.join(getConfigDir(), 'templates')) {
+    this.directory = directory;
+  }
+
+  /**
+   * List every readable template. Files that do not parse are skipped.
+   * @returns {Promise<Array<Object>>} Templates without their text, sorted by ID
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const templates = [];
+    for (const file of files) {
+      const extension = path.extname(file);
+      if (!TEMPLATE_EXTENSIONS.includes(extension)) {
+        continue;
+      }
+
+      try {
+        const template = await this.get(path.basename(file, extension));
+        templates.push(summarize(template));
+      } catch (error) {
+        logger.warn(`Skipping template ${file}: ${error.message}`);
+      }
+    }
+
+    return templates.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Read one template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} The normalized template
+   */
+  async get(templateId) {
+    const file = await this.findFile(templateId);
+    if (!file) {
+      throw new NotFoundError('TEMPLATE_NOT_FOUND', `Template not found: ${templateId}`);
+    }
+
+    const content = await fs.readFile(file, 'utf-8');
+    let definition;
+    try {
+      definition = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new ValidationError('INVALID_TEMPLATE', `Could not parse ${path.basename(file)}: ${error.message}`);
+    }
+
+    return normalizeTemplate({ ...definition, id: templateId });
+  }
+
+  /**
+   * Create or replace a template. Includes must exist and must not loop back.
+   * @param {Object} definition - { id, description, variables, template }
+   * @returns {Promise<Object>} The saved template
+   */
+  async save(definition) {
+    const template = normalizeTemplate(definition);
+
+    await this.resolve(template);
+
+    const existing = await this.findFile(template.id);
+    const file = existing || path.join(this.directory, `${template.id}.json`);
+
+    // Includes are found from the text when the template is read
+    const stored = pick(template, ['id', 'description', 'variables', 'template']);
+    const content = file.endsWith('.json')
+      ? JSON.stringify(stored, null, 2) + '\n'
+      : yaml.dump(stored);
+
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    await fs.writeFile(file, content);
+
+    logger.info(`Template saved: ${template.id}`);
+    return template;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId - Template ID
+   */
+  async remove(templateId) {
+    const file = await this.findFile(templateId);
+    if (!file) {
+      throw new NotFoundError('TEMPLATE_NOT_FOUND', `Template not found: ${templateId}`);
+    }
+
+    await fs.unlink(file);
+    logger.info(`Template removed: ${templateId}`);
+  }
+
+  /**
+   * Render a template into a prompt
+   * @param {string} templateId - Template ID
+   * @param {Object} variables - Values by variable name; missing ones take their defaults
+   * @returns {Promise<{prompt: string, templateId: string, variables: Object}>} The prompt and the values used
+   */
+  async render(templateId, variables = {}) {
+    const template = await this.get(templateId);
+    const resolved = await this.resolve(template);
+    const values = validateVariables(resolved.variables, variables || {});
+
+    const prompt = expand(template, resolved.templates, values).trim();
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+      throw new ValidationError('INVALID_TEMPLATE', `Template ${templateId} renders to more than ${MAX_PROMPT_LENGTH} characters`);
+    }
+
+    return { prompt, templateId, variables: values };
+  }
+
+  /**
+   * Load every template a template includes, directly or not, and merge
+   * their variables. The including template's declarations win.
+   * @returns {Promise<{templates: Map, variables: Object}>}
+   */
+  async resolve(template) {
+    const templates = new Map([[template.id, template]]);
+    const variables = {};
+
+    const visit = async (current, stack) => {
+      if (stack.length > MAX_INCLUDE_DEPTH) {
+        throw new ValidationError('INVALID_TEMPLATE', `Templates are nested more than ${MAX_INCLUDE_DEPTH} levels deep: ${stack.join(' > ')}`);
+      }
+
+      for (const [name, spec] of Object.entries(current.variables)) {
+        if (!(name in variables)) {
+          variables[name] = spec;
+        }
+      }
+
+      for (const includeId of current.includes) {
+        if (stack.includes(includeId)) {
+          throw new ValidationError('INVALID_TEMPLATE', `Template ${current.id} includes itself: ${[...stack, includeId].join(' > ')}`);
+        }
+
+        if (!templates.has(includeId)) {
+          try {
+            templates.set(includeId, await this.get(includeId));
+          } catch (error) {
+            if (error.code === 'TEMPLATE_NOT_FOUND') {
+              throw new ValidationError('INVALID_TEMPLATE', `Template ${current.id} includes ${includeId}, which does not exist`);
+            }
+            throw error;
+          }
+        }
+
+        await visit(templates.get(includeId), [...stack, includeId]);
+      }
+    };
+
+    await visit(template, [template.id]);
+
+    return { templates, variables };
+  }
+
+  async findFile(templateId) {
+    if (!TEMPLATE_ID_PATTERN.test(templateId || '')) {
+      throw new ValidationError('INVALID_TEMPLATE', `Invalid template ID: ${templateId}`);
+    }
+
+    for (const extension of TEMPLATE_EXTENSIONS) {
+      const file = path.join(this.directory, `${templateId}${extension}`);
+      try {
+        await fs.access(file);
+        return file;
+      } catch {
+        // Try the next format
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Check a template definition and fill in defaults
+ * @param {Object} definition - Raw template
+ * @returns {Object} { id, description, variables, template, includes }
+ */
+export function normalizeTemplate(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new ValidationError('INVALID_TEMPLATE', 'A template must be an object');
+  }
+
+  const { id, description = '', variables = {}, template } = definition;
+
+  if (typeof id !== 'string' || !TEMPLATE_ID_PATTERN.test(id)) {
+    throw new ValidationError('INVALID_TEMPLATE', `Invalid template ID: ${id} (use lowercase letters, digits, - and _)`);
+  }
+
+  if (typeof template !== 'string' || !template.trim()) {
+    throw new ValidationError('INVALID_TEMPLATE', `Template ${id} has no text`);
+  }
+
+  if (template.length > MAX_PROMPT_LENGTH) {
+    throw new ValidationError('INVALID_TEMPLATE', `Template ${id} is longer than ${MAX_PROMPT_LENGTH} characters`);
+  }
+
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ValidationError('INVALID_TEMPLATE', `Template ${id}: variables must be an object`);
+  }
+
+  const normalizedVariables = Object.fromEntries(
+    Object.entries(variables).map(([name, spec]) => [name, normalizeVariable(id, name, spec)])
+  );
+
+  const includes = [];
+  for (const [, include, name] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (include) {
+      if (!includes.includes(name)) {
+        includes.push(name);
+      }
+    } else if (!(name in normalizedVariables)) {
+      throw new ValidationError('INVALID_TEMPLATE', `Template ${id} uses {{${name}}} but does not declare it`);
+    }
+  }
+
+  return {
+    id,
+    description: String(description),
+    variables: normalizedVariables,
+    template,
+    includes
+  };
+}
+
+function normalizeVariable(templateId, name, spec) {
+  if (!VARIABLE_NAME_PATTERN.test(name)) {
+    throw new ValidationError('INVALID_TEMPLATE', `Template ${templateId}: invalid variable name ${name}`);
+  }
+
+  const variable = typeof spec === 'string' ? { type: spec } : { ...spec };
+  variable.type = variable.type || 'string';
+
+  if (!VARIABLE_TYPES.includes(variable.type)) {
+    throw new ValidationError('INVALID_TEMPLATE', `Template ${templateId}: variable ${name} has unknown type ${variable.type} (use ${VARIABLE_TYPES.join(', ')})`);
+  }
+
+  if (variable.type === 'enum' && (!Array.isArray(variable.values) || variable.values.length === 0)) {
+    throw new ValidationError('INVALID_TEMPLATE', `Template ${templateId}: enum variable ${name} needs a list of values`);
+  }
+
+  if (variable.default !== undefined) {
+    try {
+      variable.default = coerce(name, variable, variable.default);
+    } catch (error) {
+      throw new ValidationError('INVALID_TEMPLATE', `Template ${templateId}: default of ${error.message}`);
+    }
+  }
+
+  return pick(variable, ['type', 'description', 'values', 'default']);
+}
+
+/**
+ * Check values against variable declarations. Strings are accepted for
+ * numbers and booleans so values can come from the command line.
+ * @returns {Object} Every declared variable with its value
+ */
+function validateVariables(declared, values) {
+  const unknown = Object.keys(values).filter(name => !(name in declared));
+  if (unknown.length > 0) {
+    throw new ValidationError('INVALID_TEMPLATE_VARIABLES', `Unknown template variables: ${unknown.join(', ')}`);
+  }
+
+  const result = {};
+  const missing = [];
+
+  for (const [name, variable] of Object.entries(declared)) {
+    const value = values[name] ?? variable.default;
+    if (value === undefined) {
+      missing.push(name);
+      continue;
+    }
+
+    try {
+      result[name] = coerce(name, variable, value);
+    } catch (error) {
+      throw new ValidationError('INVALID_TEMPLATE_VARIABLES', `Invalid value for ${error.message}`);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new ValidationError('INVALID_TEMPLATE_VARIABLES', `Missing template variables: ${missing.join(', ')}`);
+  }
+
+  return result;
+}
+
+function coerce(name, variable, value) {
+  switch (variable.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${name}: expected a number`);
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (value === 'true' || value === 'false') {
+        return value === 'true';
+      }
+      throw new Error(`${name}: expected true or false`);
+
+    case 'enum':
+      if (!variable.values.map(String).includes(String(value))) {
+        throw new Error(`${name}: expected one of ${variable.values.join(', ')}`);
+      }
+      return variable.values.find(allowed => String(allowed) === String(value));
+
+    default:
+      if (typeof value !== 'string') {
+        throw new Error(`${name}: expected a string`);
+      }
+      return value;
+  }
+}
+
+function expand(template, templates, values) {
+  return template.template.replace(PLACEHOLDER_PATTERN, (match, include, name) => (
+    include ? expand(templates.get(name), templates, values).trim() : String(values[name])
+  ));
+}
+
+function summarize(template) {
+  return {
+    id: template.id,
+    description: template.description,
+    variables: template.variables,
+    includes: template.includes
+  };
+}
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+}
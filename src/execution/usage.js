@@ -0,0 +1,139 @@
+import { normalizeFilters } from './history.js';
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'costUsd', 'durationMs'];
+
+/**
+ * Read usage from whatever an agent reports: Claude's stream-json `result`
+ * messages (snake_case, cache tokens counted as input), OpenAI-style
+ * prompt/completion tokens, or fields already in our shape.
+ * @param {Object} report - Agent message or usage object
+ * @returns {{inputTokens: number|null, outputTokens: number|null, costUsd: number|null, durationMs: number|null}|null}
+ *   null when the report has no usage at all
+ */
+export function normalizeUsage(report) {
+  if (!report || typeof report !== 'object') {
+    return null;
+  }
+
+  const tokens = report.usage && typeof report.usage === 'object' ? report.usage : report;
+
+  const usage = {
+    inputTokens: sum(
+      tokens.input_tokens ?? tokens.prompt_tokens ?? tokens.inputTokens,
+      tokens.cache_creation_input_tokens,
+      tokens.cache_read_input_tokens
+    ),
+    outputTokens: sum(tokens.output_tokens ?? tokens.completion_tokens ?? tokens.outputTokens),
+    costUsd: sum(report.total_cost_usd ?? report.cost_usd ?? report.costUsd),
+    durationMs: sum(report.duration_ms ?? report.durationMs)
+  };
+
+  return USAGE_FIELDS.some(field => usage[field] !== null) ? usage : null;
+}
+
+/**
+ * Add usage records. Fields nobody reported stay null rather than 0, so
+ * "unknown" is not shown as "free".
+ * @param {...Object} records - Usage records, null ones are skipped
+ * @returns {Object|null}
+ */
+export function addUsage(...records) {
+  const present = records.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+
+  return Object.fromEntries(USAGE_FIELDS.map(field => [
+    field,
+    sum(...present.map(record => record[field]))
+  ]));
+}
+
+/**
+ * Fill in the time the bridge measured when the agent did not report one
+ * @param {Object|null} usage - Usage reported by the agent
+ * @param {number} durationMs - Time the agent call took
+ * @returns {Object}
+ */
+export function withDuration(usage, durationMs) {
+  const record = usage || { inputTokens: null, outputTokens: null, costUsd: null, durationMs: null };
+  return { ...record, durationMs: record.durationMs ?? durationMs };
+}
+
+/**
+ * Usage totals of plans and executions, per session and per UTC day
+ * @param {Array<Object>} plans - Live or persisted plan records
+ * @param {Array<Object>} executions - Live or persisted execution records
+ * @param {Object} filters - { sessionId, from, to }
+ * @returns {{total: Object, sessions: Array<Object>, days: Array<Object>}}
+ */
+export function summarizeUsage(plans, executions, filters = {}) {
+  const { sessionId, from, to } = normalizeFilters(filters);
+
+  const entries = [
+    ...plans.map(plan => ({ kind: 'plans', sessionId: plan.sessionId, time: plan.createdAt, usage: plan.usage })),
+    ...executions.map(execution => ({
+      kind: 'executions',
+      sessionId: execution.sessionId,
+      time: execution.startedAt || execution.queuedAt,
+      usage: execution.usage
+    }))
+  ].filter(entry => {
+    const time = entry.time ? new Date(entry.time).getTime() : 0;
+    return (!sessionId || entry.sessionId === sessionId) &&
+      (from === null || time >= from) &&
+      (to === null || time <= to);
+  });
+
+  const total = emptyTotals();
+  const sessions = new Map();
+  const days = new Map();
+
+  for (const entry of entries) {
+    const day = entry.time ? new Date(entry.time).toISOString().slice(0, 10) : null;
+
+    for (const [groups, key] of [[null, null], [sessions, entry.sessionId || null], [days, day]]) {
+      const totals = groups ? getOrCreate(groups, key) : total;
+      totals[entry.kind]++;
+      Object.assign(totals, addTotals(totals, entry.usage));
+    }
+  }
+
+  return {
+    total,
+    sessions: [...sessions.entries()].map(([id, totals]) => ({ sessionId: id, ...totals })),
+    days: [...days.entries()]
+      .map(([date, totals]) => ({ date, ...totals }))
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+  };
+}
+
+// Usage fields stay null until an entry reports them, like in addUsage
+function emptyTotals() {
+  return { plans: 0, executions: 0, inputTokens: null, outputTokens: null, costUsd: null, durationMs: null };
+}
+
+function getOrCreate(groups, key) {
+  if (!groups.has(key)) {
+    groups.set(key, emptyTotals());
+  }
+  return groups.get(key);
+}
+
+function addTotals(totals, usage) {
+  if (!usage) {
+    return {};
+  }
+
+  return Object.fromEntries(USAGE_FIELDS.map(field => [field, round(sum(totals[field], usage[field]), field)]));
+}
+
+// Cents add up to fractions like 0.30000000000000004
+function round(value, field) {
+  return field === 'costUsd' && value !== null ? Math.round(value * 1e6) / 1e6 : value;
+}
+
+function sum(...values) {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) : null;
+}
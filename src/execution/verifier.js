@@ -0,0 +1,189 @@
+import { spawn } from 'child_process';
+import { splitCommand } from '../utils/exec.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_STEP_TIMEOUT = 600000; // 10 minutes
+const OUTPUT_TAIL = 10000;
+
+/**
+ * Run the repository's verify commands one after another in a worktree.
+ * Stops at the first failing step; the remaining steps are reported as skipped.
+ * @param {string} cwd - Directory the commands run in
+ * @param {Array<Object>} steps - Steps from getVerifyConfig
+ * @param {Object} options - { timeout, signal, onProgress }
+ * @returns {Promise<{status: string, startedAt: string, finishedAt: string, steps: Array<Object>}>}
+ */
+export async function runVerification(cwd, steps, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const verification = {
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    steps: steps.map(step => ({
+      name: step.name,
+      command: step.command,
+      status: 'pending',
+      exitCode: null,
+      durationMs: null,
+      output: ''
+    }))
+  };
+
+  onProgress({ stage: 'started', steps: verification.steps.map(step => step.name) });
+
+  for (let index = 0; index < steps.length; index++) {
+    const record = verification.steps[index];
+
+    if (verification.status === 'failed') {
+      record.status = 'skipped';
+      continue;
+    }
+
+    onProgress({ stage: 'step-started', step: index, name: record.name });
+
+    const result = await runStep(cwd, steps[index].command, {
+      timeout: steps[index].timeout || options.timeout || DEFAULT_STEP_TIMEOUT,
+      signal: options.signal,
+      onOutput: (stream, data) => onProgress({ stage: 'output', step: index, name: record.name, stream, data })
+    });
+
+    Object.assign(record, result);
+
+    onProgress({
+      stage: 'step-finished',
+      step: index,
+      name: record.name,
+      status: record.status,
+      exitCode: record.exitCode,
+      durationMs: record.durationMs
+    });
+
+    if (record.status !== 'passed') {
+      verification.status = 'failed';
+    }
+  }
+
+  if (verification.status === 'running') {
+    verification.status = 'passed';
+  }
+
+  verification.finishedAt = new Date().toISOString();
+  onProgress({ stage: 'finished', status: verification.status });
+
+  logger.info(`Verification ${verification.status} in ${cwd}`);
+
+  return verification;
+}
+
+/**
+ * Build the follow-up prompt that asks an agent to fix a failed verification
+ * @param {string} task - Original prompt
+ * @param {Object} verification - Result from runVerification
+ * @param {number} outputLimit - Characters of command output to include
+ * @returns {string|null} Prompt, or null when no step failed
+ */
+export function buildFixupPrompt(task, verification, outputLimit = 4000) {
+  const failed = verification?.steps?.find(step => step.status === 'failed');
+
+  if (!failed) {
+    return null;
+  }
+
+  const command = Array.isArray(failed.command) ? failed.command.join(' ') : failed.command;
+  // The end of the output usually holds the assertion or error summary
+  const output = stripAnsi(failed.output || '').trim().slice(-outputLimit);
+
+  return [
+    'The changes you made for the task below fail verification.',
+    '',
+    `Task: ${task}`,
+    '',
+    `\`${command}\` failed (${failed.error || `exit code ${failed.exitCode}`}). Its output ends with:`,
+    '',
+    '```',
+    output || '(no output)',
+    '```',
+    '',
+    'Fix the code so this command passes. Do not skip, delete or weaken the checks.'
+  ].join('\n');
+}
+
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+/**
+ * Run one verify command, streaming its output
+ * @param {string} cwd - Working directory
+ * @param {string|Array<string>} commandLine - Command to run
+ * @param {Object} options - { timeout, signal, onOutput }
+ * @returns {Promise<{status: string, exitCode: number|null, durationMs: number, output: string, error?: string}>}
+ */
+function runStep(cwd, commandLine, options) {
+  const { command, args } = splitCommand(commandLine);
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    let output = '';
+    let settled = false;
+    let timedOut = false;
+    let timeoutHandle = null;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutHandle);
+      resolve({
+        ...result,
+        durationMs: Date.now() - startedAt,
+        output: output.slice(-OUTPUT_TAIL)
+      });
+    };
+
+    const child = spawn(command, args, {
+      cwd,
+      signal: options.signal,
+      shell: false  // Critical: never use shell
+    });
+
+    // Timed here rather than via spawn's timeout, which leaks its timer when the command cannot start
+    timeoutHandle = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, options.timeout);
+
+    const collect = (stream) => (chunk) => {
+      const data = chunk.toString();
+      output += data;
+      if (output.length > OUTPUT_TAIL * 2) {
+        output = output.slice(-OUTPUT_TAIL);
+      }
+      options.onOutput(stream, data);
+    };
+
+    child.stdout?.on('data', collect('stdout'));
+    child.stderr?.on('data', collect('stderr'));
+
+    child.on('error', (error) => {
+      finish({
+        status: error.name === 'AbortError' ? 'aborted' : 'failed',
+        exitCode: null,
+        error: error.message
+      });
+    });
+
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        finish({ status: 'passed', exitCode: 0 });
+      } else {
+        finish({
+          status: 'failed',
+          exitCode: code,
+          error: timedOut
+            ? `Timed out after ${options.timeout}ms`
+            : signal ? `Terminated by ${signal}` : `Exited with code ${code}`
+        });
+      }
+    });
+  });
+}
@@ -1,10 +1,15 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
 import simpleGit from 'simple-git';
 import { logger } from '../utils/logger.js';
+import { GitError } from '../utils/errors.js';
 
 const execAsync = promisify(exec);
 
+export const PR_PROVIDERS = ['github', 'gitlab', 'bitbucket'];
+
 export async function generatePullRequest(workdir, options = {}) {
   try {
     const git = simpleGit(workdir);
@@ -15,7 +20,7 @@ export async function generatePullRequest(workdir, options = {}) {
         await git.add('.');
         await git.commit(options.commitMessage || 'AI-generated changes via Prompt Dock Bridge');
       } else {
-        throw new Error('Uncommitted changes detected. Please commit first.');
+        throw new GitError('UNCOMMITTED_CHANGES', 'Uncommitted changes detected. Please commit first.');
       }
     }
 
@@ -23,7 +28,7 @@ export async function generatePullRequest(workdir, options = {}) {
     const remotes = await git.getRemotes(true);
 
     if (remotes.length === 0) {
-      throw new Error('No git remote configured');
+      throw new GitError('NO_GIT_REMOTE', 'No git remote configured');
     }
 
     const remote = remotes[0];
@@ -32,7 +37,8 @@ export async function generatePullRequest(workdir, options = {}) {
     await git.push('origin', currentBranch, ['--set-upstream']);
 
     const prTitle = options.title || generatePRTitle(options.prompt);
-    const prBody = generatePRBody(options);
+    const template = options.template ? await readPRTemplate(workdir, options.template) : null;
+    const prBody = generatePRBody(options, template);
 
     let prUrl = null;
 
@@ -70,9 +76,35 @@ function generatePRTitle(prompt) {
   return title.endsWith('.') ? title.slice(0, -1) : title;
 }
 
-function generatePRBody(options) {
+/**
+ * Read the project's PR template, relative to the repository root
+ * @param {string} workdir - Worktree the PR is created from
+ * @param {string} templatePath - pr.template from .prompt-dock.json
+ * @returns {Promise<string|null>} Template text, or null when it cannot be used
+ */
+async function readPRTemplate(workdir, templatePath) {
+  const resolved = path.resolve(workdir, templatePath);
+
+  if (path.relative(workdir, resolved).startsWith('..')) {
+    logger.warn(`Ignoring PR template outside the repository: ${templatePath}`);
+    return null;
+  }
+
+  try {
+    return (await fs.readFile(resolved, 'utf8')).trim();
+  } catch (error) {
+    logger.warn(`Could not read PR template ${templatePath}: ${error.message}`);
+    return null;
+  }
+}
+
+function generatePRBody(options, template = null) {
   const sections = [];
 
+  if (template) {
+    sections.push(template, '');
+  }
+
   sections.push('## Summary');
   if (options.prompt) {
     sections.push(`**Prompt:** ${options.prompt}`);
@@ -103,9 +135,9 @@ function generatePRBody(options) {
 
 async function createGitHubPR(workdir, title, body, branch, baseBranch = 'main') {
   try {
-    const { stdout: ghVersion } = await execAsync('gh --version');
+    const ghVersion = await execAsync('gh --version').then(result => result.stdout, () => null);
     if (!ghVersion) {
-      throw new Error('GitHub CLI (gh) not installed');
+      throw new GitError('PR_CLI_NOT_INSTALLED', 'GitHub CLI (gh) not installed');
     }
 
     const result = await execAsync(
@@ -145,9 +177,9 @@ async function createGitHubPR(workdir, title, body, branch, baseBranch = 'main')
 
 async function createGitLabMR(workdir, title, body, branch, baseBranch = 'main') {
   try {
-    const { stdout: glabVersion } = await execAsync('glab --version');
+    const glabVersion = await execAsync('glab --version').then(result => result.stdout, () => null);
     if (!glabVersion) {
-      throw new Error('GitLab CLI (glab) not installed');
+      throw new GitError('PR_CLI_NOT_INSTALLED', 'GitLab CLI (glab) not installed');
     }
 
     const result = await execAsync(
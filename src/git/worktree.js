@@ -1,6 +1,8 @@
 import { spawnPromise } from '../utils/exec.js';
 import { logger } from '../utils/logger.js';
+import { GitError } from '../utils/errors.js';
 import path from 'path';
+import os from 'os';
 import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -107,7 +109,8 @@ export async function createWorktree(repoPath, baseBranch = null, workdir = null
     };
   } catch (error) {
     logger.error('Failed to create worktree:', error);
-    throw new Error(`Worktree creation failed: ${error.message}`);
+    const conflict = /already exists|already checked out|already used by worktree/.test(error.message);
+    throw new GitError(conflict ? 'WORKTREE_CONFLICT' : 'WORKTREE_FAILED', `Worktree creation failed: ${error.message}`, { cause: error });
   }
 }
 
@@ -156,7 +159,7 @@ export async function deleteWorktree(repoPath, worktreePath, branchName, force =
     logger.info(`Worktree deleted successfully`);
   } catch (error) {
     logger.error('Failed to delete worktree:', error);
-    throw new Error(`Worktree deletion failed: ${error.message}`);
+    throw new GitError('WORKTREE_FAILED', `Worktree deletion failed: ${error.message}`, { cause: error });
   }
 }
 
@@ -282,6 +285,121 @@ export async function getWorktreeStatus(worktreePath) {
   }
 }
 
+/**
+ * Summarize how far a worktree has moved from its base branch, counting
+ * committed, uncommitted and untracked changes
+ * @param {string} worktreePath - Path to worktree
+ * @param {string} baseBranch - Branch the worktree was created from
+ * @returns {Promise<{files: Array<{file: string, insertions: number, deletions: number}>, filesChanged: number, insertions: number, deletions: number}>}
+ */
+export async function getWorktreeDiffStats(worktreePath, baseBranch) {
+  try {
+    const { stdout: numstat } = await spawnPromise(
+      'git',
+      ['diff', '--numstat', baseBranch],
+      { cwd: worktreePath }
+    );
+
+    const files = numstat.split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        const [added, deleted, ...name] = line.split('\t');
+        // Binary files report "-" for both counts
+        return {
+          file: name.join('\t'),
+          insertions: parseInt(added, 10) || 0,
+          deletions: parseInt(deleted, 10) || 0
+        };
+      });
+
+    const { stdout: untracked } = await spawnPromise(
+      'git',
+      ['ls-files', '--others', '--exclude-standard'],
+      { cwd: worktreePath }
+    );
+
+    for (const file of untracked.split('\n').filter(line => line.trim())) {
+      const content = await fs.readFile(path.join(worktreePath, file), 'utf8').catch(() => '');
+      const lines = content.includes('\0') || content.length === 0
+        ? 0
+        : content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+
+      files.push({ file, insertions: lines, deletions: 0 });
+    }
+
+    return {
+      files,
+      filesChanged: files.length,
+      insertions: files.reduce((sum, entry) => sum + entry.insertions, 0),
+      deletions: files.reduce((sum, entry) => sum + entry.deletions, 0)
+    };
+  } catch (error) {
+    logger.error('Failed to get worktree diff stats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the current contents of a worktree, including uncommitted and
+ * untracked files, as a git tree without touching its index or history
+ * @param {string} worktreePath - Path to worktree
+ * @returns {Promise<string>} Tree hash
+ */
+export async function snapshotWorktree(worktreePath) {
+  const indexFile = path.join(os.tmpdir(), `prompt-dock-index-${uuidv4()}`);
+  const options = {
+    cwd: worktreePath,
+    env: { ...process.env, GIT_INDEX_FILE: indexFile }
+  };
+
+  try {
+    await spawnPromise('git', ['add', '--all'], options);
+    const { stdout } = await spawnPromise('git', ['write-tree'], options);
+    return stdout.trim();
+  } catch (error) {
+    logger.error('Failed to snapshot worktree:', error);
+    throw error;
+  } finally {
+    await fs.rm(indexFile, { force: true });
+  }
+}
+
+/**
+ * Diff two worktree snapshots
+ * @param {string} worktreePath - Path to worktree
+ * @param {string} fromTree - Earlier snapshot
+ * @param {string} toTree - Later snapshot
+ * @returns {Promise<{patch: string, files: Array<string>, insertions: number, deletions: number}>}
+ */
+export async function diffSnapshots(worktreePath, fromTree, toTree) {
+  try {
+    const { stdout: numstat } = await spawnPromise(
+      'git',
+      ['diff', '--numstat', fromTree, toTree],
+      { cwd: worktreePath }
+    );
+    const { stdout: patch } = await spawnPromise(
+      'git',
+      ['diff', fromTree, toTree],
+      { cwd: worktreePath }
+    );
+
+    const rows = numstat.split('\n')
+      .filter(line => line.trim())
+      .map(line => line.split('\t'));
+
+    return {
+      patch,
+      files: rows.map(([, , ...name]) => name.join('\t')),
+      insertions: rows.reduce((sum, [added]) => sum + (parseInt(added, 10) || 0), 0),
+      deletions: rows.reduce((sum, [, deleted]) => sum + (parseInt(deleted, 10) || 0), 0)
+    };
+  } catch (error) {
+    logger.error('Failed to diff worktree snapshots:', error);
+    throw error;
+  }
+}
+
 function parseGitStatus(status) {
   const statusMap = {
     'M ': 'modified',
@@ -3,15 +3,19 @@ import { createWebSocketServer } from './server/websocket.js';
 import { logger } from './utils/logger.js';
 import { loadConfig, ensureConfigDir } from './utils/config.js';
 import { detectAgents } from './agents/detector.js';
+import { loadAgentPlugins } from './agents/registry.js';
 import { initializeSecurity } from './security/crypto.js';
 import { SessionManager } from './security/session.js';
 import { gracefulShutdown } from './utils/shutdown.js';
+import { ExecutionStore } from './execution/store.js';
+import { initializeExecutionServices } from './protocols/handler.js';
 import path from 'path';
 import os from 'os';
 
 let httpServer = null;
 let wsServer = null;
 let sessionManager = null;
+let executionStore = null;
 let config = null;
 
 export async function startBridge(options = {}) {
@@ -25,6 +29,7 @@ export async function startBridge(options = {}) {
 
     await initializeSecurity();
 
+    await loadAgentPlugins(config);
     const detectedAgents = await detectAgents(config);
     logger.info(`Detected agents: ${detectedAgents.map(a => a.name).join(', ')}`);
 
@@ -34,20 +39,28 @@ export async function startBridge(options = {}) {
 
     sessionManager = new SessionManager(config);
 
-    httpServer = await createHTTPServer(config, sessionManager);
+    executionStore = new ExecutionStore(config);
+    const recovered = await executionStore.initialize();
+    if (recovered.interrupted.length > 0) {
+      logger.warn(`Interrupted executions from previous run: ${recovered.interrupted.join(', ')}`);
+    }
+
+    const { orchestrator } = initializeExecutionServices(sessionManager, config, executionStore);
+
+    httpServer = await createHTTPServer(config, sessionManager, { orchestrator });
     wsServer = await createWebSocketServer(config, sessionManager);
 
-    process.on('SIGINT', () => gracefulShutdown(httpServer, wsServer, sessionManager));
-    process.on('SIGTERM', () => gracefulShutdown(httpServer, wsServer, sessionManager));
+    process.on('SIGINT', () => gracefulShutdown(httpServer, wsServer, sessionManager, executionStore));
+    process.on('SIGTERM', () => gracefulShutdown(httpServer, wsServer, sessionManager, executionStore));
 
     process.on('uncaughtException', (error) => {
       logger.error('Uncaught exception:', error);
-      gracefulShutdown(httpServer, wsServer, sessionManager);
+      gracefulShutdown(httpServer, wsServer, sessionManager, executionStore);
     });
 
     process.on('unhandledRejection', (reason, promise) => {
       logger.error('Unhandled rejection at:', promise, 'reason:', reason);
-      gracefulShutdown(httpServer, wsServer, sessionManager);
+      gracefulShutdown(httpServer, wsServer, sessionManager, executionStore);
     });
 
     logger.info(`Bridge started on port ${config.port} (HTTP) and ${config.wsPort} (WebSocket)`);
@@ -56,6 +69,7 @@ export async function startBridge(options = {}) {
       httpServer,
       wsServer,
       sessionManager,
+      executionStore,
       config
     };
   } catch (error) {
@@ -97,6 +111,10 @@ function buildConfigOverrides(options) {
     };
   }
 
+  if (options?.debug) {
+    overrides.protocol = { debug: true };
+  }
+
   if (options?.allowedOrigins) {
     overrides.allowedOrigins = options.allowedOrigins;
   }
@@ -110,7 +128,7 @@ function buildConfigOverrides(options) {
 
 export async function stopBridge() {
   logger.info('Stopping bridge...');
-  await gracefulShutdown(httpServer, wsServer, sessionManager);
+  await gracefulShutdown(httpServer, wsServer, sessionManager, executionStore);
 }
 
 export async function getStatus() {
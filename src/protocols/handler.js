@@ -1,33 +1,204 @@
-import { MessageTypes, createMessage, createErrorMessage, validateMessage, validateMessageData } from './messages.js';
+import { MessageTypes, validateMessage, validateMessageData, setProtocolDebug } from './messages.js';
 import { validatePairingCode } from '../security/pairing.js';
 import { getGitStatus } from '../git/status.js';
 import { createBranch, switchBranch, stashChanges } from '../git/operations.js';
-import { detectAgents } from '../agents/detector.js';
+import { detectAgents, hasAgent } from '../agents/detector.js';
 import { ExecutionPlanner } from '../execution/planner.js';
 import { ExecutionOrchestrator } from '../execution/executor.js';
+import { ComparisonRunner } from '../execution/comparison.js';
+import { BatchRunner, writeBatchReport } from '../execution/batch.js';
+import { TemplateLibrary } from '../execution/templates.js';
+import { addUsage } from '../execution/usage.js';
+import { SubscriptionManager } from './subscriptions.js';
+import { beginRequest, finishRequest, sendMessage, sendProgress, sendError, sendUncorrelated } from './replies.js';
+import { negotiateProtocol, getCapabilities, getMissingFeatures, hasFeature, SUPPORTED_PROTOCOL_VERSIONS } from './versioning.js';
+import { discoverProjectConfig, resolveSessionSettings } from '../utils/project-config.js';
+import { getConfigDir } from '../utils/config.js';
 import { logger } from '../utils/logger.js';
+import { ValidationError, SecurityError, NotFoundError, StateError } from '../utils/errors.js';
 import { v4 as uuidv4 } from 'uuid';
+import path from 'path';
 
 let planner = null;
 let orchestrator = null;
+let comparisonRunner = null;
+let batchRunner = null;
+let templates = null;
+
+const subscriptions = new SubscriptionManager();
+
+// Orchestrator events forwarded unchanged to the execution's subscribers
+const FORWARDED_EVENTS = {
+  'agent-output': MessageTypes.AGENT_OUTPUT,
+  'agent-event': MessageTypes.AGENT_EVENT,
+  'agent-permission-request': MessageTypes.AGENT_PERMISSION_REQUEST,
+  'agent-permission-resolved': MessageTypes.AGENT_PERMISSION_RESOLVED,
+  'agent-state-change': MessageTypes.AGENT_STATE_CHANGE,
+  'execution-progress': MessageTypes.EXECUTION_PROGRESS,
+  'verification-progress': MessageTypes.VERIFICATION_PROGRESS,
+  'fixup-progress': MessageTypes.FIXUP_PROGRESS,
+  'file-changed': MessageTypes.FILE_CHANGED,
+  'file-list': MessageTypes.FILE_LIST,
+  'file-diff': MessageTypes.FILE_DIFF,
+  'worktree-created': MessageTypes.WORKTREE_CREATED,
+  'worktree-deleted': MessageTypes.WORKTREE_DELETED,
+  'execution-completed': MessageTypes.EXECUTION_COMPLETE,
+  'pr-created': MessageTypes.PR_CREATED
+};
+
+/**
+ * Create the planner and orchestrator up front so persisted executions are
+ * available before the first client connects
+ * @param {SessionManager} sessionManager - Session manager
+ * @param {Object} config - Bridge configuration
+ * @param {ExecutionStore} store - Persistent execution store
+ * @returns {{planner: ExecutionPlanner, orchestrator: ExecutionOrchestrator, comparisonRunner: ComparisonRunner, batchRunner: BatchRunner, templates: TemplateLibrary}}
+ */
+export function initializeExecutionServices(sessionManager, config, store = null) {
+  if (!planner) {
+    planner = new ExecutionPlanner(sessionManager, config, store);
+  }
+
+  if (!orchestrator) {
+    orchestrator = new ExecutionOrchestrator(sessionManager, config, store);
+    orchestrator.planner = planner;
+    attachOrchestratorListeners(orchestrator);
+    subscriptions.replay.configure(config.replay);
+    setProtocolDebug(config.protocol?.debug);
+  }
+
+  if (!comparisonRunner) {
+    comparisonRunner = new ComparisonRunner(orchestrator, config);
+    comparisonRunner.on('comparison-completed', (data) => {
+      subscriptions.publish(data.comparisonId, MessageTypes.COMPARISON_REPORT, data);
+    });
+  }
+
+  if (!batchRunner) {
+    batchRunner = new BatchRunner(planner, orchestrator, config);
+    attachBatchListeners(batchRunner);
+  }
+
+  if (!templates) {
+    templates = new TemplateLibrary();
+  }
+
+  return { planner, orchestrator, comparisonRunner, batchRunner, templates };
+}
+
+/**
+ * Track a connected client so it can subscribe to executions
+ * @param {Object} clientInfo - WebSocket client state
+ */
+export function registerClient(clientInfo) {
+  subscriptions.registerClient(clientInfo);
+}
+
+/**
+ * Forget a disconnected client and drop all of its subscriptions
+ * @param {string} clientId - Client ID
+ */
+export function unregisterClient(clientId) {
+  subscriptions.unregisterClient(clientId);
+}
+
+function attachBatchListeners(target) {
+  target.on('batch-progress', (data) => {
+    // Whoever follows the batch also follows the executions it starts
+    if (data.status === 'executing') {
+      subscriptions.getSubscribers(data.batchId).forEach(clientInfo => subscriptions.subscribe(data.executionId, clientInfo));
+    }
+    subscriptions.publish(data.batchId, MessageTypes.BATCH_PROGRESS, data);
+  });
+
+  target.on('batch-completed', async (data) => {
+    const reportPath = path.join(getConfigDir(), 'batches', `${data.batchId}.json`);
+
+    try {
+      await writeBatchReport(data.report, reportPath);
+    } catch (error) {
+      logger.error(`Failed to write report for ${data.batchId}:`, error);
+    }
+
+    subscriptions.publish(data.batchId, MessageTypes.BATCH_REPORT, { ...data, reportPath });
+  });
+}
+
+function attachOrchestratorListeners(target) {
+  target.on('execution-started', (data) => {
+    // A follow-up turn keeps numbering where the earlier ones stopped
+    subscriptions.replay.cancelDrop(data.executionId);
+    subscriptions.publish(data.executionId, MessageTypes.EXECUTION_PROGRESS, {
+      ...data,
+      status: 'started',
+      progress: 0
+    });
+  });
+
+  target.on('execution-failed', (data) => {
+    subscriptions.publish(data.executionId, MessageTypes.EXECUTION_PROGRESS, {
+      ...data,
+      status: 'failed'
+    });
+  });
+
+  target.on('execution-aborted', (data) => {
+    subscriptions.publish(data.executionId, MessageTypes.EXECUTION_PROGRESS, {
+      ...data,
+      status: 'aborted'
+    });
+  });
+
+  // A deleted worktree can no longer be handed to new executions
+  target.on('worktree-deleted', (data) => {
+    for (const clientInfo of subscriptions.clients.values()) {
+      clientInfo.worktrees?.delete(data.worktreePath);
+      if (clientInfo.worktree?.worktreePath === data.worktreePath) {
+        clientInfo.worktree = null;
+      }
+    }
+  });
+
+  for (const [event, type] of Object.entries(FORWARDED_EVENTS)) {
+    target.on(event, (data) => {
+      subscriptions.publish(data.executionId, type, data);
+    });
+  }
+
+  // Registered last, so the final event is in the buffer before its drop is
+  // scheduled. PRs and worktree cleanups only come after the run ended.
+  for (const event of ['execution-completed', 'execution-failed', 'execution-aborted', 'pr-created', 'worktree-deleted']) {
+    target.on(event, (data) => {
+      subscriptions.replay.scheduleDrop(data.executionId);
+    });
+  }
+}
 
 export async function handleMessage(message, clientInfo, sessionManager, config) {
+  beginRequest(clientInfo, message);
+
   try {
     logger.verbose(`Handling message type: ${message.type}`);
 
     const validation = validateMessage(message);
     if (!validation.valid) {
       logger.error(`Message validation failed: ${validation.errors.join(', ')}`);
-      return sendError(clientInfo.ws, validation.errors.join(', '), message.id);
+      return sendError(clientInfo, validation.errors.join(', '), message.id, 'INVALID_MESSAGE_FORMAT');
     }
 
     const dataValidation = validateMessageData(message.type, message.data || {});
     if (!dataValidation.valid) {
       logger.error(`Data validation failed for ${message.type}: ${dataValidation.errors.join(', ')}`);
-      return sendError(clientInfo.ws, dataValidation.errors.join(', '), message.id);
+      return sendError(clientInfo, dataValidation.errors.join(', '), message.id, 'INVALID_DATA');
+    }
+
+    const missingFeatures = getMissingFeatures(clientInfo.protocol, message.type, message.data);
+    if (missingFeatures.length > 0) {
+      return sendError(clientInfo, `Not negotiated in the handshake: ${missingFeatures.join(', ')}`, message.id, 'FEATURE_NOT_NEGOTIATED');
     }
 
     const requiresSession = ![
+      MessageTypes.HANDSHAKE,
       MessageTypes.PAIR,
       MessageTypes.AUTHENTICATE,
       MessageTypes.HEALTH_CHECK
@@ -37,14 +208,14 @@ export async function handleMessage(message, clientInfo, sessionManager, config)
       const existingSession = clientInfo.session;
 
       if (!existingSession) {
-        return sendError(clientInfo.ws, 'Not authenticated', message.id);
+        return sendError(clientInfo, 'Not authenticated', message.id, 'NOT_AUTHENTICATED');
       }
 
       const activeSession = sessionManager.getSession(existingSession.id);
 
       if (!activeSession) {
         clientInfo.session = null;
-        return sendError(clientInfo.ws, 'Not authenticated', message.id);
+        return sendError(clientInfo, 'Not authenticated', message.id, 'NOT_AUTHENTICATED');
       }
 
       clientInfo.session = activeSession;
@@ -55,78 +226,27 @@ export async function handleMessage(message, clientInfo, sessionManager, config)
       });
 
       if (!commandValidation.allowed) {
-        return sendError(clientInfo.ws, commandValidation.reason || 'Command rejected', message.id);
+        return sendError(clientInfo, rejectedCommand(commandValidation), message.id);
       }
     }
 
-    if (!planner) {
-      planner = new ExecutionPlanner(sessionManager, config);
-    }
-
-    if (!orchestrator) {
-      orchestrator = new ExecutionOrchestrator(sessionManager, config);
-      orchestrator.planner = planner;
-
-      orchestrator.on('execution-started', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.EXECUTION_PROGRESS, {
-          executionId: data.executionId,
-          status: 'started',
-          progress: 0
-        });
-      });
-
-      orchestrator.on('agent-output', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.AGENT_OUTPUT, data);
-      });
-
-      orchestrator.on('agent-state-change', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.AGENT_STATE_CHANGE, data);
-      });
-
-      orchestrator.on('execution-progress', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.EXECUTION_PROGRESS, data);
-      });
-
-      orchestrator.on('file-changed', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.FILE_CHANGED, data);
-      });
-
-      orchestrator.on('file-list', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.FILE_LIST, data);
-      });
-
-      orchestrator.on('file-diff', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.FILE_DIFF, data);
-      });
-
-      orchestrator.on('worktree-created', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.WORKTREE_CREATED, data);
-      });
-
-      orchestrator.on('worktree-deleted', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.WORKTREE_DELETED, data);
-      });
-
-      orchestrator.on('execution-completed', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.EXECUTION_COMPLETE, data);
-      });
-
-      orchestrator.on('pr-created', (data) => {
-        broadcastToClient(clientInfo, MessageTypes.PR_CREATED, data);
-      });
-    }
+    initializeExecutionServices(sessionManager, config);
 
     switch (message.type) {
+      case MessageTypes.HANDSHAKE:
+        handleHandshake(message, clientInfo);
+        break;
+
       case MessageTypes.PAIR:
         await handlePairing(message, clientInfo, sessionManager);
         break;
 
       case MessageTypes.AUTHENTICATE:
-        await handleAuthentication(message, clientInfo, sessionManager);
+        await handleAuthentication(message, clientInfo, sessionManager, config);
         break;
 
       case MessageTypes.INIT_SESSION:
-        await handleInitSession(message, clientInfo);
+        await handleInitSession(message, clientInfo, config);
         break;
 
       case MessageTypes.START_AGENT_SESSION:
@@ -177,6 +297,58 @@ export async function handleMessage(message, clientInfo, sessionManager, config)
         await handleAgentFeedback(message, clientInfo);
         break;
 
+      case MessageTypes.AGENT_PERMISSION_RESPONSE:
+        await handlePermissionResponse(message, clientInfo);
+        break;
+
+      case MessageTypes.SUBSCRIBE_EXECUTION:
+        await handleSubscribeExecution(message, clientInfo);
+        break;
+
+      case MessageTypes.SELECT_WINNER:
+        await handleSelectWinner(message, clientInfo);
+        break;
+
+      case MessageTypes.RUN_BATCH:
+        await handleRunBatch(message, clientInfo);
+        break;
+
+      case MessageTypes.LIST_TEMPLATES:
+        await handleListTemplates(message, clientInfo);
+        break;
+
+      case MessageTypes.SAVE_TEMPLATE:
+        await handleSaveTemplate(message, clientInfo);
+        break;
+
+      case MessageTypes.RESUME_EXECUTION:
+        await handleResumeExecution(message, clientInfo);
+        break;
+
+      case MessageTypes.CONTINUE_EXECUTION:
+        await handleContinueExecution(message, clientInfo);
+        break;
+
+      case MessageTypes.UNSUBSCRIBE_EXECUTION:
+        await handleUnsubscribeExecution(message, clientInfo);
+        break;
+
+      case MessageTypes.LIST_EXECUTIONS:
+        await handleListExecutions(message, clientInfo);
+        break;
+
+      case MessageTypes.GET_EXECUTION:
+        await handleGetExecution(message, clientInfo);
+        break;
+
+      case MessageTypes.GET_LOGS:
+        await handleGetLogs(message, clientInfo);
+        break;
+
+      case MessageTypes.GET_USAGE:
+        await handleGetUsage(message, clientInfo);
+        break;
+
       case MessageTypes.HEALTH_CHECK:
         await handleHealthCheck(message, clientInfo);
         break;
@@ -186,11 +358,40 @@ export async function handleMessage(message, clientInfo, sessionManager, config)
         break;
 
       default:
-        sendError(clientInfo.ws, `Unknown message type: ${message.type}`, message.id);
+        sendError(clientInfo, `Unknown message type: ${message.type}`, message.id, 'UNKNOWN_MESSAGE_TYPE');
     }
   } catch (error) {
     logger.error('Message handling error:', error);
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
+  } finally {
+    finishRequest(clientInfo, message);
+  }
+}
+
+/**
+ * Agree on a protocol version and feature set. Clients that skip this are
+ * served the legacy protocol.
+ */
+function rejectedCommand(commandValidation) {
+  const details = commandValidation.retryAfterMs ? { retryAfterMs: commandValidation.retryAfterMs } : null;
+  return new SecurityError(commandValidation.code || 'COMMAND_REJECTED', commandValidation.reason || 'Command rejected', { details });
+}
+
+function handleHandshake(message, clientInfo) {
+  try {
+    clientInfo.protocol = negotiateProtocol(message.data);
+
+    // Always a plain reply: the client learns here whether it gets acks
+    sendUncorrelated(clientInfo, MessageTypes.HANDSHAKE_ACK, {
+      version: clientInfo.protocol.version,
+      supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      capabilities: getCapabilities(clientInfo.protocol.features)
+    }, message.id);
+
+    logger.info(`Client ${clientInfo.id} negotiated protocol ${clientInfo.protocol.version}`);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -200,13 +401,13 @@ async function handlePairing(message, clientInfo, sessionManager) {
 
     const pairingData = await validatePairingCode(code, clientPublicKey);
     if (!pairingData) {
-      return sendError(clientInfo.ws, 'Invalid or expired pairing code', message.id);
+      return sendError(clientInfo, 'Invalid or expired pairing code', message.id, 'INVALID_PAIRING_CODE');
     }
 
     const session = await sessionManager.createSession(pairingData);
     clientInfo.session = session;
 
-    sendMessage(clientInfo.ws, MessageTypes.PAIRING_SUCCESS, {
+    sendMessage(clientInfo, MessageTypes.PAIRING_SUCCESS, {
       sessionId: session.id,
       token: session.token,
       bridgePublicKey: pairingData.bridgePublicKey,
@@ -215,17 +416,17 @@ async function handlePairing(message, clientInfo, sessionManager) {
     }, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
-async function handleAuthentication(message, clientInfo, sessionManager) {
+async function handleAuthentication(message, clientInfo, sessionManager, config) {
   try {
     const { token } = message.data;
 
     const session = sessionManager.validateSession(token);
     if (!session) {
-      return sendMessage(clientInfo.ws, MessageTypes.AUTH_FAILED, {
+      return sendMessage(clientInfo, MessageTypes.AUTH_FAILED, {
         reason: 'Invalid or expired token'
       }, message.id);
     }
@@ -236,29 +437,29 @@ async function handleAuthentication(message, clientInfo, sessionManager) {
     });
 
     if (!commandValidation.allowed) {
-      return sendError(clientInfo.ws, commandValidation.reason || 'Command rejected', message.id);
+      return sendError(clientInfo, rejectedCommand(commandValidation), message.id);
     }
 
     clientInfo.session = session;
     clientInfo.pendingSession = null;
 
-    const agents = await detectAgents();
+    const agents = await detectAgents(config);
 
-    sendMessage(clientInfo.ws, MessageTypes.AUTH_SUCCESS, {
+    sendMessage(clientInfo, MessageTypes.AUTH_SUCCESS, {
       sessionId: session.id,
       token: session.latestToken || token
     }, message.id);
 
-    sendMessage(clientInfo.ws, MessageTypes.AGENTS_AVAILABLE, {
+    sendMessage(clientInfo, MessageTypes.AGENTS_AVAILABLE, {
       agents
     });
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
-async function handleInitSession(message, clientInfo) {
+async function handleInitSession(message, clientInfo, config) {
   try {
     const { workdir, agentType, agentConfig } = message.data;
 
@@ -267,17 +468,34 @@ async function handleInitSession(message, clientInfo) {
     const normalizedWorkdir = translatePath(workdir, 'windows-to-wsl');
     logger.verbose(`Normalized workdir: ${workdir} -> ${normalizedWorkdir}`);
 
+    const project = await discoverProjectConfig(normalizedWorkdir);
+    const { settings, sources } = resolveSessionSettings(config, project.config, { agentType, agentConfig });
+
+    if (!hasAgent(settings.agent)) {
+      throw new ValidationError('UNKNOWN_AGENT', `Unknown agent: ${settings.agent}`);
+    }
+
     clientInfo.workdir = normalizedWorkdir;
-    clientInfo.agentType = agentType;
-    clientInfo.agentConfig = agentConfig || {};
+    clientInfo.projectRoot = project.projectRoot;
+    clientInfo.agentType = settings.agent;
+    clientInfo.agentConfig = settings.agentOptions;
+    clientInfo.settings = settings;
 
-    sendMessage(clientInfo.ws, 'session-initialized', {
+    sendMessage(clientInfo, MessageTypes.SESSION_INITIALIZED, {
       workdir: normalizedWorkdir,
-      agentType
+      agentType: settings.agent
     }, message.id);
 
+    sendMessage(clientInfo, MessageTypes.CONFIG_RESOLVED, {
+      workdir: normalizedWorkdir,
+      projectRoot: project.projectRoot,
+      configFile: project.configFile,
+      settings,
+      sources
+    });
+
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -286,7 +504,7 @@ async function handleStartAgentSession(message, clientInfo) {
     logger.info('Starting agent session...');
 
     if (!clientInfo.workdir) {
-      throw new Error('Session not initialized - call init-session first');
+      throw new StateError('SESSION_NOT_INITIALIZED', 'Session not initialized - call init-session first');
     }
 
     // workdir is already normalized in handleInitSession
@@ -295,13 +513,13 @@ async function handleStartAgentSession(message, clientInfo) {
 
     // Scan files first
     const { scanDirectory } = await import('../utils/file-scanner.js');
-    const files = await scanDirectory(workdir);
+    const files = await scanDirectory(workdir, { exclude: clientInfo.settings?.exclude });
     logger.info(`Found ${files.length} files`);
 
-    broadcastToClient(clientInfo, MessageTypes.FILE_LIST, {
+    sendProgress(clientInfo, MessageTypes.FILE_LIST, {
       files,
       executionId: null
-    });
+    }, message.id);
 
     // Get git status including available branches
     logger.info('Getting git status...');
@@ -319,23 +537,24 @@ async function handleStartAgentSession(message, clientInfo) {
     };
 
     logger.info(`Sending agent-session-started with ${JSON.stringify(responseData).substring(0, 200)}`);
-    sendMessage(clientInfo.ws, 'agent-session-started', responseData, message.id);
+    sendMessage(clientInfo, MessageTypes.AGENT_SESSION_STARTED, responseData, message.id);
 
     logger.info('Agent session started successfully');
 
   } catch (error) {
     logger.error('Failed to start agent session:', error);
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
 async function handleCreateWorktree(message, clientInfo) {
   try {
     if (!clientInfo.workdir) {
-      throw new Error('Session not initialized - call init-session first');
+      throw new StateError('SESSION_NOT_INITIALIZED', 'Session not initialized - call init-session first');
     }
 
-    const { baseBranch, promptMetadata } = message.data;
+    const { promptMetadata } = message.data;
+    const baseBranch = message.data.baseBranch || clientInfo.settings?.baseBranch || null;
     const workdir = clientInfo.workdir;
 
     // Extract prompt metadata for branch naming
@@ -345,17 +564,18 @@ async function handleCreateWorktree(message, clientInfo) {
     const { createWorktree } = await import('../git/worktree.js');
     const worktree = await createWorktree(workdir, baseBranch, null, metadata);
 
-    // Store worktree info on clientInfo for later use
+    // Store worktree info on clientInfo for later use; the newest one is the default
     clientInfo.worktree = worktree;
+    clientInfo.worktrees.set(worktree.worktreePath, worktree);
 
-    broadcastToClient(clientInfo, MessageTypes.WORKTREE_CREATED, {
+    sendProgress(clientInfo, MessageTypes.WORKTREE_CREATED, {
       worktreePath: worktree.worktreePath,
       branchName: worktree.branchName,
       baseBranch: worktree.baseBranch,
       createdAt: worktree.createdAt
     });
 
-    sendMessage(clientInfo.ws, 'worktree-created', {
+    sendMessage(clientInfo, MessageTypes.WORKTREE_CREATED, {
       worktree: {
         worktreePath: worktree.worktreePath,
         branchName: worktree.branchName,
@@ -364,7 +584,7 @@ async function handleCreateWorktree(message, clientInfo) {
     }, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -378,10 +598,10 @@ async function handleGitStatus(message, clientInfo) {
 
     const gitStatus = await getGitStatus(normalizedWorkdir);
 
-    sendMessage(clientInfo.ws, MessageTypes.GIT_STATUS_RESPONSE, gitStatus, message.id);
+    sendMessage(clientInfo, MessageTypes.GIT_STATUS_RESPONSE, gitStatus, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -409,74 +629,116 @@ async function handleGitCommand(message, clientInfo) {
         break;
 
       default:
-        throw new Error(`Unknown git command: ${command}`);
+        throw new ValidationError('UNKNOWN_GIT_COMMAND', `Unknown git command: ${command}`);
     }
 
-    sendMessage(clientInfo.ws, 'git-command-result', result, message.id);
+    sendMessage(clientInfo, MessageTypes.GIT_COMMAND_RESULT, result, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id, 'GIT_ERROR');
   }
 }
 
 async function handleExecutePrompt(message, clientInfo) {
   try {
-    const { prompt, mode, options } = message.data;
+    const { mode, options, context } = message.data;
 
     if (!clientInfo.workdir || !clientInfo.agentType) {
-      throw new Error('Session not initialized');
+      throw new StateError('SESSION_NOT_INITIALIZED', 'Session not initialized');
     }
 
+    // Templates are rendered and checked before anything reaches an agent
+    const prompt = message.data.templateId
+      ? (await templates.render(message.data.templateId, message.data.variables)).prompt
+      : message.data.prompt;
+
     if (mode === 'plan') {
       const plan = await planner.createPlan(
         prompt,
         clientInfo.workdir,
-        clientInfo.agentType,
+        options?.agent || clientInfo.agentType,
         {
+          ...clientInfo.agentConfig,
           ...options,
+          // Tool approval is the client's call per prompt; the config default only
+          // applies to clients that negotiated tool-approval and can answer requests
+          permissions: options?.permissions ?? (hasFeature(clientInfo.protocol, 'tool-approval') ? undefined : 'auto'),
+          context,
+          settings: clientInfo.settings,
           sessionId: clientInfo.session?.id,
           onOutput: (output) => {
             // Stream agent output to client
-            sendMessage(clientInfo.ws, MessageTypes.AGENT_OUTPUT, {
+            sendProgress(clientInfo, MessageTypes.AGENT_OUTPUT, {
               type: output.type,
               data: output.data,
               executionId: output.executionId
-            });
+            }, message.id);
+          },
+          onEvent: (event) => {
+            sendProgress(clientInfo, MessageTypes.AGENT_EVENT, { executionId: null, event }, message.id);
           },
           onStateChange: (stateData) => {
             // Stream agent state changes to client
-            broadcastToClient(clientInfo, MessageTypes.AGENT_STATE_CHANGE, {
+            sendProgress(clientInfo, MessageTypes.AGENT_STATE_CHANGE, {
               state: stateData.state,
               executionId: stateData.executionId
-            });
+            }, message.id);
           }
         }
       );
 
-      sendMessage(clientInfo.ws, MessageTypes.AGENT_PLAN, plan, message.id);
+      sendMessage(clientInfo, MessageTypes.AGENT_PLAN, plan, message.id);
 
     } else if (mode === 'execute') {
       if (!options.planId) {
-        throw new Error('Plan ID required for execution');
+        throw new ValidationError('INVALID_DATA', 'Plan ID required for execution');
       }
 
-      const execution = await orchestrator.executePlan(
-        options.planId,
+      const plan = orchestrator.getExecutablePlan(options.planId, clientInfo.session.id);
+      const execution = orchestrator.createExecution(
+        plan,
         clientInfo.session.id,
-        clientInfo.worktree  // Pass worktree from session initialization
+        getSessionWorktree(clientInfo, options.worktreePath),
+        { context }
       );
 
-      sendMessage(clientInfo.ws, 'execution-started', {
+      subscriptions.subscribe(execution.id, clientInfo);
+
+      sendMessage(clientInfo, MessageTypes.EXECUTION_STARTED, {
         executionId: execution.id,
         planId: options.planId
       }, message.id);
 
+      await orchestrator.startExecution(execution);
+
+    } else if (mode === 'compare') {
+      const { agents, ...agentOptions } = options || {};
+
+      const comparison = comparisonRunner.createComparison(
+        prompt,
+        clientInfo.workdir,
+        agents,
+        clientInfo.session.id,
+        { ...clientInfo.agentConfig, ...agentOptions, context, settings: clientInfo.settings }
+      );
+
+      // The report is published under the comparison ID, run events under each execution ID
+      subscriptions.subscribe(comparison.id, clientInfo);
+      comparison.executionIds.forEach(id => subscriptions.subscribe(id, clientInfo));
+
+      sendMessage(clientInfo, MessageTypes.COMPARISON_STARTED, {
+        comparisonId: comparison.id,
+        executions: comparison.contestants
+      }, message.id);
+
+      await comparisonRunner.runComparison(comparison);
+
     } else {
-      throw new Error(`Invalid execution mode: ${mode}`);
+      throw new ValidationError('INVALID_EXECUTION_MODE', `Invalid execution mode: ${mode}`);
     }
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -485,17 +747,17 @@ async function handleAgentInteraction(message, clientInfo) {
     const { message: agentMessage, type } = message.data;
 
     if (!clientInfo.agent) {
-      throw new Error('No active agent');
+      throw new StateError('NO_ACTIVE_AGENT', 'No active agent');
     }
 
     await clientInfo.agent.sendInteraction(agentMessage);
 
-    sendMessage(clientInfo.ws, 'interaction-sent', {
+    sendMessage(clientInfo, MessageTypes.INTERACTION_SENT, {
       type: type || 'message'
     }, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -505,7 +767,7 @@ async function handleApprovePlan(message, clientInfo) {
 
     const plan = planner.approvePlan(planId);
 
-    sendMessage(clientInfo.ws, 'plan-approved', {
+    sendMessage(clientInfo, MessageTypes.PLAN_APPROVED, {
       planId,
       plan
     }, message.id);
@@ -514,32 +776,32 @@ async function handleApprovePlan(message, clientInfo) {
     logger.info(`Executing approved plan ${planId}`);
 
     if (!plan.agent) {
-      throw new Error('Agent not found - plan may have expired');
+      throw new StateError('NO_ACTIVE_AGENT', 'Agent not found - plan may have expired');
     }
 
-    // Start execution
-    const executionId = `exec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    // Continue the planning agent as a recorded execution
+    const execution = orchestrator.createExecution(
+      plan,
+      clientInfo.session.id,
+      clientInfo.worktree,
+      { reusePlanAgent: true }
+    );
 
-    sendMessage(clientInfo.ws, 'execution-started', {
-      executionId,
+    subscriptions.subscribe(execution.id, clientInfo);
+
+    sendProgress(clientInfo, MessageTypes.EXECUTION_STARTED, {
+      executionId: execution.id,
       planId
-    });
+    }, message.id);
 
-    // Execute the plan
-    const result = await plan.agent.approvePlan();
+    // Completion reaches every subscriber through the execution-completed event
+    await orchestrator.startExecution(execution);
 
     logger.info(`Plan execution completed`);
 
-    sendMessage(clientInfo.ws, 'execution-complete', {
-      executionId,
-      planId,
-      status: 'completed',
-      summary: result.output || result.stdout
-    });
-
   } catch (error) {
     logger.error(`Failed to approve/execute plan: ${error.message}`, error);
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -550,11 +812,11 @@ async function handleRejectPlan(message, clientInfo) {
     const plan = planner.getPlan(planId);
 
     if (!plan) {
-      throw new Error('Plan not found');
+      throw new NotFoundError('PLAN_NOT_FOUND', 'Plan not found');
     }
 
     if (!plan.agent) {
-      throw new Error('Agent process not found - plan may have expired');
+      throw new StateError('NO_ACTIVE_AGENT', 'Agent process not found - plan may have expired');
     }
 
     logger.info(`Rejecting plan ${planId} with feedback: ${reason}`);
@@ -565,12 +827,15 @@ async function handleRejectPlan(message, clientInfo) {
     // Update the plan with new content
     plan.plan = newPlanResult.plan;
     plan.modifiedFiles = newPlanResult.modifiedFiles || [];
+    plan.usage = addUsage(plan.usage, newPlanResult.usage);
+    plan.revisedAt = new Date().toISOString();
+    planner.persistPlan(plan);
 
-    sendMessage(clientInfo.ws, 'agent-plan', plan, message.id);
+    sendMessage(clientInfo, MessageTypes.AGENT_PLAN, plan, message.id);
 
   } catch (error) {
     logger.error(`Failed to reject plan: ${error.message}`, error);
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -580,35 +845,36 @@ async function handleAbortExecution(message, clientInfo) {
 
     const execution = await orchestrator.abortExecution(executionId);
 
-    sendMessage(clientInfo.ws, 'execution-aborted', {
+    sendMessage(clientInfo, MessageTypes.EXECUTION_ABORTED, {
       executionId,
       reason
     }, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
 async function handleGeneratePR(message, clientInfo) {
   try {
-    const { executionId, title, description, baseBranch } = message.data;
+    const { executionId, title, description, baseBranch, force } = message.data;
 
     const pr = await orchestrator.generatePR(executionId, {
       title,
       description,
-      baseBranch
+      baseBranch,
+      force: force === true
     });
 
-    sendMessage(clientInfo.ws, MessageTypes.PR_CREATED, pr, message.id);
+    sendMessage(clientInfo, MessageTypes.PR_CREATED, pr, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
 async function handleHealthCheck(message, clientInfo) {
-  sendMessage(clientInfo.ws, 'health-check-response', {
+  sendMessage(clientInfo, MessageTypes.HEALTH_CHECK_RESPONSE, {
     status: 'healthy',
     timestamp: new Date().toISOString()
   }, message.id);
@@ -617,7 +883,7 @@ async function handleHealthCheck(message, clientInfo) {
 async function handleEmergencyKillSwitch(message, clientInfo, sessionManager) {
   try {
     if (!clientInfo.session) {
-      throw new Error('Not authenticated');
+      throw new SecurityError('NOT_AUTHENTICATED', 'Not authenticated');
     }
 
     const reason = message.data?.reason || 'Emergency kill switch activated';
@@ -626,12 +892,12 @@ async function handleEmergencyKillSwitch(message, clientInfo, sessionManager) {
 
     clientInfo.session = null;
 
-    sendMessage(clientInfo.ws, MessageTypes.EMERGENCY_KILL_CONFIRMED, {
+    sendMessage(clientInfo, MessageTypes.EMERGENCY_KILL_CONFIRMED, {
       abortedExecutions,
       terminatedSessions
     }, message.id);
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -641,12 +907,12 @@ async function handleCleanupWorktree(message, clientInfo) {
 
     await orchestrator.cleanupWorktree(executionId);
 
-    sendMessage(clientInfo.ws, 'worktree-cleanup-complete', {
+    sendMessage(clientInfo, MessageTypes.WORKTREE_CLEANUP_COMPLETE, {
       executionId
     }, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
@@ -658,52 +924,311 @@ async function handleAgentFeedback(message, clientInfo) {
     const execution = orchestrator.getExecution(executionId);
 
     if (!execution) {
-      throw new Error('Execution not found');
+      throw new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found');
     }
 
     if (!execution.agent) {
-      throw new Error('No active agent for this execution');
+      throw new StateError('NO_ACTIVE_AGENT', 'No active agent for this execution');
     }
 
     await execution.agent.sendInteraction(feedback);
 
-    sendMessage(clientInfo.ws, 'feedback-sent', {
+    sendMessage(clientInfo, MessageTypes.FEEDBACK_SENT, {
       executionId,
       success: true
     }, message.id);
 
   } catch (error) {
-    sendError(clientInfo.ws, error.message, message.id);
+    sendError(clientInfo, error, message.id);
   }
 }
 
-function sendMessage(ws, type, data = {}, messageId = null) {
+async function handlePermissionResponse(message, clientInfo) {
   try {
-    const message = createMessage(type, data, messageId);
-    const json = JSON.stringify(message);
-    logger.info(`Sending message type=${type} length=${json.length} bytes`);
-    ws.send(json);
-    logger.verbose(`Message sent successfully: ${type}`);
+    const { requestId, decision, reason } = message.data;
+
+    const request = orchestrator.permissions.get(requestId);
+    if (!request) {
+      throw new NotFoundError('PERMISSION_REQUEST_NOT_FOUND', 'Permission request not found - it may have been answered or timed out');
+    }
+
+    getOwnedExecution(request.executionId, clientInfo);
+
+    // Every subscriber also gets agent-permission-resolved, so other clients can close the prompt
+    const resolution = orchestrator.permissions.respond(requestId, decision, reason || null);
+
+    sendMessage(clientInfo, MessageTypes.AGENT_PERMISSION_RESOLVED, resolution, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleSubscribeExecution(message, clientInfo) {
+  try {
+    const { executionId } = message.data;
+
+    const execution = getOwnedExecution(executionId, clientInfo);
+
+    subscriptions.subscribe(executionId, clientInfo);
+
+    sendMessage(clientInfo, MessageTypes.EXECUTION_SUBSCRIBED, {
+      executionId,
+      status: execution.status,
+      progress: execution.progress,
+      modifiedFiles: execution.modifiedFiles || []
+    }, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleSelectWinner(message, clientInfo) {
+  try {
+    const { comparisonId, executionId } = message.data;
+
+    const comparison = comparisonRunner.getComparison(comparisonId);
+
+    if (!comparison) {
+      throw new NotFoundError('COMPARISON_NOT_FOUND', 'Comparison not found');
+    }
+
+    if (comparison.sessionId !== clientInfo.session?.id) {
+      throw new SecurityError('FORBIDDEN', 'Comparison does not belong to this session');
+    }
+
+    const result = await comparisonRunner.selectWinner(comparisonId, executionId);
+
+    sendMessage(clientInfo, MessageTypes.WINNER_SELECTED, result, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleRunBatch(message, clientInfo) {
+  try {
+    const { entries, defaults, concurrency, autoApprove, createPR } = message.data;
+
+    const batch = batchRunner.createBatch(entries, clientInfo.session.id, {
+      defaults,
+      concurrency,
+      autoApprove,
+      createPR
+    });
+
+    // Progress and the report are published under the batch ID
+    subscriptions.subscribe(batch.id, clientInfo);
+
+    sendMessage(clientInfo, MessageTypes.BATCH_STARTED, {
+      batchId: batch.id,
+      entries: batch.entries.map(entry => ({
+        index: entry.index,
+        name: entry.name,
+        workdir: entry.workdir,
+        agent: entry.agent
+      }))
+    }, message.id);
+
+    await batchRunner.runBatch(batch);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleListTemplates(message, clientInfo) {
+  try {
+    sendMessage(clientInfo, MessageTypes.TEMPLATE_LIST, {
+      templates: await templates.list()
+    }, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleSaveTemplate(message, clientInfo) {
+  try {
+    const template = await templates.save(message.data.template);
+
+    sendMessage(clientInfo, MessageTypes.TEMPLATE_SAVED, { template }, message.id);
+
   } catch (error) {
-    logger.error(`Failed to send message type=${type}:`, error);
-    throw error;
+    sendError(clientInfo, error, message.id);
   }
 }
 
-function sendError(ws, error, messageId = null) {
-  const message = createErrorMessage(error, messageId);
-  ws.send(JSON.stringify(message));
+async function handleResumeExecution(message, clientInfo) {
+  try {
+    const { executionId, lastSeq = 0 } = message.data;
+
+    if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+      throw new ValidationError('INVALID_DATA', `Invalid lastSeq: ${lastSeq}`);
+    }
+
+    const execution = getOwnedExecution(executionId, clientInfo);
+
+    // The ack goes out before the replayed events so clients know how many to expect
+    subscriptions.resume(executionId, clientInfo, lastSeq, (summary) => {
+      sendMessage(clientInfo, MessageTypes.EXECUTION_RESUMED, {
+        executionId,
+        status: execution.status,
+        progress: execution.progress,
+        ...summary
+      }, message.id);
+    });
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleContinueExecution(message, clientInfo) {
+  try {
+    const { executionId, prompt, context } = message.data;
+
+    getOwnedExecution(executionId, clientInfo);
+
+    const { execution, turn } = orchestrator.continueExecution(executionId, prompt, { context });
+
+    subscriptions.subscribe(executionId, clientInfo);
+
+    sendMessage(clientInfo, MessageTypes.EXECUTION_CONTINUED, {
+      executionId,
+      turn: turn.number,
+      status: execution.status,
+      conversation: execution.conversation?.id ? 'resume' : 'replay'
+    }, message.id);
+
+    // The turn's outcome reaches every subscriber through execution-complete
+    await orchestrator.startTurn(execution, turn);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleUnsubscribeExecution(message, clientInfo) {
+  try {
+    const { executionId } = message.data;
+
+    getOwnedExecution(executionId, clientInfo);
+
+    const removed = subscriptions.unsubscribe(executionId, clientInfo.id);
+
+    sendMessage(clientInfo, MessageTypes.EXECUTION_UNSUBSCRIBED, {
+      executionId,
+      wasSubscribed: removed
+    }, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+/**
+ * Pick the session worktree an execution should run in
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {string} worktreePath - Worktree requested by the client, if any
+ * @returns {Object|null} Worktree, or null to let the orchestrator create one
+ */
+function getSessionWorktree(clientInfo, worktreePath = null) {
+  if (!worktreePath) {
+    return clientInfo.worktree || null;
+  }
+
+  const worktree = clientInfo.worktrees.get(worktreePath);
+  if (!worktree) {
+    throw new NotFoundError('WORKTREE_NOT_FOUND', `Unknown worktree: ${worktreePath}`);
+  }
+
+  return worktree;
+}
+
+function getOwnedExecution(executionId, clientInfo) {
+  const execution = orchestrator.getExecution(executionId);
+
+  if (!execution) {
+    throw new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found');
+  }
+
+  if (execution.sessionId && execution.sessionId !== clientInfo.session?.id) {
+    throw new SecurityError('FORBIDDEN', 'Execution does not belong to this session');
+  }
+
+  return execution;
+}
+
+async function handleListExecutions(message, clientInfo) {
+  try {
+    // Clients only ever see their own session's history
+    const filters = { ...message.data, sessionId: clientInfo.session?.id };
+
+    if (filters.workdir) {
+      const { translatePath } = await import('../utils/wsl.js');
+      filters.workdir = translatePath(filters.workdir, 'windows-to-wsl');
+    }
+
+    const result = orchestrator.queryExecutions(filters);
+
+    sendMessage(clientInfo, MessageTypes.EXECUTION_LIST, result, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleGetExecution(message, clientInfo) {
+  try {
+    const { executionId, includeOutput } = message.data;
+
+    getOwnedExecution(executionId, clientInfo);
+
+    const execution = await orchestrator.getExecutionDetails(executionId, {
+      includeOutput: Boolean(includeOutput)
+    });
+
+    sendMessage(clientInfo, MessageTypes.EXECUTION_DETAILS, execution, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
+}
+
+async function handleGetLogs(message, clientInfo) {
+  try {
+    const { executionId } = message.data;
+    const offset = Math.max(parseInt(message.data.offset, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(message.data.limit, 10) || 500, 1), 5000);
+
+    getOwnedExecution(executionId, clientInfo);
+
+    const output = await orchestrator.getExecutionOutput(executionId);
+
+    sendMessage(clientInfo, MessageTypes.EXECUTION_LOGS, {
+      executionId,
+      entries: output.slice(offset, offset + limit).map(entry => ({
+        type: entry.type,
+        data: entry.data,
+        timestamp: entry.timestamp
+      })),
+      total: output.length,
+      offset
+    }, message.id);
+
+  } catch (error) {
+    sendError(clientInfo, error, message.id);
+  }
 }
 
-function broadcastToClient(clientInfo, type, data) {
+async function handleGetUsage(message, clientInfo) {
   try {
-    const message = createMessage(type, data);
-    const json = JSON.stringify(message);
-    logger.info(`Broadcasting message type=${type} length=${json.length} bytes`);
-    clientInfo.ws.send(json);
-    logger.verbose(`Broadcast sent successfully: ${type}`);
+    // Like execution history, usage is only ever the client's own session's
+    const filters = { ...message.data, sessionId: clientInfo.session?.id };
+    sendMessage(clientInfo, MessageTypes.USAGE, orchestrator.getUsage(filters), message.id);
   } catch (error) {
-    logger.error(`Failed to broadcast message type=${type}:`, error);
-    throw error;
+    sendError(clientInfo, error, message.id);
   }
 }
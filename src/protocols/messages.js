@@ -1,63 +1,38 @@
-export const MessageTypes = {
-  // Client to Bridge
-  PAIR: 'pair',
-  AUTHENTICATE: 'authenticate',
-  INIT_SESSION: 'init-session',
-  START_AGENT_SESSION: 'start-agent-session',  // NEW: Start agent session (scan files + get branches)
-  CREATE_WORKTREE: 'create-worktree',  // NEW: Create worktree with selected branch
-  GIT_STATUS: 'git-status',
-  GIT_COMMAND: 'git-command',
-  EXECUTE_PROMPT: 'execute-prompt',
-  AGENT_INTERACTION: 'agent-interaction',
-  AGENT_FEEDBACK: 'agent-feedback',  // NEW: User feedback during execution
-  APPROVE_PLAN: 'approve-plan',
-  REJECT_PLAN: 'reject-plan',
-  ABORT_EXECUTION: 'abort-execution',
-  GENERATE_PR: 'generate-pr',
-  CLEANUP_WORKTREE: 'cleanup-worktree',  // NEW: Cleanup worktree after PR
-  GET_LOGS: 'get-logs',
-  HEALTH_CHECK: 'health-check',
-  EMERGENCY_KILL: 'emergency-kill',
-
-  // Bridge to Client
-  CONNECTED: 'connected',
-  PAIRING_SUCCESS: 'pairing-success',
-  AUTH_SUCCESS: 'auth-success',
-  AUTH_FAILED: 'auth-failed',
-  AGENTS_AVAILABLE: 'agents-available',
-  GIT_STATUS_RESPONSE: 'git-status',
-  AGENT_PLAN: 'agent-plan',
-  AGENT_OUTPUT: 'agent-output',
-  AGENT_QUESTION: 'agent-question',
-  AGENT_STATE_CHANGE: 'agent-state-change',  // NEW: Agent streaming/waiting/complete states
-  FILE_LIST: 'file-list',  // NEW: Initial directory structure
-  FILE_DIFF: 'file-diff',  // NEW: File changes with diff content
-  FILE_CHANGED: 'file-changed',  // Existing (deprecated in favor of FILE_DIFF)
-  WORKTREE_CREATED: 'worktree-created',  // NEW: Worktree creation event
-  WORKTREE_DELETED: 'worktree-deleted',  // NEW: Worktree deletion event
-  EXECUTION_PROGRESS: 'execution-progress',
-  EXECUTION_COMPLETE: 'execution-complete',
-  PR_CREATED: 'pr-created',
-  EMERGENCY_KILL_CONFIRMED: 'emergency-kill-confirmed',
-  ERROR: 'error'
-};
-
-export function createMessage(type, data = {}, messageId = null) {
+import Ajv from 'ajv';
+import { RequestSchemas, ResponseSchemas } from './schemas.js';
+import { logger } from '../utils/logger.js';
+import { describeError } from '../utils/errors.js';
+import { MessageTypes, PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION } from './types.js';
+
+export { MessageTypes, PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION };
+
+export function createMessage(type, data = {}, messageId = null, version = LEGACY_PROTOCOL_VERSION) {
+  if (debugMode) {
+    const validation = validateResponseData(type, data);
+    if (!validation.valid) {
+      logger.warn(`Outgoing ${type} does not match its schema: ${validation.errors.join(', ')}`);
+    }
+  }
+
   return {
     id: messageId || generateMessageId(),
     type,
     data,
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version
   };
 }
 
-export function createErrorMessage(error, messageId = null) {
+export function createErrorMessage(error, messageId = null, version = LEGACY_PROTOCOL_VERSION, code = null) {
+  const { message, ...fields } = describeError(error, {
+    fallbackCode: code || 'UNKNOWN_ERROR',
+    includeStack: debugMode
+  });
+
   return createMessage(MessageTypes.ERROR, {
-    error: typeof error === 'string' ? error : error.message,
-    code: error.code || 'UNKNOWN_ERROR',
-    stack: error.stack
-  }, messageId);
+    error: message,
+    ...fields
+  }, messageId, version);
 }
 
 export function createSuccessMessage(type, data = {}, messageId = null) {
@@ -110,99 +85,103 @@ export function generateMessageId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
 }
 
-export const MessageSchema = {
-  [MessageTypes.PAIR]: {
-    required: ['code', 'clientPublicKey'],
-    optional: ['appName', 'appUrl']
-  },
-
-  [MessageTypes.AUTHENTICATE]: {
-    required: ['token'],
-    optional: []
-  },
-
-  [MessageTypes.INIT_SESSION]: {
-    required: ['workdir', 'agentType'],
-    optional: ['agentConfig']
-  },
-
-  [MessageTypes.START_AGENT_SESSION]: {
-    required: [],
-    optional: []
-  },
-
-  [MessageTypes.CREATE_WORKTREE]: {
-    required: ['baseBranch'],
-    optional: []
-  },
-
-  [MessageTypes.GIT_STATUS]: {
-    required: ['workdir'],
-    optional: []
-  },
-
-  [MessageTypes.GIT_COMMAND]: {
-    required: ['command', 'workdir'],
-    optional: ['args', 'options']
-  },
-
-  [MessageTypes.EXECUTE_PROMPT]: {
-    required: ['prompt', 'mode'],
-    optional: ['options']
-  },
-
-  [MessageTypes.AGENT_INTERACTION]: {
-    required: ['message'],
-    optional: ['type']
-  },
-
-  [MessageTypes.APPROVE_PLAN]: {
-    required: ['planId'],
-    optional: ['modifications']
-  },
-
-  [MessageTypes.REJECT_PLAN]: {
-    required: ['planId', 'reason'],
-    optional: []
-  },
-
-  [MessageTypes.ABORT_EXECUTION]: {
-    required: ['executionId'],
-    optional: ['reason']
-  },
-
-  [MessageTypes.GENERATE_PR]: {
-    required: ['executionId'],
-    optional: ['title', 'description', 'baseBranch']
-  },
-
-  [MessageTypes.HEALTH_CHECK]: {
-    required: [],
-    optional: []
-  },
-
-  [MessageTypes.EMERGENCY_KILL]: {
-    required: [],
-    optional: ['reason']
-  }
-};
+// Full JSON Schemas live in schemas.js so clients can import them without the bridge
+export const MessageSchema = RequestSchemas;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+ajv.addFormat('path', (value) =>
+  !value.includes('\0') && (
+    value.startsWith('/') ||                         // POSIX
+    /^[A-Za-z]:[\\/]/.test(value) ||               // C:\ or C:/
+    /^\\\\wsl(\$|\.localhost)\\/.test(value)   // \\wsl$\ or \\wsl.localhost\
+  )
+);
+ajv.addFormat('date-time', (value) => !Number.isNaN(Date.parse(value)));
+
+const requestValidators = compileSchemas(RequestSchemas);
+const responseValidators = compileSchemas(ResponseSchemas);
+
+let debugMode = false;
+
+function compileSchemas(schemas) {
+  return Object.fromEntries(
+    Object.entries(schemas).map(([type, schema]) => [type, ajv.compile(schema)])
+  );
+}
+
+function formatErrors(errors) {
+  return errors
+    .filter(error => !['if', 'anyOf', 'oneOf'].includes(error.keyword))
+    .map(error => {
+      const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'data';
+
+      switch (error.keyword) {
+        case 'required':
+          return `Missing required field: ${field === 'data' ? '' : `${field}.`}${error.params.missingProperty}`;
+        case 'additionalProperties':
+          return `Unknown field: ${field === 'data' ? '' : `${field}.`}${error.params.additionalProperty}`;
+        case 'enum':
+          return `${field} must be one of ${error.params.allowedValues.join(', ')}`;
+        case 'false schema':
+          return `${field} is not allowed here`;
+        default:
+          return `${field} ${error.message}`;
+      }
+    });
+}
 
+/**
+ * Check a client message's data against its schema
+ * @param {string} type - Message type
+ * @param {Object} data - Message data
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
 export function validateMessageData(type, data) {
-  const schema = MessageSchema[type];
-  if (!schema) {
-    return { valid: true };
+  const validate = requestValidators[type];
+  if (!validate) {
+    return { valid: true, errors: [] };
   }
 
-  const errors = [];
+  const valid = validate(data);
 
-  for (const field of schema.required) {
-    if (data[field] === undefined || data[field] === null) {
-      errors.push(`Missing required field: ${field}`);
-    }
+  return {
+    valid,
+    errors: valid ? [] : [...new Set(formatErrors(validate.errors))]
+  };
+}
+
+/**
+ * Check an outgoing message's data against its schema
+ * @param {string} type - Message type
+ * @param {Object} data - Message data
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateResponseData(type, data) {
+  const validate = responseValidators[type];
+  if (!validate) {
+    return { valid: true, errors: [] };
   }
 
+  // Outgoing data goes through JSON first so undefined fields are dropped like on the wire
+  const valid = validate(JSON.parse(JSON.stringify(data)));
+
   return {
-    valid: errors.length === 0,
-    errors
+    valid,
+    errors: valid ? [] : [...new Set(formatErrors(validate.errors))]
   };
 }
+
+/**
+ * Protocol debug mode: check every outgoing message against its schema and
+ * log the ones that do not match, and include stack traces in errors sent to
+ * clients. Off by default as it costs a JSON round trip per message.
+ * @param {boolean} enabled
+ */
+export function setProtocolDebug(enabled) {
+  debugMode = Boolean(enabled);
+}
+
+export function isProtocolDebug() {
+  return debugMode;
+}
@@ -0,0 +1,130 @@
+const DEFAULT_MAX_EVENTS = 1000;
+const DEFAULT_MAX_EXECUTIONS = 100;
+const DEFAULT_RETENTION = 600000; // 10 minutes
+
+/**
+ * Bounded per-execution event history. Every recorded event gets the next
+ * sequence number for its execution so reconnecting clients can ask for
+ * everything after the last sequence they saw. A buffer is dropped a while
+ * after its execution ends.
+ */
+export class ReplayBuffer {
+  constructor(options = {}) {
+    this.maxEvents = options.maxEvents || DEFAULT_MAX_EVENTS;
+    this.maxExecutions = options.maxExecutions || DEFAULT_MAX_EXECUTIONS;
+    this.retention = options.retention ?? DEFAULT_RETENTION;
+    this.buffers = new Map();
+    this.dropTimers = new Map();
+  }
+
+  configure(options = {}) {
+    if (options.maxEvents) {
+      this.maxEvents = options.maxEvents;
+    }
+
+    if (options.maxExecutions) {
+      this.maxExecutions = options.maxExecutions;
+    }
+
+    if (options.retention !== undefined) {
+      this.retention = options.retention;
+    }
+  }
+
+  /**
+   * Drop an execution's buffer once the retention period has passed
+   * @param {string} executionId - Execution that just ended
+   */
+  scheduleDrop(executionId) {
+    if (!this.buffers.has(executionId)) {
+      return;
+    }
+
+    this.cancelDrop(executionId);
+
+    const timer = setTimeout(() => this.clear(executionId), this.retention);
+    timer.unref?.();
+    this.dropTimers.set(executionId, timer);
+  }
+
+  /**
+   * Keep an execution's buffer, e.g. when a follow-up turn starts
+   * @param {string} executionId - Execution ID
+   */
+  cancelDrop(executionId) {
+    clearTimeout(this.dropTimers.get(executionId));
+    this.dropTimers.delete(executionId);
+  }
+
+  /**
+   * Record an event and assign its sequence number
+   * @param {string} executionId - Execution the event belongs to
+   * @param {string} type - Message type
+   * @param {Object} data - Message payload
+   * @returns {{seq: number, type: string, data: Object, timestamp: string}}
+   */
+  record(executionId, type, data) {
+    let buffer = this.buffers.get(executionId);
+
+    if (!buffer) {
+      buffer = { lastSeq: 0, events: [] };
+      this.buffers.set(executionId, buffer);
+      this.evictOldExecutions();
+    }
+
+    buffer.lastSeq += 1;
+
+    const entry = {
+      seq: buffer.lastSeq,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    buffer.events.push(entry);
+    if (buffer.events.length > this.maxEvents) {
+      buffer.events.shift();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Events recorded after a given sequence number
+   * @param {string} executionId - Execution ID
+   * @param {number} lastSeq - Last sequence number the client received
+   * @returns {{events: Array<Object>, lastSeq: number, truncated: boolean}}
+   */
+  since(executionId, lastSeq = 0) {
+    const buffer = this.buffers.get(executionId);
+
+    if (!buffer) {
+      return { events: [], lastSeq: 0, truncated: lastSeq > 0 };
+    }
+
+    const events = buffer.events.filter(entry => entry.seq > lastSeq);
+    const oldestSeq = buffer.events.length > 0 ? buffer.events[0].seq : buffer.lastSeq + 1;
+
+    return {
+      events,
+      lastSeq: buffer.lastSeq,
+      // Events between lastSeq and the oldest buffered one were dropped
+      truncated: oldestSeq > lastSeq + 1
+    };
+  }
+
+  getLastSeq(executionId) {
+    return this.buffers.get(executionId)?.lastSeq || 0;
+  }
+
+  clear(executionId) {
+    this.cancelDrop(executionId);
+    this.buffers.delete(executionId);
+  }
+
+  evictOldExecutions() {
+    while (this.buffers.size > this.maxExecutions) {
+      this.clear(this.buffers.keys().next().value);
+    }
+  }
+}
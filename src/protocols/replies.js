@@ -0,0 +1,186 @@
+import { MessageTypes, createErrorMessage, isProtocolDebug } from './messages.js';
+import { encodeForClient, wantsMessage } from './versioning.js';
+import { logger } from '../utils/logger.js';
+import { describeError } from '../utils/errors.js';
+
+/**
+ * Replies to client commands.
+ *
+ * Clients that negotiate the `acks` feature get exactly one `ack` or `nack`
+ * per command, correlated by the command's message ID, and `progress`
+ * messages for anything a long-running command sends before or after it.
+ * Everyone else gets the original per-command reply types.
+ */
+
+export const ACK_FEATURE = 'acks';
+
+export function usesAcks(clientInfo) {
+  return Boolean(clientInfo.protocol?.negotiated && clientInfo.protocol.features.includes(ACK_FEATURE));
+}
+
+/**
+ * Start tracking a command so it is answered exactly once
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {Object} message - Incoming command
+ */
+export function beginRequest(clientInfo, message) {
+  // The handshake reply is what tells the client whether acks are on
+  if (!usesAcks(clientInfo) || !message.id || message.type === MessageTypes.HANDSHAKE) {
+    return;
+  }
+
+  if (!clientInfo.requests) {
+    clientInfo.requests = new Map();
+  }
+
+  clientInfo.requests.set(message.id, { type: message.type, answered: false });
+}
+
+/**
+ * Stop tracking a command. A command whose handler sent nothing is acked
+ * here with an empty result.
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {Object} message - Incoming command
+ */
+export function finishRequest(clientInfo, message) {
+  const request = clientInfo.requests?.get(message.id);
+  if (!request) {
+    return;
+  }
+
+  if (!request.answered) {
+    sendMessage(clientInfo, null, null, message.id);
+  }
+
+  clientInfo.requests.delete(message.id);
+}
+
+/**
+ * Send a command's reply, or an uncorrelated message when messageId is null
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {string|null} type - Reply type (the ack's resultType)
+ * @param {Object|null} data - Reply payload (the ack's result)
+ * @param {string|null} messageId - ID of the command being answered
+ */
+export function sendMessage(clientInfo, type, data = {}, messageId = null) {
+  if (messageId && usesAcks(clientInfo)) {
+    const request = takeRequest(clientInfo, messageId);
+
+    if (request.first) {
+      return deliver(clientInfo, MessageTypes.ACK, {
+        requestId: messageId,
+        requestType: request.type,
+        status: 'ok',
+        resultType: type,
+        result: data
+      }, messageId);
+    }
+
+    // Anything after the ack is progress on the same command
+    return sendProgress(clientInfo, type, data, messageId);
+  }
+
+  return deliver(clientInfo, type, data, messageId);
+}
+
+/**
+ * Send something a long-running command produces on the way, such as agent
+ * output during planning. Clients without acks get it uncorrelated, as before.
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {string} type - Message type
+ * @param {Object} data - Message payload
+ * @param {string} messageId - ID of the command it belongs to
+ */
+export function sendProgress(clientInfo, type, data, messageId) {
+  if (!usesAcks(clientInfo)) {
+    return deliver(clientInfo, type, data);
+  }
+
+  // Progress wraps the message, so it is dropped here like the message would be
+  if (!wantsMessage(clientInfo.protocol, type)) {
+    return;
+  }
+
+  return deliver(clientInfo, MessageTypes.PROGRESS, {
+    requestId: messageId,
+    requestType: clientInfo.requests?.get(messageId)?.type || null,
+    status: 'running',
+    progressType: type,
+    data
+  }, messageId);
+}
+
+/**
+ * Report a failed command
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {Error|string} error - What went wrong
+ * @param {string|null} messageId - ID of the failed command
+ * @param {string} code - Error code, when the error is not a BridgeError
+ */
+export function sendError(clientInfo, error, messageId = null, code = null) {
+  if (messageId && usesAcks(clientInfo)) {
+    const request = takeRequest(clientInfo, messageId);
+    const failure = describeError(error, {
+      fallbackCode: code || 'COMMAND_FAILED',
+      includeStack: isProtocolDebug()
+    });
+
+    if (request.first) {
+      return deliver(clientInfo, MessageTypes.NACK, {
+        requestId: messageId,
+        requestType: request.type,
+        status: 'error',
+        error: failure
+      }, messageId);
+    }
+
+    // The command was already acked, so the failure is reported as its last progress
+    return deliver(clientInfo, MessageTypes.PROGRESS, {
+      requestId: messageId,
+      requestType: request.type,
+      status: 'failed',
+      progressType: MessageTypes.ERROR,
+      error: failure
+    }, messageId);
+  }
+
+  const message = createErrorMessage(error, messageId, clientInfo.protocol?.version, code);
+  clientInfo.ws.send(JSON.stringify(message));
+}
+
+/**
+ * Send a message as is, even to clients with acks
+ * @param {Object} clientInfo - WebSocket client state
+ * @param {string} type - Message type
+ * @param {Object} data - Message payload
+ * @param {string|null} messageId - Correlation ID
+ */
+export function sendUncorrelated(clientInfo, type, data, messageId = null) {
+  deliver(clientInfo, type, data, messageId);
+}
+
+function takeRequest(clientInfo, messageId) {
+  const request = clientInfo.requests?.get(messageId);
+
+  // Not tracked: rejected before the handler ran, so this is its only reply
+  if (!request) {
+    return { first: true, type: null };
+  }
+
+  const first = !request.answered;
+  request.answered = true;
+  return { first, type: request.type };
+}
+
+function deliver(clientInfo, type, data, messageId = null) {
+  try {
+    for (const json of encodeForClient(clientInfo.protocol, type, data, messageId)) {
+      logger.info(`Sending message type=${type} length=${json.length} bytes`);
+      clientInfo.ws.send(json);
+    }
+    logger.verbose(`Message sent successfully: ${type}`);
+  } catch (error) {
+    logger.error(`Failed to send message type=${type}:`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,665 @@
+/**
+ * JSON Schemas (draft-07) for the `data` payload of every protocol message.
+ *
+ * This module is plain data with no imports so client SDKs can load it
+ * (`prompt-dock-bridge/schemas`) and generate types from it. Two custom
+ * formats are used: `path` (absolute POSIX, Windows drive or WSL UNC path)
+ * and `date-time` (anything Date.parse understands).
+ */
+
+export const SCHEMA_VERSION = '1.0.0';
+
+// Built-in agents. Plugins add more, so messages only check the name's shape.
+export const AGENT_TYPES = ['claude-code', 'cursor-agent', 'codex'];
+export const EXECUTION_MODES = ['plan', 'execute', 'compare'];
+export const GIT_COMMANDS = ['create-branch', 'switch-branch', 'stash'];
+export const PERMISSION_MODES = ['auto', 'ask'];
+export const PERMISSION_DECISIONS = ['allow', 'deny', 'always-allow'];
+export const AGENT_EVENT_TYPES = [
+  'assistant-text',
+  'thinking',
+  'tool-call',
+  'tool-result',
+  'file-edit',
+  'shell-command',
+  'error',
+  'usage'
+];
+
+export const MAX_PROMPT_LENGTH = 100000;
+
+const id = { type: 'string', minLength: 1, maxLength: 200 };
+const path = { type: 'string', format: 'path', maxLength: 4096 };
+const branch = { type: 'string', minLength: 1, maxLength: 255, pattern: '^[^\\s~^:?*\\[\\\\]+$' };
+const text = (maxLength) => ({ type: 'string', maxLength });
+const agentType = { type: 'string', pattern: '^[a-z0-9][a-z0-9._-]{0,63}$' };
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const version = { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' };
+const names = { type: 'array', items: { type: 'string' } };
+const templateId = { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}$' };
+const line = { type: 'integer', minimum: 1 };
+
+// Files attached to a prompt, relative to the working directory
+const contextItem = {
+  oneOf: [
+    object({ path: { type: 'string', minLength: 1, maxLength: 4096 }, startLine: line, endLine: line }, ['path']),
+    object({ glob: { type: 'string', minLength: 1, maxLength: 500 } }, ['glob'])
+  ]
+};
+
+function object(properties = {}, required = [], additionalProperties = false) {
+  return { type: 'object', properties, required, additionalProperties };
+}
+
+const failure = object({
+  code: { type: 'string' },
+  message: { type: 'string' },
+  retryable: { type: 'boolean' },
+  hint: nullable({ type: 'string' }),
+  details: { type: 'object' }
+}, ['code', 'message', 'retryable'], true);
+
+const contestant = {
+  oneOf: [
+    agentType,
+    object({
+      agent: agentType,
+      label: text(100),
+      options: { type: 'object' }
+    }, ['agent'])
+  ]
+};
+
+// Agent options are passed through to the agent, so unknown keys are allowed here
+const executeOptions = object({
+  planId: id,
+  agent: agentType,
+  worktreePath: path,
+  fixup: {
+    oneOf: [
+      { type: 'boolean' },
+      object({ maxIterations: { type: 'integer', minimum: 1 } })
+    ]
+  },
+  repoMap: { type: 'boolean' },
+  permissions: { type: 'string', enum: PERMISSION_MODES },
+  agents: { type: 'array', minItems: 2, maxItems: 10, items: contestant },
+  model: text(200)
+}, [], true);
+
+/**
+ * Client → bridge messages, keyed by message type
+ */
+export const RequestSchemas = {
+  'handshake': object({
+    protocolVersions: { type: 'array', minItems: 1, maxItems: 20, items: version },
+    features: { type: 'array', maxItems: 50, items: text(100) },
+    client: object({
+      name: text(100),
+      version: text(50)
+    })
+  }, ['protocolVersions']),
+
+  'pair': object({
+    code: { type: 'string', pattern: '^[A-Za-z0-9-]{4,32}$' },
+    clientPublicKey: text(10000),
+    appName: text(200),
+    appUrl: text(2048)
+  }, ['code', 'clientPublicKey']),
+
+  'authenticate': object({
+    token: { type: 'string', minLength: 1, maxLength: 4096 }
+  }, ['token']),
+
+  'init-session': object({
+    workdir: path,
+    agentType,
+    agentConfig: { type: 'object' }
+  }, ['workdir']),
+
+  'start-agent-session': object(),
+
+  'create-worktree': object({
+    baseBranch: nullable(branch),
+    promptMetadata: { type: 'object' }
+  }),
+
+  'git-status': object({
+    workdir: path
+  }, ['workdir']),
+
+  'git-command': {
+    ...object({
+      command: { type: 'string', enum: GIT_COMMANDS },
+      workdir: path,
+      args: object({
+        name: branch,
+        message: text(1000)
+      }),
+      options: { type: 'object' }
+    }, ['command', 'workdir']),
+    allOf: [
+      {
+        if: { required: ['command'], properties: { command: { enum: ['create-branch', 'switch-branch'] } } },
+        then: { required: ['args'], properties: { args: { type: 'object', required: ['name'] } } }
+      }
+    ]
+  },
+
+  'execute-prompt': {
+    ...object({
+      prompt: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH },
+      templateId,
+      variables: {
+        type: 'object',
+        maxProperties: 100,
+        additionalProperties: { type: ['string', 'number', 'boolean'] }
+      },
+      mode: { type: 'string', enum: EXECUTION_MODES },
+      context: { type: 'array', maxItems: 100, items: contextItem },
+      options: executeOptions
+    }, ['mode']),
+    allOf: [
+      // A raw prompt or a template from the library
+      { anyOf: [{ required: ['prompt'] }, { required: ['templateId'] }] },
+      {
+        if: { required: ['templateId'] },
+        then: { properties: { prompt: false } }
+      },
+      {
+        if: { required: ['mode'], properties: { mode: { const: 'execute' } } },
+        then: { required: ['options'], properties: { options: { type: 'object', required: ['planId'] } } }
+      },
+      {
+        if: { required: ['mode'], properties: { mode: { const: 'compare' } } },
+        then: { required: ['options'], properties: { options: { type: 'object', required: ['agents'] } } }
+      }
+    ]
+  },
+
+  'agent-interaction': object({
+    message: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH },
+    type: text(50)
+  }, ['message']),
+
+  'agent-feedback': object({
+    executionId: id,
+    feedback: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH }
+  }, ['executionId', 'feedback']),
+
+  'agent-permission-response': object({
+    requestId: id,
+    decision: { type: 'string', enum: PERMISSION_DECISIONS },
+    reason: text(1000)
+  }, ['requestId', 'decision']),
+
+  'approve-plan': object({
+    planId: id,
+    modifications: { type: ['string', 'object'] }
+  }, ['planId']),
+
+  'reject-plan': object({
+    planId: id,
+    reason: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH }
+  }, ['planId', 'reason']),
+
+  'abort-execution': object({
+    executionId: id,
+    reason: text(1000)
+  }, ['executionId']),
+
+  'subscribe-execution': object({
+    executionId: id
+  }, ['executionId']),
+
+  'unsubscribe-execution': object({
+    executionId: id
+  }, ['executionId']),
+
+  'resume-execution': object({
+    executionId: id,
+    lastSeq: nonNegativeInteger
+  }, ['executionId']),
+
+  'continue-execution': object({
+    executionId: id,
+    prompt: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH },
+    context: { type: 'array', maxItems: 100, items: contextItem }
+  }, ['executionId', 'prompt']),
+
+  'select-winner': object({
+    comparisonId: id,
+    executionId: id
+  }, ['comparisonId', 'executionId']),
+
+  'run-batch': object({
+    entries: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: object({
+        name: text(200),
+        workdir: path,
+        prompt: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH },
+        agent: agentType,
+        baseBranch: branch
+      }, ['workdir'])
+    },
+    defaults: object({
+      prompt: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH },
+      agent: agentType,
+      baseBranch: branch
+    }),
+    concurrency: { type: 'integer', minimum: 1, maximum: 10 },
+    autoApprove: { type: 'boolean' },
+    createPR: { type: 'boolean' }
+  }, ['entries']),
+
+  'list-templates': object(),
+
+  'save-template': object({
+    template: object({
+      id: templateId,
+      description: text(1000),
+      variables: {
+        type: 'object',
+        maxProperties: 100,
+        additionalProperties: {
+          anyOf: [
+            { type: 'string' },
+            object({
+              type: { type: 'string', enum: ['string', 'number', 'boolean', 'enum'] },
+              description: text(1000),
+              values: { type: 'array', minItems: 1, maxItems: 100, items: { type: ['string', 'number'] } },
+              default: { type: ['string', 'number', 'boolean'] }
+            })
+          ]
+        }
+      },
+      template: { type: 'string', minLength: 1, maxLength: MAX_PROMPT_LENGTH }
+    }, ['id', 'template'])
+  }, ['template']),
+
+  'generate-pr': object({
+    executionId: id,
+    title: text(256),
+    description: text(65536),
+    baseBranch: branch,
+    force: { type: 'boolean' }
+  }, ['executionId']),
+
+  'cleanup-worktree': object({
+    executionId: id
+  }, ['executionId']),
+
+  'get-logs': object({
+    executionId: id,
+    offset: nonNegativeInteger,
+    limit: { type: 'integer', minimum: 1, maximum: 5000 }
+  }, ['executionId']),
+
+  'list-executions': object({
+    sessionId: id,
+    agent: agentType,
+    status: {
+      anyOf: [
+        text(200),
+        { type: 'array', items: text(50), maxItems: 20 }
+      ]
+    },
+    workdir: path,
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    limit: { type: 'integer', minimum: 1, maximum: 500 },
+    offset: nonNegativeInteger
+  }),
+
+  'get-usage': object({
+    sessionId: id,
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' }
+  }),
+
+  'get-execution': object({
+    executionId: id,
+    includeOutput: { type: 'boolean' }
+  }, ['executionId']),
+
+  'health-check': object(),
+
+  'emergency-kill': object({
+    reason: text(1000)
+  })
+};
+
+// Bridge → client payloads grow over time, so only the documented fields are
+// checked and extra fields are allowed
+const event = (properties = {}, required = []) => object({
+  executionId: id,
+  planId: nullable(id),
+  sessionId: nullable(id),
+  agent: nullable(text(100)),
+  branchName: nullable(text(255)),
+  seq: { type: 'integer', minimum: 1 },
+  replayed: { type: 'boolean' },
+  ...properties
+}, ['executionId', ...required], true);
+
+/**
+ * Bridge → client messages, keyed by message type. Checked only in protocol
+ * debug mode.
+ */
+const capabilities = object({
+  agents: names,
+  modes: names,
+  prProviders: names,
+  features: names
+}, ['agents', 'modes', 'prProviders', 'features'], true);
+
+export const ResponseSchemas = {
+  'connected': object({
+    protocolVersion: version,
+    supportedVersions: { type: 'array', items: version },
+    capabilities
+  }, ['protocolVersion', 'supportedVersions', 'capabilities'], true),
+
+  'handshake-ack': object({
+    version,
+    supportedVersions: { type: 'array', items: version },
+    capabilities
+  }, ['version', 'supportedVersions', 'capabilities'], true),
+
+  'pairing-success': object({
+    sessionId: id,
+    token: { type: 'string' },
+    bridgePublicKey: { type: 'string' },
+    expiresAt: {}
+  }, ['sessionId', 'token', 'bridgePublicKey'], true),
+
+  'auth-success': object({
+    sessionId: id,
+    token: { type: 'string' }
+  }, ['sessionId', 'token'], true),
+
+  'auth-failed': object({
+    reason: { type: 'string' }
+  }, ['reason'], true),
+
+  'agents-available': object({
+    agents: {
+      type: 'array',
+      items: object({
+        name: { type: 'string' },
+        version: nullable({ type: 'string' }),
+        path: nullable({ type: 'string' }),
+        beta: { type: 'boolean' }
+      }, ['name'], true)
+    }
+  }, ['agents'], true),
+
+  'config-resolved': object({
+    workdir: { type: 'string' },
+    projectRoot: { type: 'string' },
+    configFile: nullable({ type: 'string' }),
+    settings: { type: 'object' },
+    sources: { type: 'object', additionalProperties: { enum: ['request', 'project', 'global', 'default'] } }
+  }, ['workdir', 'projectRoot', 'configFile', 'settings', 'sources'], true),
+
+  'agent-output': object({
+    type: { type: 'string' },
+    executionId: nullable(id)
+  }, ['type'], true),
+
+  // Plan-mode events have no execution yet
+  'agent-event': object({
+    executionId: nullable(id),
+    event: object({
+      type: { type: 'string', enum: AGENT_EVENT_TYPES },
+      timestamp: { type: 'string', format: 'date-time' }
+    }, ['type'], true)
+  }, ['event'], true),
+
+  'agent-permission-request': event({
+    requestId: id,
+    tool: { type: 'string' },
+    toolUseId: nullable({ type: 'string' }),
+    kind: { type: 'string', enum: ['shell-command', 'file-edit'] },
+    command: { type: 'string' },
+    path: { type: 'string' },
+    outsideWorkdir: { type: 'boolean' },
+    diff: { type: 'string' },
+    expiresAt: { type: 'string', format: 'date-time' }
+  }, ['requestId', 'tool', 'kind']),
+
+  'agent-permission-resolved': event({
+    requestId: id,
+    decision: { type: 'string', enum: PERMISSION_DECISIONS },
+    by: { type: 'string', enum: ['client', 'timeout', 'bridge'] },
+    reason: nullable({ type: 'string' })
+  }, ['requestId', 'decision', 'by']),
+
+  'agent-state-change': object({
+    state: { type: 'string' }
+  }, ['state'], true),
+
+  'file-list': object({
+    files: { type: 'array', items: { type: 'string' } },
+    executionId: nullable(id)
+  }, ['files'], true),
+
+  'file-diff': event({
+    file: { type: 'string' },
+    diff: { type: 'string' }
+  }, ['file']),
+
+  'worktree-created': object({
+    worktreePath: { type: 'string' },
+    branchName: { type: 'string' },
+    baseBranch: { type: 'string' },
+    worktree: { type: 'object' }
+  }, [], true),
+
+  'worktree-deleted': event({
+    worktreePath: { type: 'string' },
+    branchName: { type: 'string' }
+  }, ['worktreePath']),
+
+  'execution-progress': event({
+    status: { type: 'string' },
+    progress: { type: 'number', minimum: 0, maximum: 100 },
+    queuePosition: { type: 'integer', minimum: 1 }
+  }),
+
+  'execution-complete': event({
+    status: { type: 'string' },
+    modifiedFiles: { type: 'array', items: { type: 'string' } },
+    verification: nullable({ type: 'object' }),
+    // Only when a continue-execution turn finished
+    turn: object({
+      number: { type: 'integer', minimum: 2 },
+      status: { enum: ['completed', 'failed'] },
+      error: nullable({ type: 'string' })
+    }, ['number', 'status'])
+  }, ['status']),
+
+  'pr-created': object({
+    success: { type: 'boolean' },
+    url: nullable({ type: 'string' }),
+    branch: { type: 'string' },
+    title: { type: 'string' },
+    verificationWarning: { type: 'string' }
+  }, [], true),
+
+  'execution-subscribed': object({
+    executionId: id,
+    status: { type: 'string' },
+    progress: { type: 'number' },
+    modifiedFiles: { type: 'array', items: { type: 'string' } }
+  }, ['executionId', 'status'], true),
+
+  'execution-unsubscribed': object({
+    executionId: id,
+    wasSubscribed: { type: 'boolean' }
+  }, ['executionId', 'wasSubscribed'], true),
+
+  'execution-resumed': object({
+    executionId: id,
+    status: { type: 'string' },
+    replayed: nonNegativeInteger,
+    fromSeq: nullable({ type: 'integer' }),
+    lastSeq: nonNegativeInteger,
+    truncated: { type: 'boolean' }
+  }, ['executionId', 'status', 'replayed', 'lastSeq', 'truncated'], true),
+
+  'execution-continued': object({
+    executionId: id,
+    turn: { type: 'integer', minimum: 2 },
+    status: { type: 'string' },
+    conversation: { enum: ['resume', 'replay'] }
+  }, ['executionId', 'turn', 'status'], true),
+
+  'verification-progress': event({
+    stage: { enum: ['started', 'step-started', 'output', 'step-finished', 'finished'] }
+  }, ['stage']),
+
+  'fixup-progress': event({
+    stage: { type: 'string' },
+    iteration: { type: 'integer', minimum: 1 }
+  }, ['stage']),
+
+  'comparison-started': object({
+    comparisonId: id,
+    executions: {
+      type: 'array',
+      items: object({ executionId: id, agent: { type: 'string' }, label: { type: 'string' } }, ['executionId', 'agent', 'label'], true)
+    }
+  }, ['comparisonId', 'executions'], true),
+
+  'comparison-report': object({
+    comparisonId: id,
+    report: object({ entries: { type: 'array', items: { type: 'object' } } }, ['entries'], true)
+  }, ['comparisonId', 'report'], true),
+
+  'winner-selected': object({
+    comparisonId: id,
+    winner: id,
+    deletedWorktrees: { type: 'array', items: { type: 'string' } }
+  }, ['comparisonId', 'winner', 'deletedWorktrees'], true),
+
+  'batch-started': object({
+    batchId: id,
+    entries: {
+      type: 'array',
+      items: object({ index: nonNegativeInteger, name: { type: 'string' }, workdir: { type: 'string' } }, ['index', 'name', 'workdir'], true)
+    }
+  }, ['batchId', 'entries'], true),
+
+  'batch-progress': object({
+    batchId: id,
+    index: nonNegativeInteger,
+    status: { enum: ['planning', 'planned', 'executing', 'creating-pr', 'completed', 'failed'] },
+    planId: nullable(id),
+    executionId: nullable(id),
+    prUrl: nullable({ type: 'string' }),
+    error: nullable(object({ code: { type: 'string' }, message: { type: 'string' } }, ['code', 'message'], true))
+  }, ['batchId', 'index', 'status'], true),
+
+  'batch-report': object({
+    batchId: id,
+    report: object({ entries: { type: 'array', items: { type: 'object' } } }, ['entries'], true),
+    reportPath: nullable({ type: 'string' })
+  }, ['batchId', 'report'], true),
+
+  'template-list': object({
+    templates: {
+      type: 'array',
+      items: object({ id: { type: 'string' }, variables: { type: 'object' }, includes: names }, ['id', 'variables'], true)
+    }
+  }, ['templates'], true),
+
+  'template-saved': object({
+    template: object({ id: { type: 'string' }, template: { type: 'string' } }, ['id', 'template'], true)
+  }, ['template'], true),
+
+  'execution-list': object({
+    executions: { type: 'array', items: { type: 'object' } },
+    total: nonNegativeInteger,
+    limit: { type: 'integer', minimum: 1 },
+    offset: nonNegativeInteger
+  }, ['executions', 'total', 'limit', 'offset'], true),
+
+  'execution-details': object({
+    id
+  }, ['id'], true),
+
+  'usage': object({
+    total: { type: 'object' },
+    sessions: { type: 'array', items: { type: 'object' } },
+    days: { type: 'array', items: { type: 'object' } }
+  }, ['total', 'sessions', 'days']),
+
+  'execution-logs': object({
+    executionId: id,
+    entries: {
+      type: 'array',
+      items: object({ type: { type: 'string' }, timestamp: { type: 'string' } }, ['type'], true)
+    },
+    total: nonNegativeInteger,
+    offset: nonNegativeInteger
+  }, ['executionId', 'entries', 'total', 'offset'], true),
+
+  'emergency-kill-confirmed': object({
+    abortedExecutions: { type: 'array' },
+    terminatedSessions: {}
+  }, ['abortedExecutions'], true),
+
+  'ack': object({
+    requestId: id,
+    requestType: nullable({ type: 'string' }),
+    status: { const: 'ok' },
+    resultType: nullable({ type: 'string' }),
+    result: {}
+  }, ['requestId', 'status', 'resultType'], true),
+
+  'nack': object({
+    requestId: id,
+    requestType: nullable({ type: 'string' }),
+    status: { const: 'error' },
+    error: failure
+  }, ['requestId', 'status', 'error'], true),
+
+  'progress': object({
+    requestId: id,
+    requestType: nullable({ type: 'string' }),
+    status: { type: 'string', enum: ['running', 'failed'] },
+    progressType: { type: 'string' },
+    data: {},
+    error: failure
+  }, ['requestId', 'status', 'progressType'], true),
+
+  'error': object({
+    error: { type: 'string' },
+    code: { type: 'string' },
+    retryable: { type: 'boolean' },
+    hint: nullable({ type: 'string' }),
+    details: { type: 'object' },
+    stack: { type: 'string' }
+  }, ['error', 'code'], true)
+};
+
+/**
+ * All schemas as one draft-07 document, for code generators that want a single file
+ * @returns {Object}
+ */
+export function getSchemaDocument() {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `https://promptdock.app/schemas/bridge-protocol-${SCHEMA_VERSION}.json`,
+    title: 'Prompt Dock Bridge protocol',
+    definitions: {
+      requests: { type: 'object', properties: RequestSchemas },
+      responses: { type: 'object', properties: ResponseSchemas }
+    }
+  };
+}
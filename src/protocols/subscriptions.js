@@ -0,0 +1,165 @@
+import { encodeForClient } from './versioning.js';
+import { ReplayBuffer } from './replay.js';
+import { logger } from '../utils/logger.js';
+
+const WS_OPEN = 1;
+
+/**
+ * Tracks connected clients and which executions each one follows, so
+ * orchestrator events reach every subscribed client and nobody else.
+ * Published events are numbered per execution and kept in a replay buffer
+ * for clients that reconnect mid-run.
+ */
+export class SubscriptionManager {
+  constructor(options = {}) {
+    this.clients = new Map();
+    this.subscriptions = new Map();
+    this.replay = new ReplayBuffer(options);
+  }
+
+  registerClient(clientInfo) {
+    this.clients.set(clientInfo.id, clientInfo);
+  }
+
+  unregisterClient(clientId) {
+    this.clients.delete(clientId);
+
+    for (const [executionId, subscribers] of this.subscriptions.entries()) {
+      subscribers.delete(clientId);
+      if (subscribers.size === 0) {
+        this.subscriptions.delete(executionId);
+      }
+    }
+  }
+
+  subscribe(executionId, clientInfo) {
+    if (!this.clients.has(clientInfo.id)) {
+      this.registerClient(clientInfo);
+    }
+
+    if (!this.subscriptions.has(executionId)) {
+      this.subscriptions.set(executionId, new Set());
+    }
+
+    this.subscriptions.get(executionId).add(clientInfo.id);
+    logger.verbose(`Client ${clientInfo.id} subscribed to ${executionId}`);
+  }
+
+  unsubscribe(executionId, clientId) {
+    const subscribers = this.subscriptions.get(executionId);
+    if (!subscribers) {
+      return false;
+    }
+
+    const removed = subscribers.delete(clientId);
+    if (subscribers.size === 0) {
+      this.subscriptions.delete(executionId);
+    }
+
+    return removed;
+  }
+
+  isSubscribed(executionId, clientId) {
+    return this.subscriptions.get(executionId)?.has(clientId) || false;
+  }
+
+  getSubscribers(executionId) {
+    const subscribers = this.subscriptions.get(executionId);
+    if (!subscribers) {
+      return [];
+    }
+
+    return Array.from(subscribers)
+      .map(clientId => this.clients.get(clientId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Number an event, buffer it for replay and send it to every open client
+   * subscribed to the execution
+   * @param {string} executionId - Execution the event belongs to
+   * @param {string} type - Message type
+   * @param {Object} data - Message payload
+   * @returns {number} Number of clients the event was delivered to
+   */
+  publish(executionId, type, data) {
+    const entry = this.replay.record(executionId, type, data);
+    const subscribers = this.getSubscribers(executionId);
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const payload = { ...data, seq: entry.seq };
+    // Encode once per protocol version and feature set rather than once per client
+    const encoded = new Map();
+    let delivered = 0;
+
+    for (const clientInfo of subscribers) {
+      const key = `${clientInfo.protocol?.version}:${clientInfo.protocol?.features?.join(',')}`;
+      if (!encoded.has(key)) {
+        encoded.set(key, encodeForClient(clientInfo.protocol, type, payload));
+      }
+
+      // Clients without the event's feature do not count as reached
+      const messages = encoded.get(key);
+      if (messages.length > 0 && this.sendAll(clientInfo, messages, type)) {
+        delivered++;
+      }
+    }
+
+    logger.verbose(`Published ${type} #${entry.seq} for ${executionId} to ${delivered} client(s)`);
+    return delivered;
+  }
+
+  /**
+   * Replay the events a client missed and subscribe it to live events.
+   * Runs synchronously so no event can slip between the replay and the
+   * subscription.
+   * @param {string} executionId - Execution ID
+   * @param {Object} clientInfo - WebSocket client state
+   * @param {number} lastSeq - Last sequence number the client received
+   * @param {Function} beforeReplay - Called with the replay summary before any event is sent
+   * @returns {{replayed: number, lastSeq: number, truncated: boolean}}
+   */
+  resume(executionId, clientInfo, lastSeq = 0, beforeReplay = null) {
+    const { events, lastSeq: currentSeq, truncated } = this.replay.since(executionId, lastSeq);
+    const summary = {
+      replayed: events.length,
+      fromSeq: events.length > 0 ? events[0].seq : null,
+      lastSeq: currentSeq,
+      truncated
+    };
+
+    if (beforeReplay) {
+      beforeReplay(summary);
+    }
+
+    for (const entry of events) {
+      const messages = encodeForClient(clientInfo.protocol, entry.type, { ...entry.data, seq: entry.seq, replayed: true });
+      this.sendAll(clientInfo, messages, entry.type);
+    }
+
+    this.subscribe(executionId, clientInfo);
+    logger.verbose(`Replayed ${events.length} event(s) for ${executionId} to client ${clientInfo.id}`);
+
+    return summary;
+  }
+
+  sendAll(clientInfo, messages, type) {
+    return messages.every(json => this.send(clientInfo, json, type));
+  }
+
+  send(clientInfo, json, type) {
+    if (clientInfo.ws?.readyState !== WS_OPEN) {
+      return false;
+    }
+
+    try {
+      clientInfo.ws.send(json);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to deliver ${type} to client ${clientInfo.id}:`, error);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Protocol constants shared by the bridge and the client SDK. No imports, so
+ * it loads in browsers too.
+ */
+
+// Version stamped on messages to clients that negotiated it with a handshake.
+// Clients that never send one are treated as LEGACY_PROTOCOL_VERSION.
+export const PROTOCOL_VERSION = '1.1.0';
+export const LEGACY_PROTOCOL_VERSION = '1.0.0';
+
+export const MessageTypes = {
+  // Client to Bridge
+  HANDSHAKE: 'handshake',
+  PAIR: 'pair',
+  AUTHENTICATE: 'authenticate',
+  INIT_SESSION: 'init-session',
+  START_AGENT_SESSION: 'start-agent-session',  // NEW: Start agent session (scan files + get branches)
+  CREATE_WORKTREE: 'create-worktree',  // NEW: Create worktree with selected branch
+  GIT_STATUS: 'git-status',
+  GIT_COMMAND: 'git-command',
+  EXECUTE_PROMPT: 'execute-prompt',
+  AGENT_INTERACTION: 'agent-interaction',
+  AGENT_FEEDBACK: 'agent-feedback',  // NEW: User feedback during execution
+  AGENT_PERMISSION_RESPONSE: 'agent-permission-response',  // Answer to agent-permission-request
+  APPROVE_PLAN: 'approve-plan',
+  REJECT_PLAN: 'reject-plan',
+  ABORT_EXECUTION: 'abort-execution',
+  SUBSCRIBE_EXECUTION: 'subscribe-execution',
+  UNSUBSCRIBE_EXECUTION: 'unsubscribe-execution',
+  RESUME_EXECUTION: 'resume-execution',
+  CONTINUE_EXECUTION: 'continue-execution',  // Follow-up prompt in a completed execution's conversation
+  SELECT_WINNER: 'select-winner',
+  RUN_BATCH: 'run-batch',
+  LIST_TEMPLATES: 'list-templates',
+  SAVE_TEMPLATE: 'save-template',
+  GENERATE_PR: 'generate-pr',
+  CLEANUP_WORKTREE: 'cleanup-worktree',  // NEW: Cleanup worktree after PR
+  GET_LOGS: 'get-logs',
+  LIST_EXECUTIONS: 'list-executions',
+  GET_EXECUTION: 'get-execution',
+  GET_USAGE: 'get-usage',
+  HEALTH_CHECK: 'health-check',
+  EMERGENCY_KILL: 'emergency-kill',
+
+  // Bridge to Client
+  CONNECTED: 'connected',
+  HANDSHAKE_ACK: 'handshake-ack',
+  ACK: 'ack',  // Command succeeded (clients with the acks feature)
+  NACK: 'nack',  // Command failed (clients with the acks feature)
+  PROGRESS: 'progress',  // Correlated output of a running command (clients with the acks feature)
+  SESSION_INITIALIZED: 'session-initialized',
+  AGENT_SESSION_STARTED: 'agent-session-started',
+  GIT_COMMAND_RESULT: 'git-command-result',
+  EXECUTION_STARTED: 'execution-started',
+  EXECUTION_ABORTED: 'execution-aborted',
+  PLAN_APPROVED: 'plan-approved',
+  INTERACTION_SENT: 'interaction-sent',
+  FEEDBACK_SENT: 'feedback-sent',
+  WORKTREE_CLEANUP_COMPLETE: 'worktree-cleanup-complete',
+  HEALTH_CHECK_RESPONSE: 'health-check-response',
+  PAIRING_SUCCESS: 'pairing-success',
+  AUTH_SUCCESS: 'auth-success',
+  AUTH_FAILED: 'auth-failed',
+  AGENTS_AVAILABLE: 'agents-available',
+  GIT_STATUS_RESPONSE: 'git-status',
+  AGENT_PLAN: 'agent-plan',
+  AGENT_OUTPUT: 'agent-output',
+  AGENT_EVENT: 'agent-event',  // Normalized agent activity, see agents/events.js
+  AGENT_PERMISSION_REQUEST: 'agent-permission-request',  // A tool call waits for approval
+  AGENT_PERMISSION_RESOLVED: 'agent-permission-resolved',
+  AGENT_QUESTION: 'agent-question',
+  AGENT_STATE_CHANGE: 'agent-state-change',  // NEW: Agent streaming/waiting/complete states
+  FILE_LIST: 'file-list',  // NEW: Initial directory structure
+  FILE_DIFF: 'file-diff',  // NEW: File changes with diff content
+  FILE_CHANGED: 'file-changed',  // Legacy: only sent to 1.0.0 clients, see versioning.js
+  WORKTREE_CREATED: 'worktree-created',  // NEW: Worktree creation event
+  WORKTREE_DELETED: 'worktree-deleted',  // NEW: Worktree deletion event
+  EXECUTION_PROGRESS: 'execution-progress',
+  EXECUTION_COMPLETE: 'execution-complete',
+  PR_CREATED: 'pr-created',
+  EXECUTION_SUBSCRIBED: 'execution-subscribed',
+  EXECUTION_UNSUBSCRIBED: 'execution-unsubscribed',
+  EXECUTION_RESUMED: 'execution-resumed',
+  EXECUTION_CONTINUED: 'execution-continued',
+  VERIFICATION_PROGRESS: 'verification-progress',
+  FIXUP_PROGRESS: 'fixup-progress',
+  COMPARISON_STARTED: 'comparison-started',
+  COMPARISON_REPORT: 'comparison-report',
+  WINNER_SELECTED: 'winner-selected',
+  BATCH_STARTED: 'batch-started',
+  BATCH_PROGRESS: 'batch-progress',
+  BATCH_REPORT: 'batch-report',
+  TEMPLATE_LIST: 'template-list',
+  TEMPLATE_SAVED: 'template-saved',
+  CONFIG_RESOLVED: 'config-resolved',
+  EXECUTION_LIST: 'execution-list',
+  EXECUTION_DETAILS: 'execution-details',
+  EXECUTION_LOGS: 'execution-logs',
+  USAGE: 'usage',
+  EMERGENCY_KILL_CONFIRMED: 'emergency-kill-confirmed',
+  ERROR: 'error'
+};
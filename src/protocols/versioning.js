@@ -0,0 +1,234 @@
+import { MessageTypes, createMessage, PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION } from './messages.js';
+import { EXECUTION_MODES } from './schemas.js';
+import { listAgents } from '../agents/detector.js';
+import { PR_PROVIDERS } from '../git/pr-generator.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Oldest first
+export const SUPPORTED_PROTOCOL_VERSIONS = [LEGACY_PROTOCOL_VERSION, PROTOCOL_VERSION];
+
+// Optional behaviour a client can opt into with the handshake. Leaving a
+// feature out drops its messages and rejects its commands (see below).
+export const BRIDGE_FEATURES = [
+  'file-diff',
+  'replay',
+  'compare',
+  'batch',
+  'templates',
+  'verification',
+  'fixup',
+  'project-config',
+  'usage',
+  'agent-events',
+  'tool-approval',
+  'conversations',
+  'acks'
+];
+
+// Features that change message shapes, so a client only gets them by asking
+const OPT_IN_FEATURES = ['acks'];
+const DEFAULT_FEATURES = BRIDGE_FEATURES.filter(feature => !OPT_IN_FEATURES.includes(feature));
+
+// Messages a client only gets when it negotiated the feature they belong to
+const FEATURE_MESSAGES = {
+  'file-diff': [MessageTypes.FILE_DIFF],
+  replay: [MessageTypes.EXECUTION_RESUMED],
+  compare: [MessageTypes.COMPARISON_STARTED, MessageTypes.COMPARISON_REPORT, MessageTypes.WINNER_SELECTED],
+  batch: [MessageTypes.BATCH_STARTED, MessageTypes.BATCH_PROGRESS, MessageTypes.BATCH_REPORT],
+  templates: [MessageTypes.TEMPLATE_LIST, MessageTypes.TEMPLATE_SAVED],
+  verification: [MessageTypes.VERIFICATION_PROGRESS],
+  fixup: [MessageTypes.FIXUP_PROGRESS],
+  'project-config': [MessageTypes.CONFIG_RESOLVED],
+  usage: [MessageTypes.USAGE],
+  'agent-events': [MessageTypes.AGENT_EVENT],
+  'tool-approval': [MessageTypes.AGENT_PERMISSION_REQUEST, MessageTypes.AGENT_PERMISSION_RESOLVED],
+  conversations: [MessageTypes.EXECUTION_CONTINUED]
+};
+
+// Commands a client may only send with the feature negotiated, so it never
+// waits for a reply it would not get
+const FEATURE_COMMANDS = {
+  [MessageTypes.RESUME_EXECUTION]: 'replay',
+  [MessageTypes.SELECT_WINNER]: 'compare',
+  [MessageTypes.RUN_BATCH]: 'batch',
+  [MessageTypes.LIST_TEMPLATES]: 'templates',
+  [MessageTypes.SAVE_TEMPLATE]: 'templates',
+  [MessageTypes.GET_USAGE]: 'usage',
+  [MessageTypes.AGENT_PERMISSION_RESPONSE]: 'tool-approval',
+  [MessageTypes.CONTINUE_EXECUTION]: 'conversations'
+};
+
+const MESSAGE_FEATURES = Object.fromEntries(
+  Object.entries(FEATURE_MESSAGES).flatMap(([feature, types]) => types.map(type => [type, feature]))
+);
+
+const EVENT_CONTEXT_FIELDS = ['executionId', 'planId', 'sessionId', 'agent', 'branchName', 'seq', 'replayed'];
+
+// How outgoing messages change for clients on an older protocol version.
+// Each rule returns the [type, data] pairs to send instead.
+const DOWNGRADES = {
+  [LEGACY_PROTOCOL_VERSION]: {
+    // 1.0 clients listen for file-changed; file-diff follows for those that already handle it
+    [MessageTypes.FILE_DIFF]: (data) => [toFileChanged(data), [MessageTypes.FILE_DIFF, data]]
+  }
+};
+
+// What a client gets instead of a message whose feature it did not negotiate
+const FEATURE_DOWNGRADES = {
+  [MessageTypes.FILE_DIFF]: (data) => [toFileChanged(data)]
+};
+
+/**
+ * Protocol state for a client that has not sent a handshake
+ * @returns {{version: string, features: Array<string>, negotiated: boolean}}
+ */
+export function createLegacyProtocolState() {
+  return {
+    version: LEGACY_PROTOCOL_VERSION,
+    features: [...DEFAULT_FEATURES],
+    negotiated: false
+  };
+}
+
+/**
+ * Pick the newest protocol version both sides support
+ * @param {Array<string>} clientVersions - Versions the client supports
+ * @returns {string|null} Agreed version, or null when there is none
+ */
+export function negotiateVersion(clientVersions = []) {
+  const agreed = SUPPORTED_PROTOCOL_VERSIONS.filter(version => clientVersions.includes(version));
+  return agreed.length > 0 ? agreed[agreed.length - 1] : null;
+}
+
+/**
+ * What this bridge can do, as announced in `connected` and `handshake-ack`
+ * @param {Array<string>} features - Features to announce (defaults to all of them)
+ * @returns {{agents: Array<string>, modes: Array<string>, prProviders: Array<string>, features: Array<string>}}
+ */
+export function getCapabilities(features = BRIDGE_FEATURES) {
+  return {
+    agents: listAgents(),
+    modes: [...EXECUTION_MODES],
+    prProviders: [...PR_PROVIDERS],
+    features: [...features]
+  };
+}
+
+/**
+ * Agree on a protocol version and feature set with a client
+ * @param {Object} request - handshake data: { protocolVersions, features }
+ * @returns {{version: string, features: Array<string>, negotiated: boolean}}
+ * @throws {Error} When no version is supported by both sides
+ */
+export function negotiateProtocol(request) {
+  const version = negotiateVersion(request.protocolVersions);
+
+  if (!version) {
+    throw new ValidationError(
+      'UNSUPPORTED_PROTOCOL',
+      `Unsupported protocol version(s): ${request.protocolVersions.join(', ')} - ` +
+      `this bridge supports ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`
+    );
+  }
+
+  // Without a feature list the client gets everything that is not opt-in
+  const features = Array.isArray(request.features)
+    ? BRIDGE_FEATURES.filter(feature => request.features.includes(feature))
+    : [...DEFAULT_FEATURES];
+
+  return { version, features, negotiated: true };
+}
+
+/**
+ * Whether a client has a feature. Clients without a handshake have every
+ * feature that is not opt-in.
+ * @param {Object} protocol - Client protocol state
+ * @param {string} feature - Feature name from BRIDGE_FEATURES
+ * @returns {boolean}
+ */
+export function hasFeature(protocol, feature) {
+  return (protocol?.features || DEFAULT_FEATURES).includes(feature);
+}
+
+/**
+ * Whether a client gets messages of a type at all, given its features
+ * @param {Object} protocol - Client protocol state
+ * @param {string} type - Message type
+ * @returns {boolean}
+ */
+export function wantsMessage(protocol, type) {
+  const feature = MESSAGE_FEATURES[type];
+  return !feature || hasFeature(protocol, feature);
+}
+
+/**
+ * Features a command needs that the client did not negotiate
+ * @param {Object} protocol - Client protocol state
+ * @param {string} type - Command type
+ * @param {Object} data - Command payload
+ * @returns {Array<string>} Missing features, empty when the command may run
+ */
+export function getMissingFeatures(protocol, type, data = {}) {
+  const required = [FEATURE_COMMANDS[type]];
+
+  if (type === MessageTypes.EXECUTE_PROMPT) {
+    required.push(
+      data.mode === 'compare' && 'compare',
+      data.templateId && 'templates',
+      data.options?.permissions && 'tool-approval'
+    );
+  }
+
+  return required.filter(feature => feature && !hasFeature(protocol, feature));
+}
+
+/**
+ * Turn one outgoing message into the messages a client on the given
+ * protocol version and with its negotiated features expects
+ * @param {Object} protocol - Client protocol state
+ * @param {string} type - Message type, as used by the current protocol
+ * @param {Object} data - Message payload
+ * @returns {Array<[string, Object]>} [type, data] pairs to send, in order (none when the client did not ask for them)
+ */
+export function adaptOutgoing(protocol, type, data) {
+  if (!wantsMessage(protocol, type)) {
+    return FEATURE_DOWNGRADES[type]?.(data) || [];
+  }
+
+  const rule = DOWNGRADES[protocol?.version]?.[type];
+  return rule ? rule(data) : [[type, data]];
+}
+
+/**
+ * Serialize a message for one client, applying its protocol version
+ * @param {Object} protocol - Client protocol state
+ * @param {string} type - Message type
+ * @param {Object} data - Message payload
+ * @param {string} messageId - Correlation ID
+ * @returns {Array<string>} JSON strings to send, in order
+ */
+export function encodeForClient(protocol, type, data, messageId = null) {
+  const version = protocol?.version || LEGACY_PROTOCOL_VERSION;
+
+  return adaptOutgoing(protocol, type, data).map(([adaptedType, adaptedData]) =>
+    JSON.stringify(createMessage(adaptedType, adaptedData, messageId, version))
+  );
+}
+
+function pick(source, fields) {
+  const result = {};
+  for (const field of fields) {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  }
+  return result;
+}
+
+// The 1.0 message for a file change
+function toFileChanged(data) {
+  return [MessageTypes.FILE_CHANGED, {
+    ...pick(data, EVENT_CONTEXT_FIELDS),
+    file: data.file
+  }];
+}
@@ -4,6 +4,8 @@ import path from 'path';
 import os from 'os';
 import { logger } from '../utils/logger.js';
 
+export { serializeForSignature } from './signing.js';
+
 const KEYS_DIR = path.join(os.homedir(), '.prompt-dock', 'keys');
 const PRIVATE_KEY_PATH = path.join(KEYS_DIR, 'private.pem');
 const PUBLIC_KEY_PATH = path.join(KEYS_DIR, 'public.pem');
@@ -109,37 +111,6 @@ export function getPublicKey() {
   return publicKey;
 }
 
-export function serializeForSignature(message) {
-  if (!message || typeof message !== 'object') {
-    throw new Error('Invalid message for signature serialization');
-  }
-
-  const canonical = {
-    type: message.type,
-    timestamp: message.timestamp,
-    nonce: message.nonce || null,
-    data: canonicalize(message.data || {})
-  };
-
-  return JSON.stringify(canonical);
-}
-
-function canonicalize(value) {
-  if (Array.isArray(value)) {
-    return value.map(canonicalize);
-  }
-
-  if (value && typeof value === 'object') {
-    const sortedKeys = Object.keys(value).sort();
-    return sortedKeys.reduce((acc, key) => {
-      acc[key] = canonicalize(value[key]);
-      return acc;
-    }, {});
-  }
-
-  return value;
-}
-
 export function encryptData(data, key) {
   const algorithm = 'aes-256-gcm';
   const iv = crypto.randomBytes(16);
@@ -169,7 +169,7 @@ export class SessionManager {
   async validateCommand(sessionId, commandId, commandData) {
     const session = this.getSession(sessionId);
     if (!session) {
-      return { allowed: false, reason: 'Session expired or revoked' };
+      return { allowed: false, reason: 'Session expired or revoked', code: 'SESSION_EXPIRED' };
     }
 
     const rateLimitResult = this.applyRateLimiting(session);
@@ -187,7 +187,7 @@ export class SessionManager {
         commandId,
         appName: session.appName
       });
-      return { allowed: false, reason: 'Replay detected' };
+      return { allowed: false, reason: 'Replay detected', code: 'REPLAY_DETECTED' };
     }
 
     // Don't mark command as executed until after all validation passes
@@ -293,7 +293,9 @@ export class SessionManager {
       const waitSeconds = Math.ceil((rateLimit.backoffUntil - now) / 1000);
       return {
         allowed: false,
-        reason: `Rate limit backoff in effect. Try again in ${waitSeconds}s`
+        reason: `Rate limit backoff in effect. Try again in ${waitSeconds}s`,
+        code: 'RATE_LIMITED',
+        retryAfterMs: rateLimit.backoffUntil - now
       };
     }
 
@@ -313,7 +315,9 @@ export class SessionManager {
       rateLimit.resetTime = now + 60000;
       return {
         allowed: false,
-        reason: `Rate limit exceeded. Cooling down for ${backoffSeconds}s`
+        reason: `Rate limit exceeded. Cooling down for ${backoffSeconds}s`,
+        code: 'RATE_LIMITED',
+        retryAfterMs: backoffSeconds * 1000
       };
     }
 
@@ -0,0 +1,35 @@
+/**
+ * The exact bytes a client signs and the bridge verifies. Shared with the
+ * client SDK, so it has no imports and runs in browsers too.
+ */
+
+export function serializeForSignature(message) {
+  if (!message || typeof message !== 'object') {
+    throw new Error('Invalid message for signature serialization');
+  }
+
+  const canonical = {
+    type: message.type,
+    timestamp: message.timestamp,
+    nonce: message.nonce || null,
+    data: canonicalize(message.data || {})
+  };
+
+  return JSON.stringify(canonical);
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    const sortedKeys = Object.keys(value).sort();
+    return sortedKeys.reduce((acc, key) => {
+      acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+
+  return value;
+}
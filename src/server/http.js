@@ -6,7 +6,9 @@ import { detectAgents } from '../agents/detector.js';
 import { getGitStatus } from '../git/status.js';
 import path from 'path';
 
-export async function createHTTPServer(config, sessionManager) {
+export async function createHTTPServer(config, sessionManager, services = {}) {
+  const { orchestrator } = services;
+
   const app = express();
 
   app.use(express.json());
@@ -112,7 +114,7 @@ export async function createHTTPServer(config, sessionManager) {
 
   app.get('/api/agents', async (req, res) => {
     try {
-      const agents = await detectAgents();
+      const agents = await detectAgents(config);
       res.json(agents);
     } catch (error) {
       logger.error('Failed to detect agents:', error);
@@ -136,6 +138,76 @@ export async function createHTTPServer(config, sessionManager) {
     }
   });
 
+  // Execution history holds prompts and agent output, so only the owning session may read it
+  const requireSession = (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const session = scheme === 'Bearer' && token ? sessionManager.getSessionByToken(token) : null;
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session token required' });
+    }
+
+    req.session = session;
+    next();
+  };
+
+  app.get('/api/executions', requireSession, (req, res) => {
+    if (!orchestrator) {
+      return res.status(503).json({ error: 'Execution history unavailable' });
+    }
+
+    let result;
+    try {
+      result = orchestrator.queryExecutions({ ...req.query, sessionId: req.session.id });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(result);
+  });
+
+  // Spend is per session too; nobody reads another session's totals
+  app.get('/api/usage', requireSession, (req, res) => {
+    if (!orchestrator) {
+      return res.status(503).json({ error: 'Usage unavailable' });
+    }
+
+    let result;
+    try {
+      result = orchestrator.getUsage({ ...req.query, sessionId: req.session.id });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(result);
+  });
+
+  app.get('/api/executions/:id', requireSession, async (req, res) => {
+    try {
+      if (!orchestrator) {
+        return res.status(503).json({ error: 'Execution history unavailable' });
+      }
+
+      const record = orchestrator.getExecution(req.params.id);
+      if (record?.sessionId && record.sessionId !== req.session.id) {
+        return res.status(403).json({ error: 'Execution does not belong to this session' });
+      }
+
+      const execution = await orchestrator.getExecutionDetails(req.params.id, {
+        includeOutput: req.query.includeOutput === 'true'
+      });
+
+      if (!execution) {
+        return res.status(404).json({ error: 'Execution not found' });
+      }
+
+      res.json(execution);
+    } catch (error) {
+      logger.error('Failed to get execution:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   app.get('/api/sessions', (req, res) => {
     try {
       const sessions = sessionManager.getActiveSessions();
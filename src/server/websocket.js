@@ -1,9 +1,12 @@
 import { WebSocketServer } from 'ws';
-import { handleMessage } from '../protocols/handler.js';
+import { handleMessage, registerClient, unregisterClient } from '../protocols/handler.js';
 import { logger } from '../utils/logger.js';
 import { verifySignature, serializeForSignature } from '../security/crypto.js';
 import { v4 as uuidv4 } from 'uuid';
-import { MessageTypes } from '../protocols/messages.js';
+import { MessageTypes, createMessage, PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION } from '../protocols/messages.js';
+import { createLegacyProtocolState, getCapabilities, SUPPORTED_PROTOCOL_VERSIONS } from '../protocols/versioning.js';
+import { usesAcks, sendError } from '../protocols/replies.js';
+import { SecurityError, describeError } from '../utils/errors.js';
 
 export async function createWebSocketServer(config, sessionManager) {
   const wss = new WebSocketServer({
@@ -33,6 +36,9 @@ export async function createWebSocketServer(config, sessionManager) {
       session: null,
       agent: null,
       workdir: null,
+      worktree: null,
+      worktrees: new Map(),
+      protocol: createLegacyProtocolState(),
       lastActivity: Date.now(),
       messageCount: 0,
       rateLimit: {
@@ -42,6 +48,7 @@ export async function createWebSocketServer(config, sessionManager) {
     };
 
     clients.set(clientId, clientInfo);
+    registerClient(clientInfo);
     logger.info(`WebSocket client connected: ${clientId}`);
 
     ws.isAlive = true;
@@ -61,12 +68,18 @@ export async function createWebSocketServer(config, sessionManager) {
             id: message.id || uuidv4(),
             type: 'error',
             error: 'Invalid message format',
+            code: 'INVALID_MESSAGE_FORMAT',
             timestamp: new Date().toISOString()
           }));
           return;
         }
 
-        enforceCommandTimestamp(message, config);
+        try {
+          enforceCommandTimestamp(message, config);
+        } catch (error) {
+          rejectMessage(clientInfo, message, error.message, error.code);
+          return;
+        }
 
         if (Date.now() > clientInfo.rateLimit.resetTime) {
           clientInfo.rateLimit.count = 0;
@@ -75,12 +88,7 @@ export async function createWebSocketServer(config, sessionManager) {
 
         clientInfo.rateLimit.count++;
         if (clientInfo.rateLimit.count > config.security.maxCommandsPerMinute) {
-          ws.send(JSON.stringify({
-            id: message.id,
-            type: 'error',
-            error: 'Rate limit exceeded',
-            timestamp: new Date().toISOString()
-          }));
+          rejectMessage(clientInfo, message, 'Rate limit exceeded', 'RATE_LIMITED');
           return;
         }
 
@@ -92,12 +100,7 @@ export async function createWebSocketServer(config, sessionManager) {
         });
 
         if (!signatureCheck.valid) {
-          ws.send(JSON.stringify({
-            id: message.id,
-            type: 'error',
-            error: signatureCheck.error || 'Signature verification failed',
-            timestamp: new Date().toISOString()
-          }));
+          rejectMessage(clientInfo, message, signatureCheck.error || 'Signature verification failed', signatureCheck.code || 'INVALID_SIGNATURE');
           return;
         }
 
@@ -109,6 +112,7 @@ export async function createWebSocketServer(config, sessionManager) {
           id: uuidv4(),
           type: 'error',
           error: error.message,
+          code: error instanceof SyntaxError ? 'INVALID_MESSAGE_FORMAT' : 'UNKNOWN_ERROR',
           timestamp: new Date().toISOString()
         }));
       }
@@ -124,18 +128,19 @@ export async function createWebSocketServer(config, sessionManager) {
       }
 
       clients.delete(clientId);
+      unregisterClient(clientId);
     });
 
     ws.on('error', (error) => {
       logger.error(`WebSocket client error (${clientId}):`, error);
     });
 
-    ws.send(JSON.stringify({
-      id: uuidv4(),
-      type: 'connected',
-      timestamp: new Date().toISOString(),
-      version: '1.0.0'
-    }));
+    // Stamped with the legacy version: the client has not negotiated one yet
+    ws.send(JSON.stringify(createMessage(MessageTypes.CONNECTED, {
+      protocolVersion: PROTOCOL_VERSION,
+      supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      capabilities: getCapabilities()
+    }, uuidv4(), LEGACY_PROTOCOL_VERSION)));
   });
 
   const pingInterval = setInterval(() => {
@@ -158,6 +163,24 @@ export async function createWebSocketServer(config, sessionManager) {
   return wss;
 }
 
+// Refuse a message before it reaches the handler. Clients with acks get a
+// nack; everyone else keeps the original error shape.
+function rejectMessage(clientInfo, message, error, code) {
+  if (usesAcks(clientInfo)) {
+    return sendError(clientInfo, error, message.id, code);
+  }
+
+  const { message: text, ...fields } = describeError(error, { fallbackCode: code });
+
+  clientInfo.ws.send(JSON.stringify({
+    id: message.id,
+    type: 'error',
+    error: text,
+    ...fields,
+    timestamp: new Date().toISOString()
+  }));
+}
+
 function isOriginAllowed(origin, config) {
   // Origin checks must ALWAYS be enforced for security
   if (!origin) {
@@ -184,20 +207,25 @@ function enforceCommandTimestamp(message, config) {
     : 5000;
 
   if (messageTime > now + clockSkewTolerance) {
-    throw new Error('Command timestamp is in the future');
+    throw new SecurityError('COMMAND_EXPIRED', 'Command timestamp is in the future');
   }
 
   const maxAge = config.security.commandTimeout || 30000;
   if (now - messageTime > maxAge) {
-    throw new Error('Command expired');
+    throw new SecurityError('COMMAND_EXPIRED', 'Command expired');
   }
 }
 
 async function verifyClientSignature({ message, clientInfo, sessionManager, config }) {
+  // The handshake only picks a message format, so it is accepted before pairing and unsigned
+  if (message.type === MessageTypes.HANDSHAKE) {
+    return { valid: true };
+  }
+
   const requiresSignature = message.type !== MessageTypes.HEALTH_CHECK;
 
   if (!message.signature && requiresSignature) {
-    return { valid: false, error: 'Missing signature' };
+    return { valid: false, error: 'Missing signature', code: 'MISSING_SIGNATURE' };
   }
 
   let publicKey = null;
@@ -212,13 +240,13 @@ async function verifyClientSignature({ message, clientInfo, sessionManager, conf
     } else if (message.type === MessageTypes.AUTHENTICATE) {
       const token = message.data?.token;
       if (!token) {
-        return { valid: false, error: 'Authentication token missing' };
+        return { valid: false, error: 'Authentication token missing', code: 'NOT_AUTHENTICATED' };
       }
 
       sessionFromToken = sessionManager.getSessionByToken(token);
 
       if (!sessionFromToken) {
-        return { valid: false, error: 'Invalid or expired session token' };
+        return { valid: false, error: 'Invalid or expired session token', code: 'SESSION_EXPIRED' };
       }
 
       publicKey = sessionFromToken.clientPublicKey;
@@ -227,7 +255,7 @@ async function verifyClientSignature({ message, clientInfo, sessionManager, conf
       publicKey = clientInfo.session?.clientPublicKey;
 
       if (!clientInfo.session) {
-        return { valid: false, error: 'Not authenticated' };
+        return { valid: false, error: 'Not authenticated', code: 'NOT_AUTHENTICATED' };
       }
     }
 
@@ -50,7 +50,9 @@ const DEFAULT_CONFIG = {
     },
     timeout: 300000, // 5 minutes
     retryAttempts: 3,
-    maxBufferBytes: 4 * 1024 * 1024
+    maxBufferBytes: 4 * 1024 * 1024,
+    plugins: [], // Adapter modules, besides those in ~/.prompt-dock/agents/
+    custom: [] // Command agents: { name, command, args, planArgs, promptVia, outputFormat }
   },
   git: {
     autoStash: false,
@@ -58,6 +60,53 @@ const DEFAULT_CONFIG = {
     requireCleanWorkingTree: false,
     autoCommit: false
   },
+  storage: {
+    enabled: true,
+    directory: path.join(CONFIG_DIR, 'store'),
+    retentionDays: 30
+  },
+  execution: {
+    maxConcurrentPerSession: 3,
+    maxConcurrentGlobal: 6
+  },
+  verification: {
+    enabled: true,
+    timeout: 600000, // 10 minutes per command
+    fixup: {
+      enabled: false,
+      maxIterations: 3,
+      outputLimit: 4000
+    }
+  },
+  context: {
+    maxFiles: 50,
+    maxFileBytes: 100000,
+    maxTotalBytes: 400000
+  },
+  repoMap: {
+    enabled: false,
+    mode: 'prompt', // or 'file'
+    maxBytes: 8000,
+    recentCommits: 10
+  },
+  permissions: {
+    mode: 'auto', // or 'ask': shell commands and file writes wait for a client's approval
+    allowCommands: [], // Run without asking: exact commands, or prefixes ending in "*"
+    allowPaths: [], // Globs of files the agent may write without asking
+    timeout: 300000 // 5 minutes, then the tool call is denied
+  },
+  comparison: {
+    testCommand: null,
+    testTimeout: 600000 // 10 minutes
+  },
+  replay: {
+    maxEvents: 1000,
+    maxExecutions: 100,
+    retention: 600000 // 10 minutes after the execution ends
+  },
+  protocol: {
+    debug: false
+  },
   logging: {
     level: 'info',
     file: path.join(CONFIG_DIR, 'bridge.log'),
@@ -184,9 +233,22 @@ function hydrateDerivedConfig(config) {
 
   hydrated.security.allowedOrigins = [...hydrated.allowedOrigins];
 
+  if (hydrated.storage?.directory) {
+    hydrated.storage = { ...hydrated.storage, directory: expandHome(hydrated.storage.directory) };
+  }
+
   return hydrated;
 }
 
+// Config files may write paths as ~/..., which nothing else expands
+function expandHome(filePath) {
+  if (filePath === '~' || filePath.startsWith('~/')) {
+    return path.join(os.homedir(), filePath.slice(1));
+  }
+
+  return filePath;
+}
+
 function validateConfig(config) {
   const errors = [];
 
@@ -235,6 +297,102 @@ function validateConfig(config) {
     errors.push('Agent timeout must be at least 30 seconds');
   }
 
+  if (config.agents.plugins && (!Array.isArray(config.agents.plugins) || config.agents.plugins.some(file => typeof file !== 'string'))) {
+    errors.push('Agent plugins must be a list of module paths');
+  }
+
+  if (config.agents.custom) {
+    if (!Array.isArray(config.agents.custom) || config.agents.custom.some(agent => !agent || typeof agent !== 'object')) {
+      errors.push('Custom agents must be a list of agent definitions');
+    } else {
+      const names = config.agents.custom.map(agent => agent.name);
+      if (new Set(names).size !== names.length) {
+        errors.push('Custom agent names must be unique');
+      }
+    }
+  }
+
+  if (config.storage && (!Number.isFinite(config.storage.retentionDays) || config.storage.retentionDays < 0)) {
+    errors.push('Storage retention days must be a non-negative number');
+  }
+
+  if (config.execution) {
+    const { maxConcurrentPerSession, maxConcurrentGlobal } = config.execution;
+
+    if (!Number.isInteger(maxConcurrentPerSession) || maxConcurrentPerSession < 1) {
+      errors.push('Per-session execution limit must be a positive integer');
+    }
+
+    if (!Number.isInteger(maxConcurrentGlobal) || maxConcurrentGlobal < 1) {
+      errors.push('Global execution limit must be a positive integer');
+    }
+  }
+
+  if (config.verification?.fixup) {
+    const { maxIterations } = config.verification.fixup;
+
+    // Nested sections are not merged with the defaults, so it may be left out
+    if (maxIterations !== undefined && (!Number.isInteger(maxIterations) || maxIterations < 0)) {
+      errors.push('Fix-up maxIterations must be a non-negative integer');
+    }
+  }
+
+  if (config.context) {
+    for (const limit of ['maxFiles', 'maxFileBytes', 'maxTotalBytes']) {
+      if (!Number.isInteger(config.context[limit]) || config.context[limit] < 1) {
+        errors.push(`Context ${limit} must be a positive integer`);
+      }
+    }
+  }
+
+  if (config.repoMap) {
+    if (!['prompt', 'file'].includes(config.repoMap.mode)) {
+      errors.push('Repository map mode must be prompt or file');
+    }
+
+    if (!Number.isInteger(config.repoMap.maxBytes) || config.repoMap.maxBytes < 1) {
+      errors.push('Repository map maxBytes must be a positive integer');
+    }
+
+    if (!Number.isInteger(config.repoMap.recentCommits) || config.repoMap.recentCommits < 0) {
+      errors.push('Repository map recentCommits must be a non-negative integer');
+    }
+  }
+
+  if (config.permissions) {
+    const { mode, allowCommands, allowPaths, timeout } = config.permissions;
+
+    if (!['auto', 'ask'].includes(mode)) {
+      errors.push('Permission mode must be auto or ask');
+    }
+
+    for (const [name, list] of [['allowCommands', allowCommands], ['allowPaths', allowPaths]]) {
+      if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+        errors.push(`Permission ${name} must be a list of strings`);
+      }
+    }
+
+    if (!Number.isInteger(timeout) || timeout < 1000) {
+      errors.push('Permission timeout must be at least 1 second');
+    }
+  }
+
+  if (config.replay) {
+    const { maxEvents, maxExecutions, retention } = config.replay;
+
+    if (!Number.isInteger(maxEvents) || maxEvents < 1) {
+      errors.push('Replay buffer size must be a positive integer');
+    }
+
+    if (!Number.isInteger(maxExecutions) || maxExecutions < 1) {
+      errors.push('Replay maxExecutions must be a positive integer');
+    }
+
+    if (!Number.isInteger(retention) || retention < 0) {
+      errors.push('Replay retention must be a non-negative integer');
+    }
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
   }
@@ -0,0 +1,359 @@
+/**
+ * Typed errors with stable codes.
+ *
+ * Every code the bridge can send to a client is listed in ERROR_CATALOG with
+ * whether retrying the same command can succeed and a hint for the user.
+ * Like the protocol schemas, this module has no imports so client SDKs can
+ * load it (`prompt-dock-bridge/errors`).
+ */
+
+export const ERROR_CATALOG = {
+  // Protocol
+  INVALID_MESSAGE_FORMAT: {
+    description: 'Message is missing its id, type or timestamp',
+    hint: 'Send JSON objects with id, type, timestamp and data'
+  },
+  INVALID_DATA: {
+    description: 'Message data does not match its schema',
+    hint: 'Check the message against the published schemas'
+  },
+  UNKNOWN_MESSAGE_TYPE: {
+    description: 'The bridge does not handle this message type',
+    hint: 'Compare the client and bridge protocol versions'
+  },
+  UNSUPPORTED_PROTOCOL: {
+    description: 'No protocol version is supported by both sides',
+    hint: 'Update the client or the bridge'
+  },
+  FEATURE_NOT_NEGOTIATED: {
+    description: 'The command needs a feature the client left out of its handshake',
+    hint: 'Add the feature to the handshake features'
+  },
+
+  // Security
+  INVALID_PAIRING_CODE: {
+    description: 'The pairing code is wrong or expired',
+    hint: 'Generate a new pairing code with prompt-dock-bridge pair'
+  },
+  NOT_AUTHENTICATED: {
+    description: 'The command needs an authenticated session',
+    hint: 'Pair again or send authenticate with your session token'
+  },
+  SESSION_EXPIRED: {
+    description: 'The session timed out',
+    hint: 'Authenticate again'
+  },
+  MISSING_SIGNATURE: {
+    description: 'The command must be signed',
+    hint: 'Sign the message with the key registered during pairing'
+  },
+  INVALID_SIGNATURE: {
+    description: 'Signature verification failed',
+    hint: 'Sign the message with the key registered during pairing'
+  },
+  COMMAND_EXPIRED: {
+    description: 'The command timestamp is too old or in the future',
+    hint: 'Check the client clock and send the command again',
+    retryable: true
+  },
+  COMMAND_REJECTED: {
+    description: 'The session refused the command',
+    hint: 'Send each command once, with a fresh message id'
+  },
+  REPLAY_DETECTED: {
+    description: 'Command already executed',
+    hint: 'Send each command once, with a fresh message id'
+  },
+  RATE_LIMITED: {
+    description: 'Too many commands',
+    hint: 'Wait a minute before sending more commands',
+    retryable: true
+  },
+  ORIGIN_NOT_ALLOWED: {
+    description: 'Invalid origin header',
+    hint: 'Add the origin to security.allowedOrigins'
+  },
+  FORBIDDEN: {
+    description: 'The resource belongs to another session',
+    hint: 'Use the session that created it'
+  },
+  PATH_NOT_ALLOWED: {
+    description: 'The path points outside the working directory',
+    hint: 'Use paths relative to the working directory'
+  },
+
+  // Sessions and workspaces
+  SESSION_NOT_INITIALIZED: {
+    description: 'No working directory is set for this session',
+    hint: 'Send init-session first'
+  },
+  WORKDIR_NOT_FOUND: {
+    description: 'The working directory does not exist or is not a directory',
+    hint: 'Check the path sent in init-session'
+  },
+  WORKDIR_ACCESS_DENIED: {
+    description: 'No read/write access to the working directory',
+    hint: 'Check the directory permissions for the user running the bridge'
+  },
+  INVALID_PROJECT_CONFIG: {
+    description: 'The project .prompt-dock.json is invalid',
+    hint: 'Fix the file named in the message'
+  },
+
+  // Plans and executions
+  PLAN_NOT_FOUND: {
+    description: 'Plan ID invalid',
+    hint: 'Plans expire; generate a new one'
+  },
+  PLAN_NOT_APPROVED: {
+    description: 'Plan requires approval',
+    hint: 'Send approve-plan first'
+  },
+  PLAN_ALREADY_EXECUTED: {
+    description: 'The plan was already executed',
+    hint: 'Generate a new plan'
+  },
+  PLAN_GENERATION_FAILED: {
+    description: 'The agent could not produce a plan',
+    hint: 'Try again, or rephrase the prompt',
+    retryable: true
+  },
+  EXECUTION_NOT_FOUND: {
+    description: 'Execution ID invalid',
+    hint: 'List executions to find valid IDs'
+  },
+  EXECUTION_NOT_COMPLETED: {
+    description: 'The execution has not completed',
+    hint: 'Wait for execution-complete',
+    retryable: true
+  },
+  EXECUTION_RUNNING: {
+    description: 'The execution is still running',
+    hint: 'Wait for it to finish or abort it first',
+    retryable: true
+  },
+  EXECUTION_FINISHED: {
+    description: 'The execution already finished',
+    hint: 'Start a new execution'
+  },
+  EXECUTION_NOT_CONTINUABLE: {
+    description: 'Only completed executions take follow-up prompts',
+    hint: 'Start a new execution'
+  },
+  EXECUTION_ABORTED: {
+    description: 'The execution was aborted',
+    hint: 'Start a new execution'
+  },
+  INVALID_EXECUTION_MODE: {
+    description: 'Unknown execution mode',
+    hint: 'Use plan, execute or compare'
+  },
+  VERIFICATION_FAILED: {
+    description: 'Verification failed for this execution',
+    hint: 'Fix the failing checks or pass force to create the PR anyway'
+  },
+  COMPARISON_NOT_FOUND: {
+    description: 'Comparison ID invalid',
+    hint: 'Start a new comparison'
+  },
+  COMPARISON_RUNNING: {
+    description: 'The comparison is still running',
+    hint: 'Wait for comparison-report',
+    retryable: true
+  },
+  WINNER_ALREADY_SELECTED: {
+    description: 'A winner was already selected for this comparison',
+    hint: 'Start a new comparison'
+  },
+  INVALID_COMPARISON: {
+    description: 'The compare mode options are invalid',
+    hint: 'Pick at least two agents with unique labels'
+  },
+  INVALID_BATCH: {
+    description: 'The batch manifest is invalid',
+    hint: 'Give every entry a workdir and a prompt (or a default prompt)'
+  },
+  TEMPLATE_NOT_FOUND: {
+    description: 'No template with this ID in the template library',
+    hint: 'Send list-templates to see the available templates'
+  },
+  INVALID_TEMPLATE: {
+    description: 'The template definition is invalid',
+    hint: 'Declare every {{variable}} the template uses and include only existing templates'
+  },
+  INVALID_TEMPLATE_VARIABLES: {
+    description: 'The variables do not match the template',
+    hint: 'Send list-templates to see each variable\'s type and allowed values'
+  },
+  INVALID_CONTEXT: {
+    description: 'An attached context file is missing or its line range is invalid',
+    hint: 'Attach paths relative to the working directory that exist on the base branch'
+  },
+  INVALID_QUERY: {
+    description: 'A history filter or cursor is invalid',
+    hint: 'Check dates, limits and cursors'
+  },
+
+  // Agents
+  UNKNOWN_AGENT: {
+    description: 'The bridge has no agent with this name',
+    hint: 'Use one of the agents listed in connected'
+  },
+  AGENT_NOT_INSTALLED: {
+    description: 'Requested agent not installed',
+    hint: 'Install the agent CLI and make sure it is on the PATH of the bridge'
+  },
+  NO_ACTIVE_AGENT: {
+    description: 'No agent is running for this session or execution',
+    hint: 'Plans expire; generate a new one'
+  },
+  AGENT_FAILED: {
+    description: 'The agent exited with an error',
+    hint: 'Check the execution logs',
+    retryable: true
+  },
+  AGENT_TIMEOUT: {
+    description: 'The agent did not finish in time',
+    hint: 'Raise agents.timeout or split the prompt',
+    retryable: true
+  },
+  TOOL_APPROVAL_UNSUPPORTED: {
+    description: 'The agent cannot wait for tool call approval',
+    hint: 'Use permissions auto with this agent, or an agent with the toolApproval capability'
+  },
+  PERMISSION_REQUEST_NOT_FOUND: {
+    description: 'No tool call is waiting for this permission request',
+    hint: 'It was answered, timed out or its execution ended; watch agent-permission-resolved'
+  },
+  INVALID_AGENT_PLUGIN: {
+    description: 'An agent plugin could not be registered',
+    hint: 'Export a class extending BaseAgent with a unique lowercase name'
+  },
+  INVALID_CUSTOM_AGENT: {
+    description: 'A custom agent in agents.custom is not valid',
+    hint: 'Give it a name and a command, and put {{prompt}} or {{promptFile}} in its arguments when promptVia is arg or file'
+  },
+
+  // Git
+  GIT_ERROR: {
+    description: 'Git operation failed',
+    hint: 'Check the repository state with git status'
+  },
+  UNKNOWN_GIT_COMMAND: {
+    description: 'Unknown git command',
+    hint: 'Use create-branch, switch-branch or stash'
+  },
+  WORKTREE_NOT_FOUND: {
+    description: 'The bridge did not create this worktree',
+    hint: 'Use a worktree path returned by the bridge'
+  },
+  WORKTREE_CONFLICT: {
+    description: 'The worktree branch or path already exists',
+    hint: 'Try again, or remove stale worktrees with git worktree prune',
+    retryable: true
+  },
+  WORKTREE_FAILED: {
+    description: 'Creating or removing a worktree failed',
+    hint: 'Check that the base branch exists and the repository is not locked'
+  },
+  UNCOMMITTED_CHANGES: {
+    description: 'The worktree has uncommitted changes',
+    hint: 'Commit the changes or enable git.autoCommit'
+  },
+  NO_GIT_REMOTE: {
+    description: 'The repository has no remote',
+    hint: 'Add a remote with git remote add origin <url>'
+  },
+  PR_CLI_NOT_INSTALLED: {
+    description: 'The CLI for the PR provider is not installed',
+    hint: 'Install gh (GitHub) or glab (GitLab) and log in'
+  },
+
+  // Client SDK
+  CONNECTION_LOST: {
+    description: 'The connection to the bridge closed before the command was answered',
+    hint: 'The client reconnects on its own; send the command again once it has',
+    retryable: true
+  },
+  REQUEST_TIMEOUT: {
+    description: 'The bridge did not answer in time',
+    hint: 'Check that the bridge is running, or raise requestTimeout',
+    retryable: true
+  },
+
+  // Catch-all
+  COMMAND_FAILED: {
+    description: 'Command failed without a more specific code',
+    hint: 'Check the bridge logs',
+    retryable: true
+  },
+  UNKNOWN_ERROR: {
+    description: 'Unexpected bridge error',
+    hint: 'Check the bridge logs'
+  }
+};
+
+export class BridgeError extends Error {
+  /**
+   * @param {string} code - Code from ERROR_CATALOG
+   * @param {string} message - What went wrong, for people
+   * @param {Object} options - { retryable, hint, details, cause } to override the catalog
+   */
+  constructor(code, message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    const entry = ERROR_CATALOG[code] || ERROR_CATALOG.UNKNOWN_ERROR;
+
+    this.name = this.constructor.name;
+    this.code = code;
+    this.retryable = options.retryable ?? entry.retryable ?? false;
+    this.hint = options.hint ?? entry.hint ?? null;
+    this.details = options.details || null;
+  }
+}
+
+// Malformed or unknown input
+export class ValidationError extends BridgeError {}
+
+// Authentication, signatures, rate limits and ownership
+export class SecurityError extends BridgeError {}
+
+// A plan, execution, comparison or worktree that does not exist
+export class NotFoundError extends BridgeError {}
+
+// A command that is not allowed in the current state
+export class StateError extends BridgeError {}
+
+export class AgentError extends BridgeError {}
+
+export class GitError extends BridgeError {}
+
+/**
+ * Turn any error into the fields clients get
+ * @param {Error|string} error - Error to describe
+ * @param {Object} options - { fallbackCode, includeStack }
+ * @returns {{code: string, message: string, retryable: boolean, hint: string|null, details?: Object, stack?: string}}
+ */
+export function describeError(error, { fallbackCode = 'UNKNOWN_ERROR', includeStack = false } = {}) {
+  const message = typeof error === 'string' ? error : error.message;
+
+  // Node and spawn errors carry codes like ENOENT or exit statuses, which are not ours
+  const code = error instanceof BridgeError ? error.code : fallbackCode;
+  const entry = ERROR_CATALOG[code] || {};
+
+  const description = {
+    code,
+    message,
+    retryable: error instanceof BridgeError ? error.retryable : entry.retryable ?? false,
+    hint: error instanceof BridgeError ? error.hint : entry.hint ?? null
+  };
+
+  if (error.details) {
+    description.details = error.details;
+  }
+
+  if (includeStack && error.stack) {
+    description.stack = error.stack;
+  }
+
+  return description;
+}
@@ -49,3 +49,17 @@ export function spawnPromise(command, args = [], options = {}) {
     });
   });
 }
+
+/**
+ * Split a configured command into program and arguments for spawnPromise.
+ * Commands run without a shell, so quoting, pipes and && are not supported.
+ * @param {string|Array<string>} command - Command line, or command and arguments
+ * @returns {{command: string, args: Array<string>}}
+ */
+export function splitCommand(command) {
+  const [program, ...args] = Array.isArray(command)
+    ? command
+    : command.split(/\s+/).filter(Boolean);
+
+  return { command: program, args };
+}
@@ -1,11 +1,43 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from './logger.js';
+import { SecurityError } from './errors.js';
+
+/**
+ * Convert a project exclude glob ("docs/**", "*.snap") into a pattern
+ * matched against relative paths. A pattern without a slash matches at
+ * any depth, and a directory match covers everything below it.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const trimmed = glob.replace(/^\.?\//, '').replace(/\/$/, '');
+  let source = '';
+
+  for (let i = 0; i < trimmed.length; i++) {
+    const char = trimmed[i];
+
+    if (char === '*' && trimmed[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (trimmed[i + 1] === '/') i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const anchor = trimmed.includes('/') ? '^' : '(^|/)';
+  return new RegExp(`${anchor}${source}(/|$)`);
+}
 
 /**
  * Scan a directory and return its file structure
  * @param {string} rootPath - Directory to scan
- * @param {Object} options - Scanner options
+ * @param {Object} options - Scanner options; `exclude` takes project globs on top of the defaults
  * @returns {Promise<Array<string>>} List of relative file paths
  */
 export async function scanDirectory(rootPath, options = {}) {
@@ -25,9 +57,11 @@ export async function scanDirectory(rootPath, options = {}) {
       /\.log$/
     ],
     includeHidden = false,
-    maxFiles = 10000
+    maxFiles = 10000,
+    exclude = []
   } = options;
 
+  const patterns = [...excludePatterns, ...exclude.map(globToRegExp)];
   const files = [];
   let fileCount = 0;
 
@@ -51,7 +85,7 @@ export async function scanDirectory(rootPath, options = {}) {
         }
 
         // Check exclude patterns
-        const shouldExclude = excludePatterns.some(pattern =>
+        const shouldExclude = patterns.some(pattern =>
           pattern instanceof RegExp ? pattern.test(relativePath) : relativePath.includes(pattern)
         );
 
@@ -92,7 +126,7 @@ export async function getFileDiff(filePath, workdir) {
     const normalizedWorkdir = path.normalize(workdir);
 
     if (!normalizedPath.startsWith(normalizedWorkdir)) {
-      throw new Error('Path traversal detected');
+      throw new SecurityError('PATH_NOT_ALLOWED', 'Path traversal detected');
     }
 
     // Get git diff for the file (using spawn to prevent injection)
@@ -214,16 +248,18 @@ export async function watchDirectory(workdir, onChange, options = {}) {
       /dist/,
       /build/
     ],
-    debounceMs = 100
+    debounceMs = 100,
+    exclude = []
   } = options;
 
+  const patterns = [...excludePatterns, ...exclude.map(globToRegExp)];
   const { watch } = await import('chokidar');
   const debounceTimers = new Map();
 
   const watcher = watch(workdir, {
     ignored: (filePath) => {
       const relativePath = path.relative(workdir, filePath);
-      return excludePatterns.some(pattern =>
+      return patterns.some(pattern =>
         pattern instanceof RegExp ? pattern.test(relativePath) : relativePath.includes(pattern)
       );
     },
@@ -0,0 +1,289 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawnPromise } from './exec.js';
+import { logger } from './logger.js';
+import { ValidationError } from './errors.js';
+
+export const PROJECT_CONFIG_FILE = '.prompt-dock.json';
+
+const VERIFY_FAILURE_POLICIES = ['block', 'warn'];
+
+// Execute options that decide what the bridge lets an agent do. Only the
+// operator and the client choose them, so a cloned repository cannot turn
+// off tool approval or fix-up limits through agentOptions.
+const BRIDGE_OPTIONS = ['permissions', 'fixup', 'repoMap'];
+
+// Settings a repository may set for itself. Anything security related
+// (origins, pairing, ports, storage) stays in the global config only.
+const PROJECT_CONFIG_SCHEMA = {
+  agent: 'string',
+  agentOptions: 'object',
+  baseBranch: 'string',
+  exclude: 'string[]',
+  verify: 'verify',
+  pr: {
+    template: 'string'
+  },
+  git: {
+    autoCommit: 'boolean',
+    createBackupBranch: 'boolean'
+  }
+};
+
+/**
+ * Read the repository's .prompt-dock.json
+ * @param {string} repoPath - Repository or worktree root
+ * @returns {Promise<Object>} Parsed config, or an empty object when the file is absent
+ */
+export async function loadProjectConfig(repoPath) {
+  const configPath = path.join(repoPath, PROJECT_CONFIG_FILE);
+  let content;
+
+  try {
+    content = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  let projectConfig;
+  try {
+    projectConfig = JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError('INVALID_PROJECT_CONFIG', `Invalid ${PROJECT_CONFIG_FILE}: ${error.message}`);
+  }
+
+  if (!projectConfig || typeof projectConfig !== 'object' || Array.isArray(projectConfig)) {
+    throw new ValidationError('INVALID_PROJECT_CONFIG', `Invalid ${PROJECT_CONFIG_FILE}: expected an object`);
+  }
+
+  logger.verbose(`Loaded project config from ${configPath}`);
+  return projectConfig;
+}
+
+/**
+ * Normalize the "verify" section into a list of steps and a failure policy.
+ * Accepts a list of commands or { commands, onFailure }.
+ * @param {Object} projectConfig - Parsed .prompt-dock.json
+ * @returns {{steps: Array<{name: string, command: string|Array<string>, timeout: number|null}>, onFailure: string}}
+ */
+export function getVerifyConfig(projectConfig = {}) {
+  const verify = projectConfig.verify;
+
+  if (!verify) {
+    return { steps: [], onFailure: 'block' };
+  }
+
+  const commands = Array.isArray(verify) ? verify : verify.commands;
+  const onFailure = (!Array.isArray(verify) && verify.onFailure) || 'block';
+
+  if (!Array.isArray(commands)) {
+    throw new ValidationError('INVALID_PROJECT_CONFIG', `Invalid ${PROJECT_CONFIG_FILE}: verify.commands must be a list`);
+  }
+
+  if (!VERIFY_FAILURE_POLICIES.includes(onFailure)) {
+    throw new ValidationError('INVALID_PROJECT_CONFIG', `Invalid ${PROJECT_CONFIG_FILE}: verify.onFailure must be one of ${VERIFY_FAILURE_POLICIES.join(', ')}`);
+  }
+
+  const steps = commands.map((entry, index) => {
+    const step = typeof entry === 'string' || Array.isArray(entry)
+      ? { command: entry }
+      : entry;
+
+    const command = step?.command;
+    const isValid = (typeof command === 'string' && command.trim()) ||
+      (Array.isArray(command) && command.length > 0);
+
+    if (!isValid) {
+      throw new ValidationError('INVALID_PROJECT_CONFIG', `Invalid ${PROJECT_CONFIG_FILE}: verify step ${index + 1} has no command`);
+    }
+
+    return {
+      name: step.name || (Array.isArray(command) ? command.join(' ') : command),
+      command,
+      timeout: step.timeout || null
+    };
+  });
+
+  return { steps, onFailure };
+}
+
+/**
+ * Find the repository root for a working directory and load its config file
+ * @param {string} workdir - Session working directory
+ * @returns {Promise<{projectRoot: string, configFile: string|null, config: Object}>}
+ */
+export async function discoverProjectConfig(workdir) {
+  const projectRoot = await findProjectRoot(workdir);
+  const config = await loadProjectConfig(projectRoot);
+  const hasConfig = Object.keys(config).length > 0;
+
+  validateProjectConfig(config);
+
+  return {
+    projectRoot,
+    configFile: hasConfig ? path.join(projectRoot, PROJECT_CONFIG_FILE) : null,
+    config
+  };
+}
+
+/**
+ * Git root of a directory, or the directory itself outside a repository
+ * @param {string} workdir - Directory inside the repository
+ * @returns {Promise<string>}
+ */
+export async function findProjectRoot(workdir) {
+  try {
+    const { stdout } = await spawnPromise('git', ['rev-parse', '--show-toplevel'], { cwd: workdir });
+    return stdout.trim() || workdir;
+  } catch (error) {
+    return workdir;
+  }
+}
+
+/**
+ * Check a project config against the settings a repository may define
+ * @param {Object} projectConfig - Parsed .prompt-dock.json
+ * @throws {Error} Listing every problem found
+ */
+export function validateProjectConfig(projectConfig) {
+  const errors = [];
+
+  checkSection(projectConfig, PROJECT_CONFIG_SCHEMA, '', errors);
+
+  if (projectConfig.verify !== undefined) {
+    try {
+      getVerifyConfig(projectConfig);
+    } catch (error) {
+      errors.push(error.message.replace(`Invalid ${PROJECT_CONFIG_FILE}: `, ''));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('INVALID_PROJECT_CONFIG', `Invalid ${PROJECT_CONFIG_FILE}: ${errors.join(', ')}`);
+  }
+}
+
+function checkSection(section, schema, prefix, errors) {
+  for (const [key, value] of Object.entries(section)) {
+    const name = `${prefix}${key}`;
+    const expected = schema[key];
+
+    if (expected === undefined) {
+      errors.push(`${name} is not a supported project setting`);
+    } else if (typeof expected === 'object') {
+      if (!isPlainObject(value)) {
+        errors.push(`${name} must be an object`);
+      } else {
+        checkSection(value, expected, `${name}.`, errors);
+      }
+    } else if (!matchesType(value, expected)) {
+      errors.push(`${name} must be ${expected === 'string[]' ? 'a list of strings' : `a ${expected}`}`);
+    }
+  }
+}
+
+function matchesType(value, expected) {
+  switch (expected) {
+    case 'string':
+      return typeof value === 'string' && value.trim().length > 0;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isPlainObject(value);
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'verify':
+      // Shape is checked by getVerifyConfig
+      return true;
+    default:
+      return false;
+  }
+}
+
+function withoutBridgeOptions(agentOptions = {}) {
+  const ignored = BRIDGE_OPTIONS.filter(name => name in agentOptions);
+  if (ignored.length > 0) {
+    logger.warn(`Ignoring ${ignored.join(', ')} in ${PROJECT_CONFIG_FILE} agentOptions`);
+  }
+
+  return Object.fromEntries(Object.entries(agentOptions).filter(([name]) => !BRIDGE_OPTIONS.includes(name)));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge session settings. Precedence, highest first:
+ *   1. the init-session request
+ *   2. the repository's .prompt-dock.json
+ *   3. the global ~/.prompt-dock/config.json
+ *   4. built-in defaults
+ * @param {Object} globalConfig - Loaded bridge config
+ * @param {Object} projectConfig - Validated .prompt-dock.json
+ * @param {Object} request - { agentType, agentConfig } from init-session
+ * @returns {{settings: Object, sources: Object}} Effective settings and where each one came from
+ */
+export function resolveSessionSettings(globalConfig, projectConfig = {}, request = {}) {
+  const sources = {};
+
+  const pick = (name, candidates, fallback) => {
+    for (const [source, value] of candidates) {
+      if (value !== undefined && value !== null) {
+        sources[name] = source;
+        return value;
+      }
+    }
+    sources[name] = 'default';
+    return fallback;
+  };
+
+  const verify = getVerifyConfig(projectConfig);
+
+  const settings = {
+    agent: pick('agent', [
+      ['request', request.agentType],
+      ['project', projectConfig.agent],
+      ['global', globalConfig.agents?.preferred]
+    ], 'claude-code'),
+    agentOptions: {
+      ...withoutBridgeOptions(projectConfig.agentOptions),
+      ...(request.agentConfig || {})
+    },
+    baseBranch: pick('baseBranch', [
+      ['project', projectConfig.baseBranch]
+    ], null),
+    exclude: pick('exclude', [
+      ['project', projectConfig.exclude]
+    ], []),
+    verify: {
+      commands: verify.steps,
+      onFailure: verify.onFailure
+    },
+    pr: {
+      template: pick('pr.template', [
+        ['project', projectConfig.pr?.template]
+      ], null)
+    },
+    git: {
+      autoCommit: pick('git.autoCommit', [
+        ['project', projectConfig.git?.autoCommit],
+        ['global', globalConfig.git?.autoCommit]
+      ], false),
+      createBackupBranch: pick('git.createBackupBranch', [
+        ['project', projectConfig.git?.createBackupBranch],
+        ['global', globalConfig.git?.createBackupBranch]
+      ], true)
+    }
+  };
+
+  sources.agentOptions = request.agentConfig && Object.keys(request.agentConfig).length > 0
+    ? 'request'
+    : projectConfig.agentOptions ? 'project' : 'default';
+  sources.verify = projectConfig.verify ? 'project' : 'default';
+
+  return { settings, sources };
+}
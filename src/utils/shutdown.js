@@ -1,6 +1,6 @@
 import { logger } from './logger.js';
 
-export async function gracefulShutdown(httpServer, wsServer, sessionManager) {
+export async function gracefulShutdown(httpServer, wsServer, sessionManager, executionStore = null) {
   logger.info('Initiating graceful shutdown...');
 
   try {
@@ -34,6 +34,11 @@ export async function gracefulShutdown(httpServer, wsServer, sessionManager) {
       });
     }
 
+    if (executionStore) {
+      logger.info('Flushing execution store...');
+      await executionStore.flush();
+    }
+
     logger.info('Graceful shutdown completed');
     process.exit(0);
   } catch (error) {
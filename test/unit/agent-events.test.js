@@ -0,0 +1,70 @@
+import { AgentEventParser, parseClaudeMessage, parseJsonLine } from '../../src/agents/events.js';
+import { BaseAgent } from '../../src/agents/base.js';
+
+describe('Agent events', () => {
+  test('should normalize Claude Code stream-json messages', () => {
+    expect(parseClaudeMessage({
+      type: 'assistant',
+      message: {
+        content: [
+          { type: 'thinking', thinking: 'Auth lives in src/auth.js' },
+          { type: 'text', text: 'Adding logout.' },
+          { type: 'tool_use', id: 't1', name: 'Read', input: { file_path: '/app/src/auth.js' } },
+          { type: 'tool_use', id: 't2', name: 'Edit', input: { file_path: '/app/src/auth.js', old_string: 'a', new_string: 'b' } },
+          { type: 'tool_use', id: 't3', name: 'Bash', input: { command: 'npm test' } }
+        ]
+      }
+    })).toEqual([
+      { type: 'thinking', text: 'Auth lives in src/auth.js' },
+      { type: 'assistant-text', text: 'Adding logout.' },
+      { type: 'tool-call', id: 't1', name: 'Read', args: { file_path: '/app/src/auth.js' } },
+      { type: 'file-edit', id: 't2', path: '/app/src/auth.js', operation: 'edit', tool: 'Edit' },
+      { type: 'shell-command', id: 't3', command: 'npm test', tool: 'Bash' }
+    ]);
+
+    expect(parseClaudeMessage({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: 't3', content: [{ type: 'text', text: 'x'.repeat(5000) }], is_error: true }] }
+    })).toEqual([{ type: 'tool-result', id: 't3', output: 'x'.repeat(4000), isError: true, truncated: true }]);
+
+    expect(parseClaudeMessage({ type: 'result', is_error: true, subtype: 'error_max_turns', usage: { input_tokens: 10, output_tokens: 2 } })).toEqual([
+      { type: 'usage', usage: { inputTokens: 10, outputTokens: 2, costUsd: null, durationMs: null } },
+      { type: 'error', message: 'Agent run ended with error_max_turns' }
+    ]);
+    expect(parseClaudeMessage({ type: 'system', subtype: 'init' })).toEqual([]);
+  });
+
+  test('should parse streamed lines however the chunks are cut', () => {
+    const parser = new AgentEventParser();
+    expect(parser.push('Looking at the code\nThe fix is')).toEqual([{ type: 'assistant-text', text: 'Looking at the code' }]);
+    expect(parser.push(' small\n\x1b[32mmodified: src/auth.js\x1b[0m\n$ npm test\nError: 1 test failed\nDone')).toEqual([
+      { type: 'assistant-text', text: 'The fix is small' },
+      { type: 'file-edit', id: null, path: 'src/auth.js', operation: 'modified', tool: null },
+      { type: 'shell-command', id: null, command: 'npm test', tool: null },
+      { type: 'error', message: '1 test failed' }
+    ]);
+    expect(parser.flush()).toEqual([{ type: 'assistant-text', text: 'Done' }]);
+
+    expect(parseJsonLine('{"text":"Thinking about it","usage":{"prompt_tokens":3,"completion_tokens":1}}')).toEqual([
+      { type: 'assistant-text', text: 'Thinking about it' },
+      { type: 'usage', usage: { inputTokens: 3, outputTokens: 1, costUsd: null, durationMs: null } }
+    ]);
+    expect(parseJsonLine('not json')).toEqual([{ type: 'assistant-text', text: 'not json' }]);
+  });
+
+  test('should emit events from every spawned agent process', async () => {
+    const agent = new BaseAgent('script');
+    const events = [];
+    agent.on('event', event => events.push(event));
+
+    await expect(agent.spawnProcess(process.execPath, ['-e', "console.log('Working'); console.log('created: notes.md'); process.exit(2)"]))
+      .rejects.toThrow('script exited with code 2');
+
+    expect(events.map(({ timestamp, ...event }) => event)).toEqual([
+      { type: 'assistant-text', text: 'Working' },
+      { type: 'file-edit', id: null, path: 'notes.md', operation: 'created', tool: null },
+      { type: 'error', message: 'script exited with code 2' }
+    ]);
+    expect(events.every(event => typeof event.timestamp === 'string')).toBe(true);
+  });
+});
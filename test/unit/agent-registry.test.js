@@ -0,0 +1,129 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AgentRegistry, agentRegistry } from '../../src/agents/registry.js';
+import { CommandAgent } from '../../src/agents/command.js';
+import { ClaudeCodeAgent } from '../../src/agents/claude-code.js';
+import { createCustomAgent, validateCustomAgent } from '../../src/agents/custom.js';
+import { createAgent, hasAgent, listAgents, detectAgents } from '../../src/agents/detector.js';
+
+// Answers every prompt with "echo: <prompt>"
+const ECHO_PLUGIN = `
+export default ({ CommandAgent }) => class EchoAgent extends CommandAgent {
+  static agentName = 'echo';
+  static detection = { command: process.execPath, args: ['--version'] };
+  static capabilities = { plan: false };
+
+  buildExecuteArgs() {
+    return ['-e', "let s = ''; process.stdin.on('data', d => s += d).on('end', () => process.stdout.write('echo: ' + s))"];
+  }
+};
+`;
+
+describe('Agent registry', () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-agents-'));
+    await fs.writeFile(path.join(dir, 'echo.mjs'), ECHO_PLUGIN);
+    await fs.writeFile(path.join(dir, 'broken.mjs'), 'export default { name: "broken" };\n');
+    await fs.writeFile(path.join(dir, 'claude.mjs'), 'export default ({ CommandAgent }) => class extends CommandAgent { static agentName = "claude-code"; };\n');
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'not a plugin\n');
+  });
+
+  afterAll(async () => {
+    agentRegistry.unregister('echo');
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should load plugins and skip the ones that cannot register', async () => {
+    const registry = new AgentRegistry();
+    registry.register(ClaudeCodeAgent, { source: 'builtin' });
+    const result = await registry.loadPlugins({}, dir);
+
+    expect(result.loaded).toEqual(['echo']);
+    expect(result.failed.map(failure => [path.basename(failure.file), failure.error])).toEqual([
+      ['broken.mjs', 'An agent adapter must be a class extending BaseAgent'],
+      ['claude.mjs', 'Agent claude-code is already registered']
+    ]);
+    expect(registry.list()).toEqual(['claude-code', 'echo']);
+  });
+
+  test('should run plugin agents through the detector', async () => {
+    await agentRegistry.loadPlugins({ agents: { plugins: [path.join(dir, 'echo.mjs')] } }, path.join(dir, 'missing'));
+
+    expect(listAgents()).toEqual(['claude-code', 'echo']);
+    expect(hasAgent('echo')).toBe(true);
+
+    const detected = (await detectAgents()).find(agent => agent.name === 'echo');
+    expect(detected).toMatchObject({
+      version: process.version,
+      source: 'plugin',
+      capabilities: { plan: false, execute: true, resumePlan: false }
+    });
+
+    const agent = createAgent('echo', { timeout: 30000 });
+    expect(agent).toBeInstanceOf(CommandAgent);
+    await expect(agent.executePrompt('Add logout', dir)).resolves.toMatchObject({ text: 'echo: Add logout' });
+
+    // Agents that cannot plan read-only are not started for a plan
+    const plan = await agent.executeInPlanMode('Add logout', dir);
+    expect(plan.plan).toContain('does not plan ahead');
+    expect(plan.raw).toBe('');
+  });
+
+  test('should run custom command agents from config', async () => {
+    const registry = new AgentRegistry();
+    const result = await registry.loadPlugins({
+      agents: {
+        custom: [
+          {
+            name: 'file-runner',
+            command: process.execPath,
+            args: ['-e', "process.stdout.write(process.argv[2] + ': ' + require('fs').readFileSync(process.argv[1], 'utf8'))", '{{promptFile}}', '{{workdir}}'],
+            promptVia: 'file'
+          },
+          {
+            name: 'jsonl-runner',
+            command: process.execPath,
+            args: ['-e', "process.stdin.on('data', () => {}).on('end', () => console.log(JSON.stringify({ type: 'result', result: 'Done', usage: { input_tokens: 3, output_tokens: 4 } })))"],
+            planArgs: ['-e', "process.stdin.on('data', () => {}).on('end', () => console.log('1. Edit auth.js'))"],
+            outputFormat: 'jsonl',
+            versionArgs: ['--version']
+          },
+          { name: 'broken', command: 'run.sh', promptVia: 'arg', args: ['--yes'] }
+        ]
+      }
+    }, path.join(dir, 'missing'));
+
+    expect(result.loaded).toEqual(['file-runner', 'jsonl-runner']);
+    expect(result.failed).toEqual([{
+      agent: 'broken',
+      error: 'Invalid custom agent broken: args must contain {{prompt}} when promptVia is arg'
+    }]);
+    expect(registry.get('file-runner')).toMatchObject({ source: 'custom', capabilities: { plan: false } });
+
+    const fileRunner = new (registry.get('file-runner').class)();
+    await expect(fileRunner.detectInstallation()).resolves.toMatchObject({ installed: true, path: process.execPath });
+    await expect(fileRunner.executePrompt('Add logout', dir)).resolves.toMatchObject({ text: `${dir}: Add logout` });
+
+    const jsonlRunner = new (registry.get('jsonl-runner').class)();
+    await expect(jsonlRunner.detectInstallation()).resolves.toMatchObject({ version: process.version });
+    await expect(jsonlRunner.executePrompt('Add logout', dir)).resolves.toMatchObject({
+      text: 'Done',
+      usage: { inputTokens: 3, outputTokens: 4 }
+    });
+    await expect(jsonlRunner.executeInPlanMode('Add logout', dir)).resolves.toMatchObject({ success: true, plan: '1. Edit auth.js' });
+  });
+
+  test('should validate custom agent definitions', () => {
+    expect(validateCustomAgent({ name: 'ok', command: 'run.sh', args: ['{{prompt}}'], promptVia: 'arg' })).toEqual([]);
+    expect(validateCustomAgent({ name: 'bad', command: '', promptVia: 'pipe', outputFormat: 'xml', env: { DEBUG: 1 } })).toEqual([
+      'command is required',
+      'promptVia must be one of stdin, arg, file',
+      'outputFormat must be one of text, jsonl',
+      'env must map variable names to strings'
+    ]);
+    expect(() => createCustomAgent(null)).toThrow('Invalid custom agent (unnamed): definition must be an object');
+  });
+});
@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BatchRunner, parseManifest, loadManifest } from '../../src/execution/batch.js';
+
+function createPlanner() {
+  let counter = 0;
+  const plans = new Map();
+
+  return {
+    running: 0,
+    maxRunning: 0,
+    async createPlan(prompt, workdir, agentName, options) {
+      this.running++;
+      this.maxRunning = Math.max(this.maxRunning, this.running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      this.running--;
+
+      if (prompt === 'broken') {
+        throw new Error('agent crashed');
+      }
+
+      const plan = { id: `plan-${++counter}`, prompt, workdir, agentName, options, agent: null };
+      plans.set(plan.id, plan);
+      return plan;
+    },
+    approvePlan(planId) {
+      plans.get(planId).approved = true;
+      return plans.get(planId);
+    },
+    getPlan(planId) {
+      return plans.get(planId);
+    }
+  };
+}
+
+function createOrchestrator() {
+  let counter = 0;
+
+  return {
+    prs: [],
+    createExecution(plan) {
+      return { id: `exec-${++counter}`, plan, status: 'queued', modifiedFiles: [] };
+    },
+    async startExecution(execution) {
+      execution.status = 'completed';
+      execution.modifiedFiles = ['LICENSE'];
+      execution.worktree = { worktreePath: `/tmp/wt-${execution.id}`, branchName: `branch-${execution.id}` };
+      execution.verification = execution.plan.prompt === 'unverified'
+        ? { status: 'failed', onFailure: 'block', steps: [] }
+        : null;
+      return execution;
+    },
+    async generatePR(executionId, options) {
+      this.prs.push({ executionId, ...options });
+      return { success: true, url: `https://example.com/pr/${executionId}`, branch: 'b' };
+    }
+  };
+}
+
+describe('BatchRunner', () => {
+  let root;
+  let repos;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-batch-'));
+    repos = await Promise.all(['a', 'b', 'c'].map(async name => {
+      const dir = path.join(root, name);
+      await fs.mkdir(dir);
+      return dir;
+    }));
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should validate entries and apply defaults', () => {
+    const runner = new BatchRunner(createPlanner(), createOrchestrator(), {});
+
+    expect(() => runner.createBatch([], 's1')).toThrow('at least one entry');
+    expect(() => runner.createBatch([{ workdir: repos[0] }], 's1')).toThrow('Entry 0 has no prompt');
+    expect(() => runner.createBatch([{ workdir: repos[0], prompt: 'p', agent: 'nope' }], 's1')).toThrow('unknown agent nope');
+    expect(() => runner.createBatch([{ workdir: repos[0], prompt: 'p' }], 's1', { concurrency: 50 })).toThrow('concurrency');
+
+    const batch = runner.createBatch([{ workdir: repos[0] }, { workdir: repos[1], prompt: 'own', baseBranch: 'develop' }], 's1', {
+      defaults: { prompt: 'Add license headers', baseBranch: 'main' }
+    });
+
+    expect(batch.entries.map(entry => [entry.name, entry.prompt, entry.baseBranch])).toEqual([
+      ['a', 'Add license headers', 'main'],
+      ['b', 'own', 'develop']
+    ]);
+  });
+
+  test('should only plan without auto-approve, within the concurrency limit', async () => {
+    const planner = createPlanner();
+    const runner = new BatchRunner(planner, createOrchestrator(), {});
+    const batch = runner.createBatch(repos.map(workdir => ({ workdir, prompt: 'p' })), 's1', { concurrency: 2 });
+
+    const { report } = await runner.runBatch(batch);
+
+    expect(planner.maxRunning).toBe(2);
+    expect(report).toMatchObject({ total: 3, planned: 3, completed: 0, failed: 0 });
+    expect(report.entries.map(entry => entry.planId).sort()).toEqual(['plan-1', 'plan-2', 'plan-3']);
+    expect(report.entries.every(entry => entry.executionId === null)).toBe(true);
+    expect(report.entries.every(entry => planner.getPlan(entry.planId).options.permissions === 'auto')).toBe(true);
+  });
+
+  test('should take turns on entries in the same repository', async () => {
+    const planner = createPlanner();
+    const runner = new BatchRunner(planner, createOrchestrator(), {});
+    const batch = runner.createBatch([{ workdir: repos[0], prompt: 'one' }, { workdir: repos[0], prompt: 'two' }], 's1', { concurrency: 2 });
+
+    await runner.runBatch(batch);
+
+    expect(planner.maxRunning).toBe(1);
+  });
+
+  test('should execute, open PRs and record failures per entry', async () => {
+    const orchestrator = createOrchestrator();
+    const runner = new BatchRunner(createPlanner(), orchestrator, {});
+    const progress = [];
+    runner.on('batch-progress', data => progress.push(`${data.index}:${data.status}`));
+
+    const batch = runner.createBatch([
+      { workdir: repos[0], prompt: 'Add headers', baseBranch: 'main' },
+      { workdir: repos[1], prompt: 'broken' },
+      { workdir: repos[2], prompt: 'unverified' }
+    ], 's1', { autoApprove: true, createPR: true, concurrency: 1 });
+
+    const { report } = await runner.runBatch(batch);
+
+    expect(report).toMatchObject({ total: 3, completed: 1, failed: 2 });
+    expect(report.entries[0]).toMatchObject({
+      status: 'completed',
+      executionId: 'exec-1',
+      branchName: 'branch-exec-1',
+      prUrl: 'https://example.com/pr/exec-1'
+    });
+    expect(orchestrator.prs).toEqual([{ executionId: 'exec-1', baseBranch: 'main' }]);
+    expect(report.entries[1].error).toEqual({ code: 'UNKNOWN_ERROR', message: 'agent crashed' });
+    expect(report.entries[2]).toMatchObject({ status: 'failed', branchName: 'branch-exec-2', error: { code: 'VERIFICATION_FAILED' } });
+    expect(progress.slice(0, 4)).toEqual(['0:planning', '0:executing', '0:creating-pr', '0:completed']);
+  });
+});
+
+describe('Batch manifests', () => {
+  test('should read YAML and JSON, as a list or with defaults', () => {
+    expect(parseManifest('- workdir: /repo\n  prompt: Bump deps\n', 'batch.yaml')).toEqual({
+      entries: [{ workdir: '/repo', prompt: 'Bump deps' }]
+    });
+
+    expect(parseManifest('{"defaults": {"prompt": "p"}, "concurrency": 3, "entries": [{"workdir": "/repo"}]}', 'batch.json'))
+      .toMatchObject({ defaults: { prompt: 'p' }, concurrency: 3, entries: [{ workdir: '/repo' }] });
+
+    expect(() => parseManifest('entries: 3', 'batch.yml')).toThrow('entries list');
+    expect(() => parseManifest('{', 'batch.json')).toThrow('Could not parse batch.json');
+  });
+
+  test('should resolve relative workdirs against the manifest', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-manifest-'));
+    const file = path.join(dir, 'batch.yml');
+    await fs.writeFile(file, 'entries:\n  - workdir: ./service\n    prompt: p\n  - workdir: /abs\n    prompt: p\n');
+
+    const manifest = await loadManifest(file);
+    expect(manifest.entries.map(entry => entry.workdir)).toEqual([path.join(dir, 'service'), '/abs']);
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+});
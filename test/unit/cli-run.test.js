@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PromptRunner, EXIT_CODES } from '../../src/cli/run.js';
+
+function createStream() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    }
+  };
+}
+
+function createPlanner() {
+  return {
+    approved: [],
+    rejected: [],
+    async createPlan(prompt, workdir, agentName, options) {
+      this.options = options;
+      options.onOutput({ type: 'stdout', data: 'thinking' });
+      return { id: 'plan-1', prompt, workdir, agentName, plan: '1. Add validation', options, agent: null };
+    },
+    approvePlan(planId) {
+      this.approved.push(planId);
+      return { id: planId, prompt: 'p', agentName: 'claude-code', options: {} };
+    },
+    rejectPlan(planId) {
+      this.rejected.push(planId);
+    }
+  };
+}
+
+function createOrchestrator(outcome) {
+  const orchestrator = new EventEmitter();
+  orchestrator.prs = [];
+
+  orchestrator.createExecution = (plan) => ({ id: 'exec-1', plan, status: 'queued', modifiedFiles: [] });
+  orchestrator.startExecution = async (execution) => {
+    orchestrator.emit('agent-output', { executionId: 'exec-other', type: 'stdout', data: 'not ours' });
+    orchestrator.emit('agent-output', { executionId: execution.id, type: 'stdout', data: 'editing' });
+
+    if (outcome === 'fail') {
+      execution.status = 'failed';
+      orchestrator.emit('execution-failed', { executionId: execution.id, code: 'AGENT_FAILED', error: 'exit 1' });
+      throw new Error('exit 1');
+    }
+
+    execution.status = 'completed';
+    execution.verification = outcome === 'unverified'
+      ? { status: 'failed', onFailure: 'block', steps: [{ name: 'test', status: 'failed' }] }
+      : null;
+    orchestrator.emit('execution-completed', { executionId: execution.id, modifiedFiles: ['a.js'], worktree: null });
+    return execution;
+  };
+  orchestrator.generatePR = async (executionId) => {
+    orchestrator.prs.push(executionId);
+    return { success: true, url: 'https://example.com/pr/1', branch: 'feature' };
+  };
+
+  return orchestrator;
+}
+
+describe('PromptRunner', () => {
+  let workdir;
+
+  beforeAll(async () => {
+    workdir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-run-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(workdir, { recursive: true, force: true });
+  });
+
+  function createRunner(orchestrator, planner = createPlanner(), confirm = null) {
+    const stdout = createStream();
+    const stderr = createStream();
+    const runner = new PromptRunner(planner, orchestrator, { agents: {}, git: {} }, { stdout, stderr, confirm });
+    return { runner, planner, stdout, stderr };
+  }
+
+  test('should print the plan and stop when it cannot be approved', async () => {
+    const orchestrator = createOrchestrator('succeed');
+    const { runner, planner, stdout, stderr } = createRunner(orchestrator);
+
+    await expect(runner.run('Add validation', { workdir })).resolves.toBe(EXIT_CODES.SUCCESS);
+
+    expect(stdout.text).toBe('thinking\n');
+    expect(stderr.text).toContain('1. Add validation');
+    expect(stderr.text).toContain('pass --yes');
+    expect(planner.rejected).toEqual(['plan-1']);
+  });
+
+  test('should execute an approved plan, stream only its output and open a PR', async () => {
+    const orchestrator = createOrchestrator('succeed');
+    const { runner, planner, stdout, stderr } = createRunner(orchestrator, createPlanner(), async () => true);
+
+    await expect(runner.run('Add validation', { workdir, pr: true })).resolves.toBe(EXIT_CODES.SUCCESS);
+
+    expect(planner.approved).toEqual(['plan-1']);
+    expect(planner.options.permissions).toBe('auto');
+    expect(stdout.text).toBe('thinking\nediting\n');
+    expect(orchestrator.prs).toEqual(['exec-1']);
+    expect(stderr.text).toContain('https://example.com/pr/1');
+    expect(orchestrator.listenerCount('agent-output')).toBe(0);
+  });
+
+  test('should exit non-zero when the execution or its verification fails', async () => {
+    const failed = createRunner(createOrchestrator('fail'));
+    await expect(failed.runner.run('p', { workdir, mode: 'execute' })).resolves.toBe(EXIT_CODES.FAILED);
+    expect(failed.stderr.text).toContain('[AGENT_FAILED]');
+
+    const unverified = createRunner(createOrchestrator('unverified'));
+    await expect(unverified.runner.run('p', { workdir, mode: 'execute', pr: true })).resolves.toBe(EXIT_CODES.FAILED);
+    expect(unverified.stderr.text).toContain('Verification failed: test');
+  });
+
+  test('should reject unknown modes and agents', async () => {
+    const { runner } = createRunner(createOrchestrator('succeed'));
+
+    await expect(runner.run('p', { workdir, mode: 'compare' })).rejects.toMatchObject({ code: 'INVALID_EXECUTION_MODE' });
+    await expect(runner.run('p', { workdir, agent: 'nope' })).rejects.toMatchObject({ code: 'UNKNOWN_AGENT' });
+  });
+});
@@ -0,0 +1,180 @@
+import { PromptDockClient, generateKeyPair, exportKeyPair, importKeyPair, BridgeError } from '../../src/client/index.js';
+import { verifySignature, serializeForSignature } from '../../src/security/crypto.js';
+import { MessageTypes, PROTOCOL_VERSION } from '../../src/protocols/messages.js';
+
+/**
+ * Stands in for the bridge: answers each command with `respond(message, socket)`
+ */
+class FakeSocket {
+  static respond = () => {};
+  static instances = [];
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.readyState = 0;
+    this.sent = [];
+    this.listeners = {};
+    FakeSocket.instances.push(this);
+    setTimeout(() => {
+      this.readyState = 1;
+      this.dispatch('open', {});
+    });
+  }
+
+  addEventListener(event, listener) {
+    (this.listeners[event] ||= []).push(listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter(entry => entry !== listener);
+  }
+
+  dispatch(event, payload) {
+    for (const listener of [...(this.listeners[event] || [])]) {
+      listener(payload);
+    }
+  }
+
+  send(json) {
+    const message = JSON.parse(json);
+    this.sent.push(message);
+    setTimeout(() => FakeSocket.respond(message, this));
+  }
+
+  reply(type, data, id = null) {
+    this.dispatch('message', { data: JSON.stringify({ id, type, data, timestamp: new Date().toISOString(), version: PROTOCOL_VERSION }) });
+  }
+
+  ack(message, resultType, result) {
+    this.reply(MessageTypes.ACK, { requestId: message.id, requestType: message.type, status: 'ok', resultType, result }, message.id);
+  }
+
+  close() {
+    this.readyState = 3;
+    this.dispatch('close', {});
+  }
+}
+
+function bridge(handlers) {
+  FakeSocket.respond = (message, socket) => {
+    if (message.type === MessageTypes.HANDSHAKE) {
+      return socket.reply(MessageTypes.HANDSHAKE_ACK, {
+        version: PROTOCOL_VERSION,
+        supportedVersions: [PROTOCOL_VERSION],
+        capabilities: { agents: [], modes: [], prProviders: [], features: message.data.features }
+      }, message.id);
+    }
+    if (message.type === MessageTypes.AUTHENTICATE) {
+      return socket.ack(message, MessageTypes.AUTH_SUCCESS, { sessionId: 'session-1', token: 'token-2' });
+    }
+    return handlers[message.type]?.(message, socket);
+  };
+}
+
+let keyPair;
+
+beforeAll(async () => {
+  keyPair = await generateKeyPair();
+});
+
+afterEach(() => {
+  FakeSocket.instances = [];
+});
+
+function createClient(options = {}) {
+  return new PromptDockClient({ WebSocket: FakeSocket, keyPair, token: 'token-1', reconnect: false, ...options });
+}
+
+describe('Client SDK', () => {
+  test('should sign messages the way the bridge verifies them', async () => {
+    const client = createClient();
+    const message = await client.createMessage(MessageTypes.GIT_STATUS, { workdir: '/repo', nested: { b: 1, a: [2] } });
+
+    expect(verifySignature(serializeForSignature(message), message.signature, keyPair.publicKeyPem)).toBe(true);
+
+    const restored = await importKeyPair(await exportKeyPair(keyPair));
+    const resigned = await new PromptDockClient({ keyPair: restored }).createMessage(MessageTypes.GIT_STATUS, { workdir: '/repo' });
+    expect(verifySignature(serializeForSignature(resigned), resigned.signature, keyPair.publicKeyPem)).toBe(true);
+  });
+
+  test('should negotiate acks, authenticate and keep the refreshed token', async () => {
+    bridge({});
+    const client = createClient({ origin: 'http://localhost:3000' });
+    const tokens = [];
+    client.on('token', token => tokens.push(token));
+
+    await client.connect();
+
+    const [socket] = FakeSocket.instances;
+    expect(socket.options).toEqual({ headers: { origin: 'http://localhost:3000' } });
+    expect(socket.sent.map(m => m.type)).toEqual(['handshake', 'authenticate']);
+    expect(socket.sent[0].data.features).toContain('acks');
+    expect(socket.sent[0].signature).toBeUndefined();
+    expect(client.sessionId).toBe('session-1');
+    expect(tokens).toEqual(['token-2']);
+    client.close();
+  });
+
+  test('should resolve commands with their ack and reject them with their nack', async () => {
+    bridge({
+      [MessageTypes.GIT_STATUS]: (message, socket) => socket.ack(message, MessageTypes.GIT_STATUS_RESPONSE, { isGitRepo: true }),
+      [MessageTypes.GET_EXECUTION]: (message, socket) => socket.reply(MessageTypes.NACK, {
+        requestId: message.id,
+        status: 'error',
+        error: { code: 'EXECUTION_NOT_FOUND', message: 'Execution not found', retryable: false, hint: 'List executions' }
+      }, message.id)
+    });
+    const client = createClient();
+    await client.connect();
+
+    await expect(client.gitStatus('/repo')).resolves.toEqual({ isGitRepo: true });
+
+    const failure = await client.getExecution('exec-9').catch(error => error);
+    expect(failure).toBeInstanceOf(BridgeError);
+    expect(failure).toMatchObject({ code: 'EXECUTION_NOT_FOUND', retryable: false, hint: 'List executions' });
+    client.close();
+  });
+
+  test('should stream an execution until it completes', async () => {
+    bridge({
+      [MessageTypes.EXECUTE_PROMPT]: (message, socket) => {
+        socket.ack(message, MessageTypes.EXECUTION_STARTED, { executionId: 'exec-1', planId: 'plan-1' });
+        socket.reply(MessageTypes.EXECUTION_PROGRESS, { executionId: 'exec-1', status: 'executing', progress: 50, seq: 1 });
+        socket.reply(MessageTypes.FILE_DIFF, { executionId: 'exec-1', file: 'a.js', diff: '+a', seq: 2 });
+        socket.reply(MessageTypes.EXECUTION_PROGRESS, { executionId: 'exec-1', status: 'executing', progress: 50, seq: 2, replayed: true });
+        socket.reply(MessageTypes.EXECUTION_COMPLETE, { executionId: 'exec-1', status: 'completed', seq: 3 });
+      }
+    });
+    const client = createClient();
+    await client.connect();
+
+    const execution = await client.execute('Add login', 'plan-1');
+    const types = [];
+    for await (const event of execution) {
+      types.push(event.type);
+    }
+
+    expect(types).toEqual(['execution-progress', 'file-diff', 'execution-complete']);
+    expect(execution.lastSeq).toBe(3);
+    expect((await execution.done).data.status).toBe('completed');
+    client.close();
+  });
+
+  test('should fail pending commands and reconnect when the connection drops', async () => {
+    bridge({});
+    const client = createClient({ reconnect: { minDelay: 1 } });
+    await client.connect();
+
+    const pending = client.healthCheck();
+    const reconnected = new Promise(resolve => client.once('reconnected', resolve));
+    FakeSocket.instances[0].close();
+
+    await expect(pending).rejects.toMatchObject({ code: 'CONNECTION_LOST', retryable: true });
+    await reconnected;
+
+    expect(FakeSocket.instances).toHaveLength(2);
+    expect(FakeSocket.instances[1].sent.map(m => m.type)).toEqual(['handshake', 'authenticate']);
+    client.close();
+  });
+});
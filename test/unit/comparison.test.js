@@ -0,0 +1,107 @@
+import { ComparisonRunner } from '../../src/execution/comparison.js';
+
+function createOrchestrator() {
+  const executions = new Map();
+  let counter = 0;
+
+  return {
+    executions,
+    cleaned: [],
+    createExecution(plan, sessionId) {
+      const execution = {
+        id: `exec-${++counter}`,
+        sessionId,
+        plan,
+        status: 'queued',
+        modifiedFiles: [],
+        worktree: null
+      };
+      executions.set(execution.id, execution);
+      return execution;
+    },
+    getExecution(id) {
+      return executions.get(id);
+    },
+    async startExecution(execution) {
+      execution.startedAt = '2024-01-01T10:00:00.000Z';
+      execution.finishedAt = '2024-01-01T10:00:05.000Z';
+      if (execution.plan.options.model === 'broken') {
+        execution.status = 'failed';
+        execution.error = 'agent crashed';
+        throw new Error('agent crashed');
+      }
+      execution.status = 'completed';
+      execution.modifiedFiles = ['src/app.js'];
+      execution.worktree = { worktreePath: `/tmp/${execution.id}`, branchName: `branch-${execution.id}` };
+      return execution;
+    },
+    async cleanupWorktree(id) {
+      this.cleaned.push(id);
+      executions.get(id).worktree = null;
+    }
+  };
+}
+
+describe('ComparisonRunner', () => {
+  test('should reject fewer than two contestants and unknown agents', () => {
+    const runner = new ComparisonRunner(createOrchestrator(), {});
+
+    expect(() => runner.createComparison('p', '/repo', ['claude-code'], 's1')).toThrow('at least two agents');
+    expect(() => runner.createComparison('p', '/repo', ['claude-code', 'nope'], 's1')).toThrow('Unknown agent: nope');
+  });
+
+  test('should label repeated agents and merge per-contestant options', () => {
+    const orchestrator = createOrchestrator();
+    const runner = new ComparisonRunner(orchestrator, {});
+
+    const comparison = runner.createComparison('p', '/repo', [
+      'claude-code',
+      'claude-code',
+      { agent: 'claude-code', label: 'opus', options: { model: 'opus' } }
+    ], 's1', { webSearch: true });
+
+    expect(comparison.contestants.map(c => c.label)).toEqual(['claude-code', 'claude-code#2', 'opus']);
+    expect(orchestrator.getExecution(comparison.executionIds[2]).plan.options).toEqual({ webSearch: true, model: 'opus' });
+    expect(orchestrator.getExecution(comparison.executionIds[0]).comparisonId).toBe(comparison.id);
+  });
+
+  test('should report every run even when one fails, then keep only the winner', async () => {
+    const orchestrator = createOrchestrator();
+    const runner = new ComparisonRunner(orchestrator, {});
+    const reports = [];
+    runner.on('comparison-completed', data => reports.push(data));
+
+    const comparison = runner.createComparison('p', '/repo', [
+      'claude-code',
+      { agent: 'claude-code', label: 'broken', options: { model: 'broken' } },
+      { agent: 'claude-code', label: 'third' }
+    ], 's1');
+
+    await expect(runner.selectWinner(comparison.id, comparison.executionIds[0])).rejects.toThrow('still running');
+
+    await runner.runComparison(comparison);
+
+    const entries = reports[0].report.entries;
+    expect(entries.map(e => e.status)).toEqual(['completed', 'failed', 'completed']);
+    expect(entries[1]).toMatchObject({ label: 'broken', error: 'agent crashed', exitCode: null, diff: null, durationMs: 5000 });
+    expect(entries[0].exitCode).toBe(0);
+
+    const [winner, , loser] = comparison.executionIds;
+    const result = await runner.selectWinner(comparison.id, winner);
+
+    expect(result.deletedWorktrees).toEqual([`branch-${loser}`]);
+    expect(orchestrator.cleaned).toEqual([loser]);
+    await expect(runner.selectWinner(comparison.id, winner)).rejects.toThrow('Winner already selected');
+  });
+
+  test('should capture test command results', async () => {
+    const runner = new ComparisonRunner(createOrchestrator(), {});
+
+    const passed = await runner.runTests(process.cwd(), ['node', '-e', 'console.log("ok")']);
+    const failed = await runner.runTests(process.cwd(), 'node -e process.exit(3)');
+
+    expect(passed).toMatchObject({ passed: true, exitCode: 0 });
+    expect(passed.output).toContain('ok');
+    expect(failed).toMatchObject({ passed: false, exitCode: 3 });
+  });
+});
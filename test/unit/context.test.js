@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { resolveContext, summarizeContext, attachContext } from '../../src/execution/context.js';
+import { BaseAgent } from '../../src/agents/base.js';
+import { ClaudeCodeAgent } from '../../src/agents/claude-code.js';
+
+describe('Prompt context', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-context-'));
+    await fs.mkdir(path.join(root, 'src'));
+    await fs.writeFile(path.join(root, 'src', 'auth.js'), ['function login() {', '  return check();', '}', ''].join('\n'));
+    await fs.writeFile(path.join(root, 'src', 'auth.test.js'), 'test("login", () => {});\n');
+    await fs.writeFile(path.join(root, 'src', 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+    await fs.writeFile(path.join(root, 'big.txt'), 'line\n'.repeat(100));
+    await fs.writeFile(path.join(root, '.env'), 'TOKEN=secret\n');
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should read files, line ranges and globs', async () => {
+    const resolved = await resolveContext(root, [
+      { path: 'src/auth.js', startLine: 2, endLine: 3 },
+      { glob: 'src/*.js' },
+      { path: './src/auth.test.js' }
+    ]);
+
+    expect(resolved.files.map(file => [file.path, file.startLine, file.content])).toEqual([
+      ['src/auth.js', 2, '  return check();\n}'],
+      ['src/auth.js', null, 'function login() {\n  return check();\n}\n'],
+      ['src/auth.test.js', null, 'test("login", () => {});\n']
+    ]);
+    expect(resolved.skipped).toEqual([]);
+  });
+
+  test('should truncate and skip files over the budgets', async () => {
+    const resolved = await resolveContext(root, [{ path: 'big.txt' }, { glob: 'src/**' }], {
+      limits: { maxFileBytes: 52, maxTotalBytes: 80, maxFiles: 3 }
+    });
+
+    expect(resolved.files.map(file => [file.path, file.bytes, file.truncated])).toEqual([
+      ['big.txt', 50, true],
+      ['src/auth.js', 19, true]
+    ]);
+    expect(resolved.skipped).toEqual([
+      { path: 'src/auth.test.js', reason: 'max-total-bytes' },
+      { path: 'src/logo.png', reason: 'binary' }
+    ]);
+    expect(summarizeContext([{ path: 'big.txt' }], resolved).files[0]).not.toHaveProperty('content');
+
+    const binary = await resolveContext(root, [{ path: 'src/logo.png' }]);
+    expect(binary.skipped).toEqual([{ path: 'src/logo.png', reason: 'binary' }]);
+  });
+
+  test('should refuse missing, excluded and outside paths', async () => {
+    await expect(resolveContext(root, [{ path: 'src/missing.js' }])).rejects.toMatchObject({ code: 'INVALID_CONTEXT' });
+    await expect(resolveContext(root, [{ path: 'src/auth.js', startLine: 10 }])).rejects.toThrow('Invalid line range');
+    await expect(resolveContext(root, [{ path: '../etc/passwd' }])).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    await expect(resolveContext(root, [{ path: '.env' }])).rejects.toMatchObject({ code: 'PATH_NOT_ALLOWED' });
+    await expect(resolveContext(root, [{ path: 'src/auth.test.js' }], { exclude: ['*.test.js'] }))
+      .rejects.toThrow('Context path is excluded');
+  });
+
+  test('should format the context for each agent', async () => {
+    const resolved = await resolveContext(root, [{ path: 'src/auth.js', startLine: 1, endLine: 1 }]);
+
+    expect(attachContext('Add logout', new BaseAgent('codex'), resolved)).toBe(
+      'The user attached these files as context:\n\n### src/auth.js (lines 1-1)\n```js\nfunction login() {\n```\n\nAdd logout'
+    );
+    expect(attachContext('Add logout', new ClaudeCodeAgent(), resolved)).toBe(
+      'The user attached these files as context:\n<context>\n<file path="src/auth.js" lines="1-1">\nfunction login() {\n</file>\n</context>\n\nAdd logout'
+    );
+    expect(attachContext('Add logout', new BaseAgent('codex'), null)).toBe('Add logout');
+  });
+});
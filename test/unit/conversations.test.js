@@ -0,0 +1,230 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ExecutionOrchestrator } from '../../src/execution/executor.js';
+import { BaseAgent, formatConversation } from '../../src/agents/base.js';
+import { ClaudeCodeAgent } from '../../src/agents/claude-code.js';
+import { agentRegistry } from '../../src/agents/registry.js';
+
+// Answers from a script: a string, or an Error to throw
+const replies = [];
+const prompts = [];
+
+class ScriptedAgent extends BaseAgent {
+  static agentName = 'scripted';
+
+  constructor(config) {
+    super('scripted', config);
+  }
+
+  async executePrompt(prompt, workdir) {
+    prompts.push(prompt);
+    const reply = replies.shift();
+    if (reply instanceof Error) {
+      throw reply;
+    }
+
+    await fs.writeFile(path.join(workdir, 'tests.txt'), `${reply}\n`);
+    return { success: true, output: reply, modifiedFiles: ['tests.txt'] };
+  }
+}
+
+function createExecution(workdir, status = 'completed') {
+  return {
+    id: 'exec-1',
+    sessionId: 'sess-1',
+    status,
+    startedAt: '2024-01-01T12:00:00.000Z',
+    finishedAt: '2024-01-01T12:01:00.000Z',
+    modifiedFiles: ['src/auth.js'],
+    output: [],
+    agent: null,
+    result: { success: true, output: 'Added logout to src/auth.js' },
+    worktree: { worktreePath: workdir, branchName: 'agent-session-logout' },
+    plan: { prompt: 'Add logout', workdir, agentName: 'scripted', options: {} }
+  };
+}
+
+describe('Conversations', () => {
+  let workdir;
+
+  beforeAll(() => {
+    agentRegistry.register(ScriptedAgent);
+  });
+
+  afterAll(() => {
+    agentRegistry.unregister('scripted');
+  });
+
+  beforeEach(async () => {
+    workdir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-conversation-'));
+    replies.length = 0;
+    prompts.length = 0;
+  });
+
+  afterEach(async () => {
+    await fs.rm(workdir, { recursive: true, force: true });
+  });
+
+  test('should continue a completed execution and record every turn', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { enabled: false } });
+    const completed = [];
+    orchestrator.on('execution-completed', event => completed.push(event));
+
+    const execution = createExecution(workdir);
+    orchestrator.activeExecutions.set(execution.id, execution);
+
+    replies.push('Added tests for logout', new Error('scripted crashed'));
+
+    const { turn } = orchestrator.continueExecution('exec-1', 'Now also update the tests');
+    expect(turn).toMatchObject({ number: 2, status: 'queued' });
+    expect(execution.status).toBe('queued');
+    expect(() => orchestrator.continueExecution('exec-1', 'And the docs')).toThrow('still running');
+
+    await orchestrator.startTurn(execution, turn);
+
+    // Agents without a session of their own get the earlier turns replayed
+    expect(prompts[0]).toContain('User:\nAdd logout\n\nYou:\nAdded logout to src/auth.js');
+    expect(prompts[0]).toMatch(/Now also update the tests$/);
+
+    const second = orchestrator.continueExecution('exec-1', 'And the docs');
+    await orchestrator.startTurn(second.execution, second.turn);
+
+    expect(prompts[1]).toContain('You:\nAdded tests for logout');
+    expect(execution.status).toBe('completed');
+    expect(execution.modifiedFiles).toEqual(['src/auth.js', 'tests.txt']);
+    expect(execution.turns.map(({ number, prompt, status }) => [number, prompt, status])).toEqual([
+      [1, 'Add logout', 'completed'],
+      [2, 'Now also update the tests', 'completed'],
+      [3, 'And the docs', 'failed']
+    ]);
+    expect(execution.turns[1]).toMatchObject({ result: { success: true, text: 'Added tests for logout' }, modifiedFiles: ['tests.txt'] });
+    expect(execution.turns[2].error).toBe('scripted crashed');
+    expect(completed.map(event => event.turn)).toEqual([
+      { number: 2, status: 'completed', error: null },
+      { number: 3, status: 'failed', error: 'scripted crashed' }
+    ]);
+
+    const details = await orchestrator.getExecutionDetails('exec-1');
+    expect(details.turns).toHaveLength(3);
+    expect(details.conversation).toEqual({ id: null });
+  });
+
+  test('should record the first turn with the outcome of verification and fix-ups', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { enabled: false } });
+    orchestrator.runFixupLoop = async (execution) => {
+      execution.modifiedFiles.push('src/fix.js');
+    };
+
+    const execution = { ...createExecution(workdir, 'pending'), finishedAt: null, modifiedFiles: [], result: null };
+    replies.push('Added logout');
+    await orchestrator.runExecution(execution);
+
+    expect(execution.turns).toEqual([expect.objectContaining({
+      number: 1,
+      status: 'completed',
+      finishedAt: execution.finishedAt,
+      result: { success: true, text: 'Added logout' },
+      modifiedFiles: ['tests.txt', 'src/fix.js']
+    })]);
+    expect(execution.conversation).toEqual({ id: null });
+
+    const failed = { ...createExecution(workdir, 'pending'), id: 'exec-2', finishedAt: null, result: null };
+    replies.push(new Error('scripted crashed'));
+    await expect(orchestrator.runExecution(failed)).rejects.toThrow('scripted crashed');
+
+    expect(failed.turns).toEqual([expect.objectContaining({ number: 1, status: 'failed', error: 'scripted crashed', result: null })]);
+  });
+
+  test('should keep the execution record when a turn fails', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { enabled: false } });
+    const verification = { status: 'passed', steps: [{ name: 'test', status: 'passed' }] };
+    const execution = { ...createExecution(workdir), verification, commitHash: 'abc123' };
+    orchestrator.activeExecutions.set(execution.id, execution);
+
+    replies.push(new Error('scripted crashed'));
+    const { turn } = orchestrator.continueExecution('exec-1', 'Now also update the tests');
+    await orchestrator.startTurn(execution, turn);
+
+    expect(execution).toMatchObject({
+      status: 'completed',
+      lastTurnStatus: 'failed',
+      verification,
+      commitHash: 'abc123',
+      modifiedFiles: ['src/auth.js']
+    });
+    expect(execution.turns[1]).toMatchObject({ status: 'failed', error: 'scripted crashed', result: null });
+
+    const details = await orchestrator.getExecutionDetails('exec-1');
+    expect(details.lastTurnStatus).toBe('failed');
+  });
+
+  test('should only continue completed executions with their worktree', () => {
+    const orchestrator = new ExecutionOrchestrator(null, {});
+    const failed = { ...createExecution(workdir, 'failed'), id: 'exec-failed' };
+    const cleaned = { ...createExecution(workdir), id: 'exec-cleaned', worktree: null };
+    orchestrator.activeExecutions.set(failed.id, failed);
+    orchestrator.activeExecutions.set(cleaned.id, cleaned);
+
+    expect(() => orchestrator.continueExecution('exec-missing', 'More')).toThrow('Execution not found');
+    expect(() => orchestrator.continueExecution('exec-failed', 'More')).toThrow('this one failed');
+    expect(() => orchestrator.continueExecution('exec-cleaned', 'More')).toThrow('worktree was cleaned up');
+  });
+
+  test('should resume the session of a Claude Code execution', async () => {
+    // Answers with its arguments under a session ID of its own
+    const script = path.join(workdir, 'claude');
+    await fs.writeFile(script, [
+      `#!${process.execPath}`,
+      "const resumed = process.argv.includes('--resume');",
+      "const session = resumed ? 'claude-2' : 'claude-1';",
+      "console.log(JSON.stringify({ type: 'system', subtype: 'init', session_id: session }));",
+      "console.log(JSON.stringify({ type: 'result', result: process.argv.slice(2).join(' '), session_id: session }));"
+    ].join('\n'), { mode: 0o755 });
+
+    const orchestrator = new ExecutionOrchestrator(null, {
+      verification: { enabled: false },
+      agents: { paths: { 'claude-code': script } }
+    });
+    const execution = {
+      ...createExecution(workdir, 'pending'),
+      finishedAt: null,
+      modifiedFiles: [],
+      result: null,
+      plan: { prompt: 'Add logout', workdir, agentName: 'claude-code', options: {} }
+    };
+    orchestrator.activeExecutions.set(execution.id, execution);
+
+    await orchestrator.runExecution(execution);
+
+    expect(execution.conversation).toEqual({ id: 'claude-1' });
+    expect(execution.turns[0].result.text).toContain('--permission-mode acceptEdits');
+
+    const { turn } = orchestrator.continueExecution('exec-1', 'Now also update the tests');
+    await orchestrator.startTurn(execution, turn);
+
+    expect(turn.result.text).toContain('--resume claude-1');
+    expect(execution.conversation).toEqual({ id: 'claude-2' });
+  });
+
+  test('should resume Claude Code sessions with --resume', async () => {
+    // Prints what it was started with, under a new session ID
+    const script = path.join(workdir, 'claude');
+    await fs.writeFile(script, [
+      `#!${process.execPath}`,
+      "console.log(JSON.stringify({ type: 'system', subtype: 'init', session_id: 'claude-2' }));",
+      "console.log(JSON.stringify({ type: 'result', result: process.argv.slice(2).join(' '), session_id: 'claude-2' }));"
+    ].join('\n'), { mode: 0o755 });
+
+    const agent = new ClaudeCodeAgent({ claudePath: script });
+    agent.conversationId = 'claude-1';
+
+    const result = await agent.continueConversation('Now also update the tests', workdir, { history: [{ prompt: 'Add logout', text: 'Done' }] });
+
+    expect(result.text).toBe('-p --verbose --input-format stream-json --output-format stream-json --resume claude-1 --permission-mode acceptEdits');
+    expect(agent.conversationId).toBe('claude-2');
+
+    expect(formatConversation([], 'Add logout')).toBe('Add logout');
+    expect(formatConversation([{ prompt: 'Add logout', text: 'x'.repeat(5000) }], 'More')).toContain(`${'x'.repeat(4000)}\n... (truncated)`);
+  });
+});
@@ -0,0 +1,77 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  ERROR_CATALOG,
+  BridgeError,
+  NotFoundError,
+  AgentError,
+  describeError
+} from '../../src/utils/errors.js';
+import { createErrorMessage, setProtocolDebug } from '../../src/protocols/messages.js';
+
+async function listSources(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listSources(fullPath) : [fullPath];
+  }));
+  return files.flat().filter(file => file.endsWith('.js'));
+}
+
+describe('Bridge errors', () => {
+  afterEach(() => setProtocolDebug(false));
+
+  test('should take retryable and hint from the catalog unless overridden', () => {
+    const error = new NotFoundError('PLAN_NOT_FOUND', 'Plan not found');
+
+    expect(error).toBeInstanceOf(BridgeError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('NotFoundError');
+    expect(error).toMatchObject({ code: 'PLAN_NOT_FOUND', retryable: false, hint: ERROR_CATALOG.PLAN_NOT_FOUND.hint });
+
+    expect(new AgentError('AGENT_FAILED', 'codex exited with code 1').retryable).toBe(true);
+    expect(new AgentError('AGENT_FAILED', 'codex exited with code 1', { retryable: false }).retryable).toBe(false);
+  });
+
+  test('should describe errors that are not ours with the fallback code', () => {
+    const spawnError = Object.assign(new Error('spawn git ENOENT'), { code: 'ENOENT' });
+
+    expect(describeError(spawnError, { fallbackCode: 'GIT_ERROR' })).toEqual({
+      code: 'GIT_ERROR',
+      message: 'spawn git ENOENT',
+      retryable: false,
+      hint: ERROR_CATALOG.GIT_ERROR.hint
+    });
+    expect(describeError('Rate limit exceeded', { fallbackCode: 'RATE_LIMITED' })).toMatchObject({ retryable: true });
+  });
+
+  test('should only send stack traces in protocol debug mode', () => {
+    const error = new NotFoundError('EXECUTION_NOT_FOUND', 'Execution not found', { details: { executionId: 'exec-1' } });
+
+    expect(createErrorMessage(error, 'm1').data).toEqual({
+      error: 'Execution not found',
+      code: 'EXECUTION_NOT_FOUND',
+      retryable: false,
+      hint: ERROR_CATALOG.EXECUTION_NOT_FOUND.hint,
+      details: { executionId: 'exec-1' }
+    });
+
+    setProtocolDebug(true);
+    expect(createErrorMessage(error, 'm1').data.stack).toContain('NotFoundError: Execution not found');
+  });
+
+  test('should list every code the bridge throws', async () => {
+    const sources = await listSources(path.resolve('src'));
+    const codes = new Set();
+
+    for (const file of sources) {
+      const content = await fs.readFile(file, 'utf8');
+      for (const match of content.matchAll(/new \w+Error\('([A-Z_]+)'|code: '([A-Z_]+)'|, '([A-Z_]+)'\);/g)) {
+        codes.add(match[1] || match[2] || match[3]);
+      }
+    }
+
+    expect(codes.size).toBeGreaterThan(20);
+    expect([...codes].filter(code => !ERROR_CATALOG[code])).toEqual([]);
+  });
+});
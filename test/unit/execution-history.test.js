@@ -0,0 +1,73 @@
+import { queryExecutions, summarizeExecution } from '../../src/execution/history.js';
+
+function makeExecution(id, overrides = {}) {
+  return {
+    id,
+    planId: `plan-${id}`,
+    sessionId: 'session-1',
+    status: 'completed',
+    startedAt: '2024-01-01T10:00:00.000Z',
+    finishedAt: '2024-01-01T10:01:30.000Z',
+    modifiedFiles: ['src/app.js'],
+    commitHash: 'abc123',
+    plan: {
+      prompt: `prompt ${id}`,
+      plan: `plan ${id}`,
+      agentName: 'claude-code',
+      workdir: '/repos/app'
+    },
+    ...overrides
+  };
+}
+
+describe('Execution history queries', () => {
+  const executions = [
+    makeExecution('a'),
+    makeExecution('b', { status: 'failed', startedAt: '2024-01-02T10:00:00.000Z', finishedAt: null }),
+    makeExecution('c', { sessionId: 'session-2', agentName: 'codex', startedAt: '2024-01-03T10:00:00.000Z' }),
+    makeExecution('d', { plan: { prompt: 'd', agentName: 'claude-code', workdir: '/repos/other' }, startedAt: '2024-01-04T10:00:00.000Z' })
+  ];
+
+  test('should return newest executions first with totals', () => {
+    const result = queryExecutions(executions);
+
+    expect(result.total).toBe(4);
+    expect(result.executions.map(e => e.id)).toEqual(['d', 'c', 'b', 'a']);
+  });
+
+  test('should filter by session, agent, status and workdir', () => {
+    expect(queryExecutions(executions, { sessionId: 'session-2' }).executions.map(e => e.id)).toEqual(['c']);
+    expect(queryExecutions(executions, { agent: 'codex' }).executions.map(e => e.id)).toEqual(['c']);
+    expect(queryExecutions(executions, { status: 'failed,completed' }).total).toBe(4);
+    expect(queryExecutions(executions, { status: ['failed'] }).executions.map(e => e.id)).toEqual(['b']);
+    expect(queryExecutions(executions, { workdir: '/repos/other' }).executions.map(e => e.id)).toEqual(['d']);
+  });
+
+  test('should filter by date range and paginate', () => {
+    const result = queryExecutions(executions, {
+      from: '2024-01-02T00:00:00.000Z',
+      to: '2024-01-03T23:59:59.000Z',
+      limit: 1,
+      offset: 1
+    });
+
+    expect(result.total).toBe(2);
+    expect(result.executions.map(e => e.id)).toEqual(['b']);
+    expect(result.limit).toBe(1);
+    expect(result.offset).toBe(1);
+  });
+
+  test('should reject invalid dates', () => {
+    expect(() => queryExecutions(executions, { from: 'yesterday-ish' })).toThrow('Invalid from date');
+  });
+
+  test('should summarize prompt, plan, commit and duration', () => {
+    const summary = summarizeExecution(executions[0]);
+
+    expect(summary.prompt).toBe('prompt a');
+    expect(summary.plan).toBe('plan a');
+    expect(summary.commitHash).toBe('abc123');
+    expect(summary.durationMs).toBe(90000);
+    expect(summary.agent).toBe('claude-code');
+  });
+});
@@ -0,0 +1,77 @@
+import { ExecutionScheduler } from '../../src/execution/scheduler.js';
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('ExecutionScheduler', () => {
+  test('should run tasks concurrently up to the per-session cap', async () => {
+    const scheduler = new ExecutionScheduler({ maxConcurrentPerSession: 2, maxConcurrentGlobal: 10 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const runs = gates.map((gate, index) => scheduler.schedule({ id: `exec-${index}`, sessionId: 's1' }, async () => {
+      started.push(index);
+      await gate.promise;
+      return index;
+    }));
+
+    expect(started).toEqual([0, 1]);
+    expect(scheduler.getQueuePosition('exec-2')).toBe(0);
+
+    gates[0].resolve();
+    await runs[0];
+
+    expect(started).toEqual([0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    await expect(Promise.all(runs)).resolves.toEqual([0, 1, 2]);
+  });
+
+  test('should apply the global cap across sessions', () => {
+    const scheduler = new ExecutionScheduler({ maxConcurrentPerSession: 5, maxConcurrentGlobal: 2 });
+    const gate = deferred();
+
+    ['s1', 's2', 's3'].forEach(sessionId => {
+      scheduler.schedule({ id: sessionId, sessionId }, () => gate.promise).catch(() => {});
+    });
+
+    expect(scheduler.getRunningCount()).toBe(2);
+    expect(scheduler.getQueuePosition('s3')).toBe(0);
+
+    expect(scheduler.cancelPending('stopped')).toEqual(['s3']);
+    gate.resolve();
+  });
+
+  test('should never overlap tasks with the same lock key', () => {
+    const scheduler = new ExecutionScheduler({ maxConcurrentPerSession: 5, maxConcurrentGlobal: 5 });
+    const gate = deferred();
+
+    scheduler.schedule({ id: 'a', sessionId: 's1', lockKey: '/repo' }, () => gate.promise);
+    scheduler.schedule({ id: 'b', sessionId: 's1', lockKey: '/repo' }, () => gate.promise);
+    scheduler.schedule({ id: 'c', sessionId: 's1', lockKey: '/repo/.prompt-dock-worktrees/x' }, () => gate.promise);
+
+    expect(scheduler.getRunningCount('s1')).toBe(2);
+    expect(scheduler.getQueuePosition('b')).toBe(0);
+    gate.resolve();
+  });
+
+  test('should reject a cancelled task without running it', async () => {
+    const scheduler = new ExecutionScheduler({ maxConcurrentPerSession: 1 });
+    const gate = deferred();
+    let ran = false;
+
+    scheduler.schedule({ id: 'a', sessionId: 's1' }, () => gate.promise);
+    const queued = scheduler.schedule({ id: 'b', sessionId: 's1' }, async () => { ran = true; });
+
+    expect(scheduler.cancel('b', 'Execution aborted')).toBe(true);
+    await expect(queued).rejects.toThrow('Execution aborted');
+
+    gate.resolve();
+    await gate.promise;
+    expect(ran).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { ExecutionStore } from '../../src/execution/store.js';
+
+describe('ExecutionStore', () => {
+  let storeDir;
+
+  beforeEach(async () => {
+    storeDir = path.join(os.tmpdir(), `prompt-dock-store-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`);
+  });
+
+  afterEach(async () => {
+    await fs.rm(storeDir, { recursive: true, force: true });
+  });
+
+  function createStore() {
+    return new ExecutionStore({ storage: { directory: storeDir } });
+  }
+
+  test('should persist executions without runtime fields', async () => {
+    const store = createStore();
+    await store.initialize();
+
+    await store.saveExecution({
+      id: 'exec-1',
+      planId: 'plan-1',
+      sessionId: 'session-1',
+      status: 'completed',
+      startedAt: new Date().toISOString(),
+      modifiedFiles: ['src/app.js'],
+      output: [{ type: 'stdout', data: 'hello' }],
+      agent: { kill: () => {} },
+      plan: {
+        id: 'plan-1',
+        prompt: 'Add a feature',
+        agentName: 'claude-code',
+        workdir: '/tmp/repo',
+        agent: { kill: () => {} },
+        options: { onOutput: () => {} }
+      },
+      worktree: { worktreePath: '/tmp/repo/.prompt-dock-worktrees/a', branchName: 'agent-session-a' }
+    });
+
+    const raw = JSON.parse(await fs.readFile(path.join(storeDir, 'executions', 'exec-1.json'), 'utf-8'));
+
+    expect(raw.agent).toBeUndefined();
+    expect(raw.output).toBeUndefined();
+    expect(raw.plan.agent).toBeUndefined();
+    expect(raw.plan.options.onOutput).toBeUndefined();
+    expect(raw.agentName).toBe('claude-code');
+    expect(raw.worktree.branchName).toBe('agent-session-a');
+  });
+
+  test('should mark unfinished runs as interrupted on reload', async () => {
+    const store = createStore();
+    await store.initialize();
+
+    await store.savePlan({ id: 'plan-1', prompt: 'p', createdAt: new Date().toISOString(), approved: true, executed: false });
+    await store.saveExecution({ id: 'exec-running', status: 'executing', startedAt: new Date().toISOString() });
+    await store.saveExecution({ id: 'exec-done', status: 'completed', startedAt: new Date().toISOString() });
+    await store.flush();
+
+    const reloaded = createStore();
+    const summary = await reloaded.initialize();
+
+    expect(summary.interrupted).toEqual(['exec-running']);
+    expect(reloaded.getExecution('exec-running').status).toBe('interrupted');
+    expect(reloaded.getExecution('exec-running').previousStatus).toBe('executing');
+    expect(reloaded.getExecution('exec-done').status).toBe('completed');
+    expect(reloaded.getPlan('plan-1').interrupted).toBe(true);
+  });
+
+  test('should keep queued runs through the retention check', async () => {
+    const store = new ExecutionStore({ storage: { directory: storeDir, retentionDays: 30 } });
+    await store.initialize();
+
+    const old = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+    await store.saveExecution({ id: 'exec-queued', status: 'queued', queuedAt: new Date().toISOString(), startedAt: null });
+    await store.saveExecution({ id: 'exec-no-time', status: 'queued', startedAt: null });
+    await store.saveExecution({ id: 'exec-old', status: 'completed', startedAt: old });
+    await store.saveExecution({ id: 'exec-old-queued', status: 'queued', queuedAt: old, startedAt: null });
+    await store.flush();
+
+    const reloaded = new ExecutionStore({ storage: { directory: storeDir, retentionDays: 30 } });
+    const summary = await reloaded.initialize();
+
+    expect(summary.interrupted.sort()).toEqual(['exec-no-time', 'exec-queued']);
+    expect(reloaded.getExecution('exec-queued').status).toBe('interrupted');
+    expect(reloaded.getExecution('exec-old')).toBeNull();
+    expect(reloaded.getExecution('exec-old-queued')).toBeNull();
+  });
+
+  test('should append and read back execution output', async () => {
+    const store = createStore();
+    await store.initialize();
+
+    await store.appendOutput('exec-1', { type: 'stdout', data: 'first' });
+    await store.appendOutput('exec-1', { type: 'stderr', data: 'second' });
+
+    const output = await store.readOutput('exec-1');
+
+    expect(output.map(entry => entry.data)).toEqual(['first', 'second']);
+    expect(await store.readOutput('missing')).toEqual([]);
+  });
+});
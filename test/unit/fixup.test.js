@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ExecutionOrchestrator } from '../../src/execution/executor.js';
+import { buildFixupPrompt } from '../../src/execution/verifier.js';
+import { spawnPromise } from '../../src/utils/exec.js';
+
+const CHECK_FIXED = ['node', '-e', 'const ok = require("fs").existsSync("fixed.txt"); console.log(ok ? "ok" : "\\u001b[31mfixed.txt missing\\u001b[0m"); process.exit(ok ? 0 : 1)'];
+
+async function createRepo() {
+  const repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-fixup-'));
+  await spawnPromise('git', ['init', '-q'], { cwd: repoPath });
+  return repoPath;
+}
+
+function createExecution(repoPath, agent, options = {}) {
+  return {
+    id: 'exec-1',
+    status: 'executing',
+    modifiedFiles: [],
+    output: [],
+    agent,
+    plan: {
+      prompt: 'Add the fixed marker',
+      workdir: repoPath,
+      agentName: 'claude-code',
+      options,
+      settings: { verify: { commands: [{ name: 'check', command: CHECK_FIXED }], onFailure: 'block' } }
+    }
+  };
+}
+
+describe('Verification fix-up loop', () => {
+  let repoPath;
+
+  beforeEach(async () => {
+    repoPath = await createRepo();
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoPath, { recursive: true, force: true });
+  });
+
+  test('should build a prompt from the failing step output', () => {
+    const prompt = buildFixupPrompt('Add login', {
+      steps: [
+        { name: 'lint', command: 'npm run lint', status: 'passed', output: 'clean' },
+        { name: 'test', command: ['npm', 'test'], status: 'failed', exitCode: 1, output: 'x'.repeat(50) + '\u001b[31mFAIL auth.test.js\u001b[0m' }
+      ]
+    }, 20);
+
+    expect(prompt).toContain('Task: Add login');
+    expect(prompt).toContain('`npm test` failed (exit code 1)');
+    expect(prompt).toContain('FAIL auth.test.js');
+    expect(prompt).not.toContain('\u001b');
+    expect(prompt).not.toContain('x'.repeat(10));
+    expect(buildFixupPrompt('Add login', { steps: [{ status: 'passed' }] })).toBeNull();
+  });
+
+  test('should stay off unless enabled, and cap requested iterations', () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { fixup: { maxIterations: 2 } } });
+
+    expect(orchestrator.getFixupSettings({ options: {} }).enabled).toBe(false);
+    expect(orchestrator.getFixupSettings({ options: { fixup: true } })).toMatchObject({ enabled: true, maxIterations: 2 });
+    expect(orchestrator.getFixupSettings({ options: { fixup: { maxIterations: 10 } } }).maxIterations).toBe(2);
+
+    const none = new ExecutionOrchestrator(null, { verification: { fixup: { enabled: true, maxIterations: 0 } } });
+    expect(none.getFixupSettings({ options: { fixup: { maxIterations: 5 } } }).maxIterations).toBe(0);
+  });
+
+  test('should retry with the failing output and record each iteration', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { fixup: { enabled: true, maxIterations: 3 } } });
+    const events = [];
+    orchestrator.on('fixup-progress', event => events.push(event));
+
+    const prompts = [];
+    const agent = {
+      // Fix-ups continue the agent's conversation
+      async continueConversation(prompt, cwd) {
+        prompts.push(prompt);
+        // The first attempt misses, the second one fixes it
+        await fs.writeFile(path.join(cwd, prompts.length === 1 ? 'attempt.txt' : 'fixed.txt'), 'done\n');
+        return { success: true, output: `attempt ${prompts.length}` };
+      }
+    };
+
+    const execution = createExecution(repoPath, agent);
+    execution.verification = await orchestrator.verifyExecution(execution, repoPath);
+    expect(execution.verification.status).toBe('failed');
+
+    await orchestrator.runFixupLoop(execution, repoPath, {});
+
+    expect(prompts).toHaveLength(2);
+    expect(prompts[0]).toContain('fixed.txt missing');
+    expect(execution.verification.status).toBe('passed');
+    expect(execution.fixups.map(f => f.status)).toEqual(['unresolved', 'fixed']);
+    expect(execution.fixups[0].diff.files).toEqual(['attempt.txt']);
+    expect(execution.fixups[1].diff.patch).toContain('+done');
+    expect(execution.fixups[1].result.text).toBe('attempt 2');
+    expect(execution.modifiedFiles).toEqual(expect.arrayContaining(['attempt.txt', 'fixed.txt']));
+    expect(events.filter(e => e.stage === 'finished').map(e => e.iteration)).toEqual([1, 2]);
+  });
+
+  test('should fix a follow-up turn within its conversation', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { fixup: { enabled: true, maxIterations: 2 } } });
+    const calls = [];
+    const agent = {
+      async continueConversation(prompt, cwd, options) {
+        calls.push({ prompt, history: options.history });
+        await fs.writeFile(path.join(cwd, 'fixed.txt'), 'done\n');
+        return { success: true, output: 'fixed', usage: { inputTokens: 10, outputTokens: 2, costUsd: null, durationMs: 100 } };
+      }
+    };
+
+    const execution = createExecution(repoPath, agent);
+    const turn = { number: 2, prompt: 'Now also update the tests', modifiedFiles: ['tests.txt'], usage: null };
+    const history = [{ prompt: 'Add the fixed marker', text: 'Done' }, { prompt: turn.prompt, text: 'Updated' }];
+    execution.verification = await orchestrator.verifyExecution(execution, repoPath);
+
+    await orchestrator.runFixupLoop(execution, repoPath, {}, { turn, history });
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].prompt).toContain('Task: Now also update the tests');
+    expect(calls[0].history).toEqual(history);
+    expect(execution.fixups.map(({ turn: number, iteration, status }) => [number, iteration, status])).toEqual([[2, 1, 'fixed']]);
+    expect(turn.modifiedFiles).toEqual(['tests.txt', 'fixed.txt']);
+    expect(turn.usage).toMatchObject({ inputTokens: 10, outputTokens: 2 });
+    expect(execution.modifiedFiles).toEqual(['fixed.txt']);
+  });
+
+  test('should not take verify commands from the worktree', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, {});
+    const execution = createExecution(repoPath, null);
+    delete execution.plan.settings;
+
+    // As if the agent had written its own config
+    await fs.writeFile(path.join(repoPath, '.prompt-dock.json'), JSON.stringify({ verify: ['node -e process.exit(0)'] }));
+
+    expect(await orchestrator.verifyExecution(execution, repoPath)).toBeNull();
+  });
+
+  test('should stop after the iteration limit', async () => {
+    const orchestrator = new ExecutionOrchestrator(null, { verification: { fixup: { enabled: true, maxIterations: 3 } } });
+    const agent = { continueConversation: jest.fn().mockResolvedValue({ success: true, output: 'no luck' }) };
+
+    const execution = createExecution(repoPath, agent, { fixup: { maxIterations: 1 } });
+    execution.verification = await orchestrator.verifyExecution(execution, repoPath);
+
+    await orchestrator.runFixupLoop(execution, repoPath, {});
+
+    expect(agent.continueConversation).toHaveBeenCalledTimes(1);
+    expect(execution.verification.status).toBe('failed');
+    expect(execution.fixups[0].diff.files).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+import Ajv from 'ajv';
+import { MessageTypes, MessageSchema, validateMessageData, validateResponseData } from '../../src/protocols/messages.js';
+import { RequestSchemas, ResponseSchemas, getSchemaDocument } from '../../src/protocols/schemas.js';
+
+const BRIDGE_ONLY_TYPES = [
+  MessageTypes.CONNECTED,
+  MessageTypes.HANDSHAKE_ACK,
+  MessageTypes.PAIRING_SUCCESS,
+  MessageTypes.AUTH_SUCCESS,
+  MessageTypes.AUTH_FAILED,
+  MessageTypes.AGENTS_AVAILABLE,
+  MessageTypes.AGENT_PLAN,
+  MessageTypes.AGENT_OUTPUT,
+  MessageTypes.AGENT_EVENT,
+  MessageTypes.AGENT_PERMISSION_REQUEST,
+  MessageTypes.AGENT_PERMISSION_RESOLVED,
+  MessageTypes.AGENT_QUESTION,
+  MessageTypes.AGENT_STATE_CHANGE,
+  MessageTypes.FILE_LIST,
+  MessageTypes.FILE_DIFF,
+  MessageTypes.FILE_CHANGED,
+  MessageTypes.WORKTREE_CREATED,
+  MessageTypes.WORKTREE_DELETED,
+  MessageTypes.EXECUTION_PROGRESS,
+  MessageTypes.EXECUTION_COMPLETE,
+  MessageTypes.PR_CREATED,
+  MessageTypes.EXECUTION_SUBSCRIBED,
+  MessageTypes.EXECUTION_UNSUBSCRIBED,
+  MessageTypes.EXECUTION_RESUMED,
+  MessageTypes.EXECUTION_CONTINUED,
+  MessageTypes.VERIFICATION_PROGRESS,
+  MessageTypes.FIXUP_PROGRESS,
+  MessageTypes.COMPARISON_STARTED,
+  MessageTypes.COMPARISON_REPORT,
+  MessageTypes.WINNER_SELECTED,
+  MessageTypes.BATCH_STARTED,
+  MessageTypes.BATCH_PROGRESS,
+  MessageTypes.BATCH_REPORT,
+  MessageTypes.TEMPLATE_LIST,
+  MessageTypes.TEMPLATE_SAVED,
+  MessageTypes.CONFIG_RESOLVED,
+  MessageTypes.EXECUTION_LIST,
+  MessageTypes.EXECUTION_DETAILS,
+  MessageTypes.EXECUTION_LOGS,
+  MessageTypes.USAGE,
+  MessageTypes.EMERGENCY_KILL_CONFIRMED,
+  MessageTypes.SESSION_INITIALIZED,
+  MessageTypes.AGENT_SESSION_STARTED,
+  MessageTypes.GIT_COMMAND_RESULT,
+  MessageTypes.EXECUTION_STARTED,
+  MessageTypes.EXECUTION_ABORTED,
+  MessageTypes.PLAN_APPROVED,
+  MessageTypes.INTERACTION_SENT,
+  MessageTypes.FEEDBACK_SENT,
+  MessageTypes.WORKTREE_CLEANUP_COMPLETE,
+  MessageTypes.HEALTH_CHECK_RESPONSE,
+  MessageTypes.ACK,
+  MessageTypes.NACK,
+  MessageTypes.PROGRESS,
+  MessageTypes.ERROR
+];
+
+describe('Message schemas', () => {
+  test('should describe every client message type', () => {
+    // git-status is used in both directions
+    const clientTypes = [...new Set(Object.values(MessageTypes))].filter(type => !BRIDGE_ONLY_TYPES.includes(type));
+
+    expect(Object.keys(MessageSchema).sort()).toEqual(clientTypes.sort());
+    expect(MessageSchema).toBe(RequestSchemas);
+  });
+
+  test('should check types, enums and unknown fields', () => {
+    expect(validateMessageData(MessageTypes.INIT_SESSION, { workdir: '/home/me/app' }).valid).toBe(true);
+
+    expect(validateMessageData(MessageTypes.INIT_SESSION, {
+      workdir: 'relative/path',
+      agentType: 'Vim Editor',
+      agentTyp: 'claude-code'
+    }).errors).toEqual([
+      'Unknown field: agentTyp',
+      'workdir must match format "path"',
+      'agentType must match pattern "^[a-z0-9][a-z0-9._-]{0,63}$"'
+    ]);
+    // Plugin agents are checked against the registry, not the schema
+    expect(validateMessageData(MessageTypes.INIT_SESSION, { workdir: '/home/me/app', agentType: 'aider' }).valid).toBe(true);
+
+    expect(validateMessageData(MessageTypes.GET_LOGS, { executionId: 'exec-1', limit: '10' }).errors)
+      .toEqual(['limit must be integer']);
+    expect(validateMessageData(MessageTypes.AGENT_FEEDBACK, { executionId: 'exec-1' }).errors)
+      .toEqual(['Missing required field: feedback']);
+  });
+
+  test('should accept Windows and WSL workdirs', () => {
+    expect(validateMessageData(MessageTypes.GIT_STATUS, { workdir: 'C:\\Users\\me\\app' }).valid).toBe(true);
+    expect(validateMessageData(MessageTypes.GIT_STATUS, { workdir: '\\\\wsl$\\Ubuntu\\home\\me' }).valid).toBe(true);
+    expect(validateMessageData(MessageTypes.GIT_STATUS, { workdir: 'app' }).valid).toBe(false);
+  });
+
+  test('should apply mode specific rules to execute-prompt', () => {
+    const check = (data) => validateMessageData(MessageTypes.EXECUTE_PROMPT, data);
+
+    expect(check({ prompt: 'Add login', mode: 'plan', options: { model: 'sonnet', webSearch: true } }).valid).toBe(true);
+    expect(check({ prompt: 'Add login', mode: 'execute', options: {} }).errors)
+      .toEqual(['Missing required field: options.planId']);
+    expect(check({ prompt: 'Add login', mode: 'compare', options: { agents: ['claude-code'] } }).errors)
+      .toEqual(['options.agents must NOT have fewer than 2 items']);
+    expect(check({ templateId: 'license-header', variables: { year: 2024 }, mode: 'plan' }).valid).toBe(true);
+    expect(check({ mode: 'plan' }).errors)
+      .toEqual(['Missing required field: prompt', 'Missing required field: templateId']);
+    expect(check({ prompt: 'Add login', templateId: 'license-header', mode: 'plan' }).errors)
+      .toEqual(['prompt is not allowed here']);
+    expect(check({ prompt: 'x'.repeat(100001), mode: 'review' }).errors).toEqual([
+      'prompt must NOT have more than 100000 characters',
+      'mode must be one of plan, execute, compare'
+    ]);
+  });
+
+  test('should check outgoing data as it appears on the wire', () => {
+    expect(validateResponseData(MessageTypes.EXECUTION_PROGRESS, {
+      executionId: 'exec-1',
+      planId: undefined,
+      progress: 50
+    }).valid).toBe(true);
+
+    expect(validateResponseData(MessageTypes.EXECUTION_RESUMED, { executionId: 'exec-1' }).errors)
+      .toContain('Missing required field: status');
+  });
+
+  test('should export a single document that compiles on its own', () => {
+    const ajv = new Ajv({ allowUnionTypes: true, strict: false });
+    const document = getSchemaDocument();
+
+    expect(Object.keys(document.definitions.responses.properties)).toEqual(Object.keys(ResponseSchemas));
+    expect(() => ajv.compile(document)).not.toThrow();
+  });
+});
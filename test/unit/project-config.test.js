@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { discoverProjectConfig, resolveSessionSettings, validateProjectConfig } from '../../src/utils/project-config.js';
+import { globToRegExp } from '../../src/utils/file-scanner.js';
+import { spawnPromise } from '../../src/utils/exec.js';
+
+const GLOBAL_CONFIG = {
+  agents: { preferred: 'claude-code' },
+  git: { autoCommit: false, createBackupBranch: true }
+};
+
+describe('Project config', () => {
+  let repoPath;
+
+  beforeEach(async () => {
+    repoPath = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-project-')));
+    await spawnPromise('git', ['init', '-q'], { cwd: repoPath });
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoPath, { recursive: true, force: true });
+  });
+
+  test('should find the config at the git root from a subdirectory', async () => {
+    const subdir = path.join(repoPath, 'packages', 'web');
+    await fs.mkdir(subdir, { recursive: true });
+    await fs.writeFile(path.join(repoPath, '.prompt-dock.json'), JSON.stringify({ baseBranch: 'develop' }));
+
+    const project = await discoverProjectConfig(subdir);
+
+    expect(project.projectRoot).toBe(repoPath);
+    expect(project.configFile).toBe(path.join(repoPath, '.prompt-dock.json'));
+    expect(project.config).toEqual({ baseBranch: 'develop' });
+  });
+
+  test('should report a missing config file as null', async () => {
+    const project = await discoverProjectConfig(repoPath);
+
+    expect(project.configFile).toBeNull();
+    expect(project.config).toEqual({});
+  });
+
+  test('should list every invalid or unknown setting', () => {
+    expect(() => validateProjectConfig({
+      baseBranch: 42,
+      exclude: 'dist',
+      git: { autoCommit: 'yes', push: true },
+      port: 9999,
+      verify: { commands: [], onFailure: 'ignore' }
+    })).toThrow(
+      'Invalid .prompt-dock.json: baseBranch must be a string, exclude must be a list of strings, ' +
+      'git.autoCommit must be a boolean, git.push is not a supported project setting, ' +
+      'port is not a supported project setting, verify.onFailure must be one of block, warn'
+    );
+
+    expect(() => validateProjectConfig({ pr: { template: 'TEMPLATE.md' }, agentOptions: {} })).not.toThrow();
+  });
+
+  test('should prefer the request, then the project, then the global config', () => {
+    const { settings, sources } = resolveSessionSettings(GLOBAL_CONFIG, {
+      agentOptions: { model: 'sonnet', maxTurns: 5, permissions: 'auto', fixup: { maxIterations: 50 }, repoMap: true },
+      git: { autoCommit: true },
+      verify: ['npm test']
+    }, {
+      agentConfig: { model: 'opus' }
+    });
+
+    expect(settings.agent).toBe('claude-code');
+    expect(settings.agentOptions).toEqual({ model: 'opus', maxTurns: 5 });
+    expect(settings.git).toEqual({ autoCommit: true, createBackupBranch: true });
+    expect(settings.verify.commands.map(step => step.command)).toEqual(['npm test']);
+    expect(settings.baseBranch).toBeNull();
+    expect(sources).toMatchObject({
+      agent: 'global',
+      agentOptions: 'request',
+      'git.autoCommit': 'project',
+      'git.createBackupBranch': 'global',
+      baseBranch: 'default',
+      verify: 'project'
+    });
+  });
+
+  test('should match exclude globs against relative paths', () => {
+    expect(globToRegExp('fixtures/**').test('fixtures/data/a.json')).toBe(true);
+    expect(globToRegExp('fixtures/**').test('test/fixtures/a.json')).toBe(false);
+    expect(globToRegExp('*.snap').test('src/__snapshots__/app.snap')).toBe(true);
+    expect(globToRegExp('*.snap').test('src/app.snapshot.js')).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+import { MessageTypes, PROTOCOL_VERSION, LEGACY_PROTOCOL_VERSION } from '../../src/protocols/messages.js';
+import {
+  negotiateVersion,
+  negotiateProtocol,
+  getCapabilities,
+  encodeForClient,
+  createLegacyProtocolState,
+  getMissingFeatures,
+  BRIDGE_FEATURES
+} from '../../src/protocols/versioning.js';
+import { SubscriptionManager } from '../../src/protocols/subscriptions.js';
+
+function createClient(id, protocol) {
+  const sent = [];
+  return {
+    id,
+    sent,
+    protocol,
+    ws: {
+      readyState: 1,
+      send: (json) => sent.push(JSON.parse(json))
+    }
+  };
+}
+
+const FILE_DIFF = {
+  executionId: 'exec-1',
+  planId: 'plan-1',
+  file: 'src/app.js',
+  diff: '+const a = 1;',
+  status: 'modified'
+};
+
+describe('Protocol versioning', () => {
+  test('should pick the newest version both sides support', () => {
+    expect(negotiateVersion([LEGACY_PROTOCOL_VERSION, PROTOCOL_VERSION, '9.0.0'])).toBe(PROTOCOL_VERSION);
+    expect(negotiateVersion([LEGACY_PROTOCOL_VERSION])).toBe(LEGACY_PROTOCOL_VERSION);
+    expect(negotiateVersion(['0.9.0'])).toBeNull();
+
+    expect(() => negotiateProtocol({ protocolVersions: ['0.9.0'] })).toThrow('this bridge supports 1.0.0, 1.1.0');
+  });
+
+  test('should keep only the features the bridge offers', () => {
+    const protocol = negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION], features: ['replay', 'telepathy'] });
+
+    expect(protocol).toEqual({ version: PROTOCOL_VERSION, features: ['replay'], negotiated: true });
+    // acks change every reply, so only clients that ask for them get them
+    expect(negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION] }).features)
+      .toEqual(BRIDGE_FEATURES.filter(feature => feature !== 'acks'));
+    expect(getCapabilities(['replay'])).toMatchObject({
+      agents: expect.arrayContaining(['claude-code']),
+      modes: ['plan', 'execute', 'compare'],
+      prProviders: ['github', 'gitlab', 'bitbucket'],
+      features: ['replay']
+    });
+  });
+
+  test('should send legacy clients file-changed before file-diff', () => {
+    const messages = encodeForClient(createLegacyProtocolState(), MessageTypes.FILE_DIFF, FILE_DIFF, 'm1')
+      .map(json => JSON.parse(json));
+
+    expect(messages.map(m => m.type)).toEqual([MessageTypes.FILE_CHANGED, MessageTypes.FILE_DIFF]);
+    expect(messages[0].data).toEqual({ executionId: 'exec-1', planId: 'plan-1', file: 'src/app.js' });
+    expect(messages.every(m => m.version === LEGACY_PROTOCOL_VERSION && m.id === 'm1')).toBe(true);
+  });
+
+  test('should send negotiated clients file-diff only, stamped with their version', () => {
+    const protocol = negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION] });
+    const messages = encodeForClient(protocol, MessageTypes.FILE_DIFF, FILE_DIFF).map(json => JSON.parse(json));
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ type: MessageTypes.FILE_DIFF, version: PROTOCOL_VERSION, data: FILE_DIFF });
+  });
+
+  test('should adapt published events per subscriber', () => {
+    const manager = new SubscriptionManager();
+    const legacy = createClient('client-1', createLegacyProtocolState());
+    const current = createClient('client-2', negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION] }));
+
+    manager.subscribe('exec-1', legacy);
+    manager.subscribe('exec-1', current);
+
+    expect(manager.publish('exec-1', MessageTypes.FILE_DIFF, FILE_DIFF)).toBe(2);
+    expect(legacy.sent.map(m => m.type)).toEqual(['file-changed', 'file-diff']);
+    expect(legacy.sent[0].data.seq).toBe(1);
+    expect(current.sent.map(m => m.type)).toEqual(['file-diff']);
+  });
+
+  test('should only send messages of negotiated features', () => {
+    const protocol = negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION], features: ['replay'] });
+    const types = (type, data) => encodeForClient(protocol, type, data).map(json => JSON.parse(json).type);
+
+    expect(types(MessageTypes.AGENT_EVENT, { executionId: 'exec-1', event: { type: 'text' } })).toEqual([]);
+    expect(types(MessageTypes.VERIFICATION_PROGRESS, { executionId: 'exec-1' })).toEqual([]);
+    // Without file-diff, file changes arrive the 1.0 way
+    expect(types(MessageTypes.FILE_DIFF, FILE_DIFF)).toEqual([MessageTypes.FILE_CHANGED]);
+    expect(types(MessageTypes.EXECUTION_PROGRESS, { executionId: 'exec-1', progress: 10 })).toEqual([MessageTypes.EXECUTION_PROGRESS]);
+
+    // Clients without a handshake keep everything but acks
+    expect(encodeForClient(createLegacyProtocolState(), MessageTypes.AGENT_EVENT, {})).toHaveLength(1);
+  });
+
+  test('should reject commands of features the client left out', () => {
+    const protocol = negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION], features: ['replay'] });
+
+    expect(getMissingFeatures(protocol, MessageTypes.RESUME_EXECUTION)).toEqual([]);
+    expect(getMissingFeatures(protocol, MessageTypes.CONTINUE_EXECUTION)).toEqual(['conversations']);
+    expect(getMissingFeatures(protocol, MessageTypes.EXECUTE_PROMPT, { mode: 'plan', prompt: 'x' })).toEqual([]);
+    expect(getMissingFeatures(protocol, MessageTypes.EXECUTE_PROMPT, {
+      mode: 'compare',
+      templateId: 'tpl-1',
+      options: { permissions: { mode: 'ask' } }
+    })).toEqual(['compare', 'templates', 'tool-approval']);
+    expect(getMissingFeatures(createLegacyProtocolState(), MessageTypes.RUN_BATCH)).toEqual([]);
+  });
+
+  test('should not count subscribers without the feature as reached', () => {
+    const manager = new SubscriptionManager();
+    const all = createClient('client-1', negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION] }));
+    const few = createClient('client-2', negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION], features: ['replay'] }));
+
+    manager.subscribe('exec-1', all);
+    manager.subscribe('exec-1', few);
+
+    expect(manager.publish('exec-1', MessageTypes.AGENT_EVENT, { executionId: 'exec-1', event: { type: 'text' } })).toBe(1);
+    expect(all.sent.map(m => m.type)).toEqual(['agent-event']);
+    expect(few.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { MessageTypes, PROTOCOL_VERSION } from '../../src/protocols/messages.js';
+import { negotiateProtocol, createLegacyProtocolState } from '../../src/protocols/versioning.js';
+import { beginRequest, finishRequest, sendMessage, sendProgress, sendError } from '../../src/protocols/replies.js';
+
+function createClient(protocol) {
+  const sent = [];
+  return {
+    id: 'client-1',
+    sent,
+    protocol,
+    ws: { send: (json) => sent.push(JSON.parse(json)) }
+  };
+}
+
+const ackClient = () => createClient(negotiateProtocol({ protocolVersions: [PROTOCOL_VERSION], features: ['acks'] }));
+const command = { id: 'cmd-1', type: MessageTypes.EXECUTE_PROMPT };
+
+describe('Command replies', () => {
+  test('should ack a command exactly once and send the rest as progress', () => {
+    const client = ackClient();
+
+    beginRequest(client, command);
+    sendProgress(client, MessageTypes.AGENT_OUTPUT, { output: 'thinking' }, command.id);
+    sendMessage(client, MessageTypes.AGENT_PLAN, { planId: 'plan-1' }, command.id);
+    sendMessage(client, MessageTypes.EXECUTION_STARTED, { planId: 'plan-1' }, command.id);
+    finishRequest(client, command);
+
+    expect(client.sent.map(m => m.type)).toEqual(['progress', 'ack', 'progress']);
+    expect(client.sent.every(m => m.id === 'cmd-1')).toBe(true);
+    expect(client.sent[0].data).toMatchObject({ status: 'running', progressType: 'agent-output', requestType: 'execute-prompt' });
+    expect(client.sent[1].data).toEqual({
+      requestId: 'cmd-1',
+      requestType: 'execute-prompt',
+      status: 'ok',
+      resultType: 'agent-plan',
+      result: { planId: 'plan-1' }
+    });
+    expect(client.requests.size).toBe(0);
+  });
+
+  test('should nack a failed command, or report the failure as progress once acked', () => {
+    const client = ackClient();
+
+    beginRequest(client, command);
+    sendError(client, 'Plan not found', command.id, 'PLAN_NOT_FOUND');
+    finishRequest(client, command);
+
+    beginRequest(client, { ...command, id: 'cmd-2' });
+    sendMessage(client, MessageTypes.EXECUTION_STARTED, {}, 'cmd-2');
+    sendError(client, new Error('Agent crashed'), 'cmd-2');
+    finishRequest(client, { ...command, id: 'cmd-2' });
+
+    expect(client.sent.map(m => m.type)).toEqual(['nack', 'ack', 'progress']);
+    expect(client.sent[0].data.error).toMatchObject({ code: 'PLAN_NOT_FOUND', message: 'Plan not found', retryable: false });
+    expect(client.sent[2].data).toMatchObject({
+      status: 'failed',
+      progressType: 'error',
+      error: { code: 'COMMAND_FAILED', message: 'Agent crashed' }
+    });
+  });
+
+  test('should ack a command whose handler sent nothing', () => {
+    const client = ackClient();
+
+    beginRequest(client, { id: 'cmd-3', type: MessageTypes.SUBSCRIBE_EXECUTION });
+    finishRequest(client, { id: 'cmd-3', type: MessageTypes.SUBSCRIBE_EXECUTION });
+
+    expect(client.sent).toHaveLength(1);
+    expect(client.sent[0]).toMatchObject({ type: 'ack', data: { status: 'ok', resultType: null, result: null } });
+  });
+
+  test('should keep the original reply types for clients without acks', () => {
+    const client = createClient(createLegacyProtocolState());
+
+    beginRequest(client, command);
+    sendProgress(client, MessageTypes.AGENT_OUTPUT, { output: 'thinking' }, command.id);
+    sendMessage(client, MessageTypes.AGENT_PLAN, { planId: 'plan-1' }, command.id);
+    sendError(client, 'Plan not found', command.id, 'PLAN_NOT_FOUND');
+    finishRequest(client, command);
+
+    expect(client.sent.map(m => m.type)).toEqual(['agent-output', 'agent-plan', 'error']);
+    expect(client.sent.map(m => m.id === 'cmd-1')).toEqual([false, true, true]);
+    expect(client.sent[2].data).toMatchObject({ error: 'Plan not found', code: 'PLAN_NOT_FOUND' });
+  });
+});
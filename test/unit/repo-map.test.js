@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnPromise } from '../../src/utils/exec.js';
+import { buildRepoMap, RepoMapCache, attachRepoMap, writeRepoMapFile } from '../../src/execution/repo-map.js';
+
+const git = (cwd, ...args) => spawnPromise('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd });
+
+describe('Repository map', () => {
+  let root;
+  let cacheDir;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-repo-map-'));
+    cacheDir = path.join(root, '..', `${path.basename(root)}-cache`);
+
+    await fs.mkdir(path.join(root, 'src', 'auth'), { recursive: true });
+    await fs.mkdir(path.join(root, 'test'));
+    await fs.writeFile(path.join(root, 'package.json'), JSON.stringify({
+      name: 'shop',
+      version: '1.2.0',
+      type: 'module',
+      scripts: { test: 'jest' },
+      dependencies: { express: '^4.0.0' }
+    }));
+    await fs.writeFile(path.join(root, 'src', 'index.js'), 'export { login } from \'./auth/login.js\';\nexport default function start() {}\n');
+    await fs.writeFile(path.join(root, 'src', 'auth', 'login.js'), 'export async function login() {}\nexport const SESSION_TTL = 3600;\n');
+    await fs.writeFile(path.join(root, 'src', 'tasks.py'), 'def run():\n    pass\n\nclass Task:\n    pass\n');
+    await fs.writeFile(path.join(root, 'test', 'login.test.js'), 'export const ignored = true;\n');
+
+    await git(root, 'init', '-q');
+    await git(root, 'add', '-A');
+    await git(root, 'commit', '-q', '-m', 'Add login');
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('should summarize files, manifests, commits and exports', async () => {
+    const map = await buildRepoMap(root);
+
+    expect(map.commit).toMatch(/^[0-9a-f]{40}$/);
+    expect(map.truncated).toBe(false);
+    expect(map.content).toContain(`# Repository map (commit ${map.commit.slice(0, 7)})`);
+    expect(map.content).toContain('./ package.json\nsrc/ index.js, tasks.py\ntest/ login.test.js\nsrc/auth/ login.js');
+    expect(map.content).toContain('### package.json\nshop@1.2.0\ntype: module\nscript test: jest\ndependencies: express');
+    expect(map.content).toContain('## Recent commits\n');
+    expect(map.content).toMatch(/[0-9a-f]{7} Add login/);
+    expect(map.content).toContain('src/index.js: start, login\nsrc/tasks.py: run, Task\nsrc/auth/login.js: login, SESSION_TTL');
+    expect(map.content).not.toContain('ignored');
+  });
+
+  test('should stay within the byte budget', async () => {
+    const map = await buildRepoMap(root, { maxBytes: 400, exclude: ['*.py'] });
+
+    expect(map.bytes).toBeLessThanOrEqual(400);
+    expect(map.truncated).toBe(true);
+    expect(map.content).toContain('## Files');
+    expect(map.content).toMatch(/\(\d+ more lines\)/);
+    expect(map.content).not.toContain('tasks.py');
+  });
+
+  test('should reuse maps of the same commit', async () => {
+    const cache = new RepoMapCache(cacheDir);
+
+    // Concurrent requests share one build
+    const maps = await Promise.all([cache.get(root), cache.get(root)]);
+    expect(maps.map(map => map.cached).sort()).toEqual([false, true]);
+    const first = maps.find(map => !map.cached);
+    expect(maps.find(map => map.cached)).toEqual({ ...first, cached: true });
+
+    // A new bridge process reads the map from disk
+    expect(await new RepoMapCache(cacheDir).get(root)).toEqual({ ...first, cached: true });
+
+    // Other settings and other commits get their own map
+    expect((await cache.get(root, { recentCommits: 0 })).cached).toBe(false);
+    await fs.writeFile(path.join(root, 'README.md'), '# Shop\n');
+    await git(root, 'add', '-A');
+    await git(root, 'commit', '-q', '-m', 'Add readme');
+
+    const next = await cache.get(root);
+    expect(next.cached).toBe(false);
+    expect(next.commit).not.toBe(first.commit);
+    expect(next.content).toContain('./ README.md, package.json');
+  });
+
+  test('should write the map file outside of git and point the agent at it', async () => {
+    const map = await buildRepoMap(root);
+
+    await expect(writeRepoMapFile(root, map)).resolves.toBe('.prompt-dock/repo-map.md');
+    await writeRepoMapFile(root, map);
+
+    expect(await fs.readFile(path.join(root, '.prompt-dock', 'repo-map.md'), 'utf-8')).toBe(map.content);
+    expect((await git(root, 'status', '--porcelain')).stdout).toBe('');
+    expect((await fs.readFile(path.join(root, '.git', 'info', 'exclude'), 'utf-8')).match(/\/\.prompt-dock\//g)).toHaveLength(1);
+
+    expect(attachRepoMap('Add logout', map)).toBe(`${map.content}\nAdd logout`);
+    expect(attachRepoMap('Add logout', map, 'file')).toMatch(/^A map of this repository .* is in \.prompt-dock\/repo-map\.md\.\n\nAdd logout$/);
+    expect(attachRepoMap('Add logout', null)).toBe('Add logout');
+  });
+});
@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { SubscriptionManager } from '../../src/protocols/subscriptions.js';
+
+function createClient(id, readyState = 1) {
+  const sent = [];
+  return {
+    id,
+    sent,
+    ws: {
+      readyState,
+      send: (json) => sent.push(JSON.parse(json))
+    }
+  };
+}
+
+describe('SubscriptionManager', () => {
+  test('should deliver events only to clients subscribed to the execution', () => {
+    const manager = new SubscriptionManager();
+    const first = createClient('client-1');
+    const second = createClient('client-2');
+    const other = createClient('client-3');
+
+    [first, second, other].forEach(client => manager.registerClient(client));
+    manager.subscribe('exec-1', first);
+    manager.subscribe('exec-1', second);
+    manager.subscribe('exec-2', other);
+
+    const delivered = manager.publish('exec-1', 'agent-output', { executionId: 'exec-1', data: 'hi' });
+
+    expect(delivered).toBe(2);
+    expect(first.sent[0].type).toBe('agent-output');
+    expect(second.sent[0].data.data).toBe('hi');
+    expect(other.sent).toHaveLength(0);
+  });
+
+  test('should skip closed sockets and forget unregistered clients', () => {
+    const manager = new SubscriptionManager();
+    const open = createClient('client-1');
+    const closed = createClient('client-2', 3);
+
+    manager.subscribe('exec-1', open);
+    manager.subscribe('exec-1', closed);
+
+    expect(manager.publish('exec-1', 'execution-progress', { progress: 10 })).toBe(1);
+
+    manager.unregisterClient('client-1');
+
+    expect(manager.isSubscribed('exec-1', 'client-1')).toBe(false);
+    expect(manager.getSubscribers('exec-1').map(c => c.id)).toEqual(['client-2']);
+  });
+
+  test('should detach a client from a single execution', () => {
+    const manager = new SubscriptionManager();
+    const client = createClient('client-1');
+
+    manager.subscribe('exec-1', client);
+    manager.subscribe('exec-2', client);
+
+    expect(manager.unsubscribe('exec-1', 'client-1')).toBe(true);
+    expect(manager.unsubscribe('exec-1', 'client-1')).toBe(false);
+    expect(manager.isSubscribed('exec-2', 'client-1')).toBe(true);
+  });
+
+  test('should number events per execution', () => {
+    const manager = new SubscriptionManager();
+    const client = createClient('client-1');
+
+    manager.subscribe('exec-1', client);
+    manager.publish('exec-1', 'agent-output', { data: 'a' });
+    manager.publish('exec-2', 'agent-output', { data: 'x' });
+    manager.publish('exec-1', 'agent-output', { data: 'b' });
+
+    expect(client.sent.map(m => m.data.seq)).toEqual([1, 2]);
+    expect(manager.replay.getLastSeq('exec-2')).toBe(1);
+  });
+
+  test('should replay missed events before switching to live delivery', () => {
+    const manager = new SubscriptionManager();
+    const client = createClient('client-1');
+
+    manager.publish('exec-1', 'agent-output', { data: 'a' });
+    manager.publish('exec-1', 'agent-output', { data: 'b' });
+    manager.publish('exec-1', 'execution-progress', { progress: 50 });
+
+    let ack = null;
+    const summary = manager.resume('exec-1', client, 1, (s) => { ack = s; });
+
+    expect(ack).toEqual({ replayed: 2, fromSeq: 2, lastSeq: 3, truncated: false });
+    expect(summary).toEqual(ack);
+    expect(client.sent.map(m => m.data.seq)).toEqual([2, 3]);
+    expect(client.sent.every(m => m.data.replayed)).toBe(true);
+
+    manager.publish('exec-1', 'agent-output', { data: 'c' });
+    expect(client.sent[2].data).toEqual({ data: 'c', seq: 4 });
+  });
+
+  test('should flag a resume that falls outside the replay buffer', () => {
+    const manager = new SubscriptionManager({ maxEvents: 2 });
+    const client = createClient('client-1');
+
+    for (let i = 0; i < 5; i++) {
+      manager.publish('exec-1', 'agent-output', { data: i });
+    }
+
+    const summary = manager.resume('exec-1', client, 1);
+
+    expect(summary.truncated).toBe(true);
+    expect(client.sent.map(m => m.data.seq)).toEqual([4, 5]);
+    expect(manager.resume('exec-1', createClient('client-2'), 3).truncated).toBe(false);
+  });
+
+  test('should drop a buffer once the retention after the end has passed', () => {
+    jest.useFakeTimers();
+
+    try {
+      const manager = new SubscriptionManager({ retention: 1000 });
+      manager.publish('exec-1', 'execution-complete', { status: 'completed' });
+      manager.publish('exec-2', 'execution-complete', { status: 'completed' });
+
+      manager.replay.scheduleDrop('exec-1');
+      manager.replay.scheduleDrop('exec-2');
+      // A follow-up turn started on exec-2
+      manager.replay.cancelDrop('exec-2');
+      jest.advanceTimersByTime(1000);
+
+      expect(manager.replay.getLastSeq('exec-1')).toBe(0);
+      expect(manager.replay.getLastSeq('exec-2')).toBe(1);
+      expect(manager.replay.dropTimers.size).toBe(0);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TemplateLibrary, normalizeTemplate } from '../../src/execution/templates.js';
+import { parseVariables } from '../../src/cli/templates.js';
+
+describe('TemplateLibrary', () => {
+  let dir;
+  let library;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-templates-'));
+    library = new TemplateLibrary(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should check declarations when a template is defined', () => {
+    expect(normalizeTemplate({ id: 'bump', variables: { dep: 'string' }, template: 'Bump {{ dep }}. {{> house-rules}}' })).toEqual({
+      id: 'bump',
+      description: '',
+      variables: { dep: { type: 'string' } },
+      template: 'Bump {{ dep }}. {{> house-rules}}',
+      includes: ['house-rules']
+    });
+
+    expect(() => normalizeTemplate({ id: '../etc', template: 'x' })).toThrow('Invalid template ID');
+    expect(() => normalizeTemplate({ id: 'bump', template: 'Bump {{dep}}' })).toThrow('does not declare it');
+    expect(() => normalizeTemplate({ id: 'bump', variables: { dep: 'date' }, template: 'x' })).toThrow('unknown type date');
+    expect(() => normalizeTemplate({ id: 'bump', variables: { level: { type: 'enum' } }, template: 'x' })).toThrow('needs a list of values');
+  });
+
+  test('should render variables and includes with defaults and type checks', async () => {
+    await library.save({
+      id: 'house-rules',
+      variables: { tests: { type: 'boolean', default: true } },
+      template: 'Keep the existing style. Update tests: {{tests}}.'
+    });
+    await fs.writeFile(path.join(dir, 'license-header.yaml'), [
+      'description: Add a license header',
+      'variables:',
+      '  license: { type: enum, values: [MIT, Apache-2.0], default: MIT }',
+      '  year: number',
+      'template: |',
+      '  Add the {{license}} header for {{year}} to every source file.',
+      '  {{> house-rules}}',
+      ''
+    ].join('\n'));
+
+    await expect(library.render('license-header', { year: '2024', tests: 'false' })).resolves.toEqual({
+      prompt: 'Add the MIT header for 2024 to every source file.\nKeep the existing style. Update tests: false.',
+      templateId: 'license-header',
+      variables: { license: 'MIT', year: 2024, tests: false }
+    });
+
+    await expect(library.render('license-header', {})).rejects.toMatchObject({
+      code: 'INVALID_TEMPLATE_VARIABLES',
+      message: 'Missing template variables: year'
+    });
+    await expect(library.render('license-header', { year: 2024, license: 'GPL' })).rejects.toThrow('expected one of MIT, Apache-2.0');
+    await expect(library.render('license-header', { year: 2024, owner: 'me' })).rejects.toThrow('Unknown template variables: owner');
+    await expect(library.render('missing')).rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+
+    expect((await library.list()).map(template => [template.id, template.includes])).toEqual([
+      ['house-rules', []],
+      ['license-header', ['house-rules']]
+    ]);
+  });
+
+  test('should refuse includes that are missing or loop back', async () => {
+    await expect(library.save({ id: 'a', template: '{{> b}}' })).rejects.toThrow('includes b, which does not exist');
+
+    await library.save({ id: 'b', template: 'Shared' });
+    await library.save({ id: 'a', template: '{{> b}}' });
+    await expect(library.save({ id: 'b', template: '{{> a}}' })).rejects.toThrow('includes itself: b > a > b');
+  });
+});
+
+describe('Template CLI', () => {
+  test('should parse --var options', () => {
+    expect(parseVariables(['year=2024', 'title=a=b'])).toEqual({ year: '2024', title: 'a=b' });
+    expect(() => parseVariables(['year'])).toThrow('Expected name=value');
+  });
+});
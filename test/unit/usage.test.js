@@ -0,0 +1,94 @@
+import { normalizeUsage, addUsage, withDuration, summarizeUsage } from '../../src/execution/usage.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BaseAgent } from '../../src/agents/base.js';
+import { ClaudeCodeAgent } from '../../src/agents/claude-code.js';
+
+describe('Usage accounting', () => {
+  test('should read usage from agent reports', () => {
+    // Claude Code stream-json result message
+    expect(normalizeUsage({
+      type: 'result',
+      duration_ms: 5400,
+      total_cost_usd: 0.0213,
+      usage: { input_tokens: 12, cache_read_input_tokens: 1800, cache_creation_input_tokens: 200, output_tokens: 340 }
+    })).toEqual({ inputTokens: 2012, outputTokens: 340, costUsd: 0.0213, durationMs: 5400 });
+
+    expect(normalizeUsage({ usage: { prompt_tokens: 100, completion_tokens: 20 } }))
+      .toEqual({ inputTokens: 100, outputTokens: 20, costUsd: null, durationMs: null });
+    expect(normalizeUsage({ type: 'assistant', message: {} })).toBeNull();
+
+    const agent = new BaseAgent('custom');
+    const output = ['Working...', '{"type":"result","usage":{"input_tokens":5,"output_tokens":7}}', 'Done', ''].join('\n');
+    expect(agent.normalizeOutput(output).usage).toEqual({ inputTokens: 5, outputTokens: 7, costUsd: null, durationMs: null });
+    expect(agent.normalizeOutput('Plain text output').usage).toBeNull();
+  });
+
+  test('should add usage without turning unknown values into zero', () => {
+    expect(addUsage(
+      { inputTokens: 10, outputTokens: 5, costUsd: null, durationMs: 1000 },
+      null,
+      { inputTokens: 4, outputTokens: 1, costUsd: null, durationMs: 500 }
+    )).toEqual({ inputTokens: 14, outputTokens: 6, costUsd: null, durationMs: 1500 });
+    expect(addUsage(null, undefined)).toBeNull();
+
+    expect(withDuration(null, 900)).toEqual({ inputTokens: null, outputTokens: null, costUsd: null, durationMs: 900 });
+    expect(withDuration({ inputTokens: 1, outputTokens: 2, costUsd: 0.1, durationMs: 400 }, 900).durationMs).toBe(400);
+  });
+
+  test('should total plans and executions per session and day', () => {
+    const plans = [
+      { sessionId: 's1', createdAt: '2024-05-01T09:00:00Z', usage: { inputTokens: 100, outputTokens: 10, costUsd: 0.1, durationMs: 1000 } },
+      { sessionId: 's2', createdAt: '2024-05-02T09:00:00Z', usage: null }
+    ];
+    const executions = [
+      { sessionId: 's1', startedAt: '2024-05-01T10:00:00Z', usage: { inputTokens: 50, outputTokens: 5, costUsd: 0.2, durationMs: 2000 } },
+      { sessionId: 's2', startedAt: '2024-05-02T10:00:00Z', usage: { inputTokens: null, outputTokens: null, costUsd: null, durationMs: 3000 } }
+    ];
+
+    const usage = summarizeUsage(plans, executions);
+
+    expect(usage.total).toEqual({ plans: 2, executions: 2, inputTokens: 150, outputTokens: 15, costUsd: 0.3, durationMs: 6000 });
+    expect(usage.sessions).toEqual([
+      { sessionId: 's1', plans: 1, executions: 1, inputTokens: 150, outputTokens: 15, costUsd: 0.3, durationMs: 3000 },
+      { sessionId: 's2', plans: 1, executions: 1, inputTokens: null, outputTokens: null, costUsd: null, durationMs: 3000 }
+    ]);
+    // No cost reported is unknown, not free
+    expect(usage.days.map(day => [day.date, day.costUsd])).toEqual([['2024-05-02', null], ['2024-05-01', 0.3]]);
+
+    expect(summarizeUsage(plans, executions, { sessionId: 's2', from: '2024-05-02T09:30:00Z' }).total)
+      .toEqual({ plans: 0, executions: 1, inputTokens: null, outputTokens: null, costUsd: null, durationMs: 3000 });
+    expect(summarizeUsage([], []).total)
+      .toEqual({ plans: 0, executions: 0, inputTokens: null, outputTokens: null, costUsd: null, durationMs: null });
+    expect(() => summarizeUsage(plans, executions, { from: 'yesterday' })).toThrow('Invalid from date');
+  });
+
+  test('should record Claude Code usage of an execute run', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-usage-'));
+
+    try {
+      // Reads the prompt from stdin and answers like claude -p --output-format stream-json
+      const script = path.join(dir, 'claude');
+      await fs.writeFile(script, [
+        `#!${process.execPath}`,
+        "process.stdin.once('data', () => {",
+        "  console.log(JSON.stringify({ type: 'system', subtype: 'init', session_id: 'claude-1' }));",
+        "  console.log(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Added logout' }] } }));",
+        "  console.log(JSON.stringify({ type: 'result', result: process.argv.slice(2).join(' '), session_id: 'claude-1',",
+        "    duration_ms: 5400, total_cost_usd: 0.02, usage: { input_tokens: 100, output_tokens: 30 } }));",
+        '});'
+      ].join('\n'), { mode: 0o755 });
+
+      const agent = new ClaudeCodeAgent({ claudePath: script });
+      const result = await agent.executePrompt('Add logout', dir, { apply: true, model: 'sonnet' });
+
+      expect(result.text).toBe('-p --verbose --input-format stream-json --output-format stream-json --permission-mode acceptEdits --model sonnet');
+      expect(result.success).toBe(true);
+      expect(result.usage).toEqual({ inputTokens: 100, outputTokens: 30, costUsd: 0.02, durationMs: 5400 });
+      expect(agent.conversationId).toBe('claude-1');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
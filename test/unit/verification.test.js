@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runVerification } from '../../src/execution/verifier.js';
+import { loadProjectConfig, getVerifyConfig } from '../../src/utils/project-config.js';
+
+describe('Verification', () => {
+  let repoPath;
+
+  beforeEach(async () => {
+    repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-dock-verify-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(repoPath, { recursive: true, force: true });
+  });
+
+  test('should treat a missing project config as empty', async () => {
+    expect(await loadProjectConfig(repoPath)).toEqual({});
+    expect(getVerifyConfig({})).toEqual({ steps: [], onFailure: 'block' });
+  });
+
+  test('should normalize verify commands and reject bad entries', async () => {
+    await fs.writeFile(path.join(repoPath, '.prompt-dock.json'), JSON.stringify({
+      verify: {
+        commands: ['npm run lint', { name: 'tests', command: ['npm', 'test'], timeout: 1000 }],
+        onFailure: 'warn'
+      }
+    }));
+
+    const { steps, onFailure } = getVerifyConfig(await loadProjectConfig(repoPath));
+
+    expect(onFailure).toBe('warn');
+    expect(steps).toEqual([
+      { name: 'npm run lint', command: 'npm run lint', timeout: null },
+      { name: 'tests', command: ['npm', 'test'], timeout: 1000 }
+    ]);
+
+    expect(() => getVerifyConfig({ verify: [{ name: 'empty' }] })).toThrow('verify step 1 has no command');
+    expect(() => getVerifyConfig({ verify: { commands: [], onFailure: 'ignore' } })).toThrow('onFailure');
+
+    await fs.writeFile(path.join(repoPath, '.prompt-dock.json'), '{ not json');
+    await expect(loadProjectConfig(repoPath)).rejects.toThrow('Invalid .prompt-dock.json');
+  });
+
+  test('should stream output and stop at the first failing step', async () => {
+    const progress = [];
+
+    const verification = await runVerification(repoPath, [
+      { name: 'ok', command: ['node', '-e', 'console.log("lint clean")'] },
+      { name: 'broken', command: ['node', '-e', 'process.exit(2)'] },
+      { name: 'never', command: ['node', '-e', ''] }
+    ], { onProgress: event => progress.push(event) });
+
+    expect(verification.status).toBe('failed');
+    expect(verification.steps.map(step => step.status)).toEqual(['passed', 'failed', 'skipped']);
+    expect(verification.steps[0].output).toContain('lint clean');
+    expect(verification.steps[1].exitCode).toBe(2);
+
+    expect(progress[0]).toEqual({ stage: 'started', steps: ['ok', 'broken', 'never'] });
+    expect(progress.some(event => event.stage === 'output' && event.data.includes('lint clean'))).toBe(true);
+    expect(progress[progress.length - 1]).toEqual({ stage: 'finished', status: 'failed' });
+  });
+
+  test('should report a command that cannot start as failed', async () => {
+    const verification = await runVerification(repoPath, [
+      { name: 'missing', command: 'definitely-not-a-real-command-xyz' }
+    ]);
+
+    expect(verification.status).toBe('failed');
+    expect(verification.steps[0].error).toContain('ENOENT');
+  });
+});